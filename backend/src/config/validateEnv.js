@@ -49,6 +49,8 @@ const REQUIRED_ENV_VARS = {
 const OPTIONAL_ENV_VARS = {
   FRONTEND_URL: "Frontend URL for CORS (default: http://localhost:3000)",
   LOG_LEVEL: "Logging level (default: info)",
+  ATTACHMENT_STORAGE: "Storage driver for project attachments (default: local)",
+  ATTACHMENT_DIR: "Folder for the local attachment storage driver (default: backend/uploads/attachments)",
 };
 
 /**
@@ -44,6 +44,66 @@ CREATE TABLE IF NOT EXISTS user_profiles (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Academic terms (e.g. "Fall 2025"). archived_at is set when the term is
+-- archived at its end; its courses become read-only
+CREATE TABLE IF NOT EXISTS terms (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    starts_on DATE,
+    ends_on DATE,
+    archived_at TIMESTAMP NULL DEFAULT NULL,
+    archived_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (archived_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Courses, each in one term. Course data (projects, preferences, groups,
+-- evaluations, settings) carries a course_id; rows with a NULL course_id belong to
+-- the shared scope used before courses existed
+CREATE TABLE IF NOT EXISTS courses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    term_id INT NOT NULL,
+    code VARCHAR(50) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    status ENUM('active', 'archived') DEFAULT 'active',
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (term_id) REFERENCES terms(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_term_code (term_id, code)
+);
+
+-- Sections within a course (e.g. lecture or lab sections)
+CREATE TABLE IF NOT EXISTS course_sections (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_course_section (course_id, name)
+);
+
+-- Students and staff enrolled in a course. Staff use instructor accounts; their
+-- enrollment role sets what they may do in the course:
+--   instructor     lead instructor; also manages course staff and archives the term
+--   co_instructor  everything in the course except managing staff
+--   ta             views course data and schedules evaluations; cannot approve
+--                  projects, change settings, or form groups
+CREATE TABLE IF NOT EXISTS course_enrollments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    user_id INT NOT NULL,
+    role ENUM('student', 'instructor', 'co_instructor', 'ta') NOT NULL,
+    section_id INT DEFAULT NULL,
+    enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (section_id) REFERENCES course_sections(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_course_user (course_id, user_id),
+    INDEX idx_user_id (user_id)
+);
+
 -- Projects
 CREATE TABLE IF NOT EXISTS projects (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -52,16 +112,111 @@ CREATE TABLE IF NOT EXISTS projects (
     category VARCHAR(100),
     skills_required TEXT,
     team_size INT DEFAULT 4,
+    min_team_size INT DEFAULT NULL,
     duration VARCHAR(50),
     owner_id INT NOT NULL,
-    approval_status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+    approval_status ENUM('pending', 'changes_requested', 'approved', 'rejected') DEFAULT 'pending',
     rejection_reason TEXT,
     status ENUM('draft', 'active', 'completed', 'archived') DEFAULT 'active',
+    course_id INT DEFAULT NULL,
+    cloned_from_id INT DEFAULT NULL,
+    reviewed_revision INT DEFAULT NULL,
+    review_round INT NOT NULL DEFAULT 1,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (cloned_from_id) REFERENCES projects(id) ON DELETE SET NULL,
+    INDEX idx_course_id (course_id),
     INDEX idx_owner_id (owner_id),
-    INDEX idx_approval_status (approval_status)
+    INDEX idx_approval_status (approval_status),
+    -- Keyword search (GET /projects/search, see utils/projectSearch.js)
+    FULLTEXT INDEX ft_project_search (title, description)
+);
+
+-- Review conversation on a project proposal between instructors and its client.
+-- event records the review step an entry belongs to; plain replies are 'comment'
+CREATE TABLE IF NOT EXISTS project_review_comments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    author_id INT,
+    author_role VARCHAR(20) NOT NULL,
+    event ENUM('comment', 'changes_requested', 'approved', 'rejected', 'resubmitted') NOT NULL DEFAULT 'comment',
+    body TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_project_id (project_id)
+);
+
+-- Every version of a project proposal: a snapshot of the client-editable fields,
+-- numbered from 1 per project. projects.reviewed_revision is the revision the
+-- latest review decision was made on; restored_from marks an instructor
+-- approving an earlier revision
+CREATE TABLE IF NOT EXISTS project_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    revision INT NOT NULL,
+    snapshot JSON NOT NULL,
+    edited_by INT,
+    edited_by_role VARCHAR(20),
+    restored_from INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_project_revision (project_id, revision)
+);
+
+-- Reviewers' votes on a proposal, one per reviewer per review round (a round
+-- ends when the client resubmits). The project's approval_status follows the
+-- current round's votes and the course's approval_quorum / rejection_quorum
+CREATE TABLE IF NOT EXISTS project_review_votes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    reviewer_id INT NOT NULL,
+    review_round INT NOT NULL DEFAULT 1,
+    vote ENUM('approved', 'rejected', 'changes_requested') NOT NULL,
+    revision INT DEFAULT NULL,
+    feedback TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_round_reviewer (project_id, review_round, reviewer_id)
+);
+
+-- Instructors assigned to review a proposal; drives each reviewer's queue
+CREATE TABLE IF NOT EXISTS project_reviewer_assignments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    reviewer_id INT NOT NULL,
+    assigned_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_project_reviewer (project_id, reviewer_id),
+    INDEX idx_reviewer_id (reviewer_id)
+);
+
+-- Files attached to a project: the client's proposal documents (specs, NDAs)
+-- and the assigned team's deliverables. The file itself lives in attachment
+-- storage (see utils/attachmentStorage.js) under storage_key
+CREATE TABLE IF NOT EXISTS project_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    uploaded_by INT,
+    uploader_role VARCHAR(20),
+    category ENUM('proposal', 'deliverable') NOT NULL DEFAULT 'proposal',
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_storage_key (storage_key),
+    INDEX idx_project_category (project_id, category)
 );
 
 -- Student groups
@@ -71,9 +226,12 @@ CREATE TABLE IF NOT EXISTS student_groups (
     group_name VARCHAR(100),
     project_id INT,
     status ENUM('active', 'inactive', 'completed') DEFAULT 'active',
+    course_id INT DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    INDEX idx_course_id (course_id)
 );
 
 -- Group members
@@ -95,11 +253,144 @@ CREATE TABLE IF NOT EXISTS student_preferences (
     student_id INT NOT NULL,
     project_id INT NOT NULL,
     rank_order INT NOT NULL,
+    bid_points INT DEFAULT NULL,
+    justification TEXT DEFAULT NULL,
+    justification_hidden BOOLEAN DEFAULT FALSE,
+    course_id INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_student_project (student_id, project_id),
+    INDEX idx_course_id (course_id)
+);
+
+-- Per-student extensions of the preference deadline
+CREATE TABLE IF NOT EXISTS deadline_extensions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    extended_until DATETIME NOT NULL,
+    reason VARCHAR(255),
+    granted_by INT,
+    course_id INT DEFAULT NULL,
+    course_scope INT AS (COALESCE(course_id, 0)) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_course_student (course_scope, student_id)
+);
+
+-- Versioned snapshots of every preference submission (and clear), kept after
+-- student_preferences is replaced
+CREATE TABLE IF NOT EXISTS preference_submissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    version INT NOT NULL,
+    action ENUM('submitted', 'cleared') NOT NULL DEFAULT 'submitted',
+    preferences JSON,
+    preference_mode VARCHAR(20),
+    deadline_at_submission DATETIME DEFAULT NULL,
+    submitted_by_role VARCHAR(20),
+    course_id INT DEFAULT NULL,
+    course_scope INT AS (COALESCE(course_id, 0)) STORED,
+    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_student_version (course_scope, student_id, version),
+    INDEX idx_submitted_at (submitted_at)
+);
+
+-- Client's view of the students who listed their project: a rank among accepted
+-- students, or declined
+CREATE TABLE IF NOT EXISTS client_student_rankings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    student_id INT NOT NULL,
+    decision ENUM('accepted', 'declined') NOT NULL DEFAULT 'accepted',
+    client_rank INT DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
-    UNIQUE KEY unique_student_project (student_id, project_id)
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_project_student (project_id, student_id)
+);
+
+-- Student-formed teams that group formation places as one unit
+CREATE TABLE IF NOT EXISTS pre_teams (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255),
+    created_by INT NOT NULL,
+    course_id INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+);
+
+-- Pre-team invitations and memberships
+CREATE TABLE IF NOT EXISTS pre_team_members (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    pre_team_id INT NOT NULL,
+    student_id INT NOT NULL,
+    status ENUM('invited', 'accepted', 'declined') DEFAULT 'invited',
+    invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP NULL,
+    FOREIGN KEY (pre_team_id) REFERENCES pre_teams(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_pre_team_student (pre_team_id, student_id)
+);
+
+-- Joint project preferences of a pre-team (replace its members' own lists)
+CREATE TABLE IF NOT EXISTS pre_team_preferences (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    pre_team_id INT NOT NULL,
+    project_id INT NOT NULL,
+    preference_rank INT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (pre_team_id) REFERENCES pre_teams(id) ON DELETE CASCADE,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_pre_team_project (pre_team_id, project_id)
+);
+
+-- Group formation constraints (pinned memberships and together/apart pairs)
+CREATE TABLE IF NOT EXISTS group_constraints (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    constraint_type ENUM('pin', 'together', 'apart') NOT NULL,
+    student_id INT NOT NULL,
+    other_student_id INT,
+    project_id INT,
+    note VARCHAR(255),
+    created_by INT,
+    course_id INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (other_student_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Group formation runs (every preview, commit, and rollback)
+CREATE TABLE IF NOT EXISTS formation_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    run_type ENUM('preview', 'commit', 'rollback') NOT NULL,
+    mode VARCHAR(20),
+    parameters JSON,
+    seed VARCHAR(64),
+    inputs_snapshot JSON,
+    result JSON,
+    stats JSON,
+    groups_snapshot JSON,
+    source_run_id INT,
+    created_by INT,
+    course_id INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (source_run_id) REFERENCES formation_runs(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- Evaluations
@@ -119,28 +410,55 @@ CREATE TABLE IF NOT EXISTS evaluations (
     notes TEXT,
     status ENUM('scheduled', 'in_progress', 'completed', 'cancelled') DEFAULT 'scheduled',
     created_by INT,
+    course_id INT DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
     FOREIGN KEY (group_id) REFERENCES student_groups(id) ON DELETE SET NULL,
     FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
     FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
--- App settings
+-- Read-only snapshot of a course taken when its term was archived: projects,
+-- groups with their members, and evaluations as they stood at the end of term
+CREATE TABLE IF NOT EXISTS term_archives (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    term_id INT NOT NULL,
+    course_id INT NOT NULL,
+    snapshot JSON NOT NULL,
+    archived_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (term_id) REFERENCES terms(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (archived_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_course_archive (course_id)
+);
+
+-- App settings. Rows with a course_id override the shared (NULL course_id)
+-- row with the same key for that course
 CREATE TABLE IF NOT EXISTS app_settings (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    setting_key VARCHAR(100) NOT NULL UNIQUE,
+    setting_key VARCHAR(100) NOT NULL,
     setting_value TEXT,
     description VARCHAR(255),
     updated_by INT,
+    course_id INT DEFAULT NULL,
+    course_scope INT AS (COALESCE(course_id, 0)) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_course_setting (course_scope, setting_key)
 );
 
--- Default settings
+-- Default settings (shared scope)
 INSERT INTO app_settings (setting_key, setting_value, description) VALUES
+('preference_opens_at', NULL, 'When students can start submitting project preferences'),
 ('preference_deadline', NULL, 'Deadline for students to submit project preferences'),
 ('max_preferences', '5', 'Maximum number of preferences a student can submit'),
+('min_preferences', '1', 'Minimum number of preferences a student must submit'),
+('rank_all_projects', 'false', 'Whether students must rank every approved project'),
+('preference_mode', 'ranked', 'How students express preferences: ranked or bidding'),
+('bid_budget', '100', 'Points each student distributes in bidding mode'),
 ('default_team_size', '4', 'Default team size for projects')
 ON DUPLICATE KEY UPDATE setting_key = setting_key;
\ No newline at end of file
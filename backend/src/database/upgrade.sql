@@ -0,0 +1,78 @@
+-- =============================================
+-- Capstone Hub Database Upgrade
+-- =============================================
+-- Brings a database created from an earlier schema.sql up to date.
+-- schema.sql only creates tables that don't exist yet, so columns and keys
+-- added to existing tables are listed here.
+--
+-- Each section adds one feature's columns. Run schema.sql first (it creates the
+-- new tables these statements refer to), then this file; on a database that
+-- already has some of the sections, run only the ones it is missing:
+--   mysql -u root -p capstone_hub < database/schema.sql
+--   mysql -u root -p capstone_hub < database/upgrade.sql
+-- =============================================
+
+USE capstone_hub;
+
+-- Per-project minimum team size
+ALTER TABLE projects
+    ADD COLUMN min_team_size INT DEFAULT NULL AFTER team_size;
+
+-- Point-budget bidding
+ALTER TABLE student_preferences
+    ADD COLUMN bid_points INT DEFAULT NULL AFTER rank_order;
+
+-- Preference justifications
+ALTER TABLE student_preferences
+    ADD COLUMN justification TEXT DEFAULT NULL AFTER bid_points,
+    ADD COLUMN justification_hidden BOOLEAN DEFAULT FALSE AFTER justification;
+
+-- Courses and terms: course data carries a course_id; existing rows keep a
+-- NULL course_id and stay in the shared scope
+ALTER TABLE projects
+    ADD COLUMN course_id INT DEFAULT NULL AFTER status,
+    ADD INDEX idx_course_id (course_id),
+    ADD FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE;
+
+ALTER TABLE student_groups
+    ADD COLUMN course_id INT DEFAULT NULL AFTER status,
+    ADD INDEX idx_course_id (course_id),
+    ADD FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE;
+
+ALTER TABLE student_preferences
+    ADD COLUMN course_id INT DEFAULT NULL AFTER justification_hidden,
+    ADD INDEX idx_course_id (course_id),
+    ADD FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE;
+
+ALTER TABLE evaluations
+    ADD COLUMN course_id INT DEFAULT NULL AFTER created_by,
+    ADD FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE;
+
+-- A setting key is unique per course instead of globally
+ALTER TABLE app_settings
+    ADD COLUMN course_id INT DEFAULT NULL AFTER updated_by,
+    ADD COLUMN course_scope INT AS (COALESCE(course_id, 0)) STORED AFTER course_id,
+    ADD FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    DROP INDEX setting_key,
+    ADD UNIQUE KEY unique_course_setting (course_scope, setting_key);
+
+-- Project roll-forward into a new term
+ALTER TABLE projects
+    ADD COLUMN cloned_from_id INT DEFAULT NULL AFTER course_id,
+    ADD FOREIGN KEY (cloned_from_id) REFERENCES projects(id) ON DELETE SET NULL;
+
+-- Changes-requested review state
+ALTER TABLE projects
+    MODIFY approval_status ENUM('pending', 'changes_requested', 'approved', 'rejected') DEFAULT 'pending';
+
+-- Proposal revisions
+ALTER TABLE projects
+    ADD COLUMN reviewed_revision INT DEFAULT NULL AFTER cloned_from_id;
+
+-- Multi-reviewer approval
+ALTER TABLE projects
+    ADD COLUMN review_round INT NOT NULL DEFAULT 1 AFTER reviewed_revision;
+
+-- Full-text project search
+ALTER TABLE projects
+    ADD FULLTEXT INDEX ft_project_search (title, description);
@@ -9,11 +9,14 @@
  * @requires ./config/validateEnv
  * @requires ../db
  * @requires ./middleware/errorHandler
+ * @requires ./middleware/courseScope
  * @requires ./routes/clientRoutes
  * @requires ./routes/studentRoutes
  * @requires ./routes/instructorRoutes
  * @requires ./routes/projectRoutes
  * @requires ./routes/evaluationRoutes
+ * @requires ./routes/courseRoutes
+ * @requires ./routes/attachmentRoutes
  */
 
 import express from "express";
@@ -40,6 +43,7 @@ import {
   requestLoggingMiddleware, 
   errorHandler 
 } from "./middleware/errorHandler.js";
+import { resolveCourse } from "./middleware/courseScope.js";
 
 // ==================== ROUTE IMPORTS ====================
 
@@ -48,6 +52,8 @@ import studentRoutes from "./routes/studentRoutes.js";
 import instructorRoutes from "./routes/instructorRoutes.js";
 import projectRoutes from "./routes/projectRoutes.js";
 import evaluationRoutes from "./routes/evaluationRoutes.js";
+import courseRoutes from "./routes/courseRoutes.js";
+import attachmentRoutes from "./routes/attachmentRoutes.js";
 
 // ==================== EXPRESS APP SETUP ====================
 
@@ -66,7 +72,7 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:5173",
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Course-Id"],
   optionsSuccessStatus: 200,
 }));
 
@@ -231,6 +237,18 @@ app.get("/check-email", async (req, res) => {
 
 // ==================== ROUTES ====================
 
+/**
+ * Course Routes
+ * Handles terms, courses, and enrollments. Mounted before the course scope so
+ * the course list still loads when the stored active course is no longer valid.
+ * Base path: /courses
+ * @see module:routes/courseRoutes
+ */
+app.use("/courses", courseRoutes);
+
+// Course scope (X-Course-Id header) for every route below; sets req.courseId
+app.use(resolveCourse);
+
 /**
  * Project Routes
  * Handles all project-related endpoints
@@ -239,6 +257,14 @@ app.get("/check-email", async (req, res) => {
  */
 app.use("/projects", projectRoutes);
 
+/**
+ * Attachment Routes
+ * Handles files attached to a project (proposal documents and deliverables)
+ * Base path: /projects/:project_id/attachments
+ * @see module:routes/attachmentRoutes
+ */
+app.use("/projects/:project_id/attachments", attachmentRoutes);
+
 /**
  * Client Routes
  * Handles all client-related endpoints
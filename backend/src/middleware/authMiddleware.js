@@ -12,10 +12,48 @@ import jwt from "jsonwebtoken";
  * 2. verifyRole/verifyOwnership - Check permissions
  * 3. Route handler - Process the request
  * 
+ * Course staff roles: inside a course, an instructor account acts with its
+ * enrollment role (instructor, co_instructor or ta), which middleware/courseScope
+ * sets on req.courseRole. verifyRole checks that role instead of the account role,
+ * so routes can allow co-instructors and TAs separately:
+ * 
+ *   verifyRole(COURSE_MANAGER_ROLES)  // instructors and co-instructors (and admins)
+ *   verifyRole(COURSE_STAFF_ROLES)    // ...and TAs
+ * 
  * @module middleware/authMiddleware
  * @requires jsonwebtoken
  */
 
+/**
+ * Roles that may change a course's projects, settings, and groups
+ * @constant {Array<string>}
+ */
+export const COURSE_MANAGER_ROLES = ["admin", "instructor", "co_instructor"];
+
+/**
+ * Roles that may view a course's data and schedule its evaluations
+ * @constant {Array<string>}
+ */
+export const COURSE_STAFF_ROLES = [...COURSE_MANAGER_ROLES, "ta"];
+
+/**
+ * Get the role the user acts with for this request
+ * 
+ * Instructor accounts act with their course staff role (req.courseRole) when
+ * one is set; every other account acts with its own role.
+ * 
+ * @function getEffectiveRole
+ * @param {Object} req - Express request object (after verifyToken)
+ * @returns {string} Role to check permissions against
+ * 
+ * @example
+ * if (getEffectiveRole(req) === "ta") { ... }
+ */
+export const getEffectiveRole = (req) => {
+  if (req.user.role === "instructor" && req.courseRole) return req.courseRole;
+  return req.user.role;
+};
+
 /**
  * Verify JWT Token Middleware
  * 
@@ -126,6 +164,10 @@ export const verifyToken = (req, res, next) => {
  * Returns a 403 Forbidden error if the user's role is not in the allowed list.
  * Must be used after verifyToken middleware.
  * 
+ * Instructor accounts are checked by their staff role in the active course
+ * (see getEffectiveRole), so "instructor" in allowedRoles means the course's
+ * lead instructor; list "co_instructor" and "ta" to allow those too.
+ * 
  * @function verifyRole
  * @param {Array<string>} allowedRoles - Array of allowed roles (e.g., ["client", "admin"])
  * @returns {Function} Express middleware function
@@ -153,6 +195,14 @@ export const verifyToken = (req, res, next) => {
  *   verifyRole(['student', 'instructor', 'client']), 
  *   getAllProjects
  * );
+ * 
+ * @example
+ * // Course staff, but not TAs
+ * router.put('/projects/:project_id/approval', 
+ *   verifyToken, 
+ *   verifyRole(COURSE_MANAGER_ROLES), 
+ *   approveProject
+ * );
  */
 export const verifyRole = (allowedRoles) => {
   return (req, res, next) => {
@@ -165,8 +215,8 @@ export const verifyRole = (allowedRoles) => {
         });
       }
 
-      // Check if user's role is allowed
-      if (!allowedRoles.includes(req.user.role)) {
+      // Check if user's role (course staff role for instructors) is allowed
+      if (!allowedRoles.includes(getEffectiveRole(req))) {
         return res.status(403).json({
           success: false,
           error: `Insufficient permissions. Required roles: ${allowedRoles.join(", ")}`,
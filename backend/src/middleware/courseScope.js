@@ -0,0 +1,201 @@
+/**
+ * Course Scope Middleware Module
+ *
+ * Works out which course a request acts on. The frontend sends the active course
+ * in the X-Course-Id header (or a course_id query parameter); the course ID is
+ * attached to req.courseId for route handlers to filter and tag course data with.
+ *
+ * Requests without a course act on the shared scope (rows with a NULL course_id),
+ * which holds data created before courses existed. Routes compare course IDs with
+ * MySQL's NULL-safe equality so one query serves both cases:
+ *
+ *   WHERE p.course_id <=> ?   -- params: [req.courseId]
+ *
+ * Access rules when a course is given:
+ * - admin: any course
+ * - instructor, student: only courses they are enrolled in
+ * - client: any active course (clients propose projects to courses)
+ * - unauthenticated (public routes): any course, read-only routes only
+ *
+ * Archived courses (see utils/termArchive) are read-only: only GET requests may
+ * name them.
+ *
+ * For instructor accounts it also sets req.courseRole, their staff role in the
+ * course (instructor, co_instructor or ta), which verifyRole checks. In the
+ * shared scope an instructor who is only ever a TA acts as a TA; everyone else
+ * keeps their account role there.
+ *
+ * Mounted once on the app, before the routers, so it runs ahead of each route's
+ * verifyToken. It reads the bearer token itself only to check enrollment; invalid
+ * tokens are left for verifyToken to reject.
+ *
+ * @module middleware/courseScope
+ * @requires jsonwebtoken
+ * @requires ../../db
+ */
+
+import jwt from "jsonwebtoken";
+import db from "../../db.js";
+
+/**
+ * Header the frontend sends the active course in
+ * @constant {string}
+ */
+export const COURSE_HEADER = "x-course-id";
+
+/**
+ * Methods allowed on an archived course
+ * @constant {Array<string>}
+ */
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Decode the bearer token without rejecting the request
+ *
+ * @private
+ * @function readTokenUser
+ * @param {Object} req - Express request object
+ * @returns {Object|null} { role, id } of the signed-in user, or null
+ */
+function readTokenUser(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+  try {
+    const decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET || "your-secret-key");
+    return {
+      role: decoded.role,
+      id: decoded.studentId || decoded.instructorId || decoded.clientId || null,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a user may act on a course
+ *
+ * @async
+ * @function canAccessCourse
+ * @param {Object} course - Course row ({ id, status })
+ * @param {Object|null} user - { role, id } of the signed-in user, or null
+ * @returns {Promise<boolean>} True if the user may use the course
+ *
+ * @example
+ * if (!(await canAccessCourse(course, { role: "student", id: 42 }))) { ... }
+ */
+export async function canAccessCourse(course, user) {
+  if (!user || user.role === "admin") return true;
+  if (user.role === "client") return course.status === "active";
+
+  const [enrollments] = await db.query(
+    "SELECT id FROM course_enrollments WHERE course_id = ? AND user_id = ?",
+    [course.id, user.id]
+  );
+  return enrollments.length > 0;
+}
+
+/**
+ * Get a user's staff role in a course
+ *
+ * @async
+ * @function getCourseRole
+ * @param {number|null} courseId - Course ID, or null for the shared scope
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} instructor, co_instructor, ta, or null if not on staff
+ *
+ * @example
+ * const role = await getCourseRole(3, 42); // "ta"
+ */
+export async function getCourseRole(courseId, userId) {
+  if (courseId === null) {
+    const [roles] = await db.query(
+      "SELECT DISTINCT role FROM course_enrollments WHERE user_id = ? AND role <> 'student'",
+      [userId]
+    );
+    return roles.length > 0 && roles.every((row) => row.role === "ta") ? "ta" : null;
+  }
+
+  const [enrollments] = await db.query(
+    "SELECT role FROM course_enrollments WHERE course_id = ? AND user_id = ? AND role <> 'student'",
+    [courseId, userId]
+  );
+  return enrollments.length > 0 ? enrollments[0].role : null;
+}
+
+/**
+ * Resolve Course Middleware
+ *
+ * Sets req.courseId to the requested course (or null for the shared scope), and
+ * req.courseRole to an instructor's staff role in it.
+ * Responds 400 for a malformed course ID, 404 for an unknown course, and 403 if
+ * the signed-in user may not use it or tries to change an archived course.
+ *
+ * @async
+ * @function resolveCourse
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ *
+ * @example
+ * // index.js
+ * app.use(resolveCourse);
+ *
+ * // In a route handler
+ * const [projects] = await db.query("SELECT * FROM projects WHERE course_id <=> ?", [req.courseId]);
+ */
+export const resolveCourse = async (req, res, next) => {
+  try {
+    const raw = req.headers[COURSE_HEADER] ?? req.query?.course_id;
+    const user = readTokenUser(req);
+    req.courseId = null;
+    req.courseRole = null;
+
+    if (raw === undefined || raw === "") {
+      if (user?.role === "instructor") req.courseRole = await getCourseRole(null, user.id);
+      return next();
+    }
+
+    const courseId = Number(raw);
+    if (!Number.isInteger(courseId) || courseId < 1) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid course ID format",
+      });
+    }
+
+    const [courses] = await db.query("SELECT id, status FROM courses WHERE id = ?", [courseId]);
+    if (courses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    if (!(await canAccessCourse(courses[0], user))) {
+      return res.status(403).json({
+        success: false,
+        error: "You are not enrolled in this course",
+        code: "FORBIDDEN",
+      });
+    }
+
+    if (courses[0].status === "archived" && !READ_ONLY_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        success: false,
+        error: "This course is archived and read-only",
+        code: "COURSE_ARCHIVED",
+      });
+    }
+
+    req.courseId = courseId;
+    if (user?.role === "instructor") req.courseRole = await getCourseRole(courseId, user.id);
+    next();
+  } catch (err) {
+    console.error("Course resolution error:", err);
+    res.status(500).json({
+      success: false,
+      error: "Course resolution failed",
+    });
+  }
+};
@@ -0,0 +1,556 @@
+/**
+ * Attachment Routes Module
+ *
+ * Handles files attached to projects: the client's proposal documents (specs,
+ * NDAs, mockups) and the files the assigned team hands in as deliverables.
+ * Mounted under /projects/:project_id/attachments.
+ *
+ * Who can do what:
+ * - The project's client: see all files, upload and delete proposal files
+ * - Instructors of the project's course: see all files; instructors and
+ *   co-instructors (not TAs) can also upload and delete any file
+ * - Students in a group assigned to the approved project: see all files,
+ *   upload deliverables and delete their own uploads
+ *
+ * Files are sent as the raw request body (Content-Type is the file's type) with
+ * the filename in the query string, and kept in attachment storage (see
+ * utils/attachmentStorage). Projects of an archived term are read-only.
+ *
+ * @module routes/attachmentRoutes
+ * @requires express
+ * @requires ../../db
+ * @requires ../middleware/authMiddleware
+ * @requires ../utils/termArchive
+ * @requires ../utils/attachmentStorage
+ * @requires ../utils/projectAttachments
+ */
+
+import express from "express";
+import db from "../../db.js";
+import { verifyToken, getEffectiveRole, COURSE_MANAGER_ROLES } from "../middleware/authMiddleware.js";
+import { isArchivedProject, ARCHIVED_PROJECT_ERROR } from "../utils/termArchive.js";
+import { getAttachmentStorage, createStorageKey } from "../utils/attachmentStorage.js";
+import {
+  ATTACHMENT_CATEGORIES,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_PROJECT,
+  getAttachmentMimeType,
+  cleanAttachmentName,
+  checkAttachmentFile,
+} from "../utils/projectAttachments.js";
+
+const router = express.Router({ mergeParams: true });
+
+const parseFileBody = express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES });
+
+/**
+ * Read the uploaded file into req.body as a Buffer, answering with JSON when
+ * the body is too large or can't be read
+ *
+ * @function readFileBody
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+function readFileBody(req, res, next) {
+  parseFileBody(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === "entity.too.large") {
+      return res.status(413).json({
+        success: false,
+        error: `File is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`,
+      });
+    }
+    res.status(400).json({
+      success: false,
+      error: "Could not read the uploaded file",
+    });
+  });
+}
+
+/**
+ * Check that the user may upload to the project, in the requested category,
+ * before the file is read: nobody else makes the server hold a file in memory.
+ * Leaves { project, category } in req.attachmentUpload
+ *
+ * @async
+ * @function checkUploadAccess
+ * @param {Object} req - Express request object (after verifyToken)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+async function checkUploadAccess(req, res, next) {
+  try {
+    const { project, access, status, error } = await loadAttachmentProject(req.params.project_id, req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const category = req.query.category || (req.user.role === "student" ? "deliverable" : "proposal");
+    if (!ATTACHMENT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        error: `category must be one of: ${ATTACHMENT_CATEGORIES.join(", ")}`,
+      });
+    }
+
+    if (!access.uploadCategories.includes(category)) {
+      return res.status(isArchivedProject(project) ? 400 : 403).json({
+        success: false,
+        error: isArchivedProject(project)
+          ? ARCHIVED_PROJECT_ERROR
+          : `You can't upload ${category} files to this project`,
+      });
+    }
+
+    req.attachmentUpload = { project, category };
+    next();
+  } catch (err) {
+    console.error("Error checking attachment upload access:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to upload file",
+    });
+  }
+}
+
+/**
+ * Load a project and what the requesting user may do with its attachments
+ *
+ * @async
+ * @function loadAttachmentProject
+ * @param {string} projectId - Project ID from the URL
+ * @param {Object} req - Express request object (after verifyToken)
+ * @returns {Promise<Object>} { project, access } where access is
+ *   { uploadCategories, canDeleteAll, canDeleteCategories }, or { status, error }
+ */
+async function loadAttachmentProject(projectId, req) {
+  if (isNaN(projectId)) {
+    return { status: 400, error: "Invalid project ID format" };
+  }
+
+  const [projects] = await db.query(
+    "SELECT id, owner_id, title, approval_status, status, course_id FROM projects WHERE id = ?",
+    [parseInt(projectId)]
+  );
+  if (projects.length === 0) {
+    return { status: 404, error: "Project not found" };
+  }
+
+  const project = projects[0];
+  const readOnly = isArchivedProject(project);
+  const access = { uploadCategories: [], canDeleteAll: false, canDeleteCategories: [] };
+
+  if (req.user.role === "client" && project.owner_id === req.user.clientId) {
+    if (!readOnly) {
+      access.uploadCategories = ["proposal"];
+      access.canDeleteCategories = ["proposal"];
+    }
+    return { project, access };
+  }
+
+  if ((req.user.role === "instructor" || req.user.role === "admin") && project.course_id === req.courseId) {
+    if (!readOnly && COURSE_MANAGER_ROLES.includes(getEffectiveRole(req))) {
+      access.uploadCategories = [...ATTACHMENT_CATEGORIES];
+      access.canDeleteAll = true;
+    }
+    return { project, access };
+  }
+
+  if (req.user.role === "student" && project.approval_status === "approved") {
+    const [membership] = await db.query(
+      `SELECT 1
+       FROM group_members gm
+       JOIN student_groups sg ON gm.group_id = sg.id
+       WHERE sg.project_id = ? AND gm.student_id = ?
+       LIMIT 1`,
+      [project.id, req.user.studentId]
+    );
+    if (membership.length > 0) {
+      if (!readOnly) access.uploadCategories = ["deliverable"];
+      return { project, access };
+    }
+  }
+
+  return { status: 403, error: "Only the project's client, its course's instructors and its team can see its files" };
+}
+
+/**
+ * Whether a user may delete one attachment: uploaders may delete their own
+ * files while the project is writable
+ *
+ * @function canDeleteAttachment
+ * @param {Object} attachment - project_attachments row
+ * @param {Object} project - Project from loadAttachmentProject
+ * @param {Object} access - Access from loadAttachmentProject
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+function canDeleteAttachment(attachment, project, access, req) {
+  if (access.canDeleteAll || access.canDeleteCategories.includes(attachment.category)) return true;
+  return !isArchivedProject(project) && attachment.uploaded_by === uploaderId(req);
+}
+
+/**
+ * The requesting user's users.id, as stored in project_attachments.uploaded_by
+ *
+ * @function uploaderId
+ * @param {Object} req - Express request object (after verifyToken)
+ * @returns {number|null}
+ */
+function uploaderId(req) {
+  return req.user.studentId || req.user.clientId || req.user.instructorId || null;
+}
+
+/**
+ * Load one attachment of a project
+ *
+ * @async
+ * @function findAttachment
+ * @param {number} projectId - Project ID
+ * @param {string} attachmentId - Attachment ID from the URL
+ * @returns {Promise<Object|null>} project_attachments row, or null if not found
+ */
+async function findAttachment(projectId, attachmentId) {
+  if (isNaN(attachmentId)) return null;
+  const [attachments] = await db.query(
+    "SELECT * FROM project_attachments WHERE id = ? AND project_id = ?",
+    [parseInt(attachmentId), projectId]
+  );
+  return attachments[0] || null;
+}
+
+// ==================== ATTACHMENT LIST ====================
+
+/**
+ * List Project Attachments
+ *
+ * Returns the project's files, newest first, with what the user may do:
+ * can_upload lists the categories they may upload, and each file carries
+ * can_delete. limits describes the accepted files.
+ * Protected route - the project's client, its course's instructors, or its team.
+ *
+ * @route GET /projects/:project_id/attachments
+ * @group Attachments - Project files
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {string} category.query - Only list "proposal" or "deliverable" files
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with { attachments, can_upload, limits }
+ * @returns {object} 400 - Invalid project ID or category
+ * @returns {object} 403 - No access to the project's files
+ * @returns {object} 404 - Project not found
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * GET /projects/42/attachments?category=proposal
+ *
+ * // Response data
+ * {
+ *   "attachments": [
+ *     { "id": 7, "category": "proposal", "original_name": "spec.pdf", "mime_type": "application/pdf", "size_bytes": 182044, "uploader_name": "Acme Corp", "can_delete": true, "created_at": "..." }
+ *   ],
+ *   "can_upload": ["proposal"],
+ *   "limits": { "max_bytes": 10485760, "max_files": 25, "types": [".pdf", ".docx", ...] }
+ * }
+ */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const { project, access, status, error } = await loadAttachmentProject(req.params.project_id, req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const { category } = req.query;
+    if (category && !ATTACHMENT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        error: `category must be one of: ${ATTACHMENT_CATEGORIES.join(", ")}`,
+      });
+    }
+
+    const [attachments] = await db.query(
+      `SELECT
+         pa.id,
+         pa.category,
+         pa.original_name,
+         pa.mime_type,
+         pa.size_bytes,
+         pa.uploaded_by,
+         pa.uploader_role,
+         COALESCE(up.full_name, CONCAT_WS(' ', up.first_name, up.last_name), u.email) as uploader_name,
+         pa.created_at
+       FROM project_attachments pa
+       LEFT JOIN users u ON pa.uploaded_by = u.id
+       LEFT JOIN user_profiles up ON u.id = up.user_id
+       WHERE pa.project_id = ? ${category ? "AND pa.category = ?" : ""}
+       ORDER BY pa.created_at DESC, pa.id DESC`,
+      category ? [project.id, category] : [project.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        attachments: attachments.map((attachment) => ({
+          ...attachment,
+          can_delete: canDeleteAttachment(attachment, project, access, req),
+        })),
+        can_upload: access.uploadCategories,
+        limits: {
+          max_bytes: MAX_ATTACHMENT_BYTES,
+          max_files: MAX_ATTACHMENTS_PER_PROJECT,
+          types: Object.keys(ATTACHMENT_TYPES),
+        },
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching attachments:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch attachments",
+    });
+  }
+});
+
+// ==================== ATTACHMENT UPLOAD ====================
+
+/**
+ * Upload Project Attachment
+ *
+ * Stores one file with the project. The request body is the file itself, not
+ * JSON or a form; the filename and category go in the query string.
+ * Protected route - the project's client (proposal files), its course's
+ * instructors and co-instructors (any file), or its team (deliverables).
+ *
+ * @route POST /projects/:project_id/attachments
+ * @group Attachments - Project files
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {string} filename.query.required - Original filename, with extension
+ * @param {string} category.query - "proposal" or "deliverable" (default: "proposal", or "deliverable" for students)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 201 - Success response with the new attachment
+ * @returns {object} 400 - Missing filename, empty file, type not allowed, or file limit reached
+ * @returns {object} 403 - Not allowed to upload this category
+ * @returns {object} 404 - Project not found
+ * @returns {object} 413 - File too large
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * POST /projects/42/attachments?filename=spec.pdf&category=proposal
+ * Content-Type: application/pdf
+ *
+ * <file bytes>
+ */
+router.post("/", verifyToken, checkUploadAccess, readFileBody, async (req, res) => {
+  try {
+    const { project, category } = req.attachmentUpload;
+
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: "Send the file itself as the request body",
+      });
+    }
+
+    const filename = cleanAttachmentName(req.query.filename);
+    const fileError = checkAttachmentFile({ filename, size: req.body.length });
+    if (fileError) {
+      return res.status(400).json({ success: false, error: fileError });
+    }
+
+    const [[{ count }]] = await db.query(
+      "SELECT COUNT(*) as count FROM project_attachments WHERE project_id = ?",
+      [project.id]
+    );
+    if (count >= MAX_ATTACHMENTS_PER_PROJECT) {
+      return res.status(400).json({
+        success: false,
+        error: `A project can have at most ${MAX_ATTACHMENTS_PER_PROJECT} files`,
+      });
+    }
+
+    const storage = getAttachmentStorage();
+    const storageKey = createStorageKey(project.id);
+    const mimeType = getAttachmentMimeType(filename);
+    await storage.save(storageKey, req.body);
+
+    let result;
+    try {
+      [result] = await db.query(
+        `INSERT INTO project_attachments
+           (project_id, uploaded_by, uploader_role, category, original_name, mime_type, size_bytes, storage_key)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [project.id, uploaderId(req), req.user.role, category, filename, mimeType, req.body.length, storageKey]
+      );
+    } catch (err) {
+      // Don't leave a file behind that no row points to
+      await storage.remove(storageKey).catch(() => {});
+      throw err;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "File uploaded",
+      data: {
+        id: result.insertId,
+        category,
+        original_name: filename,
+        mime_type: mimeType,
+        size_bytes: req.body.length,
+        uploaded_by: uploaderId(req),
+        uploader_role: req.user.role,
+        can_delete: true,
+        created_at: new Date().toISOString(),
+      },
+    });
+  } catch (err) {
+    console.error("Error uploading attachment:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to upload file",
+    });
+  }
+});
+
+// ==================== ATTACHMENT DOWNLOAD ====================
+
+/**
+ * Download Project Attachment
+ *
+ * Sends the file with its stored type and original filename.
+ * Protected route - anyone who can list the project's files.
+ *
+ * @route GET /projects/:project_id/attachments/:attachment_id/download
+ * @group Attachments - Project files
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {number} attachment_id.path.required - Attachment ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {file} 200 - The file
+ * @returns {object} 403 - No access to the project's files
+ * @returns {object} 404 - Project or attachment not found
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * GET /projects/42/attachments/7/download
+ */
+router.get("/:attachment_id/download", verifyToken, async (req, res) => {
+  try {
+    const { project, status, error } = await loadAttachmentProject(req.params.project_id, req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const attachment = await findAttachment(project.id, req.params.attachment_id);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: "Attachment not found",
+      });
+    }
+
+    let file;
+    try {
+      file = await getAttachmentStorage().read(attachment.storage_key);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      return res.status(404).json({
+        success: false,
+        error: "The file is no longer in storage",
+      });
+    }
+
+    res.setHeader("Content-Type", attachment.mime_type);
+    res.setHeader("Content-Length", file.length);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${attachment.original_name.replace(/[^\x20-\x7e]/g, "_")}"; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`
+    );
+    res.send(file);
+  } catch (err) {
+    console.error("Error downloading attachment:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to download file",
+    });
+  }
+});
+
+// ==================== ATTACHMENT DELETE ====================
+
+/**
+ * Delete Project Attachment
+ *
+ * Removes the file and its record.
+ * Protected route - the file's uploader, the project's client (proposal files),
+ * or its course's instructors and co-instructors.
+ *
+ * @route DELETE /projects/:project_id/attachments/:attachment_id
+ * @group Attachments - Project files
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {number} attachment_id.path.required - Attachment ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response
+ * @returns {object} 400 - Project belongs to an archived term
+ * @returns {object} 403 - Not allowed to delete this file
+ * @returns {object} 404 - Project or attachment not found
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * DELETE /projects/42/attachments/7
+ */
+router.delete("/:attachment_id", verifyToken, async (req, res) => {
+  try {
+    const { project, access, status, error } = await loadAttachmentProject(req.params.project_id, req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    if (isArchivedProject(project)) {
+      return res.status(400).json({
+        success: false,
+        error: ARCHIVED_PROJECT_ERROR,
+      });
+    }
+
+    const attachment = await findAttachment(project.id, req.params.attachment_id);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: "Attachment not found",
+      });
+    }
+
+    if (!canDeleteAttachment(attachment, project, access, req)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only delete files you uploaded",
+      });
+    }
+
+    await db.query("DELETE FROM project_attachments WHERE id = ?", [attachment.id]);
+
+    // The record is gone, so a file left behind by a storage error is only wasted space
+    await getAttachmentStorage().remove(attachment.storage_key).catch((err) =>
+      console.error("Error removing attachment file:", err)
+    );
+
+    res.json({
+      success: true,
+      message: "File deleted",
+    });
+  } catch (err) {
+    console.error("Error deleting attachment:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete file",
+    });
+  }
+});
+
+export default router;
@@ -7,9 +7,12 @@
  * Routes are organized by functionality:
  * 1. Authentication (signup, login)
  * 2. Client Profile (CRUD operations)
- * 3. Client Projects (list, statistics)
+ * 3. Client Projects (list, statistics, popularity)
  * 4. Teams/Groups (assigned to client's projects)
  * 
+ * Projects, statistics, and teams are those of the active course
+ * (req.courseId, see middleware/courseScope).
+ * 
  * @module routes/clientRoutes
  * @requires express
  * @requires jsonwebtoken
@@ -17,6 +20,7 @@
  * @requires ../../firebaseAdmin
  * @requires ../middleware/authMiddleware
  * @requires ../middleware/validateRequest
+ * @requires ../utils/projectPopularity
  */
 
 import express from "express";
@@ -25,6 +29,7 @@ import db from "../../db.js";
 import { auth } from "../../firebaseAdmin.js";
 import { verifyToken } from "../middleware/authMiddleware.js";
 import { validateClientSignup, validateClientLogin } from "../middleware/validateRequest.js";
+import { getProjectPopularity, CLIENT_POPULARITY_FIELDS } from "../utils/projectPopularity.js";
 
 const router = express.Router();
 
@@ -593,6 +598,7 @@ router.get("/:client_id/projects", verifyToken, async (req, res) => {
          required_skills as skills_required,
          category,
          max_team_size as team_size,
+         min_team_size,
          start_date,
          end_date,
          difficulty_level as complexity_level,
@@ -604,9 +610,9 @@ router.get("/:client_id/projects", verifyToken, async (req, res) => {
          instructor_feedback,
          created_at
        FROM projects 
-       WHERE owner_id = ? 
+       WHERE owner_id = ? AND course_id <=> ?
        ORDER BY created_at DESC`,
-      [parseInt(client_id)]
+      [parseInt(client_id), req.courseId]
     );
 
     res.json({
@@ -640,6 +646,7 @@ router.get("/:client_id/projects", verifyToken, async (req, res) => {
  * @returns {object} 200.data.projects - Project statistics
  * @returns {number} 200.data.projects.total_projects - Total number of projects
  * @returns {number} 200.data.projects.pending_projects - Projects pending approval
+ * @returns {number} 200.data.projects.changes_requested_projects - Projects awaiting changes from the client
  * @returns {number} 200.data.projects.approved_projects - Approved projects
  * @returns {number} 200.data.projects.rejected_projects - Rejected projects
  * @returns {object} 200.data.preferences - Student preference statistics
@@ -676,11 +683,12 @@ router.get("/:client_id/stats", verifyToken, async (req, res) => {
       `SELECT 
         COUNT(*) as total_projects,
         SUM(CASE WHEN approval_status = 'pending' THEN 1 ELSE 0 END) as pending_projects,
+        SUM(CASE WHEN approval_status = 'changes_requested' THEN 1 ELSE 0 END) as changes_requested_projects,
         SUM(CASE WHEN approval_status = 'approved' THEN 1 ELSE 0 END) as approved_projects,
         SUM(CASE WHEN approval_status = 'rejected' THEN 1 ELSE 0 END) as rejected_projects
        FROM projects 
-       WHERE owner_id = ?`,
-      [parseInt(client_id)]
+       WHERE owner_id = ? AND course_id <=> ?`,
+      [parseInt(client_id), req.courseId]
     );
 
     const [prefStats] = await db.query(
@@ -688,8 +696,8 @@ router.get("/:client_id/stats", verifyToken, async (req, res) => {
               COUNT(*) as total_preferences
        FROM student_preferences sp
        JOIN projects p ON sp.project_id = p.id
-       WHERE p.owner_id = ?`,
-      [parseInt(client_id)]
+       WHERE p.owner_id = ? AND p.course_id <=> ?`,
+      [parseInt(client_id), req.courseId]
     );
 
     res.json({
@@ -698,6 +706,7 @@ router.get("/:client_id/stats", verifyToken, async (req, res) => {
         projects: stats[0] || {
           total_projects: 0,
           pending_projects: 0,
+          changes_requested_projects: 0,
           approved_projects: 0,
           rejected_projects: 0,
         },
@@ -716,6 +725,156 @@ router.get("/:client_id/stats", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Get Client Project Popularity
+ * 
+ * Shows how much student demand each of the client's approved projects has:
+ * how many students listed it at each rank, interested students per seat, and
+ * a demand level ("over", "balanced", or "under"). Skill details and
+ * course-wide totals are only shown to instructors.
+ * 
+ * Protected route - clients can only view their own projects.
+ * 
+ * @route GET /clients/:client_id/project-popularity
+ * @group Clients - Client analytics operations
+ * @security JWT
+ * @param {number} client_id.path.required - Client ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with projects array
+ * @returns {object} 400 - Invalid client ID format
+ * @returns {object} 403 - Unauthorized access
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /clients/42/project-popularity
+ * Authorization: Bearer <token>
+ * 
+ * // Response data
+ * [
+ *   { "project_id": 5, "title": "AI Chatbot", "capacity": 4, "interested": 11, "rank_counts": [6, 3, 2], "demand_ratio": 2.75, "demand_level": "over" }
+ * ]
+ */
+router.get("/:client_id/project-popularity", verifyToken, async (req, res) => {
+  try {
+    const { client_id } = req.params;
+
+    if (isNaN(client_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid client ID format",
+      });
+    }
+
+    // Authorization check
+    if (parseInt(client_id) !== req.user.clientId && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Unauthorized access",
+      });
+    }
+
+    const { projects } = await getProjectPopularity({ ownerId: parseInt(client_id), courseId: req.courseId });
+
+    res.json({
+      success: true,
+      data: projects.map(project =>
+        Object.fromEntries(CLIENT_POPULARITY_FIELDS.map(field => [field, project[field]]))
+      ),
+    });
+  } catch (err) {
+    console.error("Error fetching client project popularity:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch project popularity",
+    });
+  }
+});
+
+/**
+ * Get Previous Projects
+ * 
+ * Lists the client's projects from earlier terms (archived courses, and
+ * projects from before courses were introduced), for rolling them forward
+ * into the active course with POST /projects/:project_id/clone.
+ * Each project notes whether it was already copied into the active course.
+ * 
+ * Protected route - clients can only view their own projects.
+ * 
+ * @route GET /clients/:client_id/previous-projects
+ * @group Clients - Client project operations
+ * @security JWT
+ * @param {number} client_id.path.required - Client ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with projects array
+ * @returns {object} 400 - Invalid client ID format
+ * @returns {object} 403 - Unauthorized access
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /clients/42/previous-projects
+ * X-Course-Id: 7
+ * 
+ * // Response data
+ * [
+ *   { "id": 12, "title": "AI Chatbot", "status": "completed", "course_code": "CS 490", "term_name": "Fall 2025", "copied": false }
+ * ]
+ */
+router.get("/:client_id/previous-projects", verifyToken, async (req, res) => {
+  try {
+    const { client_id } = req.params;
+
+    if (isNaN(client_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid client ID format",
+      });
+    }
+
+    // Authorization check
+    if (parseInt(client_id) !== req.user.clientId && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Unauthorized access",
+      });
+    }
+
+    const [projects] = await db.query(
+      `SELECT 
+         p.id,
+         p.title,
+         p.description,
+         p.category,
+         p.max_team_size as team_size,
+         p.status,
+         p.approval_status,
+         c.code as course_code,
+         t.name as term_name,
+         EXISTS (
+           SELECT 1 FROM projects cp WHERE cp.cloned_from_id = p.id AND cp.course_id <=> ?
+         ) as copied
+       FROM projects p
+       LEFT JOIN courses c ON p.course_id = c.id
+       LEFT JOIN terms t ON c.term_id = t.id
+       WHERE p.owner_id = ?
+         AND (p.course_id IS NULL OR c.status = 'archived')
+         AND NOT (p.course_id <=> ?)
+       ORDER BY t.starts_on IS NULL, t.starts_on DESC, p.created_at DESC`,
+      [req.courseId, parseInt(client_id), req.courseId]
+    );
+
+    res.json({
+      success: true,
+      data: projects.map(project => ({ ...project, copied: Boolean(project.copied) })),
+    });
+  } catch (err) {
+    console.error("Error fetching previous projects:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch previous projects",
+    });
+  }
+});
+
 // ==================== GET TEAMS FOR CLIENT'S PROJECTS ====================
 
 /**
@@ -772,9 +931,9 @@ router.get("/:client_id/teams", verifyToken, async (req, res) => {
         p.difficulty_level
       FROM student_groups sg
       INNER JOIN projects p ON sg.project_id = p.id
-      WHERE p.owner_id = ?
+      WHERE p.owner_id = ? AND sg.course_id <=> ?
       ORDER BY p.title, sg.group_number`,
-      [client_id]
+      [client_id, req.courseId]
     );
 
     console.log("Found teams:", teams.length);
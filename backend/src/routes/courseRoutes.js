@@ -0,0 +1,1239 @@
+/**
+ * Course Routes Module
+ *
+ * Handles academic terms, courses, and course enrollments. Course data
+ * (projects, preferences, groups, evaluations, settings) is scoped by the
+ * X-Course-Id header; see middleware/courseScope.
+ *
+ * Routes are organized by functionality:
+ * 1. Terms (list, create, end-of-term archive)
+ * 2. Courses (list the user's courses, create, update/archive)
+ * 3. Sections (list, create, delete)
+ * 4. Enrollments (list, enroll by email, change role or section, remove)
+ *
+ * Access control:
+ * - Instructors/Admins: create terms and courses
+ * - Lead instructors: manage course staff (co-instructors and TAs), archive the term
+ * - Co-instructors: manage the course, its sections, and its students
+ * - TAs: view the course's sections and enrollments
+ * - Students: list the courses they are enrolled in
+ * - Clients: list active courses, to propose projects to them
+ *
+ * @module routes/courseRoutes
+ * @requires express
+ * @requires ../../db
+ * @requires ../middleware/authMiddleware
+ * @requires ../utils/termArchive
+ */
+
+import express from "express";
+import db from "../../db.js";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { archiveTerm } from "../utils/termArchive.js";
+
+const router = express.Router();
+
+/**
+ * Course statuses
+ * @constant {Array<string>}
+ */
+const COURSE_STATUSES = ["active", "archived"];
+
+/**
+ * Roles a user can be enrolled in a course with
+ * @constant {Array<string>}
+ */
+const ENROLLMENT_ROLES = ["student", "instructor", "co_instructor", "ta"];
+
+/**
+ * Course staff roles; staff enroll with instructor accounts
+ * @constant {Array<string>}
+ */
+const STAFF_ROLES = ["instructor", "co_instructor", "ta"];
+
+/**
+ * Staff roles that manage a course
+ * @constant {Array<string>}
+ */
+const MANAGER_ROLES = ["instructor", "co_instructor"];
+
+/**
+ * Check whether the user teaches a course with one of the given staff roles
+ *
+ * @private
+ * @async
+ * @function teachesCourse
+ * @param {number} courseId - Course ID
+ * @param {Object} user - req.user
+ * @param {Array<string>} [roles=MANAGER_ROLES] - Staff roles that qualify
+ * @returns {Promise<boolean>} True for admins and instructors enrolled with one of the roles
+ */
+async function teachesCourse(courseId, user, roles = MANAGER_ROLES) {
+  if (user.role === "admin") return true;
+  if (user.role !== "instructor") return false;
+
+  const [rows] = await db.query(
+    "SELECT id FROM course_enrollments WHERE course_id = ? AND user_id = ? AND role IN (?)",
+    [courseId, user.instructorId, roles]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Check that a section belongs to a course
+ *
+ * @private
+ * @async
+ * @function isCourseSection
+ * @param {number} courseId - Course ID
+ * @param {number} sectionId - Section ID
+ * @returns {Promise<boolean>}
+ */
+async function isCourseSection(courseId, sectionId) {
+  const [rows] = await db.query(
+    "SELECT id FROM course_sections WHERE id = ? AND course_id = ?",
+    [sectionId, courseId]
+  );
+  return rows.length > 0;
+}
+
+// ==================== TERMS ====================
+
+/**
+ * Get Terms
+ *
+ * Lists academic terms, newest first.
+ *
+ * @route GET /courses/terms
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with terms array
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * GET /courses/terms
+ * Authorization: Bearer <token>
+ */
+router.get("/terms", verifyToken, async (req, res) => {
+  try {
+    const [terms] = await db.query(
+      "SELECT id, name, starts_on, ends_on, archived_at FROM terms ORDER BY starts_on IS NULL, starts_on DESC, id DESC"
+    );
+
+    res.json({
+      success: true,
+      data: terms,
+    });
+  } catch (err) {
+    console.error("Error fetching terms:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch terms",
+    });
+  }
+});
+
+/**
+ * Create Term
+ *
+ * Protected route - only instructors and admins can access.
+ *
+ * @route POST /courses/terms
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {string} name.body.required - Term name, e.g. "Fall 2025" (unique)
+ * @param {string} starts_on.body - First day of the term (YYYY-MM-DD)
+ * @param {string} ends_on.body - Last day of the term (YYYY-MM-DD)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 201 - Term created
+ * @returns {object} 400 - Missing name or invalid dates
+ * @returns {object} 403 - Access denied
+ * @returns {object} 409 - A term with this name exists
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * POST /courses/terms
+ * { "name": "Fall 2025", "starts_on": "2025-08-25", "ends_on": "2025-12-12" }
+ */
+router.post("/terms", verifyToken, async (req, res) => {
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const { name, starts_on, ends_on } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Term name is required",
+      });
+    }
+
+    const startsOn = starts_on ? new Date(starts_on) : null;
+    const endsOn = ends_on ? new Date(ends_on) : null;
+    if ((startsOn && isNaN(startsOn.getTime())) || (endsOn && isNaN(endsOn.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: "starts_on and ends_on must be valid dates",
+      });
+    }
+    if (startsOn && endsOn && endsOn <= startsOn) {
+      return res.status(400).json({
+        success: false,
+        error: "ends_on must be after starts_on",
+      });
+    }
+
+    const [existing] = await db.query("SELECT id FROM terms WHERE name = ?", [name.trim()]);
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "A term with this name already exists",
+      });
+    }
+
+    const [result] = await db.query(
+      "INSERT INTO terms (name, starts_on, ends_on) VALUES (?, ?, ?)",
+      [name.trim(), starts_on || null, ends_on || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Term created",
+      data: { id: result.insertId, name: name.trim(), starts_on: starts_on || null, ends_on: ends_on || null },
+    });
+  } catch (err) {
+    console.error("Error creating term:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create term",
+    });
+  }
+});
+
+/**
+ * Archive Term
+ *
+ * Freezes a term at the end of the semester: snapshots each active course's
+ * projects, groups and evaluations, marks its projects completed (approved with
+ * a group) or archived, and archives the course, making it read-only.
+ * Protected route - admins, or the lead instructor of every active course in the term.
+ *
+ * @route POST /courses/terms/:term_id/archive
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} term_id.path.required - Term ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Term archived, with a summary per course
+ * @returns {object} 400 - Invalid term ID format
+ * @returns {object} 403 - Not the lead instructor of every course in the term
+ * @returns {object} 404 - Term not found
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * POST /courses/terms/2/archive
+ *
+ * // Response data
+ * {
+ *   "courses": [
+ *     { "course_id": 3, "code": "CS 490", "projects_completed": 9, "projects_archived": 2, "groups": 9, "evaluations": 18 }
+ *   ]
+ * }
+ */
+router.post("/terms/:term_id/archive", verifyToken, async (req, res) => {
+  try {
+    const { term_id } = req.params;
+
+    if (isNaN(term_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid term ID format",
+      });
+    }
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const [terms] = await db.query("SELECT id FROM terms WHERE id = ?", [parseInt(term_id)]);
+    if (terms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Term not found",
+      });
+    }
+
+    const [courses] = await db.query(
+      "SELECT id FROM courses WHERE term_id = ? AND status = 'active'",
+      [parseInt(term_id)]
+    );
+    for (const course of courses) {
+      if (!(await teachesCourse(course.id, req.user, ["instructor"]))) {
+        return res.status(403).json({
+          success: false,
+          error: "Only the lead instructor of every course in the term can archive it",
+        });
+      }
+    }
+
+    const result = await archiveTerm(parseInt(term_id), req.user.instructorId || null);
+
+    res.json({
+      success: true,
+      message: `${result.courses.length} course(s) archived`,
+      data: result,
+    });
+  } catch (err) {
+    console.error("Error archiving term:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to archive term",
+    });
+  }
+});
+
+/**
+ * Get Term Archive
+ *
+ * Returns the snapshots taken when a term was archived, one per course.
+ * Protected route - only instructors and admins can access; instructors see
+ * the courses they were on staff for.
+ *
+ * @route GET /courses/terms/:term_id/archive
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} term_id.path.required - Term ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with archives array ({ course_id, code, name, snapshot, created_at })
+ * @returns {object} 400 - Invalid term ID format
+ * @returns {object} 403 - Access denied
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * GET /courses/terms/2/archive
+ */
+router.get("/terms/:term_id/archive", verifyToken, async (req, res) => {
+  try {
+    const { term_id } = req.params;
+
+    if (isNaN(term_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid term ID format",
+      });
+    }
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const isAdmin = req.user.role === "admin";
+    const [archives] = await db.query(
+      `SELECT ta.course_id, c.code, c.name, ta.snapshot, ta.created_at
+       FROM term_archives ta
+       JOIN courses c ON ta.course_id = c.id
+       WHERE ta.term_id = ?
+         ${isAdmin ? "" : "AND ta.course_id IN (SELECT course_id FROM course_enrollments WHERE user_id = ? AND role <> 'student')"}
+       ORDER BY c.code`,
+      isAdmin ? [parseInt(term_id)] : [parseInt(term_id), req.user.instructorId]
+    );
+
+    res.json({
+      success: true,
+      data: archives.map((archive) => ({
+        ...archive,
+        snapshot: typeof archive.snapshot === "string" ? JSON.parse(archive.snapshot) : archive.snapshot,
+      })),
+    });
+  } catch (err) {
+    console.error("Error fetching term archive:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch term archive",
+    });
+  }
+});
+
+// ==================== COURSES ====================
+
+/**
+ * Get My Courses
+ *
+ * Lists the courses the user can switch to:
+ * - Admins: every course
+ * - Clients: every active course
+ * - Instructors and students: courses they are enrolled in, with their role
+ *
+ * @route GET /courses
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with courses array
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * GET /courses
+ * Authorization: Bearer <token>
+ *
+ * // Response data
+ * [
+ *   { "id": 3, "code": "CS 490", "name": "Capstone", "status": "active", "term_id": 2, "term_name": "Fall 2025", "my_role": "instructor", "student_count": 42 }
+ * ]
+ */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const { role } = req.user;
+    const userId = req.user.studentId || req.user.instructorId || null;
+    const enrolled = role === "instructor" || role === "student";
+
+    const [courses] = await db.query(
+      `SELECT
+        c.id,
+        c.code,
+        c.name,
+        c.status,
+        c.term_id,
+        t.name as term_name,
+        t.starts_on,
+        t.ends_on,
+        ${enrolled ? "ce.role" : "NULL"} as my_role,
+        (SELECT COUNT(*) FROM course_enrollments s WHERE s.course_id = c.id AND s.role = 'student') as student_count
+      FROM courses c
+      JOIN terms t ON c.term_id = t.id
+      ${enrolled ? "JOIN course_enrollments ce ON ce.course_id = c.id AND ce.user_id = ?" : ""}
+      ${role === "client" ? "WHERE c.status = 'active'" : ""}
+      ORDER BY c.status = 'archived', t.starts_on IS NULL, t.starts_on DESC, c.code`,
+      enrolled ? [userId] : []
+    );
+
+    res.json({
+      success: true,
+      data: courses,
+    });
+  } catch (err) {
+    console.error("Error fetching courses:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch courses",
+    });
+  }
+});
+
+/**
+ * Create Course
+ *
+ * Creates a course in a term. The instructor who creates it is enrolled as its
+ * instructor. Protected route - only instructors and admins can access.
+ *
+ * @route POST /courses
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} term_id.body.required - Term ID
+ * @param {string} code.body.required - Course code, unique within the term (e.g. "CS 490")
+ * @param {string} name.body.required - Course name
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 201 - Course created
+ * @returns {object} 400 - Missing fields
+ * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Term not found
+ * @returns {object} 409 - The term already has a course with this code
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * POST /courses
+ * { "term_id": 2, "code": "CS 490", "name": "Capstone Project" }
+ */
+router.post("/", verifyToken, async (req, res) => {
+  let connection;
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const { term_id, code, name } = req.body;
+
+    if (!term_id || !code?.trim() || !name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "term_id, code, and name are required",
+      });
+    }
+
+    const [terms] = await db.query("SELECT id FROM terms WHERE id = ?", [term_id]);
+    if (terms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Term not found",
+      });
+    }
+
+    const [existing] = await db.query(
+      "SELECT id FROM courses WHERE term_id = ? AND code = ?",
+      [term_id, code.trim()]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "This term already has a course with that code",
+      });
+    }
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [result] = await connection.query(
+      "INSERT INTO courses (term_id, code, name, created_by) VALUES (?, ?, ?, ?)",
+      [term_id, code.trim(), name.trim(), req.user.instructorId || null]
+    );
+
+    if (req.user.role === "instructor") {
+      await connection.query(
+        "INSERT INTO course_enrollments (course_id, user_id, role) VALUES (?, ?, 'instructor')",
+        [result.insertId, req.user.instructorId]
+      );
+    }
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: "Course created",
+      data: { id: result.insertId, term_id, code: code.trim(), name: name.trim(), status: "active" },
+    });
+  } catch (err) {
+    if (connection) await connection.rollback();
+    console.error("Error creating course:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create course",
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+/**
+ * Update Course
+ *
+ * Renames a course or archives/reactivates it. Archived courses are hidden from
+ * clients. Protected route - only the course's instructors, co-instructors, and
+ * admins can access.
+ *
+ * @route PUT /courses/:course_id
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} course_id.path.required - Course ID
+ * @param {string} code.body - New course code
+ * @param {string} name.body - New course name
+ * @param {string} status.body - "active" or "archived"
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Course updated
+ * @returns {object} 400 - Invalid course ID, status, or nothing to update
+ * @returns {object} 403 - Not an instructor of this course
+ * @returns {object} 404 - Course not found
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * PUT /courses/3
+ * { "status": "archived" }
+ */
+router.put("/:course_id", verifyToken, async (req, res) => {
+  try {
+    const { course_id } = req.params;
+    const { code, name, status } = req.body;
+
+    if (isNaN(course_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid course ID format",
+      });
+    }
+
+    if (!(await teachesCourse(parseInt(course_id), req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the course's instructors can update it",
+      });
+    }
+
+    if (status !== undefined && !COURSE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${COURSE_STATUSES.join(", ")}`,
+      });
+    }
+
+    const updates = [];
+    const values = [];
+    if (code?.trim()) {
+      updates.push("code = ?");
+      values.push(code.trim());
+    }
+    if (name?.trim()) {
+      updates.push("name = ?");
+      values.push(name.trim());
+    }
+    if (status !== undefined) {
+      updates.push("status = ?");
+      values.push(status);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No fields to update",
+      });
+    }
+
+    const [result] = await db.query(
+      `UPDATE courses SET ${updates.join(", ")} WHERE id = ?`,
+      [...values, parseInt(course_id)]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Course updated",
+    });
+  } catch (err) {
+    console.error("Error updating course:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update course",
+    });
+  }
+});
+
+// ==================== SECTIONS ====================
+
+/**
+ * Get Course Sections
+ *
+ * Lists a course's sections with how many students and staff are in each.
+ * Protected route - only the course's staff (including TAs) and admins can access.
+ *
+ * @route GET /courses/:course_id/sections
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} course_id.path.required - Course ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with sections array
+ * @returns {object} 400 - Invalid course ID format
+ * @returns {object} 403 - Not on the course's staff
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * GET /courses/3/sections
+ *
+ * // Response data
+ * [
+ *   { "id": 1, "name": "001", "student_count": 28, "staff_count": 2 }
+ * ]
+ */
+router.get("/:course_id/sections", verifyToken, async (req, res) => {
+  try {
+    const { course_id } = req.params;
+
+    if (isNaN(course_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid course ID format",
+      });
+    }
+
+    if (!(await teachesCourse(parseInt(course_id), req.user, STAFF_ROLES))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the course's staff can view its sections",
+      });
+    }
+
+    const [sections] = await db.query(
+      `SELECT
+        cs.id,
+        cs.name,
+        SUM(ce.role = 'student') as student_count,
+        SUM(ce.role <> 'student') as staff_count
+      FROM course_sections cs
+      LEFT JOIN course_enrollments ce ON ce.section_id = cs.id
+      WHERE cs.course_id = ?
+      GROUP BY cs.id, cs.name
+      ORDER BY cs.name`,
+      [parseInt(course_id)]
+    );
+
+    res.json({
+      success: true,
+      data: sections.map((section) => ({
+        ...section,
+        student_count: Number(section.student_count) || 0,
+        staff_count: Number(section.staff_count) || 0,
+      })),
+    });
+  } catch (err) {
+    console.error("Error fetching sections:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch sections",
+    });
+  }
+});
+
+/**
+ * Create Course Section
+ *
+ * Protected route - only the course's instructors, co-instructors, and admins
+ * can access.
+ *
+ * @route POST /courses/:course_id/sections
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} course_id.path.required - Course ID
+ * @param {string} name.body.required - Section name, unique within the course (e.g. "001")
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 201 - Section created
+ * @returns {object} 400 - Invalid course ID or missing name
+ * @returns {object} 403 - Not an instructor of this course
+ * @returns {object} 409 - The course already has a section with this name
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * POST /courses/3/sections
+ * { "name": "001" }
+ */
+router.post("/:course_id/sections", verifyToken, async (req, res) => {
+  try {
+    const { course_id } = req.params;
+    const { name } = req.body;
+
+    if (isNaN(course_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid course ID format",
+      });
+    }
+
+    if (!(await teachesCourse(parseInt(course_id), req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the course's instructors can add sections",
+      });
+    }
+
+    if (!name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "name is required",
+      });
+    }
+
+    const [existing] = await db.query(
+      "SELECT id FROM course_sections WHERE course_id = ? AND name = ?",
+      [parseInt(course_id), name.trim()]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "This course already has a section with that name",
+      });
+    }
+
+    const [result] = await db.query(
+      "INSERT INTO course_sections (course_id, name) VALUES (?, ?)",
+      [parseInt(course_id), name.trim()]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Section created",
+      data: { id: result.insertId, course_id: parseInt(course_id), name: name.trim() },
+    });
+  } catch (err) {
+    console.error("Error creating section:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create section",
+    });
+  }
+});
+
+/**
+ * Delete Course Section
+ *
+ * Users in the section stay enrolled in the course, without a section.
+ * Protected route - only the course's instructors, co-instructors, and admins
+ * can access.
+ *
+ * @route DELETE /courses/:course_id/sections/:section_id
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} course_id.path.required - Course ID
+ * @param {number} section_id.path.required - Section ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Section deleted
+ * @returns {object} 400 - Invalid ID format
+ * @returns {object} 403 - Not an instructor of this course
+ * @returns {object} 404 - Section not found
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * DELETE /courses/3/sections/1
+ */
+router.delete("/:course_id/sections/:section_id", verifyToken, async (req, res) => {
+  try {
+    const { course_id, section_id } = req.params;
+
+    if (isNaN(course_id) || isNaN(section_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid ID format",
+      });
+    }
+
+    if (!(await teachesCourse(parseInt(course_id), req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the course's instructors can delete sections",
+      });
+    }
+
+    const [result] = await db.query(
+      "DELETE FROM course_sections WHERE id = ? AND course_id = ?",
+      [parseInt(section_id), parseInt(course_id)]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Section not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Section deleted",
+    });
+  } catch (err) {
+    console.error("Error deleting section:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete section",
+    });
+  }
+});
+
+// ==================== ENROLLMENTS ====================
+
+/**
+ * Get Course Enrollments
+ *
+ * Protected route - only the course's staff (including TAs) and admins can access.
+ *
+ * @route GET /courses/:course_id/enrollments
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} course_id.path.required - Course ID
+ * @param {number} section_id.query - Only list users in this section
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with enrollments array
+ * @returns {object} 400 - Invalid course or section ID format
+ * @returns {object} 403 - Not on the course's staff
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * GET /courses/3/enrollments?section_id=1
+ * Authorization: Bearer <token>
+ */
+router.get("/:course_id/enrollments", verifyToken, async (req, res) => {
+  try {
+    const { course_id } = req.params;
+    const { section_id } = req.query;
+
+    if (isNaN(course_id) || (section_id !== undefined && isNaN(section_id))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid ID format",
+      });
+    }
+
+    if (!(await teachesCourse(parseInt(course_id), req.user, STAFF_ROLES))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the course's staff can view its enrollments",
+      });
+    }
+
+    const [enrollments] = await db.query(
+      `SELECT
+        ce.user_id,
+        ce.role,
+        ce.section_id,
+        cs.name as section_name,
+        ce.enrolled_at,
+        u.email,
+        up.first_name,
+        up.last_name
+      FROM course_enrollments ce
+      JOIN users u ON ce.user_id = u.id
+      LEFT JOIN user_profiles up ON u.id = up.user_id
+      LEFT JOIN course_sections cs ON ce.section_id = cs.id
+      WHERE ce.course_id = ? AND u.deleted_at IS NULL
+        ${section_id !== undefined ? "AND ce.section_id = ?" : ""}
+      ORDER BY ce.role, up.last_name, up.first_name, u.email`,
+      section_id !== undefined ? [parseInt(course_id), parseInt(section_id)] : [parseInt(course_id)]
+    );
+
+    res.json({
+      success: true,
+      data: enrollments,
+    });
+  } catch (err) {
+    console.error("Error fetching enrollments:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch enrollments",
+    });
+  }
+});
+
+/**
+ * Enroll Users
+ *
+ * Enrolls existing users in a course by email. Students are enrolled with
+ * student accounts; staff (instructor, co_instructor, ta) with instructor
+ * accounts. Users already enrolled are skipped. Protected route - the course's
+ * instructors and co-instructors enroll students; only its lead instructors
+ * and admins add staff.
+ *
+ * @route POST /courses/:course_id/enrollments
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} course_id.path.required - Course ID
+ * @param {Array<string>} emails.body.required - Emails of the users to enroll
+ * @param {string} role.body - "student" (default), "instructor", "co_instructor", or "ta"
+ * @param {number} section_id.body - Section to put the users in
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Enrolled users and emails with no matching account
+ * @returns {object} 400 - Invalid course ID, emails, role, or section
+ * @returns {object} 403 - Not allowed to enroll users with this role
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * POST /courses/3/enrollments
+ * { "emails": ["alice@university.edu", "bob@university.edu"], "role": "student", "section_id": 1 }
+ *
+ * // Response data
+ * { "enrolled": 1, "already_enrolled": 1, "not_found": [] }
+ */
+router.post("/:course_id/enrollments", verifyToken, async (req, res) => {
+  try {
+    const { course_id } = req.params;
+    const { emails, role = "student", section_id = null } = req.body;
+
+    if (isNaN(course_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid course ID format",
+      });
+    }
+
+    if (!ENROLLMENT_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${ENROLLMENT_ROLES.join(", ")}`,
+      });
+    }
+
+    const isStaff = STAFF_ROLES.includes(role);
+    if (!(await teachesCourse(parseInt(course_id), req.user, isStaff ? ["instructor"] : MANAGER_ROLES))) {
+      return res.status(403).json({
+        success: false,
+        error: isStaff
+          ? "Only the course's lead instructors can add staff"
+          : "Only the course's instructors can enroll users",
+      });
+    }
+
+    if (!Array.isArray(emails) || emails.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "emails must be a non-empty array",
+      });
+    }
+
+    if (section_id !== null && !(await isCourseSection(parseInt(course_id), section_id))) {
+      return res.status(400).json({
+        success: false,
+        error: "Section not found in this course",
+      });
+    }
+
+    const normalized = [...new Set(emails.map(email => String(email).toLowerCase().trim()).filter(Boolean))];
+    const [users] = await db.query(
+      "SELECT id, LOWER(email) as email FROM users WHERE LOWER(email) IN (?) AND role = ? AND deleted_at IS NULL",
+      [normalized, isStaff ? "instructor" : "student"]
+    );
+    const found = new Set(users.map(user => user.email));
+
+    let enrolled = 0;
+    if (users.length > 0) {
+      const [result] = await db.query(
+        "INSERT IGNORE INTO course_enrollments (course_id, user_id, role, section_id) VALUES ?",
+        [users.map(user => [parseInt(course_id), user.id, role, section_id])]
+      );
+      enrolled = result.affectedRows;
+    }
+
+    res.json({
+      success: true,
+      message: `${enrolled} user(s) enrolled`,
+      data: {
+        enrolled,
+        already_enrolled: users.length - enrolled,
+        not_found: normalized.filter(email => !found.has(email)),
+      },
+    });
+  } catch (err) {
+    console.error("Error enrolling users:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to enroll users",
+    });
+  }
+});
+
+/**
+ * Update Enrollment
+ *
+ * Moves a user to another section, or changes a staff member's role (e.g.
+ * promotes a TA to co-instructor). Students stay students. Protected route -
+ * the course's instructors and co-instructors change sections; only its lead
+ * instructors and admins change staff roles.
+ *
+ * @route PUT /courses/:course_id/enrollments/:user_id
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} course_id.path.required - Course ID
+ * @param {number} user_id.path.required - User ID
+ * @param {string} role.body - New staff role: "instructor", "co_instructor", or "ta"
+ * @param {number|null} section_id.body - New section, or null for none
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Enrollment updated
+ * @returns {object} 400 - Invalid ID, role, or section; nothing to update; or
+ *   demoting the last lead instructor
+ * @returns {object} 403 - Not allowed to make this change
+ * @returns {object} 404 - User is not enrolled
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * PUT /courses/3/enrollments/57
+ * { "role": "co_instructor", "section_id": 2 }
+ */
+router.put("/:course_id/enrollments/:user_id", verifyToken, async (req, res) => {
+  try {
+    const { course_id, user_id } = req.params;
+    const { role, section_id } = req.body;
+
+    if (isNaN(course_id) || isNaN(user_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid ID format",
+      });
+    }
+
+    if (role === undefined && section_id === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "No fields to update",
+      });
+    }
+
+    if (!(await teachesCourse(parseInt(course_id), req.user, role !== undefined ? ["instructor"] : MANAGER_ROLES))) {
+      return res.status(403).json({
+        success: false,
+        error: role !== undefined
+          ? "Only the course's lead instructors can change staff roles"
+          : "Only the course's instructors can change sections",
+      });
+    }
+
+    const [enrollment] = await db.query(
+      "SELECT role FROM course_enrollments WHERE course_id = ? AND user_id = ?",
+      [parseInt(course_id), parseInt(user_id)]
+    );
+    if (enrollment.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "User is not enrolled in this course",
+      });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (role !== undefined) {
+      if (!STAFF_ROLES.includes(role) || enrollment[0].role === "student") {
+        return res.status(400).json({
+          success: false,
+          error: `Only staff roles can be changed, to one of: ${STAFF_ROLES.join(", ")}`,
+        });
+      }
+
+      if (enrollment[0].role === "instructor" && role !== "instructor") {
+        const [instructors] = await db.query(
+          "SELECT COUNT(*) as count FROM course_enrollments WHERE course_id = ? AND role = 'instructor'",
+          [parseInt(course_id)]
+        );
+        if (instructors[0].count <= 1) {
+          return res.status(400).json({
+            success: false,
+            error: "A course must keep at least one instructor",
+          });
+        }
+      }
+
+      updates.push("role = ?");
+      values.push(role);
+    }
+
+    if (section_id !== undefined) {
+      if (section_id !== null && !(await isCourseSection(parseInt(course_id), section_id))) {
+        return res.status(400).json({
+          success: false,
+          error: "Section not found in this course",
+        });
+      }
+
+      updates.push("section_id = ?");
+      values.push(section_id);
+    }
+
+    await db.query(
+      `UPDATE course_enrollments SET ${updates.join(", ")} WHERE course_id = ? AND user_id = ?`,
+      [...values, parseInt(course_id), parseInt(user_id)]
+    );
+
+    res.json({
+      success: true,
+      message: "Enrollment updated",
+    });
+  } catch (err) {
+    console.error("Error updating enrollment:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update enrollment",
+    });
+  }
+});
+
+/**
+ * Remove Enrollment
+ *
+ * Removes a user from a course. Their course data (preferences, group
+ * membership) is left in place. Protected route - the course's instructors and
+ * co-instructors remove students; only its lead instructors and admins remove
+ * staff.
+ *
+ * @route DELETE /courses/:course_id/enrollments/:user_id
+ * @group Courses - Course and term operations
+ * @security JWT
+ * @param {number} course_id.path.required - Course ID
+ * @param {number} user_id.path.required - User ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Enrollment removed
+ * @returns {object} 400 - Invalid ID format, or removing the last instructor
+ * @returns {object} 403 - Not allowed to remove this user
+ * @returns {object} 404 - User is not enrolled
+ * @returns {object} 500 - Server error
+ *
+ * @example
+ * DELETE /courses/3/enrollments/42
+ */
+router.delete("/:course_id/enrollments/:user_id", verifyToken, async (req, res) => {
+  try {
+    const { course_id, user_id } = req.params;
+
+    if (isNaN(course_id) || isNaN(user_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid ID format",
+      });
+    }
+
+    if (!(await teachesCourse(parseInt(course_id), req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the course's instructors can remove enrollments",
+      });
+    }
+
+    const [enrollment] = await db.query(
+      "SELECT role FROM course_enrollments WHERE course_id = ? AND user_id = ?",
+      [parseInt(course_id), parseInt(user_id)]
+    );
+    if (enrollment.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "User is not enrolled in this course",
+      });
+    }
+
+    if (STAFF_ROLES.includes(enrollment[0].role) && !(await teachesCourse(parseInt(course_id), req.user, ["instructor"]))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the course's lead instructors can remove staff",
+      });
+    }
+
+    if (enrollment[0].role === "instructor") {
+      const [instructors] = await db.query(
+        "SELECT COUNT(*) as count FROM course_enrollments WHERE course_id = ? AND role = 'instructor'",
+        [parseInt(course_id)]
+      );
+      if (instructors[0].count <= 1) {
+        return res.status(400).json({
+          success: false,
+          error: "A course must keep at least one instructor",
+        });
+      }
+    }
+
+    await db.query(
+      "DELETE FROM course_enrollments WHERE course_id = ? AND user_id = ?",
+      [parseInt(course_id), parseInt(user_id)]
+    );
+
+    res.json({
+      success: true,
+      message: "Enrollment removed",
+    });
+  } catch (err) {
+    console.error("Error removing enrollment:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove enrollment",
+    });
+  }
+});
+
+export default router;
@@ -10,10 +10,14 @@
  * - Global (visible to all users)
  * 
  * Access control:
- * - Instructors/Admins: Full access to all evaluations
+ * - Instructors/Admins: Full access to all evaluations (including co-instructors
+ *   and TAs, who schedule evaluations for their courses)
  * - Students: View evaluations for their assigned groups
  * - Clients: View evaluations for their projects
  * 
+ * Evaluations belong to the active course (req.courseId, see middleware/courseScope);
+ * "global" evaluations are global within their course.
+ * 
  * @module routes/evaluationRoutes
  * @requires express
  * @requires ../../db
@@ -66,8 +70,10 @@ router.get("/", verifyToken, async (req, res) => {
         FROM evaluations e
         LEFT JOIN student_groups sg ON e.group_id = sg.id
         LEFT JOIN projects p ON e.project_id = p.id
+        WHERE e.course_id <=> ?
         ORDER BY e.scheduled_date DESC, e.scheduled_time DESC
       `;
+      params = [req.courseId];
     } else if (role === "student") {
       // Students see evaluations for their groups OR global evaluations (no group_id)
       query = `
@@ -78,13 +84,16 @@ router.get("/", verifyToken, async (req, res) => {
         FROM evaluations e
         LEFT JOIN student_groups sg ON e.group_id = sg.id
         LEFT JOIN projects p ON e.project_id = p.id
-        WHERE e.group_id IN (
-          SELECT group_id FROM group_members WHERE student_id = ? AND status = 'active'
+        WHERE e.course_id <=> ?
+        AND (
+          e.group_id IN (
+            SELECT group_id FROM group_members WHERE student_id = ? AND status = 'active'
+          )
+          OR e.group_id IS NULL
         )
-        OR e.group_id IS NULL
         ORDER BY e.scheduled_date DESC, e.scheduled_time DESC
       `;
-      params = [studentId];
+      params = [req.courseId, studentId];
     } else if (role === "client") {
       // Clients see evaluations for their projects OR global evaluations (no project_id)
       query = `
@@ -95,11 +104,11 @@ router.get("/", verifyToken, async (req, res) => {
         FROM evaluations e
         LEFT JOIN student_groups sg ON e.group_id = sg.id
         LEFT JOIN projects p ON e.project_id = p.id
-        WHERE p.owner_id = ?
-        OR e.project_id IS NULL
+        WHERE e.course_id <=> ?
+        AND (p.owner_id = ? OR e.project_id IS NULL)
         ORDER BY e.scheduled_date DESC, e.scheduled_time DESC
       `;
-      params = [clientId];
+      params = [req.courseId, clientId];
     } else {
       return res.status(403).json({
         success: false,
@@ -156,8 +165,8 @@ router.get("/:id", verifyToken, async (req, res) => {
       FROM evaluations e
       LEFT JOIN student_groups sg ON e.group_id = sg.id
       LEFT JOIN projects p ON e.project_id = p.id
-      WHERE e.id = ?
-    `, [id]);
+      WHERE e.id = ? AND e.course_id <=> ?
+    `, [id, req.courseId]);
 
     if (evaluations.length === 0) {
       return res.status(404).json({
@@ -275,8 +284,8 @@ router.post("/", verifyToken, async (req, res) => {
       INSERT INTO evaluations (
         title, description, evaluation_type, group_id, project_id,
         scheduled_date, scheduled_time, due_date, location, meeting_link,
-        evaluator_name, notes, status, created_by, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled', ?, NOW())
+        evaluator_name, notes, status, created_by, course_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled', ?, ?, NOW())
     `, [
       title,
       description || null,
@@ -291,6 +300,7 @@ router.post("/", verifyToken, async (req, res) => {
       evaluator_name || null,
       notes || null,
       req.user.instructorId,
+      req.courseId,
     ]);
 
     res.status(201).json({
@@ -396,10 +406,10 @@ router.put("/:id", verifyToken, async (req, res) => {
       });
     }
 
-    values.push(id);
+    values.push(id, req.courseId);
 
     await db.query(
-      `UPDATE evaluations SET ${updates.join(", ")}, updated_at = NOW() WHERE id = ?`,
+      `UPDATE evaluations SET ${updates.join(", ")}, updated_at = NOW() WHERE id = ? AND course_id <=> ?`,
       values
     );
 
@@ -448,7 +458,7 @@ router.delete("/:id", verifyToken, async (req, res) => {
 
     const { id } = req.params;
 
-    await db.query("DELETE FROM evaluations WHERE id = ?", [id]);
+    await db.query("DELETE FROM evaluations WHERE id = ? AND course_id <=> ?", [id, req.courseId]);
 
     res.json({
       success: true,
@@ -499,10 +509,12 @@ router.get("/upcoming/list", verifyToken, async (req, res) => {
       LEFT JOIN projects p ON e.project_id = p.id
       WHERE e.scheduled_date >= CURDATE()
         AND e.status IN ('scheduled', 'in_progress')
+        AND e.course_id <=> ?
     `;
 
     if (role === "instructor" || role === "admin") {
       query = baseQuery + ` ORDER BY e.scheduled_date ASC, e.scheduled_time ASC LIMIT 10`;
+      params = [req.courseId];
     } else if (role === "student") {
       query = baseQuery + `
         AND e.group_id IN (
@@ -510,13 +522,13 @@ router.get("/upcoming/list", verifyToken, async (req, res) => {
         )
         ORDER BY e.scheduled_date ASC, e.scheduled_time ASC LIMIT 10
       `;
-      params = [studentId];
+      params = [req.courseId, studentId];
     } else if (role === "client") {
       query = baseQuery + `
         AND p.owner_id = ?
         ORDER BY e.scheduled_date ASC, e.scheduled_time ASC LIMIT 10
       `;
-      params = [clientId];
+      params = [req.courseId, clientId];
     }
 
     const [evaluations] = await db.query(query, params);
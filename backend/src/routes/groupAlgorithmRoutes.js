@@ -1,65 +1,1386 @@
 /**
  * Group Formation Algorithm Module
  * 
- * Implements a greedy optimization algorithm for assigning students to capstone projects
- * based on their submitted preferences. Uses min-cost flow optimization principles to
- * maximize student satisfaction while respecting project capacity constraints.
+ * Implements a min-cost max-flow optimization for assigning students to capstone
+ * projects based on their submitted preferences. Unlike a greedy pass, the solver
+ * considers every student at once, so an early first-choice assignment can never
+ * push other students out of all of their choices.
  * 
  * Algorithm Strategy:
- * - Prioritizes higher-ranked preferences (1st choice > 2nd choice > 3rd choice)
- * - Uses weighted scoring: 1st choice = -100, 2nd choice = -66, 3rd choice = -33
- * - Employs greedy assignment with random tie-breaking for fairness
- * - Respects project capacity limits (max_team_size)
- * 
- * The algorithm iterates through all student-project preference pairs, sorted by
- * preference rank, and assigns students to projects on a first-come-first-served
- * basis until all students are assigned or project capacities are reached.
+ * - Models the problem as a flow network: source → students → projects → sink
+ * - Each student edge has capacity 1; each project edge has capacity max_team_size
+ * - Each student → project edge costs the negative satisfaction weight of that rank.
+ *   Weights fall evenly from 100 over the course's preference length (for the
+ *   default length of 3: 1st choice = -100, 2nd choice = -66, 3rd choice = -33).
+ *   In bidding mode the weight is instead the share of the point budget the
+ *   student bid on the project, so the solver maximizes total bid points
+ * - Successive shortest paths (Bellman-Ford) find the maximum number of assignments
+ *   and, among those, the one with the highest total satisfaction
+ * - Projects that cannot reach their min_team_size are closed and the network is
+ *   solved again, so their students fall through to their next preferences
+ * - An optional skill weight rewards students who bring a project's required skills,
+ *   followed by a swap pass that spreads skills so each team covers its project
+ * - Students who submitted no preferences can be placed afterwards by a fallback
+ *   policy (least-full team or best skill fit); those placements are flagged
+ * - Instructor constraints are honored where possible: pinned students are placed
+ *   first, "together" students are placed as one unit, and "apart" pairs are
+ *   separated afterwards; any constraint that could not be met is reported
+ * - Students already in a group can be kept where they are, so only unassigned
+ *   students are placed into the remaining capacity
+ * - Student-formed pre-teams are placed as indivisible units that take one seat
+ *   per member; a pre-team that fits nowhere stays unassigned and is reported
+ * - Clients can rank or decline the students who listed their project. A declined
+ *   student is never placed on that project by the solver. In stable matching
+ *   mode, the flow step is replaced by student-proposing deferred acceptance
+ *   (Gale–Shapley with capacities) over both sides' rankings, and any blocking
+ *   pairs that remain (from constraints, pre-teams or closed projects) are reported
+ * - Students are shuffled before the network is built so ties between equally good
+ *   solutions are broken randomly for fairness. The shuffle uses a seeded PRNG, so
+ *   the same seed and input always produce the same groups
+ * - Fairness metrics (rank distribution, satisfaction Gini, students worse off than
+ *   a rank-maximal assignment, envy pairs) are reported with every result, and
+ *   simulateGroupFormation aggregates them over many seeds and skill weights
  * 
  * @module utils/groupFormationAlgorithm
  */
 
+/**
+ * Number of ranks satisfaction weights are spread over when the course does not
+ * configure a preference length.
+ * 
+ * @constant {number}
+ */
+export const DEFAULT_PREFERENCE_LENGTH = 3;
+
+/**
+ * Points each student distributes in bidding mode when none is configured.
+ * 
+ * @constant {number}
+ */
+export const DEFAULT_BID_BUDGET = 100;
+
+/**
+ * Satisfaction weight for a preference ranked beyond the preference length.
+ * 
+ * @constant {number}
+ */
+const OTHER_CHOICE_WEIGHT = 10;
+
+/**
+ * Create a Rank Weight Function
+ * 
+ * Spreads satisfaction weights evenly from 100 (1st choice) down to 100 / length
+ * (last choice), rounded down, so a length of 3 gives 100, 66, and 33. Ranks past
+ * the length get OTHER_CHOICE_WEIGHT, or the last choice's weight if that is
+ * lower, so a worse rank never outweighs a better one.
+ * 
+ * @private
+ * @function createRankWeight
+ * @param {number} preferenceLength - Number of ranks students are asked for
+ * @returns {function(number): number} Satisfaction weight for a 1-based rank
+ * 
+ * @example
+ * const rankWeight = createRankWeight(5);
+ * rankWeight(1); // 100
+ * rankWeight(2); // 80
+ * rankWeight(6); // 10
+ */
+function createRankWeight(preferenceLength) {
+  const weight = (rank) => Math.max(1, Math.floor(100 * (preferenceLength - rank + 1) / preferenceLength));
+  const otherWeight = Math.min(OTHER_CHOICE_WEIGHT, weight(preferenceLength));
+  return (rank) => (rank <= preferenceLength ? weight(rank) : otherWeight);
+}
+
+/**
+ * Supported ways for students to express preferences.
+ * - ranked: ordered choices, weighted by rank (see createRankWeight)
+ * - bidding: points spread over projects from a fixed budget
+ * 
+ * @constant {Array<string>}
+ */
+export const PREFERENCE_MODES = ["ranked", "bidding"];
+
+/**
+ * Create a Preference Weight Function
+ * 
+ * In ranked mode this is the rank weight. In bidding mode it is the share of the
+ * budget (0-100) the student bid on their rank-th project; students.bids lists
+ * the bids in the same order as students.preferences. Students without bids,
+ * such as pre-team members using a joint ranked list, fall back to rank weights.
+ * 
+ * @private
+ * @function createPreferenceWeight
+ * @param {string} preferenceMode - One of PREFERENCE_MODES
+ * @param {number} preferenceLength - Number of ranks students are asked for
+ * @param {number} bidBudget - Points each student distributes in bidding mode
+ * @returns {function(Object, number): number} Satisfaction weight for a student's 1-based rank
+ * 
+ * @example
+ * const preferenceWeight = createPreferenceWeight("bidding", 3, 100);
+ * preferenceWeight({ preferences: [5, 9], bids: [70, 30] }, 2); // 30
+ */
+function createPreferenceWeight(preferenceMode, preferenceLength, bidBudget) {
+  const rankWeight = createRankWeight(preferenceLength);
+  if (preferenceMode !== "bidding") return (student, rank) => rankWeight(rank);
+  return (student, rank) => (student.bids?.length > 0
+    ? 100 * (student.bids[rank - 1] ?? 0) / bidBudget
+    : rankWeight(rank));
+}
+
+/**
+ * Get a Student's Rank for a Project
+ * 
+ * @private
+ * @function getPreferenceRank
+ * @param {Object} student - Student with an optional preferences array
+ * @param {number} projectId - Project ID
+ * @returns {number|null} 1-based rank, or null if the student did not list the project
+ */
+function getPreferenceRank(student, projectId) {
+  const index = student.preferences?.indexOf(projectId) ?? -1;
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Maximum number of improvement passes the skill balancing step will make.
+ * 
+ * @constant {number}
+ */
+const MAX_BALANCE_PASSES = 20;
+
+/**
+ * Policies for placing students who submitted no preferences.
+ * - none: leave them unassigned for the instructor to place by hand
+ * - least_full: add each student to the open team with the most spare room
+ * - skills: add each student to the team whose uncovered required skills they fill best
+ * 
+ * @constant {Array<string>}
+ */
+export const FALLBACK_POLICIES = ["none", "least_full", "skills"];
+
+/**
+ * Instructor constraint types understood by the algorithm.
+ * - pin: student_id must join project_id
+ * - together: student_id and other_student_id must share a team
+ * - apart: student_id and other_student_id must not share a team
+ * 
+ * @constant {Array<string>}
+ */
+export const CONSTRAINT_TYPES = ["pin", "together", "apart"];
+
+/**
+ * Supported matching modes:
+ * - optimal: min-cost max-flow over student preferences
+ * - stable: student-proposing deferred acceptance that also uses the clients'
+ *   rankings of students, so no student and project prefer each other to their
+ *   assignment
+ * 
+ * @constant {Array<string>}
+ */
+export const MATCHING_MODES = ["optimal", "stable"];
+
+/**
+ * Check Whether a Client Prefers One Student to Another
+ * 
+ * Clients rank some of the students who listed their project; students they did
+ * not rank come after all ranked ones, with no preference among themselves.
+ * 
+ * @private
+ * @function clientPrefers
+ * @param {Object} project - Project from the project lookup, with clientRank
+ * @param {number} studentId - Student who might be preferred
+ * @param {number} otherId - Student to compare against
+ * @returns {boolean} True if the client strictly prefers studentId to otherId
+ */
+function clientPrefers(project, studentId, otherId) {
+  const rank = project.clientRank.get(studentId);
+  if (rank === undefined) return false;
+  const otherRank = project.clientRank.get(otherId);
+  return otherRank === undefined || rank < otherRank;
+}
+
+/**
+ * Parse Skills List
+ * 
+ * Normalizes a skills value into a set of lowercase skill names. Accepts an array,
+ * a JSON array string (projects.required_skills), or a comma-separated string
+ * (user_profiles.skills).
+ * 
+ * @function parseSkills
+ * @param {Array<string>|string|null} value - Raw skills value
+ * @returns {Set<string>} Normalized skill names
+ */
+export function parseSkills(value) {
+  if (!value) return new Set();
+
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      const parsed = JSON.parse(value);
+      list = Array.isArray(parsed) ? parsed : value.split(",");
+    } catch {
+      list = value.split(",");
+    }
+  }
+
+  if (!Array.isArray(list)) return new Set();
+  return new Set(list.map(skill => String(skill).trim().toLowerCase()).filter(Boolean));
+}
+
+/**
+ * Calculate Skill Coverage
+ * 
+ * Fraction of a project's required skills held by at least one of the given students.
+ * 
+ * @function getSkillCoverage
+ * @param {Set<string>} requiredSkills - Project's required skills
+ * @param {Array<Set<string>>} skillSets - Skill sets of the students to consider
+ * @returns {number|null} Coverage between 0 and 1, or null if the project lists no skills
+ */
+export function getSkillCoverage(requiredSkills, skillSets) {
+  if (requiredSkills.size === 0) return null;
+
+  let covered = 0;
+  requiredSkills.forEach(skill => {
+    if (skillSets.some(skills => skills.has(skill))) covered++;
+  });
+  return covered / requiredSkills.size;
+}
+
+/**
+ * Maximum length of a formation seed, matching formation_runs.seed.
+ * 
+ * @constant {number}
+ */
+export const MAX_SEED_LENGTH = 64;
+
+/**
+ * Generate Seed
+ * 
+ * Creates a new random seed for runs that were not given one.
+ * 
+ * @private
+ * @function generateSeed
+ * @returns {string} 8-character hex seed
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, "0");
+}
+
+/**
+ * Create Seeded Random Generator (mulberry32)
+ * 
+ * Hashes the seed string with FNV-1a and returns a generator that yields the
+ * same sequence of numbers in [0, 1) for the same seed.
+ * 
+ * @private
+ * @function createRandom
+ * @param {string} seed - Seed string
+ * @returns {Function} Function returning the next random number
+ */
+function createRandom(seed) {
+  let state = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 0x01000193);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Shuffle Array (Fisher-Yates)
+ * 
+ * Returns a shuffled copy of the array without mutating the input.
+ * 
+ * @private
+ * @function shuffle
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator from createRandom
+ * @returns {Array} New array in random order
+ */
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Build Constraint Plan
+ * 
+ * Turns instructor constraint rows into the lookups the solver uses. "Together"
+ * constraints are merged with union-find, so chains (A with B, B with C) form a
+ * single unit. A unit containing a pinned student is pinned as a whole to the
+ * first pin found. Existing members are handled like pins that always win, so a
+ * unit with an existing member stays on that member's project. Constraints naming
+ * unknown students or projects are left out of the plan and show up later as
+ * violations. Members of a pre-team are merged like "together" pairs, and the
+ * resulting unit is marked indivisible through preTeamOf.
+ * 
+ * @private
+ * @function buildConstraintPlan
+ * @param {Array<Object>} constraints - Constraint rows (constraint_type, student_id, other_student_id, project_id)
+ * @param {Map<number, Object>} studentMap - Student lookup by ID
+ * @param {Map<number, Object>} projectMap - Project lookup by ID
+ * @param {Array<{student_id: number, project_id: number}>} existingMembers - Students kept in their current group
+ * @param {Array<{id: number, member_ids: Array<number>}>} [preTeams=[]] - Accepted pre-teams
+ * @returns {Object} Plan with pinnedUnits, freeUnits, unitOf, apartOf, existing, preTeamOf, and locked
+ */
+function buildConstraintPlan(constraints, studentMap, projectMap, existingMembers, preTeams = []) {
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const apartOf = new Map();
+  const existing = new Map();
+  existingMembers.forEach(({ student_id: studentId, project_id: projectId }) => {
+    if (studentMap.has(studentId) && projectMap.has(projectId)) existing.set(studentId, projectId);
+  });
+
+  const preTeamOf = new Map();
+  preTeams.forEach(team => {
+    const memberIds = (team.member_ids || []).filter(id => studentMap.has(id));
+    if (memberIds.length < 2) return;
+    memberIds.forEach(id => {
+      if (!parent.has(id)) parent.set(id, id);
+      preTeamOf.set(id, team.id);
+    });
+    memberIds.slice(1).forEach(id => parent.set(find(id), find(memberIds[0])));
+  });
+
+  const pins = [...existing].map(([studentId, projectId]) => ({ studentId, projectId }));
+  constraints.forEach(c => {
+    const { constraint_type: type, student_id: a, other_student_id: b, project_id: projectId } = c;
+    if (!studentMap.has(a)) return;
+
+    if (type === "pin") {
+      if (projectMap.has(projectId)) pins.push({ studentId: a, projectId });
+      return;
+    }
+    if (!studentMap.has(b) || a === b) return;
+
+    if (type === "together") {
+      [a, b].forEach(id => { if (!parent.has(id)) parent.set(id, id); });
+      parent.set(find(a), find(b));
+    } else if (type === "apart") {
+      if (!apartOf.has(a)) apartOf.set(a, new Set());
+      if (!apartOf.has(b)) apartOf.set(b, new Set());
+      apartOf.get(a).add(b);
+      apartOf.get(b).add(a);
+    }
+  });
+
+  const unitOf = new Map();
+  parent.forEach((_, id) => {
+    const root = find(id);
+    if (!unitOf.has(root)) unitOf.set(root, []);
+    unitOf.get(root).push(id);
+  });
+  unitOf.forEach((members, root) => {
+    members.forEach(id => unitOf.set(id, members));
+    if (!members.includes(root)) unitOf.delete(root);
+  });
+
+  const pinnedUnits = [];
+  const claimed = new Set();
+  pins.forEach(({ studentId, projectId }) => {
+    if (claimed.has(studentId)) return;
+    const memberIds = unitOf.get(studentId) || [studentId];
+    memberIds.forEach(id => claimed.add(id));
+    pinnedUnits.push({ projectId, memberIds });
+  });
+
+  const freeUnits = [...new Set(unitOf.values())].filter(members => !claimed.has(members[0]));
+
+  return {
+    pinnedUnits,
+    freeUnits,
+    unitOf,
+    apartOf,
+    existing,
+    preTeamOf,
+    locked: new Set([...claimed, ...unitOf.keys()])
+  };
+}
+
+/**
+ * Check an Assignment Against "Apart" Constraints
+ * 
+ * @private
+ * @function hasApartConflict
+ * @param {Array<Object>} chosen - Current assignments
+ * @param {Object} entry - Assignment to check, at its current projectId
+ * @param {Object} plan - Constraint plan from buildConstraintPlan
+ * @returns {boolean} True if a student the entry must avoid is on the same project
+ */
+function hasApartConflict(chosen, entry, plan) {
+  const avoid = plan.apartOf.get(entry.student.id);
+  if (!avoid) return false;
+  return chosen.some(other =>
+    other !== entry && other.projectId === entry.projectId && avoid.has(other.student.id)
+  );
+}
+
+/**
+ * Create Flow Network
+ * 
+ * Builds an empty residual graph stored as parallel edge arrays. Every edge added
+ * through addEdge also creates its zero-capacity reverse edge at index ^ 1.
+ * 
+ * @private
+ * @function createFlowNetwork
+ * @param {number} nodeCount - Number of nodes in the network
+ * @returns {Object} Network with adjacency lists, edge arrays, and addEdge(from, to, capacity, cost)
+ */
+function createFlowNetwork(nodeCount) {
+  const network = {
+    nodeCount,
+    adjacency: Array.from({ length: nodeCount }, () => []),
+    to: [],
+    capacity: [],
+    cost: [],
+    addEdge(from, to, capacity, cost) {
+      const index = network.to.length;
+      network.to.push(to, from);
+      network.capacity.push(capacity, 0);
+      network.cost.push(cost, -cost);
+      network.adjacency[from].push(index);
+      network.adjacency[to].push(index + 1);
+      return index;
+    },
+  };
+  return network;
+}
+
+/**
+ * Solve Min-Cost Max-Flow
+ * 
+ * Repeatedly augments along the cheapest source → sink path in the residual graph
+ * (Bellman-Ford with a queue, which tolerates the negative preference costs) until
+ * no augmenting path remains. Mutates the capacities of the given network.
+ * 
+ * @private
+ * @function solveMinCostMaxFlow
+ * @param {Object} network - Network created by createFlowNetwork
+ * @param {number} source - Source node index
+ * @param {number} sink - Sink node index
+ * @returns {{flow: number, cost: number}} Total flow pushed and its total cost
+ */
+function solveMinCostMaxFlow(network, source, sink) {
+  const { nodeCount, adjacency, to, capacity, cost } = network;
+  let flow = 0;
+  let totalCost = 0;
+
+  while (true) {
+    const distance = new Array(nodeCount).fill(Infinity);
+    const inQueue = new Array(nodeCount).fill(false);
+    const parentEdge = new Array(nodeCount).fill(-1);
+    const queue = [source];
+    distance[source] = 0;
+    inQueue[source] = true;
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      inQueue[node] = false;
+      for (const edge of adjacency[node]) {
+        if (capacity[edge] <= 0) continue;
+        const next = to[edge];
+        const candidate = distance[node] + cost[edge];
+        if (candidate < distance[next]) {
+          distance[next] = candidate;
+          parentEdge[next] = edge;
+          if (!inQueue[next]) {
+            inQueue[next] = true;
+            queue.push(next);
+          }
+        }
+      }
+    }
+
+    if (distance[sink] === Infinity) break;
+
+    // Find bottleneck along the path, then push flow
+    let pushed = Infinity;
+    for (let node = sink; node !== source; node = to[parentEdge[node] ^ 1]) {
+      pushed = Math.min(pushed, capacity[parentEdge[node]]);
+    }
+    for (let node = sink; node !== source; node = to[parentEdge[node] ^ 1]) {
+      capacity[parentEdge[node]] -= pushed;
+      capacity[parentEdge[node] ^ 1] += pushed;
+    }
+
+    flow += pushed;
+    totalCost += pushed * distance[sink];
+  }
+
+  return { flow, cost: totalCost };
+}
+
+/**
+ * Match Students by Deferred Acceptance
+ * 
+ * Student-proposing Gale–Shapley with capacities. Each free student proposes to
+ * their next listed open project whose client has not declined them; a project
+ * holds its best proposals up to its remaining capacity and rejects the rest.
+ * Projects order students by the client's ranking, with students the client did
+ * not rank after all ranked ones in tie-break order. The result is stable: no
+ * student and project would both rather be matched to each other.
+ * 
+ * @private
+ * @function matchStable
+ * @param {Array<Object>} students - Students to place, in tie-break order
+ * @param {Map<number, number>} remaining - Seats left per open project
+ * @param {Map<number, Object>} projectMap - Project lookup with clientRank and declined
+ * @returns {Array<{student: Object, projectId: number, rank: number}>} Matches
+ */
+function matchStable(students, remaining, projectMap) {
+  const order = new Map(students.map((student, index) => [student.id, index]));
+  const priority = (project, student) =>
+    project.clientRank.get(student.id) ?? project.clientRank.size + order.get(student.id);
+
+  const next = new Map();
+  const held = new Map([...remaining.keys()].map(id => [id, []]));
+  const free = [...students];
+
+  while (free.length > 0) {
+    const student = free.shift();
+    let proposal = null;
+    for (let index = next.get(student.id) ?? 0; index < student.preferences.length; index++) {
+      const projectId = student.preferences[index];
+      if (held.has(projectId) && !projectMap.get(projectId).declined.has(student.id)) {
+        proposal = { projectId, rank: index + 1 };
+        next.set(student.id, index + 1);
+        break;
+      }
+    }
+    if (!proposal) continue;
+
+    const project = projectMap.get(proposal.projectId);
+    const holding = held.get(proposal.projectId);
+    holding.push({ student, ...proposal });
+    if (holding.length > Math.max(remaining.get(proposal.projectId), 0)) {
+      holding.sort((a, b) => priority(project, a.student) - priority(project, b.student));
+      free.push(holding.pop().student);
+    }
+  }
+
+  return [...held.values()].flat();
+}
+
+/**
+ * Solve Preference Assignment
+ * 
+ * Places constrained students first, then solves the remaining students with the
+ * flow network:
+ * 
+ * 1. Existing members stay on their project; pinned units join their project,
+ *    up to its capacity
+ * 2. Other "together" units, largest first, join the open project with room for
+ *    all of them that their members ranked highest in total and whose client
+ *    declined none of them
+ * 3. Everyone else is assigned by min-cost max-flow over the remaining capacity,
+ *    without edges to projects whose client declined the student.
+ *    Node layout: 0 = source, 1..S = students, S+1..S+P = projects, S+P+1 = sink.
+ *    In stable matching mode, this step uses matchStable instead
+ * 
+ * A unit that fits nowhere is split up and its members go through the flow step
+ * on their own; the broken constraint is reported afterwards. Units containing a
+ * pre-team are never split: if they do not fit, the members are held back and
+ * stay unassigned.
+ * 
+ * @private
+ * @function solveAssignments
+ * @param {Array<Object>} orderedStudents - Students to place, in tie-break order
+ * @param {Map<number, Object>} projectMap - Project lookup with capacity
+ * @param {Set<number>} openProjectIds - Projects students may still be assigned to
+ * @param {number} skillWeight - Weight (0-1) of the student's skill match in the edge score
+ * @param {function(Object, number): number} preferenceWeight - Satisfaction weight by student and rank (see createPreferenceWeight)
+ * @param {Object} plan - Constraint plan from buildConstraintPlan
+ * @param {string} [matchingMode="optimal"] - One of MATCHING_MODES
+ * @returns {Array<{student: Object, projectId: number, rank: number|null, pinned: boolean, existing: boolean}>} Chosen assignments
+ */
+function solveAssignments(orderedStudents, projectMap, openProjectIds, skillWeight, preferenceWeight, plan, matchingMode = "optimal") {
+  const studentById = new Map(orderedStudents.map(student => [student.id, student]));
+  const remaining = new Map([...openProjectIds].map(id => [id, projectMap.get(id).capacity]));
+  const chosen = [];
+  const placed = new Set();
+  const held = new Set();
+  const isIndivisible = (memberIds) => memberIds.some(id => plan.preTeamOf.has(id));
+
+  const edgeScore = (student, projectId, rank) => {
+    const skillMatch = skillWeight > 0
+      ? getSkillCoverage(projectMap.get(projectId).requiredSkills, [student.skillSet]) ?? 0
+      : 0;
+    return preferenceWeight(student, rank) + skillWeight * 100 * skillMatch;
+  };
+  const place = (student, projectId, pinned, existing = false) => {
+    chosen.push({ student, projectId, rank: getPreferenceRank(student, projectId), pinned, existing });
+    placed.add(student.id);
+    remaining.set(projectId, remaining.get(projectId) - 1);
+  };
+
+  plan.pinnedUnits.forEach(({ projectId, memberIds }) => {
+    if (!openProjectIds.has(projectId)) return;
+    const members = memberIds
+      .map(id => studentById.get(id))
+      .filter(student => student && !placed.has(student.id));
+
+    // Existing members are never displaced, even from an over-full group
+    members
+      .filter(student => plan.existing.get(student.id) === projectId)
+      .forEach(student => place(student, projectId, false, true));
+
+    const newcomers = members.filter(student => !placed.has(student.id));
+    if (isIndivisible(memberIds) && newcomers.length > remaining.get(projectId)) {
+      newcomers.forEach(student => held.add(student.id));
+      return;
+    }
+    newcomers.forEach(student => {
+      if (remaining.get(projectId) > 0) place(student, projectId, true);
+    });
+  });
+
+  const units = plan.freeUnits
+    .map(memberIds => memberIds.map(id => studentById.get(id)).filter(Boolean))
+    .filter(members => members.length > 1)
+    .sort((a, b) => b.length - a.length);
+
+  units.forEach(members => {
+    let best = null;
+    remaining.forEach((room, projectId) => {
+      if (room < members.length) return;
+      if (members.some(student => projectMap.get(projectId).declined.has(student.id))) return;
+
+      let score = 0;
+      let listed = false;
+      members.forEach(student => {
+        const rank = getPreferenceRank(student, projectId);
+        if (rank !== null) {
+          listed = true;
+          score += edgeScore(student, projectId, rank);
+        }
+      });
+      if (!listed) return;
+
+      const conflict = members.some(student =>
+        hasApartConflict(chosen, { student, projectId }, plan)
+      );
+      if (!conflict && (!best || score > best.score)) best = { projectId, score };
+    });
+
+    if (best) members.forEach(student => place(student, best.projectId, false));
+    else if (isIndivisible(members.map(student => student.id))) members.forEach(student => held.add(student.id));
+  });
+
+  // Remaining students go through the flow network
+  const singles = orderedStudents.filter(student =>
+    !placed.has(student.id) && !held.has(student.id) && student.preferences?.length > 0
+  );
+
+  if (matchingMode === "stable") {
+    matchStable(singles, remaining, projectMap).forEach(({ student, projectId, rank }) =>
+      chosen.push({ student, projectId, rank, pinned: false, existing: false })
+    );
+    return chosen;
+  }
+
+  const projectIds = [...openProjectIds];
+  const projectNode = new Map(projectIds.map((id, i) => [id, singles.length + 1 + i]));
+  const source = 0;
+  const sink = singles.length + projectIds.length + 1;
+  const network = createFlowNetwork(sink + 1);
+
+  projectIds.forEach(projectId => {
+    network.addEdge(projectNode.get(projectId), sink, Math.max(remaining.get(projectId), 0), 0);
+  });
+
+  // Preference edges: (student, project_id, rank)
+  const prefEdges = [];
+  singles.forEach((student, index) => {
+    const studentNode = index + 1;
+    network.addEdge(source, studentNode, 1, 0);
+
+    const seen = new Set();
+    student.preferences.forEach((projectId, prefIndex) => {
+      if (!openProjectIds.has(projectId) || seen.has(projectId)) return;
+      seen.add(projectId);
+      if (projectMap.get(projectId).declined.has(student.id)) return;
+      const rank = prefIndex + 1; // 1-based rank
+      // Integer costs: fractional skill scores let rounding errors form phantom
+      // negative cycles that keep Bellman-Ford from terminating
+      const cost = -Math.round(edgeScore(student, projectId, rank) * 1000);
+      const edge = network.addEdge(studentNode, projectNode.get(projectId), 1, cost);
+      prefEdges.push({ student, projectId, rank, edge });
+    });
+  });
+
+  solveMinCostMaxFlow(network, source, sink);
+
+  // A saturated preference edge means the student was assigned to that project
+  prefEdges
+    .filter(({ edge }) => network.capacity[edge] === 0)
+    .forEach(({ student, projectId, rank }) => chosen.push({ student, projectId, rank, pinned: false, existing: false }));
+
+  return chosen;
+}
+
+/**
+ * Separate "Apart" Pairs
+ * 
+ * For each pair that ended up on the same team, moves one of the two (if not
+ * locked by a pin or a "together" unit) to another project they listed that has
+ * room, or swaps them with a student on such a project who listed this one.
+ * Moves never take a team below its minimum size or onto a project whose client
+ * declined the student.
+ * 
+ * @private
+ * @function separateApartStudents
+ * @param {Array<Object>} chosen - Assignments, updated in place
+ * @param {Map<number, Object>} projectMap - Project lookup with capacity and minimum
+ * @param {Set<number>} openProjectIds - Projects still running
+ * @param {Object} plan - Constraint plan from buildConstraintPlan
+ * @returns {number} Number of students moved
+ */
+function separateApartStudents(chosen, projectMap, openProjectIds, plan) {
+  const teamSize = (projectId) => chosen.filter(a => a.projectId === projectId).length;
+
+  const tryMove = (entry) => {
+    const from = entry.projectId;
+    if (teamSize(from) - 1 < projectMap.get(from).minimum) return false;
+
+    for (const projectId of entry.student.preferences || []) {
+      if (projectId === from || !openProjectIds.has(projectId)) continue;
+      if (teamSize(projectId) >= projectMap.get(projectId).capacity) continue;
+      if (projectMap.get(projectId).declined.has(entry.student.id)) continue;
+
+      entry.projectId = projectId;
+      if (!hasApartConflict(chosen, entry, plan)) {
+        entry.rank = getPreferenceRank(entry.student, projectId);
+        return true;
+      }
+      entry.projectId = from;
+    }
+    return false;
+  };
+
+  const trySwap = (entry) => {
+    for (const other of chosen) {
+      if (other.projectId === entry.projectId || plan.locked.has(other.student.id)) continue;
+      const rankHere = getPreferenceRank(other.student, entry.projectId);
+      const rankThere = getPreferenceRank(entry.student, other.projectId);
+      if (rankHere === null || rankThere === null) continue;
+      if (projectMap.get(entry.projectId).declined.has(other.student.id)) continue;
+      if (projectMap.get(other.projectId).declined.has(entry.student.id)) continue;
+
+      [entry.projectId, other.projectId] = [other.projectId, entry.projectId];
+      if (!hasApartConflict(chosen, entry, plan) && !hasApartConflict(chosen, other, plan)) {
+        entry.rank = rankThere;
+        other.rank = rankHere;
+        return true;
+      }
+      [entry.projectId, other.projectId] = [other.projectId, entry.projectId];
+    }
+    return false;
+  };
+
+  let moved = 0;
+  chosen.forEach(entry => {
+    if (!hasApartConflict(chosen, entry, plan)) return;
+    if (plan.locked.has(entry.student.id)) return;
+    if (tryMove(entry) || trySwap(entry)) moved++;
+  });
+
+  return moved;
+}
+
+/**
+ * Find Unmet Constraints
+ * 
+ * Checks every constraint against the final assignments and describes each one
+ * that does not hold.
+ * 
+ * @private
+ * @function findConstraintViolations
+ * @param {Array<Object>} constraints - Constraint rows
+ * @param {Array<Object>} chosen - Final assignments
+ * @param {Map<number, Object>} studentMap - Student lookup by ID
+ * @param {Map<number, Object>} projectMap - Project lookup by ID
+ * @returns {Array<Object>} Violations with constraint details and a reason
+ */
+function findConstraintViolations(constraints, chosen, studentMap, projectMap) {
+  const placement = new Map(chosen.map(a => [a.student.id, a.projectId]));
+  const violations = [];
+
+  constraints.forEach(c => {
+    const student = studentMap.get(c.student_id);
+    const other = studentMap.get(c.other_student_id);
+    let reason = null;
+
+    if (!student || (c.constraint_type !== "pin" && !other)) {
+      reason = "Student is not part of this group formation";
+    } else if (c.constraint_type === "pin") {
+      const project = projectMap.get(c.project_id);
+      if (!project) {
+        reason = "Project is not approved for assignment";
+      } else if (placement.get(student.id) !== c.project_id) {
+        reason = `${student.name} could not be placed on ${project.title}`;
+      }
+    } else if (c.constraint_type === "together") {
+      const projectId = placement.get(student.id);
+      if (projectId === undefined || projectId !== placement.get(other.id)) {
+        reason = `${student.name} and ${other.name} could not be placed on the same team`;
+      }
+    } else if (c.constraint_type === "apart") {
+      const projectId = placement.get(student.id);
+      if (projectId !== undefined && projectId === placement.get(other.id)) {
+        reason = `${student.name} and ${other.name} are both on ${projectMap.get(projectId).title}`;
+      }
+    }
+
+    if (reason) {
+      violations.push({
+        constraint_id: c.id,
+        constraint_type: c.constraint_type,
+        student_id: c.student_id,
+        other_student_id: c.other_student_id ?? null,
+        project_id: c.project_id ?? null,
+        reason
+      });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Balance Skills Across Teams
+ * 
+ * Local search over the flow solution: repeatedly swaps two students between
+ * projects when both listed the other's project and the swap raises the combined
+ * score of the two teams (preference weights plus weighted team skill coverage).
+ * Team sizes never change, so capacity and minimum team sizes stay satisfied.
+ * Pinned and "together" students are never swapped, and no swap may put an
+ * "apart" pair on the same team or a student on a project whose client declined them.
+ * 
+ * @private
+ * @function balanceSkills
+ * @param {Array<{student: Object, projectId: number, rank: number}>} chosen - Assignments, updated in place
+ * @param {Map<number, Object>} projectMap - Project lookup with required skills
+ * @param {number} skillWeight - Weight (0-1) of team skill coverage
+ * @param {function(Object, number): number} preferenceWeight - Satisfaction weight by student and rank (see createPreferenceWeight)
+ * @param {Object} plan - Constraint plan from buildConstraintPlan
+ * @returns {number} Number of swaps performed
+ */
+function balanceSkills(chosen, projectMap, skillWeight, preferenceWeight, plan) {
+  const teamScore = (projectId) => {
+    const members = chosen.filter(a => a.projectId === projectId);
+    const coverage = getSkillCoverage(
+      projectMap.get(projectId).requiredSkills,
+      members.map(a => a.student.skillSet)
+    ) ?? 0;
+    return skillWeight * 100 * coverage * members.length;
+  };
+
+  let swaps = 0;
+  for (let pass = 0; pass < MAX_BALANCE_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < chosen.length; i++) {
+      for (let j = i + 1; j < chosen.length; j++) {
+        const a = chosen[i];
+        const b = chosen[j];
+        if (a.projectId === b.projectId) continue;
+        if (plan.locked.has(a.student.id) || plan.locked.has(b.student.id)) continue;
+
+        const rankA = getPreferenceRank(a.student, b.projectId);
+        const rankB = getPreferenceRank(b.student, a.projectId);
+        if (rankA === null || rankB === null) continue;
+        if (projectMap.get(b.projectId).declined.has(a.student.id)) continue;
+        if (projectMap.get(a.projectId).declined.has(b.student.id)) continue;
+
+        const before = preferenceWeight(a.student, a.rank) + preferenceWeight(b.student, b.rank) +
+          teamScore(a.projectId) + teamScore(b.projectId);
+
+        [a.projectId, b.projectId] = [b.projectId, a.projectId];
+        const after = preferenceWeight(a.student, rankA) + preferenceWeight(b.student, rankB) +
+          teamScore(a.projectId) + teamScore(b.projectId);
+
+        const conflict = hasApartConflict(chosen, a, plan) || hasApartConflict(chosen, b, plan);
+        if (!conflict && after > before + 1e-9) {
+          a.rank = rankA;
+          b.rank = rankB;
+          swaps++;
+          improved = true;
+        } else {
+          [a.projectId, b.projectId] = [b.projectId, a.projectId];
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return swaps;
+}
+
+/**
+ * Place Students Without Preferences
+ * 
+ * Adds fallback placements for students who did not submit preferences, after the
+ * preference-based solution is final. Only teams that already have members are
+ * filled, so the fallback never starts a team nobody chose, and a student is never
+ * placed next to someone they must be kept apart from or on a project whose
+ * client declined them.
+ * 
+ * @private
+ * @function placeFallbackStudents
+ * @param {Array<Object>} fallbackStudents - Students without preferences, in random order
+ * @param {Array<{student: Object, projectId: number, rank: number}>} chosen - Assignments, extended in place
+ * @param {Map<number, Object>} projectMap - Project lookup with capacity and required skills
+ * @param {string} policy - One of FALLBACK_POLICIES
+ * @param {Object} plan - Constraint plan from buildConstraintPlan
+ * @returns {number} Number of students placed
+ */
+function placeFallbackStudents(fallbackStudents, chosen, projectMap, policy, plan) {
+  if (policy === "none") return 0;
+
+  const teams = new Map();
+  chosen.forEach(({ student, projectId }) => {
+    if (!teams.has(projectId)) teams.set(projectId, []);
+    teams.get(projectId).push(student);
+  });
+
+  let placed = 0;
+  fallbackStudents.forEach(student => {
+    const avoid = plan.apartOf.get(student.id);
+    let best = null;
+    teams.forEach((members, projectId) => {
+      const project = projectMap.get(projectId);
+      if (members.length >= project.capacity) return;
+      if (project.declined.has(student.id)) return;
+      if (avoid && members.some(member => avoid.has(member.id))) return;
+
+      let gain = 0;
+      if (policy === "skills") {
+        project.requiredSkills.forEach(skill => {
+          if (student.skillSet.has(skill) && !members.some(member => member.skillSet.has(skill))) gain++;
+        });
+      }
+      const fill = members.length / project.capacity;
+
+      if (!best || gain > best.gain || (gain === best.gain && fill < best.fill)) {
+        best = { projectId, gain, fill };
+      }
+    });
+
+    if (!best) return;
+    teams.get(best.projectId).push(student);
+    chosen.push({ student, projectId: best.projectId, rank: null, pinned: false, existing: false, fallback: true });
+    placed++;
+  });
+
+  return placed;
+}
+
+/**
+ * Find Unplaced Pre-Teams
+ * 
+ * Lists accepted pre-teams whose members did not all end up on the same project.
+ * 
+ * @private
+ * @function findUnplacedPreTeams
+ * @param {Array<Object>} preTeams - Pre-teams (id, name, member_ids)
+ * @param {Array<Object>} chosen - Final assignments
+ * @param {Map<number, Object>} studentMap - Student lookup by ID
+ * @returns {Array<Object>} Pre-teams with pre_team_id, name, member_ids, and reason
+ */
+function findUnplacedPreTeams(preTeams, chosen, studentMap) {
+  const placement = new Map(chosen.map(({ student, projectId }) => [student.id, projectId]));
+  const unplaced = [];
+
+  preTeams.forEach(team => {
+    const memberIds = (team.member_ids || []).filter(id => studentMap.has(id));
+    if (memberIds.length < 2) return;
+
+    const projectIds = new Set(memberIds.map(id => placement.get(id) ?? null));
+    if (projectIds.size === 1 && !projectIds.has(null)) return;
+
+    let reason;
+    if (!memberIds.some(id => studentMap.get(id).preferences?.length > 0)) {
+      reason = "The pre-team has not submitted any preferences";
+    } else if (projectIds.size === 1) {
+      reason = `No listed project had room for all ${memberIds.length} members`;
+    } else {
+      reason = "Members are held in different projects by existing groups or instructor constraints";
+    }
+
+    unplaced.push({
+      pre_team_id: team.id,
+      name: team.name ?? null,
+      member_ids: memberIds,
+      reason
+    });
+  });
+
+  return unplaced;
+}
+
+/**
+ * Find Blocking Pairs
+ * 
+ * A student and a project block the assignment when the student listed the
+ * project above their own placement (or is unassigned), its client has not
+ * declined them, and the project either has a free seat or holds a student its
+ * client ranked below them. Students whose placement is fixed (existing members,
+ * pins, "together" units, and pre-teams) neither block nor can be displaced, and
+ * closed projects are left out.
+ * 
+ * @private
+ * @function findBlockingPairs
+ * @param {Array<Object>} students - Prepared students
+ * @param {Array<Object>} chosen - Final assignments
+ * @param {Map<number, Object>} projectMap - Project lookup with capacity, clientRank, and declined
+ * @param {Set<number>} openProjectIds - Projects still running
+ * @param {Object} plan - Constraint plan from buildConstraintPlan
+ * @returns {Array<Object>} Blocking pairs with the student's rank for the project and the student they would displace (null for a free seat)
+ */
+function findBlockingPairs(students, chosen, projectMap, openProjectIds, plan) {
+  const placement = new Map(chosen.map(entry => [entry.student.id, entry]));
+  const teams = new Map();
+  chosen.forEach(entry => {
+    if (!teams.has(entry.projectId)) teams.set(entry.projectId, []);
+    teams.get(entry.projectId).push(entry);
+  });
+
+  const pairs = [];
+  students.forEach(student => {
+    if (!(student.preferences?.length > 0) || plan.locked.has(student.id)) return;
+    const entry = placement.get(student.id);
+    const ownRank = entry?.rank ?? Infinity;
+
+    const seen = new Set();
+    student.preferences.forEach((projectId, prefIndex) => {
+      if (prefIndex + 1 >= ownRank || seen.has(projectId) || !openProjectIds.has(projectId)) return;
+      seen.add(projectId);
+      const project = projectMap.get(projectId);
+      if (project.declined.has(student.id)) return;
+
+      const team = teams.get(projectId) || [];
+      let displaced = null;
+      if (team.length >= project.capacity) {
+        displaced = team.find(other =>
+          !plan.locked.has(other.student.id) && clientPrefers(project, student.id, other.student.id)
+        );
+        if (!displaced) return;
+      }
+
+      pairs.push({
+        student_id: student.id,
+        student_name: student.name,
+        project_id: projectId,
+        project_title: project.title,
+        student_rank: prefIndex + 1,
+        current_project_id: entry?.projectId ?? null,
+        displaced_student_id: displaced ? displaced.student.id : null,
+        reason: displaced
+          ? `The client ranked ${student.name} above ${displaced.student.name}`
+          : `${project.title} has a free seat`
+      });
+    });
+  });
+
+  return pairs;
+}
+
+/**
+ * Solve Rank-Maximal Assignment
+ * 
+ * Finds the reference assignment used by the fairness metrics: as many students
+ * as possible on their first choice, then as many as possible on their second,
+ * and so on. It uses the same students and project capacities but ignores
+ * constraints, minimum team sizes, skills, and tie-breaking. Existing members
+ * keep their seats and are left out.
+ * 
+ * Rank r is weighted (S + 1)^(K - r + 1) so that one more student at a better
+ * rank always outweighs any number at worse ranks. K is limited to what fits in
+ * a safe integer; ranks beyond it all get weight 1.
+ * 
+ * @private
+ * @function solveRankMaximal
+ * @param {Array<Object>} students - Prepared students
+ * @param {Map<number, Object>} projectMap - Project lookup with capacity
+ * @param {Object} plan - Constraint plan from buildConstraintPlan
+ * @returns {Map<number, number>} Assigned rank by student ID (unassigned students are absent)
+ */
+function solveRankMaximal(students, projectMap, plan) {
+  const free = students.filter(s => s.preferences?.length > 0 && !plan.existing.has(s.id));
+  const ranks = new Map();
+  if (free.length === 0) return ranks;
+
+  const remaining = new Map([...projectMap].map(([id, project]) => [id, project.capacity]));
+  plan.existing.forEach(projectId => {
+    if (remaining.has(projectId)) remaining.set(projectId, remaining.get(projectId) - 1);
+  });
+
+  const base = free.length + 1;
+  const maxRank = Math.max(...free.map(s => s.preferences.length));
+  const lexicographicRanks = Math.max(
+    1,
+    Math.min(maxRank, Math.floor(Math.log(Number.MAX_SAFE_INTEGER) / Math.log(base)) - 1)
+  );
+  const weight = (rank) => (rank <= lexicographicRanks ? base ** (lexicographicRanks - rank + 1) : 1);
+
+  const projectIds = [...remaining.keys()];
+  const projectNode = new Map(projectIds.map((id, i) => [id, free.length + 1 + i]));
+  const source = 0;
+  const sink = free.length + projectIds.length + 1;
+  const network = createFlowNetwork(sink + 1);
+
+  projectIds.forEach(projectId => {
+    network.addEdge(projectNode.get(projectId), sink, Math.max(remaining.get(projectId), 0), 0);
+  });
+
+  const prefEdges = [];
+  free.forEach((student, index) => {
+    const studentNode = index + 1;
+    network.addEdge(source, studentNode, 1, 0);
+    // Staying unassigned is free, so the solver never trades a better rank for a seat
+    network.addEdge(studentNode, sink, 1, 0);
+
+    const seen = new Set();
+    student.preferences.forEach((projectId, prefIndex) => {
+      if (!projectNode.has(projectId) || seen.has(projectId)) return;
+      seen.add(projectId);
+      const edge = network.addEdge(studentNode, projectNode.get(projectId), 1, -weight(prefIndex + 1));
+      prefEdges.push({ student, rank: prefIndex + 1, edge });
+    });
+  });
+
+  solveMinCostMaxFlow(network, source, sink);
+
+  prefEdges
+    .filter(({ edge }) => network.capacity[edge] === 0)
+    .forEach(({ student, rank }) => ranks.set(student.id, rank));
+
+  return ranks;
+}
+
+/**
+ * Calculate Gini Coefficient
+ * 
+ * @private
+ * @function getGini
+ * @param {Array<number>} values - Non-negative values
+ * @returns {number} 0 (everyone equal) to 1 (one person has everything)
+ */
+function getGini(values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (values.length === 0 || total === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const weighted = sorted.reduce((sum, value, i) => sum + (i + 1) * value, 0);
+  return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+}
+
+/**
+ * Compute Fairness Metrics
+ * 
+ * Measures how evenly the final assignment treats students who submitted
+ * preferences:
+ * - rank_distribution: students per assigned rank, plus "unranked" (placed on a
+ *   project they did not list) and "unassigned"
+ * - satisfaction_gini: Gini coefficient of per-student satisfaction weights,
+ *   counting unranked and unassigned students as 0
+ * - worse_than_rank_maximal: students who got a worse rank than in the
+ *   rank-maximal reference assignment (see solveRankMaximal)
+ * - envy_pairs: ordered pairs (a, b) where a ranked b's project above their own;
+ *   envious_students counts the distinct students a
+ * 
+ * @private
+ * @function computeFairness
+ * @param {Array<Object>} students - Prepared students
+ * @param {Array<Object>} chosen - Final assignments
+ * @param {Map<number, Object>} projectMap - Project lookup with capacity
+ * @param {Object} plan - Constraint plan from buildConstraintPlan
+ * @param {function(Object, number): number} preferenceWeight - Satisfaction weight by student and rank (see createPreferenceWeight)
+ * @returns {Object} Fairness metrics
+ */
+function computeFairness(students, chosen, projectMap, plan, preferenceWeight) {
+  const rated = students.filter(s => s.preferences?.length > 0);
+  const placement = new Map(chosen.map(entry => [entry.student.id, entry]));
+  const teamSizes = new Map();
+  chosen.forEach(({ projectId }) => teamSizes.set(projectId, (teamSizes.get(projectId) || 0) + 1));
+
+  const rankDistribution = { unranked: 0, unassigned: 0 };
+  const satisfaction = [];
+  let envyPairs = 0;
+  let enviousStudents = 0;
+
+  rated.forEach(student => {
+    const entry = placement.get(student.id);
+    if (!entry) rankDistribution.unassigned++;
+    else if (entry.rank === null) rankDistribution.unranked++;
+    else rankDistribution[entry.rank] = (rankDistribution[entry.rank] || 0) + 1;
+
+    satisfaction.push(entry && entry.rank !== null ? preferenceWeight(student, entry.rank) : 0);
+
+    const ownRank = entry?.rank ?? Infinity;
+    const seen = new Set();
+    let envied = 0;
+    student.preferences.forEach((projectId, prefIndex) => {
+      if (prefIndex + 1 >= ownRank || seen.has(projectId)) return;
+      seen.add(projectId);
+      envied += teamSizes.get(projectId) || 0;
+    });
+    envyPairs += envied;
+    if (envied > 0) enviousStudents++;
+  });
+
+  const reference = solveRankMaximal(students, projectMap, plan);
+  const referenceDistribution = { unassigned: 0 };
+  let worseOff = 0;
+  rated.forEach(student => {
+    if (plan.existing.has(student.id)) return;
+    const referenceRank = reference.get(student.id) ?? Infinity;
+    if (referenceRank === Infinity) referenceDistribution.unassigned++;
+    else referenceDistribution[referenceRank] = (referenceDistribution[referenceRank] || 0) + 1;
+
+    const actualRank = placement.get(student.id)?.rank ?? Infinity;
+    if (actualRank > referenceRank) worseOff++;
+  });
+
+  return {
+    rank_distribution: rankDistribution,
+    satisfaction_gini: Math.round(getGini(satisfaction) * 1000) / 1000,
+    worse_than_rank_maximal: worseOff,
+    rank_maximal_distribution: referenceDistribution,
+    envy_pairs: envyPairs,
+    envious_students: enviousStudents
+  };
+}
+
 /**
  * Run Group Formation Algorithm
  * 
  * Executes the main group formation algorithm to assign students to projects based
- * on their preferences. The algorithm uses a greedy approach with the following logic:
+ * on their preferences. The algorithm solves a min-cost max-flow problem:
  * 
  * 1. Create project capacity tracking with max_team_size limits
- * 2. Generate all (student, project, rank) preference tuples
- * 3. Sort tuples by preference rank (first choices processed first)
- * 4. Assign students greedily while checking capacity constraints
- * 5. Calculate satisfaction statistics and scores
+ * 2. Place pinned students, "together" units, and pre-teams (see solveAssignments)
+ * 3. Build a flow network with one node per remaining student and per open project
+ * 4. Add a student → project edge for each preference, costed by rank weight,
+ *    unless the project's client declined the student
+ * 5. Solve for the maximum number of assignments with the lowest total cost
+ *    (in stable matching mode, steps 3-5 run deferred acceptance instead)
+ * 6. If any project ends up with fewer members than its min_team_size, close the
+ *    project with the largest shortfall and solve again, so its students move on
+ *    to their next preferences; repeat until every open project is viable.
+ *    Projects with pinned or existing members are never closed
+ * 7. Separate any "apart" pairs that share a team
+ * 8. If a skill weight is given, swap students between teams to improve coverage
+ *    of each project's required skills (skipped in stable matching mode, since
+ *    swaps would ignore the clients' rankings)
+ * 9. Place students without preferences according to the fallback policy
+ * 10. Report constraints that could not be met and blocking pairs, and calculate
+ *     statistics and fairness metrics (see computeFairness)
  * 
- * Satisfaction Scoring:
- * - 1st choice: 100 points
- * - 2nd choice: 66 points
- * - 3rd choice: 33 points
- * - Other: 10 points
+ * Reproducibility:
+ * - Ties are broken by a PRNG seeded with options.seed (or a new random seed),
+ *   and the seed is returned in the result. Running again with the same seed
+ *   and the same students, projects, and options gives identical groups
+ * 
+ * Satisfaction Scoring (see createRankWeight):
+ * - Weights fall evenly from 100 over options.preferenceLength ranks; with the
+ *   default length of 3: 1st choice 100, 2nd choice 66, 3rd choice 33
+ * - Ranks beyond the preference length: 10 points
+ * - In bidding mode (options.preferenceMode = "bidding"), a placement scores the
+ *   share of the budget the student bid on that project, so the score is the
+ *   average percentage of bid points won. The solver still places as many
+ *   students as possible first, then maximizes total bid points
+ * - Placements on a project the student did not list (fallback, or a pin or
+ *   partner constraint) are excluded from the satisfaction score
+ * 
+ * Skill Scoring (when options.skillWeight > 0):
+ * - Each student → project edge earns skillWeight × 100 × the fraction of the
+ *   project's required skills the student has
+ * - Each team earns skillWeight × 100 × team size × the fraction of required skills
+ *   covered by at least one member, which favors spreading skills across teams
  * 
  * @function runGroupFormationAlgorithm
  * @param {Array<Object>} students - Array of student objects
  * @param {number} students[].id - Student ID
  * @param {string} students[].name - Student full name
- * @param {Array<number>} students[].preferences - Ordered array of project IDs (rank 1, 2, 3)
+ * @param {Array<number>} students[].preferences - Ordered array of project IDs (rank 1, 2, 3, ...)
+ * @param {Array<number>} [students[].bids] - Bid points per project, in the same order as preferences (bidding mode)
+ * @param {Array<string>|string} [students[].skills] - Student skills (array, JSON array, or comma-separated)
  * @param {Array<Object>} projects - Array of project objects
  * @param {number} projects[].id - Project ID
  * @param {string} projects[].title - Project title
  * @param {number} projects[].max_team_size - Maximum team size (default: 4)
+ * @param {number} [projects[].min_team_size] - Minimum team size for the project to run (default: 1)
+ * @param {Array<string>|string} [projects[].skills_required] - Required skills (array or JSON array)
+ * @param {Array<number>} [projects[].student_rankings] - Student IDs in the client's order of preference
+ * @param {Array<number>} [projects[].declined_student_ids] - Students the client declined
+ * @param {Object} [options] - Algorithm options
+ * @param {number} [options.skillWeight=0] - Weight (0-1) of skill coverage relative to preferences
+ * @param {string} [options.fallbackPolicy="none"] - Placement of students without preferences (see FALLBACK_POLICIES)
+ * @param {Array<Object>} [options.constraints=[]] - Instructor constraints (id, constraint_type, student_id, other_student_id, project_id)
+ * @param {Array<Object>} [options.existingMembers=[]] - Current group members to keep in place (student_id, project_id)
+ * @param {Array<Object>} [options.preTeams=[]] - Accepted pre-teams (id, name, member_ids) to place as indivisible units
+ * @param {string|number} [options.seed] - Seed for tie-breaking; a random one is generated if omitted
+ * @param {number} [options.preferenceLength=3] - Number of ranks students are asked for; rank weights are spread over it
+ * @param {string} [options.preferenceMode="ranked"] - How preferences are weighted (see PREFERENCE_MODES)
+ * @param {number} [options.bidBudget=100] - Points each student distributes in bidding mode
+ * @param {string} [options.matchingMode="optimal"] - How free students are matched (see MATCHING_MODES)
  * @returns {Object} Algorithm result with assignments, groups, and statistics
  * @returns {boolean} return.success - Whether algorithm completed successfully
  * @returns {string} return.error - Error message if algorithm failed
- * @returns {Array<Object>} return.assignments - Individual student assignments
- * @returns {Array<Object>} return.groups - Grouped assignments by project
+ * @returns {string} return.seed - Seed that was used, to reproduce this result
+ * @returns {Array<Object>} return.assignments - Individual student assignments; fallback placements have fallback: true and a null preference_rank, pinned students have pinned: true, kept members have existing: true, pre-team members carry pre_team_id
+ * @returns {Array<Object>} return.groups - Grouped assignments by project, with skill_coverage (0-100 or null)
+ * @returns {Array<Object>} return.dropped_projects - Projects closed for missing their minimum, with reason
+ * @returns {Array<Object>} return.constraint_violations - Constraints that could not be met, with reason
+ * @returns {Array<Object>} return.unplaced_pre_teams - Pre-teams that could not be placed together, with reason
+ * @returns {Array<Object>} return.blocking_pairs - Student-project pairs that would both rather be matched to each other (see findBlockingPairs)
+ * @returns {Object} return.fairness - Rank distribution, satisfaction Gini, students worse off than a rank-maximal assignment, and envy pairs
  * @returns {Object} return.stats - Assignment statistics
  * @returns {number} return.stats.total_students - Total number of students
  * @returns {number} return.stats.students_with_preferences - Students who submitted preferences
- * @returns {number} return.stats.assigned_students - Successfully assigned students
- * @returns {number} return.stats.unassigned_students - Students not assigned
+ * @returns {number} return.stats.assigned_students - Successfully assigned students, including fallback placements
+ * @returns {number} return.stats.unassigned_students - Students not assigned, including those without preferences
+ * @returns {number} return.stats.fallback_assigned - Students without preferences placed by the fallback policy
+ * @returns {string} return.stats.fallback_policy - Fallback policy that was applied
+ * @returns {number} return.stats.pinned_students - Students placed by a pin constraint
+ * @returns {number} return.stats.existing_members - Students kept in their current group
+ * @returns {number} return.stats.pre_team_students - Students placed with their pre-team
+ * @returns {number} return.stats.unplaced_pre_teams - Pre-teams that could not be placed together
+ * @returns {number} return.stats.constraint_violations - Number of constraints that could not be met
  * @returns {number} return.stats.first_choice - Students assigned to 1st choice
  * @returns {number} return.stats.second_choice - Students assigned to 2nd choice
  * @returns {number} return.stats.third_choice - Students assigned to 3rd choice
  * @returns {number} return.stats.other_choice - Students assigned to other choices
- * @returns {number} return.stats.satisfaction_score - Weighted satisfaction score (0-100)
+ * @returns {number} return.stats.preference_length - Preference length the rank weights were spread over
+ * @returns {string} return.stats.preference_mode - Preference mode that was applied
+ * @returns {number|null} return.stats.bid_points_won - Total bid points on assigned projects (bidding mode only)
+ * @returns {string} return.stats.matching_mode - Matching mode that was applied
+ * @returns {number} return.stats.blocking_pairs - Number of blocking pairs
+ * @returns {number} return.stats.dropped_projects - Number of projects closed for missing their minimum
+ * @returns {number} return.stats.satisfaction_score - Weighted satisfaction score (0-100) of assignments to listed projects
+ * @returns {number|null} return.stats.average_skill_coverage - Mean skill coverage across groups (0-100)
+ * @returns {number} return.stats.skill_weight - Skill weight that was applied
  * 
  * @example
  * const students = [
@@ -68,26 +1389,104 @@
  * ];
  * const projects = [
  *   { id: 5, title: "E-commerce Platform", max_team_size: 4 },
- *   { id: 12, title: "Mobile App", max_team_size: 3 }
+ *   { id: 12, title: "Mobile App", max_team_size: 3, min_team_size: 2 }
  * ];
  * const result = runGroupFormationAlgorithm(students, projects);
  * // result.success === true
- * // result.stats.satisfaction_score === 83.0
+ * // result.dropped_projects[0].project_id === 12
+ * // result.stats.satisfaction_score === 83
+ * 
+ * @example
+ * // Favor teams that cover their project's required skills
+ * const result = runGroupFormationAlgorithm(students, projects, { skillWeight: 0.5 });
+ * // result.groups[0].skill_coverage === 75
+ * 
+ * @example
+ * // Put students who never submitted preferences on the emptiest teams
+ * const result = runGroupFormationAlgorithm(students, projects, { fallbackPolicy: "least_full" });
+ * // result.assignments.filter(a => a.fallback).length === result.stats.fallback_assigned
+ * 
+ * @example
+ * // Lock Alice to project 5 and keep Bob away from her
+ * const result = runGroupFormationAlgorithm(students, projects, {
+ *   constraints: [
+ *     { id: 1, constraint_type: "pin", student_id: 1, project_id: 5 },
+ *     { id: 2, constraint_type: "apart", student_id: 1, other_student_id: 2 }
+ *   ]
+ * });
+ * // result.constraint_violations.length === 0
+ * 
+ * @example
+ * // Keep Alice in her current group and only place everyone else
+ * const result = runGroupFormationAlgorithm(students, projects, {
+ *   existingMembers: [{ student_id: 1, project_id: 5 }]
+ * });
+ * // result.assignments.filter(a => !a.existing) lists the new placements
+ * 
+ * @example
+ * // Alice and Bob formed a pre-team: both land on the same project or neither is placed
+ * const result = runGroupFormationAlgorithm(students, projects, {
+ *   preTeams: [{ id: 3, name: "Team Rocket", member_ids: [1, 2] }]
+ * });
+ * // result.unplaced_pre_teams.length === 0
+ * 
+ * @example
+ * // Bidding: Alice put everything on project 5, Bob split his budget
+ * const result = runGroupFormationAlgorithm([
+ *   { id: 1, name: "Alice", preferences: [5], bids: [100] },
+ *   { id: 2, name: "Bob", preferences: [5, 12], bids: [60, 40] }
+ * ], projects, { preferenceMode: "bidding", bidBudget: 100 });
+ * // result.stats.bid_points_won === 160
+ * 
+ * @example
+ * // Stable matching: both want project 5, which fits one student, and its client prefers Bob
+ * const result = runGroupFormationAlgorithm([
+ *   { id: 1, name: "Alice", preferences: [5, 12] },
+ *   { id: 2, name: "Bob", preferences: [5, 12] }
+ * ], [
+ *   { id: 5, title: "E-commerce Platform", max_team_size: 1, student_rankings: [2, 1] },
+ *   { id: 12, title: "Mobile App", max_team_size: 1 }
+ * ], { matchingMode: "stable" });
+ * // Bob gets project 5 and Alice project 12; result.stats.blocking_pairs === 0
+ * 
+ * @example
+ * // Reproduce an earlier run exactly
+ * const first = runGroupFormationAlgorithm(students, projects);
+ * const again = runGroupFormationAlgorithm(students, projects, { seed: first.seed });
+ * // again.assignments deep-equals first.assignments
  */
-export function runGroupFormationAlgorithm(students, projects) {
+export function runGroupFormationAlgorithm(students, projects, options = {}) {
+  const skillWeight = Math.min(Math.max(Number(options.skillWeight) || 0, 0), 1);
+  const fallbackPolicy = FALLBACK_POLICIES.includes(options.fallbackPolicy) ? options.fallbackPolicy : "none";
+  const constraints = options.constraints || [];
+  const existingMembers = options.existingMembers || [];
+  const preTeams = options.preTeams || [];
+  const preferenceLength = Math.max(1, Math.floor(Number(options.preferenceLength) || DEFAULT_PREFERENCE_LENGTH));
+  const preferenceMode = PREFERENCE_MODES.includes(options.preferenceMode) ? options.preferenceMode : "ranked";
+  const bidBudget = Math.max(1, Number(options.bidBudget) || DEFAULT_BID_BUDGET);
+  const matchingMode = MATCHING_MODES.includes(options.matchingMode) ? options.matchingMode : "optimal";
+  const preferenceWeight = createPreferenceWeight(preferenceMode, preferenceLength, bidBudget);
+  const seed = options.seed !== undefined && options.seed !== null && options.seed !== ""
+    ? String(options.seed).slice(0, MAX_SEED_LENGTH)
+    : generateSeed();
+  const random = createRandom(seed);
+
   // Create project lookup with capacity tracking
   const projectMap = new Map();
   projects.forEach(p => {
     projectMap.set(p.id, {
       ...p,
       capacity: p.max_team_size || 4,
+      minimum: p.min_team_size || 1,
+      requiredSkills: parseSkills(p.skills_required),
+      clientRank: new Map((p.student_rankings || []).map((studentId, index) => [studentId, index])),
+      declined: new Set(p.declined_student_ids || []),
       assigned: []
     });
   });
 
-  // Track assigned students
-  const assignedStudents = new Set();
   const assignments = [];
+  const droppedProjects = [];
   
   // Stats tracking
   const stats = {
@@ -98,58 +1497,112 @@ export function runGroupFormationAlgorithm(students, projects) {
     first_choice: 0,
     second_choice: 0,
     third_choice: 0,
-    other_choice: 0
+    other_choice: 0,
+    fallback_assigned: 0,
+    pinned_students: 0,
+    existing_members: 0,
+    pre_team_students: 0,
+    unplaced_pre_teams: 0,
+    dropped_projects: 0,
+    constraint_violations: 0,
+    skill_weight: skillWeight,
+    fallback_policy: fallbackPolicy,
+    preference_length: preferenceLength,
+    preference_mode: preferenceMode,
+    bid_points_won: preferenceMode === "bidding" ? 0 : null,
+    matching_mode: matchingMode,
+    blocking_pairs: 0
   };
 
+  const preparedStudents = students.map(s => ({ ...s, skillSet: parseSkills(s.skills) }));
+  const studentMap = new Map(preparedStudents.map(s => [s.id, s]));
+
   // Filter students with preferences
-  const studentsWithPrefs = students.filter(s => s.preferences && s.preferences.length > 0);
+  const studentsWithPrefs = preparedStudents.filter(s => s.preferences && s.preferences.length > 0);
   stats.students_with_preferences = studentsWithPrefs.length;
 
   if (studentsWithPrefs.length === 0) {
     return {
       success: false,
       error: "No students have submitted preferences yet",
+      seed,
       stats
     };
   }
 
-  // Create preference tuples: (student, project_id, rank)
-  const prefTuples = [];
-  studentsWithPrefs.forEach(student => {
-    student.preferences.forEach((projectId, index) => {
-      if (projectMap.has(projectId)) {
-        prefTuples.push({
-          student,
-          projectId,
-          rank: index + 1, // 1-based rank
-          // Weight for sorting: lower rank = higher priority
-          // Within same rank, randomize slightly to be fair
-          sortKey: (index + 1) * 1000 + Math.random() * 100
-        });
+  const plan = buildConstraintPlan(constraints, studentMap, projectMap, existingMembers, preTeams);
+  const orderedStudents = shuffle(
+    preparedStudents.filter(s => s.preferences?.length > 0 || plan.locked.has(s.id)),
+    random
+  );
+  const openProjectIds = new Set(projectMap.keys());
+  let chosen = solveAssignments(orderedStudents, projectMap, openProjectIds, skillWeight, preferenceWeight, plan, matchingMode);
+
+  // Close under-filled projects one at a time, since releasing one project's
+  // students may be exactly what lifts another project over its minimum
+  while (true) {
+    const counts = new Map();
+    const pinnedProjectIds = new Set();
+    chosen.forEach(({ projectId, pinned, existing }) => {
+      counts.set(projectId, (counts.get(projectId) || 0) + 1);
+      if (pinned || existing) pinnedProjectIds.add(projectId);
+    });
+
+    let worst = null;
+    counts.forEach((count, projectId) => {
+      if (pinnedProjectIds.has(projectId)) return;
+      const shortfall = projectMap.get(projectId).minimum - count;
+      if (shortfall > 0 && (!worst || shortfall > worst.shortfall)) {
+        worst = { projectId, count, shortfall };
       }
     });
-  });
 
-  // Sort by preference rank (first choices first)
-  prefTuples.sort((a, b) => a.sortKey - b.sortKey);
+    if (!worst) break;
 
-  // Greedy assignment
-  prefTuples.forEach(tuple => {
-    const { student, projectId, rank } = tuple;
-    
-    // Skip if student already assigned
-    if (assignedStudents.has(student.id)) return;
-    
-    // Check if project has capacity
+    const project = projectMap.get(worst.projectId);
+    openProjectIds.delete(worst.projectId);
+    droppedProjects.push({
+      project_id: worst.projectId,
+      project_title: project.title,
+      min_team_size: project.minimum,
+      max_team_size: project.capacity,
+      assigned_count: worst.count,
+      reason: `Only ${worst.count} student(s) could be assigned, below the minimum team size of ${project.minimum}`
+    });
+
+    chosen = solveAssignments(orderedStudents, projectMap, openProjectIds, skillWeight, preferenceWeight, plan, matchingMode);
+  }
+
+  separateApartStudents(chosen, projectMap, openProjectIds, plan);
+
+  if (skillWeight > 0 && matchingMode !== "stable") {
+    balanceSkills(chosen, projectMap, skillWeight, preferenceWeight, plan);
+  }
+
+  const placedIds = new Set(chosen.map(a => a.student.id));
+  // Pre-team members are never placed one by one, even without preferences
+  const studentsWithoutPrefs = preparedStudents
+    .filter(s => (!s.preferences || s.preferences.length === 0) && !placedIds.has(s.id) && !plan.preTeamOf.has(s.id));
+  stats.fallback_assigned = placeFallbackStudents(shuffle(studentsWithoutPrefs, random), chosen, projectMap, fallbackPolicy, plan);
+
+  const constraintViolations = findConstraintViolations(constraints, chosen, studentMap, projectMap);
+  const unplacedPreTeams = findUnplacedPreTeams(preTeams, chosen, studentMap);
+  const blockingPairs = findBlockingPairs(preparedStudents, chosen, projectMap, openProjectIds, plan);
+  const fairness = computeFairness(preparedStudents, chosen, projectMap, plan, preferenceWeight);
+
+  let rankedAssigned = 0;
+  let weightedScore = 0;
+  chosen.forEach(({ student, projectId, rank, pinned, existing, fallback = false }) => {
     const project = projectMap.get(projectId);
-    if (project.assigned.length >= project.capacity) return;
-    
-    // Assign student to project
-    assignedStudents.add(student.id);
+    const preTeamId = plan.preTeamOf.get(student.id) ?? null;
     project.assigned.push({
       id: student.id,
       name: student.name,
-      preference_rank: rank
+      preference_rank: rank,
+      pinned,
+      existing,
+      fallback,
+      pre_team_id: preTeamId
     });
     
     assignments.push({
@@ -157,11 +1610,22 @@ export function runGroupFormationAlgorithm(students, projects) {
       student_name: student.name,
       project_id: projectId,
       project_title: project.title,
-      preference_rank: rank
+      preference_rank: rank,
+      pinned,
+      existing,
+      fallback,
+      pre_team_id: preTeamId
     });
     
     // Update stats
     stats.assigned_students++;
+    if (pinned) stats.pinned_students++;
+    if (existing) stats.existing_members++;
+    if (preTeamId !== null) stats.pre_team_students++;
+    if (rank === null) return;
+    rankedAssigned++;
+    weightedScore += preferenceWeight(student, rank);
+    if (preferenceMode === "bidding") stats.bid_points_won += student.bids?.[rank - 1] ?? 0;
     if (rank === 1) stats.first_choice++;
     else if (rank === 2) stats.second_choice++;
     else if (rank === 3) stats.third_choice++;
@@ -169,16 +1633,15 @@ export function runGroupFormationAlgorithm(students, projects) {
   });
 
   // Count unassigned students
-  stats.unassigned_students = studentsWithPrefs.length - stats.assigned_students;
+  stats.unassigned_students = students.length - stats.assigned_students;
+  stats.dropped_projects = droppedProjects.length;
+  stats.constraint_violations = constraintViolations.length;
+  stats.unplaced_pre_teams = unplacedPreTeams.length;
+  stats.blocking_pairs = blockingPairs.length;
 
   // Calculate satisfaction score (weighted average)
-  if (stats.assigned_students > 0) {
-    const weightedScore = 
-      stats.first_choice * 100 +
-      stats.second_choice * 66 +
-      stats.third_choice * 33 +
-      stats.other_choice * 10;
-    stats.satisfaction_score = Math.round(weightedScore / stats.assigned_students * 10) / 10;
+  if (rankedAssigned > 0) {
+    stats.satisfaction_score = Math.round(weightedScore / rankedAssigned * 10) / 10;
   } else {
     stats.satisfaction_score = 0;
   }
@@ -187,22 +1650,161 @@ export function runGroupFormationAlgorithm(students, projects) {
   const groups = [];
   projectMap.forEach((project, projectId) => {
     if (project.assigned.length > 0) {
+      const coverage = getSkillCoverage(
+        project.requiredSkills,
+        chosen.filter(a => a.projectId === projectId).map(a => a.student.skillSet)
+      );
       groups.push({
         project_id: projectId,
         project_title: project.title,
-        members: project.assigned
+        members: project.assigned,
+        skill_coverage: coverage === null ? null : Math.round(coverage * 1000) / 10
       });
     }
   });
 
+  const coverages = groups.map(g => g.skill_coverage).filter(c => c !== null);
+  stats.average_skill_coverage = coverages.length > 0
+    ? Math.round(coverages.reduce((sum, c) => sum + c, 0) / coverages.length * 10) / 10
+    : null;
+
   return {
     success: true,
+    seed,
     assignments,
     groups,
+    dropped_projects: droppedProjects,
+    constraint_violations: constraintViolations,
+    unplaced_pre_teams: unplacedPreTeams,
+    blocking_pairs: blockingPairs,
+    fairness,
     stats
   };
 }
 
+/**
+ * Maximum number of algorithm runs in one simulation (weights × runs per weight).
+ * A run on a large course takes a noticeable fraction of a second, so this
+ * bounds how long one simulation keeps the server busy.
+ * 
+ * @constant {number}
+ */
+export const MAX_SIMULATION_RUNS = 30;
+
+/**
+ * Summarize Values
+ * 
+ * @private
+ * @function summarize
+ * @param {Array<number|null>} values - Values to summarize; nulls are ignored
+ * @param {number} [decimals=1] - Decimal places to round to
+ * @returns {{mean: number, min: number, max: number}|null} Summary, or null if there are no values
+ */
+function summarize(values, decimals = 1) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return null;
+
+  const factor = 10 ** decimals;
+  const round = (value) => Math.round(value * factor) / factor;
+  return {
+    mean: round(present.reduce((sum, value) => sum + value, 0) / present.length),
+    min: round(Math.min(...present)),
+    max: round(Math.max(...present))
+  };
+}
+
+/**
+ * Simulate Group Formation
+ * 
+ * Runs the algorithm several times for each skill weight and aggregates the
+ * results for what-if comparisons. Run i of every weight uses the seed
+ * "<seed>-<i>", so the weights are compared on the same tie-breaking.
+ * Yields to the event loop between runs so other requests aren't stalled.
+ * 
+ * @async
+ * @function simulateGroupFormation
+ * @param {Array<Object>} students - Students, as for runGroupFormationAlgorithm
+ * @param {Array<Object>} projects - Projects, as for runGroupFormationAlgorithm
+ * @param {Object} [options] - Options passed on to runGroupFormationAlgorithm, plus:
+ * @param {Array<number>} [options.skillWeights=[0]] - Skill weights (0-1) to compare
+ * @param {number} [options.runs=5] - Runs per skill weight
+ * @param {string} [options.seed] - Base seed; a random one is generated if omitted
+ * @returns {Promise<Object>} Simulation result
+ * @returns {boolean} return.success - Whether the algorithm could run
+ * @returns {string} return.seed - Base seed, to reproduce the simulation
+ * @returns {Array<Object>} return.scenarios - Per skill weight: summaries (mean/min/max) of
+ *   satisfaction, Gini, students worse off than rank-maximal, envy pairs, blocking pairs, assigned students
+ *   and skill coverage; the mean rank distribution; a 10-bucket satisfaction histogram;
+ *   and one sample per run
+ * 
+ * @example
+ * const sim = await simulateGroupFormation(students, projects, { skillWeights: [0, 0.5], runs: 10 });
+ * // sim.scenarios[1].satisfaction.mean => 81.4
+ */
+export async function simulateGroupFormation(students, projects, options = {}) {
+  const skillWeights = options.skillWeights?.length > 0 ? options.skillWeights : [0];
+  const runs = Math.max(1, Math.floor(Number(options.runs) || 5));
+  const seed = options.seed !== undefined && options.seed !== null && options.seed !== ""
+    ? String(options.seed).slice(0, MAX_SEED_LENGTH)
+    : generateSeed();
+
+  const scenarios = [];
+  for (const skillWeight of skillWeights) {
+    const samples = [];
+    for (let i = 0; i < runs; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+      const result = runGroupFormationAlgorithm(students, projects, { ...options, skillWeight, seed: `${seed}-${i}` });
+      if (!result.success) {
+        return { success: false, error: result.error, seed };
+      }
+
+      samples.push({
+        seed: result.seed,
+        satisfaction_score: result.stats.satisfaction_score,
+        assigned_students: result.stats.assigned_students,
+        average_skill_coverage: result.stats.average_skill_coverage,
+        satisfaction_gini: result.fairness.satisfaction_gini,
+        worse_than_rank_maximal: result.fairness.worse_than_rank_maximal,
+        envy_pairs: result.fairness.envy_pairs,
+        blocking_pairs: result.stats.blocking_pairs,
+        rank_distribution: result.fairness.rank_distribution
+      });
+    }
+
+    const rankDistribution = {};
+    samples.forEach(sample => {
+      Object.entries(sample.rank_distribution).forEach(([rank, count]) => {
+        rankDistribution[rank] = (rankDistribution[rank] || 0) + count / samples.length;
+      });
+    });
+    Object.keys(rankDistribution).forEach(rank => {
+      rankDistribution[rank] = Math.round(rankDistribution[rank] * 10) / 10;
+    });
+
+    const histogram = new Array(10).fill(0);
+    samples.forEach(sample => {
+      histogram[Math.min(9, Math.floor(sample.satisfaction_score / 10))]++;
+    });
+
+    scenarios.push({
+      skill_weight: skillWeight,
+      runs: samples.length,
+      satisfaction: summarize(samples.map(s => s.satisfaction_score)),
+      satisfaction_gini: summarize(samples.map(s => s.satisfaction_gini), 3),
+      worse_than_rank_maximal: summarize(samples.map(s => s.worse_than_rank_maximal)),
+      envy_pairs: summarize(samples.map(s => s.envy_pairs)),
+      blocking_pairs: summarize(samples.map(s => s.blocking_pairs)),
+      assigned_students: summarize(samples.map(s => s.assigned_students)),
+      average_skill_coverage: summarize(samples.map(s => s.average_skill_coverage)),
+      rank_distribution: rankDistribution,
+      satisfaction_histogram: histogram.map((count, i) => ({ from: i * 10, to: (i + 1) * 10, count })),
+      samples
+    });
+  }
+
+  return { success: true, seed, scenarios };
+}
+
 /**
  * Validate Algorithm Input Data
  * 
@@ -210,6 +1812,7 @@ export function runGroupFormationAlgorithm(students, projects) {
  * algorithm. Checks for:
  * - Non-empty student and project arrays
  * - At least one student with submitted preferences
+ * - Minimum team sizes that do not exceed maximum team sizes
  * - Sufficient total project capacity for all students with preferences
  * 
  * This validation helps prevent algorithm failures and provides clear error messages
@@ -254,6 +1857,13 @@ export function validateAlgorithmInput(students, projects) {
     errors.push("No students have submitted preferences");
   }
 
+  // Check team size bounds
+  projects?.forEach(p => {
+    if (p.min_team_size && p.min_team_size > (p.max_team_size || 4)) {
+      errors.push(`Project "${p.title}" has a minimum team size of ${p.min_team_size} but a maximum of ${p.max_team_size || 4}`);
+    }
+  });
+
   // Check total capacity
   const totalCapacity = projects?.reduce((sum, p) => sum + (p.max_team_size || 4), 0) || 0;
   if (totalCapacity < studentsWithPrefs.length) {
@@ -277,8 +1887,28 @@ export function validateAlgorithmInput(students, projects) {
  * @type {Object}
  * @property {Function} runGroupFormationAlgorithm - Main algorithm function
  * @property {Function} validateAlgorithmInput - Input validation function
+ * @property {Function} simulateGroupFormation - Repeated runs for what-if comparisons
+ * @property {Array<string>} FALLBACK_POLICIES - Supported fallback policies
+ * @property {Array<string>} CONSTRAINT_TYPES - Supported constraint types
+ * @property {number} MAX_SEED_LENGTH - Maximum seed length
+ * @property {number} MAX_SIMULATION_RUNS - Maximum runs in one simulation
+ * @property {number} DEFAULT_PREFERENCE_LENGTH - Preference length used when none is configured
+ * @property {Array<string>} PREFERENCE_MODES - Supported preference modes
+ * @property {number} DEFAULT_BID_BUDGET - Bid budget used when none is configured
+ * @property {Array<string>} MATCHING_MODES - Supported matching modes
  */
 export default {
   runGroupFormationAlgorithm,
-  validateAlgorithmInput
+  validateAlgorithmInput,
+  simulateGroupFormation,
+  FALLBACK_POLICIES,
+  CONSTRAINT_TYPES,
+  MAX_SEED_LENGTH,
+  MAX_SIMULATION_RUNS,
+  DEFAULT_PREFERENCE_LENGTH,
+  PREFERENCE_MODES,
+  DEFAULT_BID_BUDGET,
+  MATCHING_MODES,
+  parseSkills,
+  getSkillCoverage
 };
\ No newline at end of file
@@ -11,27 +11,45 @@
  * 4. Group Formation (auto-assign, preview, manual management)
  * 5. Instructor Profile (CRUD operations)
  * 6. Dashboard Statistics
+ * 7. Review Queue (proposals awaiting review, their reviewers and votes)
  * 
  * IMPORTANT: Group-related routes MUST be defined BEFORE /:instructor_id routes
  * to prevent Express from treating "groups" as an instructor ID parameter.
  * 
+ * Settings, students, groups, formation runs, constraints and extensions are all
+ * read and written in the active course (req.courseId, see middleware/courseScope).
+ * Changing them takes a course manager role (instructor or co-instructor, see
+ * verifyRole); TAs can view them.
+ * 
  * @module routes/instructorRoutes
  * @requires express
+ * @requires crypto
  * @requires jsonwebtoken
  * @requires ../../db
  * @requires ../../firebaseAdmin
  * @requires ../middleware/authMiddleware
  * @requires ../middleware/validateRequest
  * @requires ./groupAlgorithmRoutes
+ * @requires ../utils/preferenceSettings
+ * @requires ../utils/preferenceHistory
+ * @requires ../utils/preferenceWindow
+ * @requires ../utils/projectPopularity
+ * @requires ../utils/reviewQuorum
  */
 
 import express from "express";
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import db from "../../db.js";
 import { auth } from "../../firebaseAdmin.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyToken, verifyRole, COURSE_MANAGER_ROLES } from "../middleware/authMiddleware.js";
 import { validateInstructorSignup, validateInstructorLogin } from "../middleware/validateRequest.js";
-import { runGroupFormationAlgorithm } from "./groupAlgorithmRoutes.js";
+import { runGroupFormationAlgorithm, simulateGroupFormation, FALLBACK_POLICIES, CONSTRAINT_TYPES, MATCHING_MODES, MAX_SEED_LENGTH, MAX_SIMULATION_RUNS } from "./groupAlgorithmRoutes.js";
+import { getPreferenceSettings, validatePreferenceSetting, PREFERENCE_SETTING_KEYS } from "../utils/preferenceSettings.js";
+import { diffPreferenceSnapshots } from "../utils/preferenceHistory.js";
+import { getPreferenceWindow, PREFERENCE_WINDOW_KEYS } from "../utils/preferenceWindow.js";
+import { getProjectPopularity } from "../utils/projectPopularity.js";
+import { validateReviewSetting, getReviewSettings, getEligibleReviewers, tallyReviewVotes, REVIEW_SETTING_KEYS } from "../utils/reviewQuorum.js";
 
 const router = express.Router();
 
@@ -82,6 +100,468 @@ function generateTempPassword(length = 10) {
   return password;
 }
 
+/**
+ * Group formation modes.
+ * - incremental: keep existing groups and only place unassigned students
+ * - replace: delete all groups and form them from scratch (needs a confirmation token)
+ * 
+ * @constant {Array<string>}
+ */
+const FORMATION_MODES = ["incremental", "replace"];
+
+/**
+ * How long a replace-mode confirmation token from a preview stays valid.
+ * 
+ * @constant {string}
+ */
+const REPLACE_TOKEN_TTL = "15m";
+
+/**
+ * Parse Group Formation Options
+ * 
+ * Reads and validates the optional algorithm settings and mode shared by the
+ * preview and auto-assign endpoints.
+ * 
+ * @function parseFormationOptions
+ * @param {Object} [body] - Request body
+ * @returns {{options: Object, mode: string}|{error: string}} Algorithm options and mode, or a validation error
+ * 
+ * @example
+ * const { options, mode, error } = parseFormationOptions({ skill_weight: 0.3, fallback_policy: "skills" });
+ * // options => { skillWeight: 0.3, fallbackPolicy: "skills", matchingMode: "optimal", seed: undefined }, mode => "incremental"
+ */
+function parseFormationOptions(body = {}) {
+  const skillWeight = body.skill_weight !== undefined ? Number(body.skill_weight) : 0;
+  if (isNaN(skillWeight) || skillWeight < 0 || skillWeight > 1) {
+    return { error: "skill_weight must be a number between 0 and 1" };
+  }
+
+  const fallbackPolicy = body.fallback_policy ?? "none";
+  if (!FALLBACK_POLICIES.includes(fallbackPolicy)) {
+    return { error: `fallback_policy must be one of: ${FALLBACK_POLICIES.join(", ")}` };
+  }
+
+  const matchingMode = body.matching_mode ?? "optimal";
+  if (!MATCHING_MODES.includes(matchingMode)) {
+    return { error: `matching_mode must be one of: ${MATCHING_MODES.join(", ")}` };
+  }
+
+  const mode = body.mode ?? "incremental";
+  if (!FORMATION_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${FORMATION_MODES.join(", ")}` };
+  }
+
+  let seed;
+  if (body.seed !== undefined && body.seed !== null && body.seed !== "") {
+    seed = ["string", "number"].includes(typeof body.seed) ? String(body.seed).trim() : "";
+    if (!seed || seed.length > MAX_SEED_LENGTH) {
+      return { error: `seed must be a string or number of at most ${MAX_SEED_LENGTH} characters` };
+    }
+  }
+
+  return { options: { skillWeight, fallbackPolicy, matchingMode, seed }, mode };
+}
+
+/**
+ * Load Group Formation Input
+ * 
+ * Fetches everything the formation algorithm needs: active students with their
+ * ranked preferences, approved projects, instructor constraints, and current
+ * group memberships. In incremental mode, members of a group with an approved
+ * project are passed on as existing members, and members of any other group are
+ * left out of the run entirely. Rows are read in a fixed order so that a seeded
+ * run over unchanged data gives the same result.
+ * 
+ * Each project carries its client's ranking of interested students
+ * (student_rankings) and the students the client declined (declined_student_ids).
+ * 
+ * Pre-teams with at least two accepted members in the run are passed on as
+ * indivisible units; if a pre-team submitted a joint preference list, it replaces
+ * the members' own lists.
+ * 
+ * The course's preference model (see getPreferenceSettings) is returned as
+ * algorithm options: the preference length rank weights are spread over, and in
+ * bidding mode the bid budget. In bidding mode each student also carries their
+ * bids, in the same order as their preferences.
+ * 
+ * Only the course's enrolled students, projects, groups, constraints and
+ * pre-teams are loaded; with no course, the shared (unscoped) data is used.
+ * 
+ * @async
+ * @function loadFormationInput
+ * @param {string} mode - One of FORMATION_MODES
+ * @param {number|null} [courseId] - Course to form groups in (null for the shared scope)
+ * @returns {Promise<Object>} students, projects, constraints, existingMembers, preTeams, preferenceOptions, and a fingerprint of current memberships
+ * 
+ * @example
+ * const { students, projects, constraints, existingMembers, preTeams, preferenceOptions } = await loadFormationInput("incremental", req.courseId);
+ */
+async function loadFormationInput(mode, courseId = null) {
+  const settings = await getPreferenceSettings(courseId);
+  const bidding = settings.preference_mode === "bidding";
+
+  const [studentsData] = await db.query(`
+    SELECT 
+      u.id,
+      up.full_name as name,
+      up.skills,
+      u.email
+    FROM users u
+    JOIN user_profiles up ON u.id = up.user_id
+    WHERE u.role = 'student' AND u.deleted_at IS NULL
+      AND (? IS NULL OR u.id IN (SELECT user_id FROM course_enrollments WHERE course_id = ? AND role = 'student'))
+    ORDER BY u.id
+  `, [courseId, courseId]);
+
+  const [preferences] = await db.query(`
+    SELECT student_id, project_id, bid_points
+    FROM student_preferences
+    WHERE course_id <=> ?
+    ORDER BY student_id, preference_rank ASC
+  `, [courseId]);
+  const preferencesByStudent = new Map();
+  const bidsByStudent = new Map();
+  preferences.forEach(({ student_id, project_id, bid_points }) => {
+    if (!preferencesByStudent.has(student_id)) {
+      preferencesByStudent.set(student_id, []);
+      bidsByStudent.set(student_id, []);
+    }
+    preferencesByStudent.get(student_id).push(project_id);
+    bidsByStudent.get(student_id).push(bid_points ?? 0);
+  });
+
+  const [projects] = await db.query(`
+    SELECT 
+      id,
+      title,
+      max_team_size,
+      min_team_size,
+      required_skills as skills_required
+    FROM projects
+    WHERE approval_status = 'approved' AND course_id <=> ?
+    ORDER BY id
+  `, [courseId]);
+
+  const [clientRankings] = await db.query(`
+    SELECT project_id, student_id, decision
+    FROM client_student_rankings
+    ORDER BY project_id, client_rank IS NULL, client_rank, student_id
+  `);
+  projects.forEach(project => {
+    project.student_rankings = [];
+    project.declined_student_ids = [];
+  });
+  const projectsById = new Map(projects.map(project => [project.id, project]));
+  clientRankings.forEach(({ project_id, student_id, decision }) => {
+    const project = projectsById.get(project_id);
+    if (!project) return;
+    if (decision === "declined") project.declined_student_ids.push(student_id);
+    else project.student_rankings.push(student_id);
+  });
+
+  const [constraints] = await db.query(
+    "SELECT id, constraint_type, student_id, other_student_id, project_id FROM group_constraints WHERE course_id <=> ? ORDER BY id",
+    [courseId]
+  );
+
+  const [memberships] = await db.query(`
+    SELECT gm.group_id, gm.student_id, sg.project_id
+    FROM group_members gm
+    JOIN student_groups sg ON gm.group_id = sg.id
+    WHERE sg.course_id <=> ?
+    ORDER BY gm.group_id, gm.student_id
+  `, [courseId]);
+
+  let students = studentsData.map(student => ({
+    id: student.id,
+    name: student.name || student.email,
+    skills: student.skills,
+    preferences: preferencesByStudent.get(student.id) || [],
+    ...(bidding && { bids: bidsByStudent.get(student.id) || [] })
+  }));
+
+  let existingMembers = [];
+  if (mode === "incremental") {
+    const approvedIds = new Set(projects.map(p => p.id));
+    const groupedIds = new Set(memberships.map(m => m.student_id));
+    existingMembers = memberships
+      .filter(m => approvedIds.has(m.project_id))
+      .map(m => ({ student_id: m.student_id, project_id: m.project_id }));
+    const keptIds = new Set(existingMembers.map(m => m.student_id));
+    students = students.filter(s => !groupedIds.has(s.id) || keptIds.has(s.id));
+  }
+
+  const [preTeamMembers] = await db.query(`
+    SELECT pt.id, pt.name, ptm.student_id
+    FROM pre_teams pt
+    JOIN pre_team_members ptm ON ptm.pre_team_id = pt.id
+    WHERE ptm.status = 'accepted' AND pt.course_id <=> ?
+    ORDER BY pt.id, ptm.student_id
+  `, [courseId]);
+  const [preTeamPreferences] = await db.query(`
+    SELECT pre_team_id, project_id
+    FROM pre_team_preferences
+    ORDER BY pre_team_id, preference_rank ASC
+  `);
+
+  const studentIds = new Set(students.map(s => s.id));
+  const preTeamsById = new Map();
+  preTeamMembers.forEach(({ id, name, student_id }) => {
+    if (!studentIds.has(student_id)) return;
+    if (!preTeamsById.has(id)) preTeamsById.set(id, { id, name, member_ids: [], preferences: [] });
+    preTeamsById.get(id).member_ids.push(student_id);
+  });
+  preTeamPreferences.forEach(({ pre_team_id, project_id }) => {
+    preTeamsById.get(pre_team_id)?.preferences.push(project_id);
+  });
+
+  const preTeams = [...preTeamsById.values()].filter(team => team.member_ids.length > 1);
+  const jointPreferences = new Map();
+  preTeams.forEach(team => {
+    if (team.preferences.length === 0) return;
+    team.member_ids.forEach(id => jointPreferences.set(id, team.preferences));
+  });
+  // Joint lists are ranked, so their members are scored by rank even in bidding mode
+  students = students.map(s => (jointPreferences.has(s.id) ? { ...s, preferences: jointPreferences.get(s.id), bids: undefined } : s));
+
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(memberships.map(m => `${m.group_id}:${m.student_id}`).join(","))
+    .digest("hex");
+
+  const preferenceOptions = {
+    preferenceLength: settings.preference_length,
+    preferenceMode: settings.preference_mode,
+    bidBudget: settings.bid_budget
+  };
+
+  return { students, projects, constraints, existingMembers, preTeams, preferenceOptions, fingerprint };
+}
+
+/**
+ * Parse JSON Column
+ * 
+ * Returns a JSON column value as an object whether the driver already parsed it
+ * or returned the raw string.
+ * 
+ * @function parseJsonColumn
+ * @param {*} value - Column value
+ * @returns {*} Parsed value, or null if empty or malformed
+ */
+function parseJsonColumn(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Snapshot Current Groups
+ * 
+ * Reads every group in a course with its member IDs, in the shape stored in
+ * formation_runs.groups_snapshot and restored by rollback.
+ * 
+ * @async
+ * @function snapshotGroups
+ * @param {Object} conn - Database pool or transaction connection
+ * @param {number|null} [courseId] - Course to snapshot (null for the shared scope)
+ * @returns {Promise<Array<{group_name: string, project_id: number, status: string, members: Array<number>}>>} Groups
+ * 
+ * @example
+ * const groups = await snapshotGroups(connection, req.courseId);
+ */
+async function snapshotGroups(conn, courseId = null) {
+  const [rows] = await conn.query(`
+    SELECT sg.id, sg.group_name, sg.project_id, sg.status, gm.student_id
+    FROM student_groups sg
+    LEFT JOIN group_members gm ON gm.group_id = sg.id
+    WHERE sg.course_id <=> ?
+    ORDER BY sg.id, gm.student_id
+  `, [courseId]);
+
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row.id)) {
+      groups.set(row.id, {
+        group_name: row.group_name,
+        project_id: row.project_id,
+        status: row.status,
+        members: []
+      });
+    }
+    if (row.student_id) groups.get(row.id).members.push(row.student_id);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Save Formation Run
+ * 
+ * Records a preview, commit, or rollback in formation_runs.
+ * 
+ * @async
+ * @function saveFormationRun
+ * @param {Object} conn - Database pool or transaction connection
+ * @param {Object} run - Run details
+ * @param {string} run.runType - preview, commit, or rollback
+ * @param {string} [run.mode] - Formation mode used
+ * @param {Object} [run.parameters] - Algorithm options from the request
+ * @param {string} [run.seed] - Random seed used by the algorithm
+ * @param {Object} [run.inputs] - Snapshot of students, projects, and constraints
+ * @param {Object} [run.result] - Algorithm result without stats
+ * @param {Object} [run.stats] - Algorithm or rollback statistics
+ * @param {Array<Object>} [run.groups] - Groups as saved (commit and rollback only)
+ * @param {number} [run.sourceRunId] - Run restored by a rollback
+ * @param {number} [run.createdBy] - Instructor who started the run
+ * @param {number|null} [run.courseId] - Course the run belongs to
+ * @returns {Promise<number>} New run ID
+ */
+async function saveFormationRun(conn, run) {
+  const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+  const [result] = await conn.query(
+    `INSERT INTO formation_runs
+      (run_type, mode, parameters, seed, inputs_snapshot, result, stats, groups_snapshot, source_run_id, created_by, course_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      run.runType,
+      run.mode ?? null,
+      toJson(run.parameters),
+      run.seed ?? null,
+      toJson(run.inputs),
+      toJson(run.result),
+      toJson(run.stats),
+      toJson(run.groups),
+      run.sourceRunId ?? null,
+      run.createdBy ?? null,
+      run.courseId ?? null,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Get Run Placements
+ * 
+ * Maps each student in a formation run to the project they ended up on. Commit
+ * and rollback runs use the saved groups; previews use the algorithm assignments.
+ * 
+ * @function getRunPlacements
+ * @param {Object} run - formation_runs row
+ * @returns {Map<number, number|null>} Project ID by student ID
+ */
+function getRunPlacements(run) {
+  const placements = new Map();
+  const groups = parseJsonColumn(run.groups_snapshot);
+
+  if (groups) {
+    groups.forEach(group => group.members.forEach(id => placements.set(id, group.project_id)));
+  } else {
+    const result = parseJsonColumn(run.result);
+    (result?.assignments || []).forEach(a => placements.set(a.student_id, a.project_id));
+  }
+
+  return placements;
+}
+
+/**
+ * Validate Group Constraint
+ * 
+ * Checks a pin/together/apart constraint before it is saved: the shape must match
+ * the type, the students and project must exist, a student can only be pinned
+ * once, and a pair cannot be required both together and apart.
+ * 
+ * @async
+ * @function validateGroupConstraint
+ * @param {Object} constraint - Constraint fields
+ * @param {string} constraint.constraint_type - One of CONSTRAINT_TYPES
+ * @param {number} constraint.student_id - Constrained student
+ * @param {number|null} constraint.other_student_id - Partner student (together/apart)
+ * @param {number|null} constraint.project_id - Pinned project (pin)
+ * @param {number|null} [excludeId=null] - Constraint being updated, ignored in duplicate checks
+ * @param {number|null} [courseId=null] - Course the constraint belongs to
+ * @returns {Promise<{status: number, error: string}|null>} Validation failure, or null if valid
+ * 
+ * @example
+ * const failure = await validateGroupConstraint({ constraint_type: "pin", student_id: 42, project_id: 5 }, null, req.courseId);
+ * if (failure) return res.status(failure.status).json({ success: false, error: failure.error });
+ */
+async function validateGroupConstraint(constraint, excludeId = null, courseId = null) {
+  const { constraint_type, student_id, other_student_id, project_id } = constraint;
+
+  if (!CONSTRAINT_TYPES.includes(constraint_type)) {
+    return { status: 400, error: `constraint_type must be one of: ${CONSTRAINT_TYPES.join(", ")}` };
+  }
+  if (!student_id || isNaN(student_id)) {
+    return { status: 400, error: "A valid student_id is required" };
+  }
+
+  if (constraint_type === "pin") {
+    if (!project_id || isNaN(project_id)) {
+      return { status: 400, error: "project_id is required for a pin constraint" };
+    }
+    if (other_student_id) {
+      return { status: 400, error: "other_student_id is not allowed for a pin constraint" };
+    }
+  } else {
+    if (!other_student_id || isNaN(other_student_id)) {
+      return { status: 400, error: `other_student_id is required for a ${constraint_type} constraint` };
+    }
+    if (parseInt(other_student_id) === parseInt(student_id)) {
+      return { status: 400, error: "A student cannot be constrained with themselves" };
+    }
+    if (project_id) {
+      return { status: 400, error: `project_id is not allowed for a ${constraint_type} constraint` };
+    }
+  }
+
+  const studentIds = [student_id, other_student_id].filter(Boolean).map(id => parseInt(id));
+  const [students] = await db.query(
+    "SELECT id FROM users WHERE id IN (?) AND role = 'student' AND deleted_at IS NULL",
+    [studentIds]
+  );
+  if (students.length !== studentIds.length) {
+    return { status: 404, error: "Student not found" };
+  }
+
+  if (constraint_type === "pin") {
+    const [projects] = await db.query(
+      "SELECT id FROM projects WHERE id = ? AND approval_status = 'approved' AND course_id <=> ?",
+      [parseInt(project_id), courseId]
+    );
+    if (projects.length === 0) {
+      return { status: 404, error: "Approved project not found" };
+    }
+
+    const [existing] = await db.query(
+      "SELECT id FROM group_constraints WHERE constraint_type = 'pin' AND student_id = ? AND id <> ? AND course_id <=> ?",
+      [parseInt(student_id), excludeId || 0, courseId]
+    );
+    if (existing.length > 0) {
+      return { status: 400, error: "Student is already pinned to a project. Update or delete that constraint first." };
+    }
+    return null;
+  }
+
+  // Pair constraints are symmetric, so check both orderings
+  const [pairs] = await db.query(
+    `SELECT constraint_type FROM group_constraints
+     WHERE constraint_type IN ('together', 'apart') AND id <> ? AND course_id <=> ?
+       AND ((student_id = ? AND other_student_id = ?) OR (student_id = ? AND other_student_id = ?))`,
+    [excludeId || 0, courseId, studentIds[0], studentIds[1], studentIds[1], studentIds[0]]
+  );
+  if (pairs.some(pair => pair.constraint_type === constraint_type)) {
+    return { status: 400, error: `These students already have a ${constraint_type} constraint` };
+  }
+  if (pairs.length > 0) {
+    return { status: 400, error: "These students already have the opposite constraint. Delete it first." };
+  }
+
+  return null;
+}
+
 // ==================== AUTHENTICATION ====================
 
 /**
@@ -281,7 +761,8 @@ router.post("/login", validateInstructorLogin, async (req, res) => {
 /**
  * Get All Settings
  * 
- * Retrieves all application settings from the app_settings table.
+ * Retrieves all application settings from the app_settings table, as they apply
+ * to the active course: the course's own values override the shared ones.
  * Protected route - only instructors and admins can access.
  * 
  * @route GET /instructors/settings/all
@@ -307,7 +788,10 @@ router.get("/settings/all", verifyToken, async (req, res) => {
 
     const [settings] = await db.query(
       `SELECT setting_key, setting_value, description, updated_at 
-       FROM app_settings`
+       FROM app_settings
+       WHERE course_id IS NULL OR course_id = ?
+       ORDER BY course_id IS NULL DESC`,
+      [req.courseId]
     );
 
     const settingsObj = {};
@@ -335,28 +819,28 @@ router.get("/settings/all", verifyToken, async (req, res) => {
 /**
  * Get Preference Deadline
  * 
- * Retrieves the student preference submission deadline.
+ * Retrieves the course-wide preference window: the submission deadline and when
+ * submissions open. Does not include per-student extensions.
  * Public route - students need this to check if they can still submit preferences.
  * 
  * @route GET /instructors/settings/preference-deadline
  * @group Settings - Course configuration operations
- * @returns {object} 200 - Success response with deadline value
+ * @returns {object} 200 - Success response with deadline and opens_at values
  * @returns {object} 500 - Server error
  * 
  * @example
  * GET /instructors/settings/preference-deadline
- * Response: { "success": true, "data": { "deadline": "2025-01-15T23:59:59Z" } }
+ * Response: { "success": true, "data": { "deadline": "2025-01-15T23:59:59Z", "opens_at": "2025-01-06T09:00:00Z" } }
  */
 router.get("/settings/preference-deadline", async (req, res) => {
   try {
-    const [settings] = await db.query(
-      `SELECT setting_value FROM app_settings WHERE setting_key = 'preference_deadline'`
-    );
+    const preferenceWindow = await getPreferenceWindow(null, db, req.courseId);
 
     res.json({
       success: true,
       data: {
-        deadline: settings.length > 0 ? settings[0].setting_value : null,
+        deadline: preferenceWindow.deadline,
+        opens_at: preferenceWindow.opens_at,
       },
     });
   } catch (err) {
@@ -371,9 +855,15 @@ router.get("/settings/preference-deadline", async (req, res) => {
 /**
  * Update Setting
  * 
- * Updates a specific application setting.
+ * Updates a specific application setting. With an active course the value is
+ * saved for that course only; otherwise the shared value is changed.
  * Protected route - only instructors and admins can modify settings.
- * Currently supports: preference_deadline
+ * Currently supports: preference_opens_at, preference_deadline, max_preferences,
+ * min_preferences, rank_all_projects, preference_mode, bid_budget,
+ * approval_quorum, rejection_quorum
+ * 
+ * preference_opens_at and preference_deadline bound the preference window; when
+ * both are set, submissions must open before the deadline.
  * 
  * @route PUT /instructors/settings/:key
  * @group Settings - Course configuration operations
@@ -382,7 +872,7 @@ router.get("/settings/preference-deadline", async (req, res) => {
  * @param {string} value.body.required - New setting value
  * @param {string} authorization.header.required - Bearer token
  * @returns {object} 200 - Success response
- * @returns {object} 400 - Invalid setting key or value format
+ * @returns {object} 400 - Invalid setting key or value format, min_preferences above max_preferences, or window opening after the deadline
  * @returns {object} 403 - Unauthorized access
  * @returns {object} 500 - Server error
  * 
@@ -391,8 +881,20 @@ router.get("/settings/preference-deadline", async (req, res) => {
  * {
  *   "value": "2025-01-15T23:59:59Z"
  * }
+ * 
+ * @example
+ * PUT /instructors/settings/max_preferences
+ * {
+ *   "value": 5
+ * }
+ * 
+ * @example
+ * PUT /instructors/settings/approval_quorum
+ * {
+ *   "value": 2
+ * }
  */
-router.put("/settings/:key", verifyToken, async (req, res) => {
+router.put("/settings/:key", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
   try {
     const { key } = req.params;
     const { value } = req.body;
@@ -404,7 +906,7 @@ router.put("/settings/:key", verifyToken, async (req, res) => {
       });
     }
 
-    const allowedSettings = ["preference_deadline"];
+    const allowedSettings = [...PREFERENCE_WINDOW_KEYS, ...PREFERENCE_SETTING_KEYS, ...REVIEW_SETTING_KEYS];
     if (!allowedSettings.includes(key)) {
       return res.status(400).json({
         success: false,
@@ -412,7 +914,7 @@ router.put("/settings/:key", verifyToken, async (req, res) => {
       });
     }
 
-    if (key === "preference_deadline" && value) {
+    if (PREFERENCE_WINDOW_KEYS.includes(key) && value) {
       const date = new Date(value);
       if (isNaN(date.getTime())) {
         return res.status(400).json({
@@ -420,20 +922,65 @@ router.put("/settings/:key", verifyToken, async (req, res) => {
           error: "Invalid date format",
         });
       }
+
+      // Keep the window's opening before its deadline
+      const current = await getPreferenceWindow(null, db, req.courseId);
+      const opensAt = key === "preference_opens_at" ? value : current.opens_at;
+      const deadline = key === "preference_deadline" ? value : current.deadline;
+      if (opensAt && deadline && new Date(opensAt) >= new Date(deadline)) {
+        return res.status(400).json({
+          success: false,
+          error: "Preference submissions must open before the deadline",
+        });
+      }
+    }
+
+    let storedValue = value || null;
+    if (PREFERENCE_SETTING_KEYS.includes(key)) {
+      const validationError = validatePreferenceSetting(key, value);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError,
+        });
+      }
+      storedValue = String(value);
+
+      // Keep the minimum at or below the maximum
+      const current = await getPreferenceSettings(req.courseId);
+      const min = key === "min_preferences" ? Number(value) : current.min_preferences;
+      const max = key === "max_preferences" ? Number(value) : current.max_preferences;
+      if (["min_preferences", "max_preferences"].includes(key) && !current.rank_all_projects && min > max) {
+        return res.status(400).json({
+          success: false,
+          error: "min_preferences cannot be greater than max_preferences",
+        });
+      }
+    }
+
+    if (REVIEW_SETTING_KEYS.includes(key)) {
+      const validationError = validateReviewSetting(key, value);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError,
+        });
+      }
+      storedValue = String(value);
     }
 
     const [result] = await db.query(
       `UPDATE app_settings 
        SET setting_value = ?, updated_by = ?
-       WHERE setting_key = ?`,
-      [value || null, req.user.instructorId, key]
+       WHERE setting_key = ? AND course_id <=> ?`,
+      [storedValue, req.user.instructorId, key, req.courseId]
     );
 
     if (result.affectedRows === 0) {
       await db.query(
-        `INSERT INTO app_settings (setting_key, setting_value, updated_by) 
-         VALUES (?, ?, ?)`,
-        [key, value || null, req.user.instructorId]
+        `INSERT INTO app_settings (setting_key, setting_value, updated_by, course_id) 
+         VALUES (?, ?, ?, ?)`,
+        [key, storedValue, req.user.instructorId, req.courseId]
       );
     }
 
@@ -480,7 +1027,7 @@ router.put("/settings/:key", verifyToken, async (req, res) => {
  * }
  * Response includes tempPassword that should be shared with the student
  */
-router.post("/add-student", verifyToken, async (req, res) => {
+router.post("/add-student", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
   try {
     // Verify instructor role
     if (req.user.role !== "instructor" && req.user.role !== "admin") {
@@ -563,6 +1110,14 @@ router.post("/add-student", verifyToken, async (req, res) => {
         [userId, first_name.trim(), last_name.trim(), fullName]
       );
 
+      // Enroll the new student in the active course
+      if (req.courseId) {
+        await connection.query(
+          "INSERT INTO course_enrollments (course_id, user_id, role) VALUES (?, ?, 'student')",
+          [req.courseId, userId]
+        );
+      }
+
       connection.release();
 
       console.log(`✅ Student added by instructor: ${email}`);
@@ -657,9 +1212,14 @@ router.get("/unassigned-students", verifyToken, async (req, res) => {
       LEFT JOIN user_profiles up ON u.id = up.user_id
       WHERE u.role = 'student' 
         AND u.deleted_at IS NULL
-        AND u.id NOT IN (SELECT student_id FROM group_members)
+        AND (? IS NULL OR u.id IN (SELECT user_id FROM course_enrollments WHERE course_id = ? AND role = 'student'))
+        AND u.id NOT IN (
+          SELECT gm.student_id FROM group_members gm
+          JOIN student_groups sg ON gm.group_id = sg.id
+          WHERE sg.course_id <=> ?
+        )
       ORDER BY up.first_name ASC
-    `);
+    `, [req.courseId, req.courseId, req.courseId]);
 
     res.json({
       success: true,
@@ -718,11 +1278,16 @@ router.get("/all-students", verifyToken, async (req, res) => {
         gm.group_id
       FROM users u
       LEFT JOIN user_profiles up ON u.id = up.user_id
-      LEFT JOIN group_members gm ON u.id = gm.student_id
+      LEFT JOIN (
+        SELECT gm.student_id, gm.group_id FROM group_members gm
+        JOIN student_groups sg ON gm.group_id = sg.id
+        WHERE sg.course_id <=> ?
+      ) gm ON u.id = gm.student_id
       WHERE u.role = 'student' 
         AND u.deleted_at IS NULL
+        AND (? IS NULL OR u.id IN (SELECT user_id FROM course_enrollments WHERE course_id = ? AND role = 'student'))
       ORDER BY up.first_name ASC
-    `);
+    `, [req.courseId, req.courseId, req.courseId]);
 
     res.json({
       success: true,
@@ -778,8 +1343,9 @@ router.get("/groups", verifyToken, async (req, res) => {
         p.category as project_category
       FROM student_groups sg
       LEFT JOIN projects p ON sg.project_id = p.id
+      WHERE sg.course_id <=> ?
       ORDER BY sg.created_at DESC
-    `);
+    `, [req.courseId]);
 
     // Fetch members for each group
     const groupsWithMembers = await Promise.all(
@@ -822,24 +1388,65 @@ router.get("/groups", verifyToken, async (req, res) => {
  * Auto-Assign Groups (Run Algorithm)
  * 
  * Executes the group formation algorithm to automatically assign students to projects.
- * Clears existing groups and creates new assignments based on student preferences.
- * Uses the greedy optimization algorithm from groupFormationAlgorithm module.
+ * Uses the min-cost max-flow optimization from the groupFormationAlgorithm module.
+ * Pins and together/apart pairs from /instructors/group-constraints are applied,
+ * and accepted student pre-teams are placed as indivisible units.
+ * 
+ * Modes:
+ * - incremental (default): existing groups and members are kept; unassigned students
+ *   are placed into the remaining capacity, joining the project's existing group or
+ *   a new one
+ * - replace: all groups are deleted and formed from scratch. Requires the
+ *   confirmation_token returned by a replace-mode preview, and fails with 409 if
+ *   group memberships changed since that preview
+ * 
+ * Every commit is recorded as a formation run with the resulting groups, so it
+ * can be compared with other runs and restored later; its ID is returned as run_id.
+ * 
+ * Reproducibility: pass the seed from a preview to get the same tie-breaking, or
+ * pass preview_run_id to commit exactly that preview. With preview_run_id the
+ * preview's skill_weight, fallback_policy, matching_mode, and seed are used, and the request
+ * fails with 409 if the resulting assignments differ from the preview.
+ * 
  * Protected route - only instructors and admins can execute.
  * 
  * @route POST /instructors/auto-assign-groups
  * @group Group Formation - Group management operations
  * @security JWT
+ * @param {string} mode.body - incremental or replace (default: incremental)
+ * @param {string} confirmation_token.body - Token from a replace-mode preview (required for replace)
+ * @param {number} skill_weight.body - Weight (0-1) of team skill coverage relative to preferences (default: 0)
+ * @param {string} fallback_policy.body - Placement of students without preferences: none, least_full, or skills (default: none)
+ * @param {string} matching_mode.body - optimal (best total satisfaction) or stable (Gale–Shapley over student and client rankings) (default: optimal)
+ * @param {string} seed.body - Seed for tie-breaking (default: a new random seed)
+ * @param {number} preview_run_id.body - Preview run to commit exactly
  * @param {string} authorization.header.required - Bearer token
- * @returns {object} 200 - Success response with algorithm results and statistics
- * @returns {object} 400 - No approved projects or validation error
+ * @returns {object} 200 - Success response with algorithm results (including data.seed) and statistics
+ * @returns {object} 400 - No approved projects, validation error, wrong preview run, or missing/invalid confirmation token
  * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Preview run not found
+ * @returns {object} 409 - Groups changed since the replace-mode preview, or the assignments no longer match the preview run
  * @returns {object} 500 - Server error
  * 
  * @example
  * POST /instructors/auto-assign-groups
  * Authorization: Bearer <token>
+ * {
+ *   "mode": "incremental",
+ *   "skill_weight": 0.3,
+ *   "fallback_policy": "least_full"
+ * }
+ * 
+ * @example
+ * POST /instructors/auto-assign-groups
+ * Authorization: Bearer <token>
+ * {
+ *   "mode": "replace",
+ *   "confirmation_token": "eyJhbGciOi...",
+ *   "preview_run_id": 42
+ * }
  */
-router.post("/auto-assign-groups", verifyToken, async (req, res) => {
+router.post("/auto-assign-groups", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
   try {
     // Verify instructor role
     if (req.user.role !== "instructor" && req.user.role !== "admin") {
@@ -849,44 +1456,46 @@ router.post("/auto-assign-groups", verifyToken, async (req, res) => {
       });
     }
 
-    // 1. Fetch all students with their preferences
-    const [studentsData] = await db.query(`
-      SELECT 
-        u.id,
-        up.full_name as name,
-        u.email
-      FROM users u
-      JOIN user_profiles up ON u.id = up.user_id
-      WHERE u.role = 'student'
-    `);
-
-    // Fetch preferences for each student
-    const students = await Promise.all(
-      studentsData.map(async (student) => {
-        const [prefs] = await db.query(`
-          SELECT project_id, preference_rank
-          FROM student_preferences
-          WHERE student_id = ?
-          ORDER BY preference_rank ASC
-        `, [student.id]);
+    const { options, mode, error } = parseFormationOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
 
-        return {
-          id: student.id,
-          name: student.name || student.email,
-          preferences: prefs.map(p => p.project_id)
-        };
-      })
-    );
+    // Committing a specific preview reuses its options and seed
+    let previewRun = null;
+    if (req.body.preview_run_id !== undefined && req.body.preview_run_id !== null) {
+      const [runs] = await db.query(
+        "SELECT * FROM formation_runs WHERE id = ? AND course_id <=> ?",
+        [req.body.preview_run_id, req.courseId]
+      );
+      previewRun = runs[0];
 
-    // 2. Fetch all approved projects
-    const [projects] = await db.query(`
-      SELECT 
-        id,
-        title,
-        max_team_size
-      FROM projects
-      WHERE approval_status = 'approved'
-    `);
+      if (!previewRun) {
+        return res.status(404).json({
+          success: false,
+          error: "Preview run not found",
+        });
+      }
+
+      if (previewRun.run_type !== "preview" || previewRun.mode !== mode) {
+        return res.status(400).json({
+          success: false,
+          error: `preview_run_id must refer to a ${mode}-mode preview`,
+        });
+      }
+
+      const parameters = parseJsonColumn(previewRun.parameters) || {};
+      options.skillWeight = parameters.skillWeight ?? 0;
+      options.fallbackPolicy = parameters.fallbackPolicy ?? "none";
+      options.matchingMode = parameters.matchingMode ?? "optimal";
+      options.seed = previewRun.seed;
+    }
+
+    // 1. Fetch students, preferences, projects, constraints, and current groups
+    const { students, projects, constraints, existingMembers, preTeams, preferenceOptions, fingerprint } = await loadFormationInput(mode, req.courseId);
 
     if (projects.length === 0) {
       return res.status(400).json({
@@ -895,49 +1504,135 @@ router.post("/auto-assign-groups", verifyToken, async (req, res) => {
       });
     }
 
+    // 2. Replacing groups needs a token from a replace-mode preview of the same groups
+    if (mode === "replace") {
+      if (!req.body.confirmation_token) {
+        return res.status(400).json({
+          success: false,
+          error: "confirmation_token is required to replace groups. Run a replace-mode preview first.",
+        });
+      }
+
+      let confirmation;
+      try {
+        confirmation = jwt.verify(req.body.confirmation_token, process.env.JWT_SECRET || "your-secret-key");
+      } catch {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid or expired confirmation_token. Run a replace-mode preview again.",
+        });
+      }
+
+      if (confirmation.purpose !== "replace_groups" || confirmation.uid !== req.user.uid) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid confirmation_token. Run a replace-mode preview again.",
+        });
+      }
+
+      if (confirmation.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          success: false,
+          error: "Groups have changed since the preview. Run a replace-mode preview again.",
+        });
+      }
+    }
+
     // 3. Run the algorithm
-    const result = runGroupFormationAlgorithm(students, projects);
+    const result = runGroupFormationAlgorithm(students, projects, { ...options, ...preferenceOptions, constraints, existingMembers, preTeams });
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
-    // 4. Clear existing groups (optional - could make this configurable)
+    // The same seed only reproduces the preview if nothing else changed since
+    if (previewRun) {
+      const previewed = getRunPlacements(previewRun);
+      const matchesPreview = result.assignments.length === previewed.size &&
+        result.assignments.every(a => previewed.get(a.student_id) === a.project_id);
+
+      if (!matchesPreview) {
+        return res.status(409).json({
+          success: false,
+          error: `Students, preferences, projects, or constraints changed since preview run ${previewRun.id}. Run the preview again.`,
+        });
+      }
+    }
+
     const connection = await db.getConnection();
     try {
       await connection.beginTransaction();
 
-      // Clear existing group members and groups
-      await connection.query("DELETE FROM group_members");
-      await connection.query("DELETE FROM student_groups");
+      let addedCount = 0;
 
-      // 5. Create new groups in database
-      for (const group of result.groups) {
-        // Create the group
-        const [groupResult] = await connection.query(
-          `INSERT INTO student_groups (group_name, project_id, status, created_at)
-           VALUES (?, ?, 'active', NOW())`,
-          [`Group - ${group.project_title}`, group.project_id]
+      if (mode === "replace") {
+        // 4. Clear existing group members and groups
+        await connection.query(
+          "DELETE gm FROM group_members gm JOIN student_groups sg ON gm.group_id = sg.id WHERE sg.course_id <=> ?",
+          [req.courseId]
         );
+        await connection.query("DELETE FROM student_groups WHERE course_id <=> ?", [req.courseId]);
+      }
+
+      // 5. Create or extend groups in database
+      for (const group of result.groups) {
+        const newMembers = group.members.filter(member => !member.existing);
+        if (newMembers.length === 0) continue;
+
+        let groupId = null;
+        if (mode === "incremental") {
+          const [existingGroup] = await connection.query(
+            "SELECT id FROM student_groups WHERE project_id = ? AND course_id <=> ? ORDER BY id ASC LIMIT 1",
+            [group.project_id, req.courseId]
+          );
+          groupId = existingGroup[0]?.id ?? null;
+        }
 
-        const groupId = groupResult.insertId;
+        if (!groupId) {
+          const [groupResult] = await connection.query(
+            `INSERT INTO student_groups (group_name, project_id, status, course_id, created_at)
+             VALUES (?, ?, 'active', ?, NOW())`,
+            [`Group - ${group.project_title}`, group.project_id, req.courseId]
+          );
+          groupId = groupResult.insertId;
+        }
 
         // Add members to the group
-        for (const member of group.members) {
+        for (const member of newMembers) {
           await connection.query(
             `INSERT INTO group_members (group_id, student_id, joined_at)
              VALUES (?, ?, NOW())`,
             [groupId, member.id]
           );
+          addedCount++;
         }
       }
 
+      // 6. Record the commit with the resulting groups so it can be restored later
+      const { stats, ...resultWithoutStats } = result;
+      const runId = await saveFormationRun(connection, {
+        runType: "commit",
+        mode,
+        parameters: { skillWeight: options.skillWeight, fallbackPolicy: options.fallbackPolicy, matchingMode: options.matchingMode },
+        seed: result.seed,
+        inputs: { students, projects, constraints, existing_members: existingMembers, pre_teams: preTeams },
+        result: resultWithoutStats,
+        stats,
+        groups: await snapshotGroups(connection, req.courseId),
+        createdBy: req.user.instructorId,
+        courseId: req.courseId,
+      });
+
       await connection.commit();
       connection.release();
 
       res.json({
         success: true,
-        message: "Groups formed successfully",
+        message: mode === "replace"
+          ? "Groups formed successfully"
+          : `${addedCount} student(s) added to groups`,
+        mode,
+        run_id: runId,
         data: result,
       });
 
@@ -960,23 +1655,45 @@ router.post("/auto-assign-groups", verifyToken, async (req, res) => {
  * Preview Group Formation
  * 
  * Runs the group formation algorithm without saving results to the database.
- * Allows instructors to preview assignments before committing.
+ * Allows instructors to preview assignments before committing. Constraints from
+ * /instructors/group-constraints are applied, and any that could not be met are
+ * listed in data.constraint_violations. Pre-teams that could not be placed
+ * together are listed in data.unplaced_pre_teams.
+ * 
+ * In incremental mode (default) existing members are shown with existing: true.
+ * In replace mode the response includes a confirmation_token, valid for 15
+ * minutes, that must be sent to auto-assign-groups to replace the groups.
+ * Every preview is recorded as a formation run; its ID is returned as run_id.
+ * The seed used for tie-breaking is returned as data.seed; sending it back, or
+ * committing with preview_run_id, reproduces the same groups. Fairness metrics
+ * are returned as data.fairness.
+ * 
  * Protected route - only instructors and admins can execute.
  * 
  * @route POST /instructors/preview-groups
  * @group Group Formation - Group management operations
  * @security JWT
+ * @param {string} mode.body - incremental or replace (default: incremental)
+ * @param {number} skill_weight.body - Weight (0-1) of team skill coverage relative to preferences (default: 0)
+ * @param {string} fallback_policy.body - Placement of students without preferences: none, least_full, or skills (default: none)
+ * @param {string} matching_mode.body - optimal (best total satisfaction) or stable (Gale–Shapley over student and client rankings) (default: optimal)
+ * @param {string} seed.body - Seed for tie-breaking (default: a new random seed)
  * @param {string} authorization.header.required - Bearer token
- * @returns {object} 200 - Success response with preview results and statistics
- * @returns {object} 400 - No approved projects available
+ * @returns {object} 200 - Success response with preview results (including data.seed) and statistics
+ * @returns {object} 400 - No approved projects available or invalid options
  * @returns {object} 403 - Access denied
  * @returns {object} 500 - Server error
  * 
  * @example
  * POST /instructors/preview-groups
  * Authorization: Bearer <token>
+ * {
+ *   "mode": "replace",
+ *   "skill_weight": 0.3,
+ *   "fallback_policy": "least_full"
+ * }
  */
-router.post("/preview-groups", verifyToken, async (req, res) => {
+router.post("/preview-groups", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
   try {
     if (req.user.role !== "instructor" && req.user.role !== "admin") {
       return res.status(403).json({
@@ -985,44 +1702,16 @@ router.post("/preview-groups", verifyToken, async (req, res) => {
       });
     }
 
-    // 1. Fetch all students with their preferences
-    const [studentsData] = await db.query(`
-      SELECT 
-        u.id,
-        up.full_name as name,
-        u.email
-      FROM users u
-      JOIN user_profiles up ON u.id = up.user_id
-      WHERE u.role = 'student' AND u.deleted_at IS NULL
-    `);
-
-    // Fetch preferences for each student
-    const students = await Promise.all(
-      studentsData.map(async (student) => {
-        const [prefs] = await db.query(`
-          SELECT project_id, preference_rank
-          FROM student_preferences
-          WHERE student_id = ?
-          ORDER BY preference_rank ASC
-        `, [student.id]);
-
-        return {
-          id: student.id,
-          name: student.name || student.email,
-          preferences: prefs.map(p => p.project_id)
-        };
-      })
-    );
+    const { options, mode, error } = parseFormationOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
 
-    // 2. Fetch all approved projects
-    const [projects] = await db.query(`
-      SELECT 
-        id,
-        title,
-        max_team_size
-      FROM projects
-      WHERE approval_status = 'approved'
-    `);
+    // 1. Fetch students, preferences, projects, constraints, and current groups
+    const { students, projects, constraints, existingMembers, preTeams, preferenceOptions, fingerprint } = await loadFormationInput(mode, req.courseId);
 
     if (projects.length === 0) {
       return res.status(400).json({
@@ -1031,14 +1720,40 @@ router.post("/preview-groups", verifyToken, async (req, res) => {
       });
     }
 
-    // 3. Run the algorithm (preview only - don't save)
-    const result = runGroupFormationAlgorithm(students, projects);
+    // 2. Run the algorithm (preview only - groups are not saved)
+    const result = runGroupFormationAlgorithm(students, projects, { ...options, ...preferenceOptions, constraints, existingMembers, preTeams });
+
+    // 3. Record the preview as a formation run
+    const { stats, ...resultWithoutStats } = result;
+    const runId = await saveFormationRun(db, {
+      runType: "preview",
+      mode,
+      parameters: { skillWeight: options.skillWeight, fallbackPolicy: options.fallbackPolicy, matchingMode: options.matchingMode },
+      seed: result.seed,
+      inputs: { students, projects, constraints, existing_members: existingMembers, pre_teams: preTeams },
+      result: resultWithoutStats,
+      stats,
+      createdBy: req.user.instructorId,
+      courseId: req.courseId,
+    });
 
-    res.json({
+    const response = {
       success: true,
       preview: true,
+      mode,
+      run_id: runId,
       data: result,
-    });
+    };
+
+    if (mode === "replace" && result.success) {
+      response.confirmation_token = jwt.sign(
+        { purpose: "replace_groups", uid: req.user.uid, fingerprint },
+        process.env.JWT_SECRET || "your-secret-key",
+        { expiresIn: REPLACE_TOKEN_TTL }
+      );
+    }
+
+    res.json(response);
 
   } catch (err) {
     console.error("Error in preview groups:", err);
@@ -1050,25 +1765,42 @@ router.post("/preview-groups", verifyToken, async (req, res) => {
 });
 
 /**
- * Clear All Groups
+ * Simulate Group Formation
+ * 
+ * Runs the formation algorithm many times on the current data, for each skill
+ * weight with a range of seeds, and returns aggregate distributions of
+ * satisfaction and fairness metrics for what-if comparisons. Nothing is saved.
+ * 
+ * Run i of every weight uses the seed "<seed>-<i>", so weights are compared on
+ * the same tie-breaking and the whole simulation can be repeated with data.seed.
  * 
- * Deletes all student groups and group memberships from the database.
- * Uses transaction to ensure data integrity.
  * Protected route - only instructors and admins can execute.
  * 
- * @route DELETE /instructors/groups
+ * @route POST /instructors/simulate-groups
  * @group Group Formation - Group management operations
  * @security JWT
+ * @param {Array<number>} skill_weights.body - Skill weights (0-1) to compare (default: [0, 0.5, 1])
+ * @param {number} runs.body - Runs per skill weight (default: 5; at most 30 runs in total)
+ * @param {string} mode.body - incremental or replace (default: incremental)
+ * @param {string} fallback_policy.body - Placement of students without preferences: none, least_full, or skills (default: none)
+ * @param {string} matching_mode.body - optimal (best total satisfaction) or stable (Gale–Shapley over student and client rankings) (default: optimal)
+ * @param {string} seed.body - Base seed (default: a new random seed)
  * @param {string} authorization.header.required - Bearer token
- * @returns {object} 200 - Success response
+ * @returns {object} 200 - Per-weight summaries, rank distributions, satisfaction histograms, and samples
+ * @returns {object} 400 - No approved projects, no preferences, or invalid options
  * @returns {object} 403 - Access denied
  * @returns {object} 500 - Server error
  * 
  * @example
- * DELETE /instructors/groups
+ * POST /instructors/simulate-groups
  * Authorization: Bearer <token>
+ * {
+ *   "skill_weights": [0, 0.5, 1],
+ *   "runs": 10,
+ *   "fallback_policy": "least_full"
+ * }
  */
-router.delete("/groups", verifyToken, async (req, res) => {
+router.post("/simulate-groups", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
   try {
     if (req.user.role !== "instructor" && req.user.role !== "admin") {
       return res.status(403).json({
@@ -1077,11 +1809,115 @@ router.delete("/groups", verifyToken, async (req, res) => {
       });
     }
 
-    const connection = await db.getConnection();
-    try {
-      await connection.beginTransaction();
-      await connection.query("DELETE FROM group_members");
-      await connection.query("DELETE FROM student_groups");
+    const { options, mode, error } = parseFormationOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const skillWeights = req.body.skill_weights ?? [0, 0.5, 1];
+    if (
+      !Array.isArray(skillWeights) ||
+      skillWeights.length === 0 ||
+      skillWeights.some(w => typeof w !== "number" || isNaN(w) || w < 0 || w > 1)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "skill_weights must be a non-empty array of numbers between 0 and 1",
+      });
+    }
+
+    const runs = req.body.runs !== undefined ? Number(req.body.runs) : 5;
+    if (!Number.isInteger(runs) || runs < 1) {
+      return res.status(400).json({
+        success: false,
+        error: "runs must be a positive integer",
+      });
+    }
+
+    if (runs * skillWeights.length > MAX_SIMULATION_RUNS) {
+      return res.status(400).json({
+        success: false,
+        error: `A simulation can run the algorithm at most ${MAX_SIMULATION_RUNS} times (skill_weights × runs)`,
+      });
+    }
+
+    const { students, projects, constraints, existingMembers, preTeams, preferenceOptions } = await loadFormationInput(mode, req.courseId);
+
+    if (projects.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No approved projects available for assignment",
+      });
+    }
+
+    const simulation = await simulateGroupFormation(students, projects, {
+      ...options,
+      ...preferenceOptions,
+      skillWeights,
+      runs,
+      constraints,
+      existingMembers,
+      preTeams,
+    });
+
+    if (!simulation.success) {
+      return res.status(400).json(simulation);
+    }
+
+    res.json({
+      success: true,
+      mode,
+      data: simulation,
+    });
+
+  } catch (err) {
+    console.error("Error in simulate groups:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to simulate group formation: " + err.message,
+    });
+  }
+});
+
+/**
+ * Clear All Groups
+ * 
+ * Deletes all student groups and group memberships from the database.
+ * Uses transaction to ensure data integrity.
+ * Protected route - only instructors and admins can execute.
+ * 
+ * @route DELETE /instructors/groups
+ * @group Group Formation - Group management operations
+ * @security JWT
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response
+ * @returns {object} 403 - Access denied
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * DELETE /instructors/groups
+ * Authorization: Bearer <token>
+ */
+router.delete("/groups", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        "DELETE gm FROM group_members gm JOIN student_groups sg ON gm.group_id = sg.id WHERE sg.course_id <=> ?",
+        [req.courseId]
+      );
+      await connection.query("DELETE FROM student_groups WHERE course_id <=> ?", [req.courseId]);
       await connection.commit();
       connection.release();
 
@@ -1147,8 +1983,8 @@ router.get("/groups/:group_id", verifyToken, async (req, res) => {
         p.category as project_category
       FROM student_groups sg
       LEFT JOIN projects p ON sg.project_id = p.id
-      WHERE sg.id = ?
-    `, [group_id]);
+      WHERE sg.id = ? AND sg.course_id <=> ?
+    `, [group_id, req.courseId]);
 
     if (groups.length === 0) {
       return res.status(404).json({
@@ -1215,7 +2051,7 @@ router.get("/groups/:group_id", verifyToken, async (req, res) => {
  * DELETE /instructors/groups/5/members/42
  * Authorization: Bearer <token>
  */
-router.delete("/groups/:group_id/members/:student_id", verifyToken, async (req, res) => {
+router.delete("/groups/:group_id/members/:student_id", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
   try {
     const { group_id, student_id } = req.params;
 
@@ -1233,10 +2069,12 @@ router.delete("/groups/:group_id/members/:student_id", verifyToken, async (req,
       });
     }
 
-    // Check if the student is in the group
+    // Check if the student is in the group, and the group is in the active course
     const [membership] = await db.query(
-      "SELECT * FROM group_members WHERE group_id = ? AND student_id = ?",
-      [parseInt(group_id), parseInt(student_id)]
+      `SELECT gm.* FROM group_members gm
+       JOIN student_groups sg ON gm.group_id = sg.id
+       WHERE gm.group_id = ? AND gm.student_id = ? AND sg.course_id <=> ?`,
+      [parseInt(group_id), parseInt(student_id), req.courseId]
     );
 
     if (membership.length === 0) {
@@ -1303,7 +2141,7 @@ router.delete("/groups/:group_id/members/:student_id", verifyToken, async (req,
  *   "student_id": 42
  * }
  */
-router.post("/groups/:group_id/members", verifyToken, async (req, res) => {
+router.post("/groups/:group_id/members", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
   try {
     const { group_id } = req.params;
     const { student_id } = req.body;
@@ -1337,8 +2175,8 @@ router.post("/groups/:group_id/members", verifyToken, async (req, res) => {
 
     // Check if group exists
     const [group] = await db.query(
-      "SELECT id FROM student_groups WHERE id = ?",
-      [parseInt(group_id)]
+      "SELECT id FROM student_groups WHERE id = ? AND course_id <=> ?",
+      [parseInt(group_id), req.courseId]
     );
 
     if (group.length === 0) {
@@ -1348,10 +2186,12 @@ router.post("/groups/:group_id/members", verifyToken, async (req, res) => {
       });
     }
 
-    // Check if student is already in a group
+    // Check if student is already in a group in this course
     const [existingMembership] = await db.query(
-      "SELECT group_id FROM group_members WHERE student_id = ?",
-      [parseInt(student_id)]
+      `SELECT gm.group_id FROM group_members gm
+       JOIN student_groups sg ON gm.group_id = sg.id
+       WHERE gm.student_id = ? AND sg.course_id <=> ?`,
+      [parseInt(student_id), req.courseId]
     );
 
     if (existingMembership.length > 0) {
@@ -1386,6 +2226,1351 @@ router.post("/groups/:group_id/members", verifyToken, async (req, res) => {
   }
 });
 
+// ==================== FORMATION RUNS ====================
+
+/**
+ * Get Formation Runs
+ * 
+ * Lists recorded group formation runs (previews, commits, and rollbacks), newest
+ * first, without the large input and result snapshots.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route GET /instructors/formation-runs
+ * @group Group Formation - Group management operations
+ * @security JWT
+ * @param {string} type.query - Filter by run type: preview, commit, or rollback
+ * @param {number} limit.query - Maximum runs to return (default: 50, max: 200)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with runs array
+ * @returns {object} 400 - Invalid run type
+ * @returns {object} 403 - Access denied
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /instructors/formation-runs?type=commit&limit=10
+ * Authorization: Bearer <token>
+ */
+router.get("/formation-runs", verifyToken, async (req, res) => {
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const { type } = req.query;
+    if (type && !["preview", "commit", "rollback"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: "type must be one of: preview, commit, rollback",
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [runs] = await db.query(
+      `SELECT 
+        fr.id,
+        fr.run_type,
+        fr.mode,
+        fr.parameters,
+        fr.seed,
+        fr.stats,
+        fr.source_run_id,
+        fr.created_at,
+        up.full_name as created_by_name
+      FROM formation_runs fr
+      LEFT JOIN user_profiles up ON fr.created_by = up.user_id
+      WHERE fr.course_id <=> ? ${type ? "AND fr.run_type = ?" : ""}
+      ORDER BY fr.created_at DESC, fr.id DESC
+      LIMIT ?`,
+      type ? [req.courseId, type, limit] : [req.courseId, limit]
+    );
+
+    res.json({
+      success: true,
+      data: runs.map(run => ({
+        ...run,
+        parameters: parseJsonColumn(run.parameters),
+        stats: parseJsonColumn(run.stats),
+      })),
+    });
+  } catch (err) {
+    console.error("Error fetching formation runs:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch formation runs",
+    });
+  }
+});
+
+/**
+ * Get Formation Run
+ * 
+ * Retrieves a single formation run with its input snapshot, parameters, result,
+ * statistics, and (for commits and rollbacks) the saved groups.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route GET /instructors/formation-runs/:run_id
+ * @group Group Formation - Group management operations
+ * @security JWT
+ * @param {number} run_id.path.required - Formation run ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with run data
+ * @returns {object} 400 - Invalid run ID format
+ * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Run not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /instructors/formation-runs/12
+ * Authorization: Bearer <token>
+ */
+router.get("/formation-runs/:run_id", verifyToken, async (req, res) => {
+  try {
+    const { run_id } = req.params;
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    if (isNaN(run_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid run ID format",
+      });
+    }
+
+    const [runs] = await db.query(
+      "SELECT * FROM formation_runs WHERE id = ? AND course_id <=> ?",
+      [parseInt(run_id), req.courseId]
+    );
+
+    if (runs.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Formation run not found",
+      });
+    }
+
+    const run = runs[0];
+    res.json({
+      success: true,
+      data: {
+        ...run,
+        parameters: parseJsonColumn(run.parameters),
+        inputs_snapshot: parseJsonColumn(run.inputs_snapshot),
+        result: parseJsonColumn(run.result),
+        stats: parseJsonColumn(run.stats),
+        groups_snapshot: parseJsonColumn(run.groups_snapshot),
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching formation run:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch formation run",
+    });
+  }
+});
+
+/**
+ * Diff Formation Runs
+ * 
+ * Compares two formation runs student by student. Each change is classified as
+ * moved (different project), added (only placed in the second run), removed (only
+ * placed in the first run), or unchanged.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route GET /instructors/formation-runs/:run_id/diff/:other_run_id
+ * @group Group Formation - Group management operations
+ * @security JWT
+ * @param {number} run_id.path.required - Earlier ("from") run ID
+ * @param {number} other_run_id.path.required - Later ("to") run ID
+ * @param {boolean} include_unchanged.query - Also list students whose project did not change
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with summary counts and per-student changes
+ * @returns {object} 400 - Invalid run ID format
+ * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Run not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /instructors/formation-runs/12/diff/15
+ * Authorization: Bearer <token>
+ */
+router.get("/formation-runs/:run_id/diff/:other_run_id", verifyToken, async (req, res) => {
+  try {
+    const { run_id, other_run_id } = req.params;
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    if (isNaN(run_id) || isNaN(other_run_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid run ID format",
+      });
+    }
+
+    const [runs] = await db.query(
+      "SELECT id, result, groups_snapshot FROM formation_runs WHERE id IN (?, ?) AND course_id <=> ?",
+      [parseInt(run_id), parseInt(other_run_id), req.courseId]
+    );
+    const fromRun = runs.find(run => run.id === parseInt(run_id));
+    const toRun = runs.find(run => run.id === parseInt(other_run_id));
+
+    if (!fromRun || !toRun) {
+      return res.status(404).json({
+        success: false,
+        error: "Formation run not found",
+      });
+    }
+
+    const fromPlacements = getRunPlacements(fromRun);
+    const toPlacements = getRunPlacements(toRun);
+    const studentIds = [...new Set([...fromPlacements.keys(), ...toPlacements.keys()])];
+    const projectIds = [...new Set([...fromPlacements.values(), ...toPlacements.values()])].filter(Boolean);
+
+    const names = new Map();
+    if (studentIds.length > 0) {
+      const [profiles] = await db.query(
+        "SELECT user_id, full_name FROM user_profiles WHERE user_id IN (?)",
+        [studentIds]
+      );
+      profiles.forEach(p => names.set(p.user_id, p.full_name));
+    }
+
+    const titles = new Map();
+    if (projectIds.length > 0) {
+      const [projects] = await db.query("SELECT id, title FROM projects WHERE id IN (?)", [projectIds]);
+      projects.forEach(p => titles.set(p.id, p.title));
+    }
+
+    const includeUnchanged = req.query.include_unchanged === "true";
+    const summary = { moved: 0, added: 0, removed: 0, unchanged: 0 };
+    const changes = [];
+
+    studentIds.forEach(studentId => {
+      const fromProject = fromPlacements.get(studentId);
+      const toProject = toPlacements.get(studentId);
+      const change = fromProject === undefined ? "added"
+        : toProject === undefined ? "removed"
+        : fromProject !== toProject ? "moved"
+        : "unchanged";
+
+      summary[change]++;
+      if (change === "unchanged" && !includeUnchanged) return;
+
+      changes.push({
+        student_id: studentId,
+        student_name: names.get(studentId) || null,
+        change,
+        from_project_id: fromProject ?? null,
+        from_project_title: titles.get(fromProject) || null,
+        to_project_id: toProject ?? null,
+        to_project_title: titles.get(toProject) || null,
+      });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from_run_id: parseInt(run_id),
+        to_run_id: parseInt(other_run_id),
+        summary,
+        changes,
+      },
+    });
+  } catch (err) {
+    console.error("Error diffing formation runs:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to compare formation runs",
+    });
+  }
+});
+
+/**
+ * Roll Back to Formation Run
+ * 
+ * Replaces all current groups with the groups saved by an earlier commit or
+ * rollback run. Members who have since been removed as students, and projects
+ * that no longer exist, are skipped. The rollback itself is recorded as a new
+ * formation run pointing at the restored one.
+ * Protected route - only instructors and admins can execute.
+ * 
+ * @route POST /instructors/formation-runs/:run_id/rollback
+ * @group Group Formation - Group management operations
+ * @security JWT
+ * @param {number} run_id.path.required - Commit or rollback run to restore
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Groups restored, with the new run ID and counts
+ * @returns {object} 400 - Invalid run ID or run has no saved groups
+ * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Run not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * POST /instructors/formation-runs/12/rollback
+ * Authorization: Bearer <token>
+ */
+router.post("/formation-runs/:run_id/rollback", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { run_id } = req.params;
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    if (isNaN(run_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid run ID format",
+      });
+    }
+
+    const [runs] = await db.query(
+      "SELECT id, run_type, groups_snapshot FROM formation_runs WHERE id = ? AND course_id <=> ?",
+      [parseInt(run_id), req.courseId]
+    );
+
+    if (runs.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Formation run not found",
+      });
+    }
+
+    const savedGroups = parseJsonColumn(runs[0].groups_snapshot);
+    if (!savedGroups) {
+      return res.status(400).json({
+        success: false,
+        error: "Only committed runs can be restored",
+      });
+    }
+
+    const studentIds = [...new Set(savedGroups.flatMap(group => group.members))];
+    const projectIds = [...new Set(savedGroups.map(group => group.project_id))].filter(Boolean);
+
+    const activeStudents = new Set();
+    if (studentIds.length > 0) {
+      const [rows] = await db.query(
+        "SELECT id FROM users WHERE id IN (?) AND role = 'student' AND deleted_at IS NULL",
+        [studentIds]
+      );
+      rows.forEach(row => activeStudents.add(row.id));
+    }
+
+    const existingProjects = new Set();
+    if (projectIds.length > 0) {
+      const [rows] = await db.query("SELECT id FROM projects WHERE id IN (?)", [projectIds]);
+      rows.forEach(row => existingProjects.add(row.id));
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query(
+        "DELETE gm FROM group_members gm JOIN student_groups sg ON gm.group_id = sg.id WHERE sg.course_id <=> ?",
+        [req.courseId]
+      );
+      await connection.query("DELETE FROM student_groups WHERE course_id <=> ?", [req.courseId]);
+
+      const stats = { groups_restored: 0, members_restored: 0, members_skipped: 0 };
+      for (const group of savedGroups) {
+        const [groupResult] = await connection.query(
+          `INSERT INTO student_groups (group_name, project_id, status, course_id, created_at)
+           VALUES (?, ?, ?, ?, NOW())`,
+          [
+            group.group_name,
+            existingProjects.has(group.project_id) ? group.project_id : null,
+            group.status || "active",
+            req.courseId,
+          ]
+        );
+        stats.groups_restored++;
+
+        for (const studentId of group.members) {
+          if (!activeStudents.has(studentId)) {
+            stats.members_skipped++;
+            continue;
+          }
+          await connection.query(
+            `INSERT INTO group_members (group_id, student_id, joined_at)
+             VALUES (?, ?, NOW())`,
+            [groupResult.insertId, studentId]
+          );
+          stats.members_restored++;
+        }
+      }
+
+      const runId = await saveFormationRun(connection, {
+        runType: "rollback",
+        stats,
+        groups: await snapshotGroups(connection, req.courseId),
+        sourceRunId: parseInt(run_id),
+        createdBy: req.user.instructorId,
+        courseId: req.courseId,
+      });
+
+      await connection.commit();
+      connection.release();
+
+      res.json({
+        success: true,
+        message: `Groups restored from run ${run_id}`,
+        run_id: runId,
+        data: stats,
+      });
+    } catch (dbError) {
+      await connection.rollback();
+      connection.release();
+      throw dbError;
+    }
+  } catch (err) {
+    console.error("Error rolling back formation run:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to roll back groups",
+    });
+  }
+});
+
+// ==================== GROUP CONSTRAINTS ====================
+
+/**
+ * Get Group Constraints
+ * 
+ * Lists the instructor constraints applied during group formation: students pinned
+ * to a project and pairs of students who must or must not share a team.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route GET /instructors/group-constraints
+ * @group Group Formation - Group management operations
+ * @security JWT
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with constraints array
+ * @returns {object} 403 - Access denied
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /instructors/group-constraints
+ * Authorization: Bearer <token>
+ */
+router.get("/group-constraints", verifyToken, async (req, res) => {
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const [constraints] = await db.query(`
+      SELECT 
+        gc.id,
+        gc.constraint_type,
+        gc.student_id,
+        sp.full_name as student_name,
+        gc.other_student_id,
+        op.full_name as other_student_name,
+        gc.project_id,
+        p.title as project_title,
+        gc.note,
+        gc.created_at
+      FROM group_constraints gc
+      LEFT JOIN user_profiles sp ON gc.student_id = sp.user_id
+      LEFT JOIN user_profiles op ON gc.other_student_id = op.user_id
+      LEFT JOIN projects p ON gc.project_id = p.id
+      WHERE gc.course_id <=> ?
+      ORDER BY gc.constraint_type, gc.created_at DESC
+    `, [req.courseId]);
+
+    res.json({
+      success: true,
+      data: constraints,
+    });
+  } catch (err) {
+    console.error("Error fetching group constraints:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch group constraints",
+    });
+  }
+});
+
+/**
+ * Create Group Constraint
+ * 
+ * Adds a constraint for the group formation algorithm. A "pin" locks a student to
+ * an approved project; "together" and "apart" require two students to share or not
+ * share a team.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route POST /instructors/group-constraints
+ * @group Group Formation - Group management operations
+ * @security JWT
+ * @param {string} constraint_type.body.required - pin, together, or apart
+ * @param {number} student_id.body.required - Constrained student ID
+ * @param {number} other_student_id.body - Partner student ID (together/apart)
+ * @param {number} project_id.body - Project ID (pin)
+ * @param {string} note.body - Reason for the constraint (e.g. sponsor request)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 201 - Constraint created
+ * @returns {object} 400 - Invalid or conflicting constraint
+ * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Student or project not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * POST /instructors/group-constraints
+ * {
+ *   "constraint_type": "pin",
+ *   "student_id": 42,
+ *   "project_id": 5,
+ *   "note": "Requested by sponsor"
+ * }
+ */
+router.post("/group-constraints", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const { constraint_type, student_id, other_student_id, project_id, note } = req.body;
+
+    const failure = await validateGroupConstraint({ constraint_type, student_id, other_student_id, project_id }, null, req.courseId);
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        error: failure.error,
+      });
+    }
+
+    const [result] = await db.query(
+      `INSERT INTO group_constraints
+        (constraint_type, student_id, other_student_id, project_id, note, created_by, course_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        constraint_type,
+        parseInt(student_id),
+        other_student_id ? parseInt(other_student_id) : null,
+        project_id ? parseInt(project_id) : null,
+        note || null,
+        req.user.instructorId || null,
+        req.courseId,
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Constraint created successfully",
+      data: {
+        id: result.insertId,
+        constraint_type,
+        student_id: parseInt(student_id),
+        other_student_id: other_student_id ? parseInt(other_student_id) : null,
+        project_id: project_id ? parseInt(project_id) : null,
+        note: note || null,
+      },
+    });
+  } catch (err) {
+    console.error("Error creating group constraint:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create group constraint",
+    });
+  }
+});
+
+/**
+ * Update Group Constraint
+ * 
+ * Updates an existing constraint. Omitted fields keep their current values; the
+ * resulting constraint is validated as a whole.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route PUT /instructors/group-constraints/:constraint_id
+ * @group Group Formation - Group management operations
+ * @security JWT
+ * @param {number} constraint_id.path.required - Constraint ID
+ * @param {string} constraint_type.body - pin, together, or apart
+ * @param {number} student_id.body - Constrained student ID
+ * @param {number} other_student_id.body - Partner student ID (together/apart)
+ * @param {number} project_id.body - Project ID (pin)
+ * @param {string} note.body - Reason for the constraint
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Constraint updated
+ * @returns {object} 400 - Invalid or conflicting constraint
+ * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Constraint, student, or project not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * PUT /instructors/group-constraints/7
+ * {
+ *   "project_id": 9
+ * }
+ */
+router.put("/group-constraints/:constraint_id", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { constraint_id } = req.params;
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    if (isNaN(constraint_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid constraint ID format",
+      });
+    }
+
+    const [existing] = await db.query(
+      "SELECT * FROM group_constraints WHERE id = ? AND course_id <=> ?",
+      [parseInt(constraint_id), req.courseId]
+    );
+
+    if (existing.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Constraint not found",
+      });
+    }
+
+    const current = existing[0];
+    const updated = {
+      constraint_type: req.body.constraint_type ?? current.constraint_type,
+      student_id: req.body.student_id ?? current.student_id,
+      other_student_id: req.body.other_student_id !== undefined ? req.body.other_student_id : current.other_student_id,
+      project_id: req.body.project_id !== undefined ? req.body.project_id : current.project_id,
+      note: req.body.note !== undefined ? req.body.note : current.note,
+    };
+
+    const failure = await validateGroupConstraint(updated, parseInt(constraint_id), req.courseId);
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        error: failure.error,
+      });
+    }
+
+    await db.query(
+      `UPDATE group_constraints
+       SET constraint_type = ?, student_id = ?, other_student_id = ?, project_id = ?, note = ?
+       WHERE id = ?`,
+      [
+        updated.constraint_type,
+        parseInt(updated.student_id),
+        updated.other_student_id ? parseInt(updated.other_student_id) : null,
+        updated.project_id ? parseInt(updated.project_id) : null,
+        updated.note || null,
+        parseInt(constraint_id),
+      ]
+    );
+
+    res.json({
+      success: true,
+      message: "Constraint updated successfully",
+      data: { id: parseInt(constraint_id), ...updated },
+    });
+  } catch (err) {
+    console.error("Error updating group constraint:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update group constraint",
+    });
+  }
+});
+
+/**
+ * Delete Group Constraint
+ * 
+ * Removes a constraint so it no longer applies to group formation.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route DELETE /instructors/group-constraints/:constraint_id
+ * @group Group Formation - Group management operations
+ * @security JWT
+ * @param {number} constraint_id.path.required - Constraint ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Constraint deleted
+ * @returns {object} 400 - Invalid constraint ID format
+ * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Constraint not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * DELETE /instructors/group-constraints/7
+ * Authorization: Bearer <token>
+ */
+router.delete("/group-constraints/:constraint_id", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { constraint_id } = req.params;
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    if (isNaN(constraint_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid constraint ID format",
+      });
+    }
+
+    const [result] = await db.query(
+      "DELETE FROM group_constraints WHERE id = ? AND course_id <=> ?",
+      [parseInt(constraint_id), req.courseId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Constraint not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Constraint deleted successfully",
+    });
+  } catch (err) {
+    console.error("Error deleting group constraint:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete group constraint",
+    });
+  }
+});
+
+// ==================== DEADLINE EXTENSIONS ====================
+
+/**
+ * Get Deadline Extensions
+ * 
+ * Lists every student with a preference deadline extension, latest extension first.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route GET /instructors/deadline-extensions
+ * @group Settings - Course configuration operations
+ * @security JWT
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with extensions array
+ * @returns {object} 403 - Access denied
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /instructors/deadline-extensions
+ * Authorization: Bearer <token>
+ */
+router.get("/deadline-extensions", verifyToken, async (req, res) => {
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const [extensions] = await db.query(
+      `SELECT 
+        de.student_id,
+        de.extended_until,
+        de.reason,
+        de.updated_at,
+        u.email,
+        up.first_name,
+        up.last_name,
+        gp.full_name as granted_by_name
+      FROM deadline_extensions de
+      JOIN users u ON de.student_id = u.id
+      LEFT JOIN user_profiles up ON u.id = up.user_id
+      LEFT JOIN user_profiles gp ON de.granted_by = gp.user_id
+      WHERE de.course_id <=> ?
+      ORDER BY de.extended_until DESC`,
+      [req.courseId]
+    );
+
+    res.json({
+      success: true,
+      data: extensions,
+    });
+  } catch (err) {
+    console.error("Error fetching deadline extensions:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch deadline extensions",
+    });
+  }
+});
+
+/**
+ * Grant Deadline Extension
+ * 
+ * Gives a student until extended_until to submit or change preferences, replacing
+ * any extension they already have. The extension must be later than the course
+ * deadline, and only moves the student's deadline - not when submissions open.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route PUT /instructors/deadline-extensions/:student_id
+ * @group Settings - Course configuration operations
+ * @security JWT
+ * @param {number} student_id.path.required - Student ID
+ * @param {string} extended_until.body.required - New deadline for this student (ISO date)
+ * @param {string} reason.body - Why the extension was granted (up to 255 characters)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with the extension
+ * @returns {object} 400 - Invalid student ID or date, no course deadline, or date not after the course deadline
+ * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Student not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * PUT /instructors/deadline-extensions/42
+ * {
+ *   "extended_until": "2025-01-18T23:59:00",
+ *   "reason": "Medical accommodation"
+ * }
+ */
+router.put("/deadline-extensions/:student_id", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { student_id } = req.params;
+    const { extended_until, reason } = req.body;
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    if (isNaN(student_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid student ID format",
+      });
+    }
+
+    const extendedUntil = new Date(extended_until);
+    if (!extended_until || isNaN(extendedUntil.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: "extended_until must be a valid date",
+      });
+    }
+
+    if (reason !== undefined && reason !== null && (typeof reason !== "string" || reason.length > 255)) {
+      return res.status(400).json({
+        success: false,
+        error: "reason must be text of at most 255 characters",
+      });
+    }
+
+    const { deadline } = await getPreferenceWindow(null, db, req.courseId);
+    if (!deadline) {
+      return res.status(400).json({
+        success: false,
+        error: "Set a preference deadline before granting extensions",
+      });
+    }
+    if (extendedUntil <= new Date(deadline)) {
+      return res.status(400).json({
+        success: false,
+        error: "An extension must end after the course deadline",
+      });
+    }
+
+    const [students] = await db.query(
+      "SELECT id FROM users WHERE id = ? AND role = 'student' AND deleted_at IS NULL",
+      [parseInt(student_id)]
+    );
+    if (students.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Student not found",
+      });
+    }
+
+    await db.query(
+      `INSERT INTO deadline_extensions (student_id, extended_until, reason, granted_by, course_id)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE extended_until = VALUES(extended_until), reason = VALUES(reason), granted_by = VALUES(granted_by)`,
+      [parseInt(student_id), extendedUntil, reason?.trim() || null, req.user.instructorId || null, req.courseId]
+    );
+
+    res.json({
+      success: true,
+      message: "Deadline extension granted",
+      data: {
+        student_id: parseInt(student_id),
+        extended_until: extendedUntil,
+        reason: reason?.trim() || null,
+      },
+    });
+  } catch (err) {
+    console.error("Error granting deadline extension:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to grant deadline extension",
+    });
+  }
+});
+
+/**
+ * Revoke Deadline Extension
+ * 
+ * Removes a student's extension, so the course deadline applies to them again.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route DELETE /instructors/deadline-extensions/:student_id
+ * @group Settings - Course configuration operations
+ * @security JWT
+ * @param {number} student_id.path.required - Student ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response
+ * @returns {object} 400 - Invalid student ID format
+ * @returns {object} 403 - Access denied
+ * @returns {object} 404 - Student has no extension
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * DELETE /instructors/deadline-extensions/42
+ * Authorization: Bearer <token>
+ */
+router.delete("/deadline-extensions/:student_id", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { student_id } = req.params;
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    if (isNaN(student_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid student ID format",
+      });
+    }
+
+    const [result] = await db.query(
+      "DELETE FROM deadline_extensions WHERE student_id = ? AND course_id <=> ?",
+      [parseInt(student_id), req.courseId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "This student has no deadline extension",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Deadline extension revoked",
+    });
+  } catch (err) {
+    console.error("Error revoking deadline extension:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke deadline extension",
+    });
+  }
+});
+
+// ==================== PREFERENCE AUDIT ====================
+
+/**
+ * Default hours before the preference deadline in which changed submissions are reported
+ * @constant {number}
+ */
+const DEFAULT_AUDIT_WINDOW_HOURS = 24;
+
+/**
+ * Get Preference Submission Audit
+ * 
+ * Lists preference submissions around the preference deadline: every submission
+ * made after the deadline (late), and every submission in the window_hours before
+ * it that changed the student's earlier preferences. Each entry says what changed
+ * from the student's previous version. Uses the current preference_deadline;
+ * returns no submissions when no deadline is set. Late submissions made under a
+ * student's deadline extension are marked within_extension.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route GET /instructors/preference-audit
+ * @group Preferences - Student preference management
+ * @security JWT
+ * @param {number} window_hours.query - Hours before the deadline to include changes from (default: 24, max: 720)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with deadline, summary counts and submissions
+ * @returns {object} 403 - Access denied
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /instructors/preference-audit?window_hours=48
+ * Authorization: Bearer <token>
+ * 
+ * // Response data
+ * {
+ *   "deadline": "2025-01-15T23:59:59Z",
+ *   "window_hours": 48,
+ *   "summary": { "late": 1, "changed_before_deadline": 4, "students": 5 },
+ *   "submissions": [
+ *     {
+ *       "student_id": 42,
+ *       "name": "Alice Smith",
+ *       "version": 3,
+ *       "action": "submitted",
+ *       "submitted_at": "2025-01-15T22:40:00.000Z",
+ *       "hours_before_deadline": 1.3,
+ *       "late": false,
+ *       "within_extension": false,
+ *       "changes": { "changed": true, "added": [8], "removed": [5], ... }
+ *     }
+ *   ]
+ * }
+ */
+router.get("/preference-audit", verifyToken, async (req, res) => {
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const windowHours = Math.min(
+      Math.max(parseInt(req.query.window_hours) || DEFAULT_AUDIT_WINDOW_HOURS, 1),
+      720
+    );
+
+    const { deadline } = await getPreferenceWindow(null, db, req.courseId);
+
+    if (!deadline) {
+      return res.json({
+        success: true,
+        data: {
+          deadline: null,
+          window_hours: windowHours,
+          summary: { late: 0, changed_before_deadline: 0, students: 0 },
+          submissions: [],
+        },
+      });
+    }
+
+    const deadlineDate = new Date(deadline);
+    const windowStart = new Date(deadlineDate.getTime() - windowHours * 60 * 60 * 1000);
+
+    // Each submission in range, with the version before it to diff against
+    const [rows] = await db.query(
+      `SELECT 
+        ps.id,
+        ps.student_id,
+        ps.version,
+        ps.action,
+        ps.preferences,
+        ps.submitted_by_role,
+        ps.submitted_at,
+        prev.preferences as previous_preferences,
+        de.extended_until,
+        u.email,
+        CASE 
+          WHEN up.full_name IS NOT NULL AND up.full_name != '' THEN up.full_name
+          WHEN up.first_name IS NOT NULL OR up.last_name IS NOT NULL THEN TRIM(CONCAT(COALESCE(up.first_name, ''), ' ', COALESCE(up.last_name, '')))
+          ELSE u.email
+        END as name
+      FROM preference_submissions ps
+      JOIN users u ON ps.student_id = u.id
+      LEFT JOIN user_profiles up ON u.id = up.user_id
+      LEFT JOIN preference_submissions prev
+        ON prev.student_id = ps.student_id AND prev.course_id <=> ps.course_id AND prev.version = ps.version - 1
+      LEFT JOIN deadline_extensions de ON ps.student_id = de.student_id AND de.course_id <=> ps.course_id
+      WHERE ps.submitted_at >= ? AND ps.course_id <=> ?
+      ORDER BY ps.submitted_at DESC, ps.id DESC`,
+      [windowStart, req.courseId]
+    );
+
+    const submissions = rows
+      .map(({ previous_preferences: previousPreferences, preferences, ...row }) => {
+        const submittedAt = new Date(row.submitted_at);
+        return {
+          ...row,
+          preferences: parseJsonColumn(preferences) || [],
+          hours_before_deadline: Math.round(((deadlineDate - submittedAt) / (60 * 60 * 1000)) * 10) / 10,
+          late: submittedAt > deadlineDate,
+          within_extension: submittedAt > deadlineDate &&
+            Boolean(row.extended_until) && submittedAt <= new Date(row.extended_until),
+          changes: diffPreferenceSnapshots(
+            row.version > 1 ? parseJsonColumn(previousPreferences) || [] : null,
+            parseJsonColumn(preferences) || []
+          ),
+        };
+      })
+      // A first submission before the deadline is on time and changes nothing
+      .filter(entry => entry.late || (entry.version > 1 && entry.changes.changed));
+
+    res.json({
+      success: true,
+      data: {
+        deadline,
+        window_hours: windowHours,
+        summary: {
+          late: submissions.filter(entry => entry.late).length,
+          changed_before_deadline: submissions.filter(entry => !entry.late).length,
+          students: new Set(submissions.map(entry => entry.student_id)).size,
+        },
+        submissions,
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching preference audit:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch preference audit",
+    });
+  }
+});
+
+// ==================== PROJECT POPULARITY ====================
+
+/**
+ * Get Project Popularity
+ * 
+ * Aggregates current student preferences for every approved project, so
+ * over- and under-subscribed projects can be spotted before forming groups.
+ * Protected route - only instructors and admins can access.
+ * 
+ * For each project: how many students listed it at each rank, interested
+ * students per seat, a demand level ("over" when more students chose it first
+ * than it has seats, "under" when fewer listed it than its minimum team size),
+ * and how well the interested students cover its required skills.
+ * 
+ * @route GET /instructors/project-popularity
+ * @group Projects - Project analytics operations
+ * @security JWT
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with projects and summary
+ * @returns {object} 403 - Access denied
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /instructors/project-popularity
+ * Authorization: Bearer <token>
+ * 
+ * // Response data
+ * {
+ *   "summary": { "projects": 8, "students_with_preferences": 30, "total_capacity": 32, "over_subscribed": 2, "under_subscribed": 1 },
+ *   "projects": [
+ *     {
+ *       "project_id": 5,
+ *       "title": "AI Chatbot",
+ *       "capacity": 4,
+ *       "interested": 11,
+ *       "rank_counts": [6, 3, 2],
+ *       "demand_ratio": 2.75,
+ *       "first_choice_ratio": 1.5,
+ *       "demand_level": "over",
+ *       "skill_fit": { "required_skills": ["python", "nlp"], "coverage": 1, "average_match": 0.45, "missing_skills": [] }
+ *     }
+ *   ]
+ * }
+ */
+router.get("/project-popularity", verifyToken, async (req, res) => {
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const popularity = await getProjectPopularity({ courseId: req.courseId });
+
+    res.json({
+      success: true,
+      data: popularity,
+    });
+  } catch (err) {
+    console.error("Error fetching project popularity:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch project popularity",
+    });
+  }
+});
+
+// ==================== REVIEW QUEUE ====================
+
+/**
+ * Get Review Queue
+ * 
+ * Lists the active course's proposals awaiting review with their assigned
+ * reviewers and the votes cast so far this round, against the course's
+ * approval and rejection quorums. Proposals assigned to the signed-in
+ * instructor that they haven't voted on come first. Also returns the
+ * instructors who can be assigned as reviewers.
+ * Protected route - only instructors and admins can access.
+ * 
+ * @route GET /instructors/review-queue
+ * @group Projects - Project approval workflow
+ * @security JWT
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with { settings, reviewers, projects }
+ * @returns {object} 403 - Access denied
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /instructors/review-queue
+ * Authorization: Bearer <token>
+ * 
+ * // Response data
+ * {
+ *   "settings": { "approval_quorum": 2, "rejection_quorum": 1 },
+ *   "reviewers": [{ "id": 3, "name": "Dr. Lee", "email": "lee@uni.edu" }],
+ *   "projects": [
+ *     {
+ *       "id": 42,
+ *       "title": "Campus Map",
+ *       "client_name": "Acme Corp",
+ *       "review_round": 1,
+ *       "reviewers": [{ "reviewer_id": 3, "reviewer_name": "Dr. Lee" }],
+ *       "votes": [{ "reviewer_id": 3, "reviewer_name": "Dr. Lee", "vote": "approved", "revision": 2, "feedback": null }],
+ *       "tally": { "decision": null, "approvals": 1, "rejections": 0, "changes_requested": 0, "revision": 2 },
+ *       "assigned_to_me": true,
+ *       "my_vote": "approved"
+ *     }
+ *   ]
+ * }
+ */
+router.get("/review-queue", verifyToken, async (req, res) => {
+  try {
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. Instructor role required.",
+      });
+    }
+
+    const settings = await getReviewSettings(req.courseId);
+    const reviewers = await getEligibleReviewers(req.courseId);
+
+    const [projects] = await db.query(
+      `SELECT 
+         p.id,
+         p.owner_id as client_id,
+         p.title,
+         p.description,
+         p.category,
+         p.difficulty_level as complexity_level,
+         p.approval_status,
+         p.review_round,
+         p.created_at,
+         up.full_name as client_name,
+         up.organization_name as client_organization
+       FROM projects p
+       LEFT JOIN users u ON p.owner_id = u.id
+       LEFT JOIN user_profiles up ON u.id = up.user_id
+       WHERE p.approval_status = 'pending' AND p.course_id <=> ?
+       ORDER BY p.created_at ASC`,
+      [req.courseId]
+    );
+
+    if (projects.length === 0) {
+      return res.json({
+        success: true,
+        data: { settings, reviewers, projects: [] },
+      });
+    }
+
+    const projectIds = projects.map((project) => project.id);
+
+    const [assignments] = await db.query(
+      `SELECT a.project_id, a.reviewer_id,
+              COALESCE(up.full_name, CONCAT_WS(' ', up.first_name, up.last_name), u.email) as reviewer_name
+       FROM project_reviewer_assignments a
+       LEFT JOIN users u ON a.reviewer_id = u.id
+       LEFT JOIN user_profiles up ON u.id = up.user_id
+       WHERE a.project_id IN (?)
+       ORDER BY a.created_at`,
+      [projectIds]
+    );
+
+    // Only the current round's votes count
+    const [votes] = await db.query(
+      `SELECT v.project_id, v.reviewer_id,
+              COALESCE(up.full_name, CONCAT_WS(' ', up.first_name, up.last_name), u.email) as reviewer_name,
+              v.vote, v.revision, v.feedback, v.updated_at
+       FROM project_review_votes v
+       JOIN projects p ON v.project_id = p.id AND v.review_round = p.review_round
+       LEFT JOIN users u ON v.reviewer_id = u.id
+       LEFT JOIN user_profiles up ON u.id = up.user_id
+       WHERE v.project_id IN (?)
+       ORDER BY v.updated_at`,
+      [projectIds]
+    );
+
+    const queue = projects.map((project) => {
+      const projectReviewers = assignments
+        .filter((assignment) => assignment.project_id === project.id)
+        .map(({ reviewer_id, reviewer_name }) => ({ reviewer_id, reviewer_name }));
+      const projectVotes = votes
+        .filter((vote) => vote.project_id === project.id)
+        .map(({ project_id, ...vote }) => vote);
+      const myVote = projectVotes.find((vote) => vote.reviewer_id === req.user.instructorId);
+
+      return {
+        ...project,
+        reviewers: projectReviewers,
+        votes: projectVotes,
+        tally: tallyReviewVotes(projectVotes, settings),
+        assigned_to_me: projectReviewers.some((reviewer) => reviewer.reviewer_id === req.user.instructorId),
+        my_vote: myVote ? myVote.vote : null,
+      };
+    });
+
+    // Assigned to me and still needing my vote first, then oldest first
+    const needsMe = (project) => project.assigned_to_me && !project.my_vote;
+    queue.sort((a, b) => Number(needsMe(b)) - Number(needsMe(a)));
+
+    res.json({
+      success: true,
+      data: { settings, reviewers, projects: queue },
+    });
+  } catch (err) {
+    console.error("Error fetching review queue:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch review queue",
+    });
+  }
+});
+
 /**
  * Get Instructor Profile
  * 
@@ -1658,6 +3843,7 @@ router.delete("/:instructor_id", verifyToken, async (req, res) => {
  * @returns {object} 200.data.projects - Project statistics
  * @returns {number} 200.data.projects.total_projects - Total projects
  * @returns {number} 200.data.projects.pending_projects - Projects pending approval
+ * @returns {number} 200.data.projects.changes_requested_projects - Projects awaiting changes from the client
  * @returns {number} 200.data.projects.approved_projects - Approved projects
  * @returns {number} 200.data.projects.rejected_projects - Rejected projects
  * @returns {object} 200.data.groups - Group statistics
@@ -1691,20 +3877,26 @@ router.get("/:instructor_id/stats", verifyToken, async (req, res) => {
     const [studentStats] = await db.query(
       `SELECT COUNT(*) as total_students 
        FROM users 
-       WHERE role = 'student' AND deleted_at IS NULL`
+       WHERE role = 'student' AND deleted_at IS NULL
+         AND (? IS NULL OR id IN (SELECT user_id FROM course_enrollments WHERE course_id = ? AND role = 'student'))`,
+      [req.courseId, req.courseId]
     );
 
     const [projectStats] = await db.query(
       `SELECT 
         COUNT(*) as total_projects,
         SUM(CASE WHEN approval_status = 'pending' THEN 1 ELSE 0 END) as pending_projects,
+        SUM(CASE WHEN approval_status = 'changes_requested' THEN 1 ELSE 0 END) as changes_requested_projects,
         SUM(CASE WHEN approval_status = 'approved' THEN 1 ELSE 0 END) as approved_projects,
         SUM(CASE WHEN approval_status = 'rejected' THEN 1 ELSE 0 END) as rejected_projects
-       FROM projects`
+       FROM projects
+       WHERE course_id <=> ?`,
+      [req.courseId]
     );
 
     const [groupStats] = await db.query(
-      `SELECT COUNT(DISTINCT id) as total_groups FROM student_groups`
+      `SELECT COUNT(DISTINCT id) as total_groups FROM student_groups WHERE course_id <=> ?`,
+      [req.courseId]
     );
 
     res.json({
@@ -1714,6 +3906,7 @@ router.get("/:instructor_id/stats", verifyToken, async (req, res) => {
         projects: projectStats[0] || {
           total_projects: 0,
           pending_projects: 0,
+          changes_requested_projects: 0,
           approved_projects: 0,
           rejected_projects: 0,
         },
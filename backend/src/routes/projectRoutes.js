@@ -5,25 +5,94 @@
  * approval workflows, preference management, and project browsing.
  * 
  * Routes are organized by functionality:
- * 1. Project Listing (public/authenticated browsing)
- * 2. Project Creation (client only)
+ * 1. Project Listing (public/authenticated browsing) and full-text search with
+ *    filters and facets
+ * 2. Project Creation (client only), including copying a past term's project
+ *    into the active course
  * 3. Project Update (client only)
  * 4. Project Delete (client only)
- * 5. Project Details & Preferences (client only)
- * 6. Instructor Approval (instructor only)
+ * 5. Project Details & Preferences (client; preferences also instructor),
+ *    including the client's ranking of interested students
+ * 6. Instructor Approval (instructor only): reviewers' votes to approve, reject,
+ *    or request changes, counted against the course's quorum, and assigning
+ *    reviewers to proposals
+ * 7. Review Thread (client and instructors): comments and client resubmission
+ * 8. Revision History (client and instructors): every version of the proposal
+ *    with field-level diffs
+ * 
+ * Listings, search and approval are limited to the active course (req.courseId,
+ * see middleware/courseScope); new projects are proposed to that course.
  * 
  * @module routes/projectRoutes
  * @requires express
  * @requires ../../db
  * @requires ../middleware/authMiddleware
+ * @requires ../utils/termArchive
+ * @requires ../utils/projectReview
+ * @requires ../utils/projectRevisions
+ * @requires ../utils/reviewQuorum
+ * @requires ../utils/attachmentStorage
+ * @requires ../utils/projectSearch
+ * @requires ../utils/responseFormatter
  */
 
 import express from "express";
 import db from "../../db.js";
-import { verifyToken, verifyRole } from "../middleware/authMiddleware.js";
+import { verifyToken, verifyRole, COURSE_MANAGER_ROLES } from "../middleware/authMiddleware.js";
+import { isArchivedProject, ARCHIVED_PROJECT_ERROR } from "../utils/termArchive.js";
+import { addReviewEntry, getReviewThread, REVIEW_DECISIONS, RESUBMITTABLE_STATUSES, MAX_COMMENT_LENGTH } from "../utils/projectReview.js";
+import { recordProjectRevision, restoreProjectRevision, getProjectRevisions, diffProjectRevisions } from "../utils/projectRevisions.js";
+import { getReviewSettings, getEligibleReviewers, recordReviewVote, getReviewVotes, tallyReviewVotes } from "../utils/reviewQuorum.js";
+import { getAttachmentStorage } from "../utils/attachmentStorage.js";
+import { parseProjectSearch, searchProjects } from "../utils/projectSearch.js";
+import { formatList } from "../utils/responseFormatter.js";
 console.log("✅ projectRoutes.js is loading");
 const router = express.Router();
 
+/**
+ * Load a project's student preferences with each student's justification
+ * 
+ * Clients never see justifications an instructor has hidden, nor the hidden flag
+ * itself. Each row also carries the client's ranking of the student: client_rank
+ * (null if unranked) and client_decision (accepted, declined, or null if the
+ * client has not reviewed the student).
+ * 
+ * @async
+ * @function getProjectPreferences
+ * @param {number} projectId - Project ID
+ * @param {boolean} forClient - Whether the list is for the project's client
+ * @returns {Promise<Array<Object>>} Preferences ordered by rank
+ */
+async function getProjectPreferences(projectId, forClient) {
+  const [preferences] = await db.query(
+    `SELECT 
+       sp.student_id, 
+       sp.preference_rank,
+       sp.justification,
+       sp.justification_hidden,
+       csr.client_rank,
+       csr.decision as client_decision,
+       p.first_name, 
+       p.last_name, 
+       u.email
+     FROM student_preferences sp
+     JOIN users u ON sp.student_id = u.id
+     LEFT JOIN user_profiles p ON u.id = p.user_id
+     LEFT JOIN client_student_rankings csr ON csr.project_id = sp.project_id AND csr.student_id = sp.student_id
+     WHERE sp.project_id = ?
+     ORDER BY sp.preference_rank ASC`,
+    [projectId]
+  );
+
+  if (!forClient) {
+    return preferences.map(pref => ({ ...pref, justification_hidden: Boolean(pref.justification_hidden) }));
+  }
+  return preferences.map(({ justification_hidden, ...pref }) => ({
+    ...pref,
+    justification: justification_hidden ? null : pref.justification,
+  }));
+}
+
 // ==================== PROJECT LISTING ====================
 
 /**
@@ -102,6 +171,7 @@ router.get("/", async (req, res) => {
        FROM projects p
        LEFT JOIN users u ON p.owner_id = u.id
        LEFT JOIN user_profiles up ON u.id = up.user_id
+       WHERE p.course_id <=> ?
        ORDER BY p.created_at DESC`;
     } else {
       // Students and public see only approved projects
@@ -123,11 +193,11 @@ router.get("/", async (req, res) => {
          approval_status,
          created_at
        FROM projects 
-       WHERE approval_status = 'approved' 
+       WHERE approval_status = 'approved' AND course_id <=> ?
        ORDER BY created_at DESC`;
     }
 
-    const [projects] = await db.query(query);
+    const [projects] = await db.query(query, [req.courseId]);
 
     res.json({
       success: true,
@@ -190,6 +260,7 @@ router.get("/client/:client_id", verifyToken, async (req, res) => {
          required_skills as skills_required, 
          category, 
          max_team_size as team_size, 
+         min_team_size,
          start_date, 
          end_date, 
          difficulty_level as complexity_level, 
@@ -201,9 +272,9 @@ router.get("/client/:client_id", verifyToken, async (req, res) => {
          instructor_feedback,
          created_at
        FROM projects 
-       WHERE owner_id = ?
+       WHERE owner_id = ? AND course_id <=> ?
        ORDER BY created_at DESC`,
-      [parseInt(client_id)]
+      [parseInt(client_id), req.courseId]
     );
 
     res.json({
@@ -220,157 +291,96 @@ router.get("/client/:client_id", verifyToken, async (req, res) => {
 });
 
 /**
- * Get Single Project by ID
+ * Search Projects
  * 
- * Retrieves detailed information for a specific project.
+ * Full-text search over the active course's approved projects, ranked by
+ * relevance, with combinable filters, facet counts and pages. Without keywords
+ * it lists every project matching the filters, newest first.
+ * Filters take several values by repeating the parameter
+ * (?category=AI&category=Web); a project needs every listed skill.
+ * Each facet counts projects matching everything but that facet's own filter
+ * (see utils/projectSearch).
  * Public route - no authentication required.
  * 
- * @route GET /projects/:project_id
- * @group Projects - Project browsing and management
- * @param {number} project_id.path.required - Project ID
- * @returns {object} 200 - Success response with project data
- * @returns {object} 404 - Project not found
- * @returns {object} 500 - Server error
- * 
- * @example
- * GET /projects/42
- */
-router.get("/:project_id", async (req, res) => {
-  try {
-    const { project_id } = req.params;
-
-    const [projects] = await db.query(
-      `SELECT 
-         id, 
-         owner_id as client_id,
-         title, 
-         description, 
-         required_skills as skills_required, 
-         category, 
-         max_team_size as team_size, 
-         start_date, 
-         end_date, 
-         difficulty_level as complexity_level, 
-         deliverables, 
-         location as project_location, 
-         industry_category as industry, 
-         status, 
-         created_at
-       FROM projects 
-       WHERE id = ?`,
-      [project_id]
-    );
-
-    if (projects.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: "Project not found",
-      });
-    }
-
-    res.json({
-      success: true,
-      data: projects[0],
-    });
-  } catch (err) {
-    console.error("Error fetching project:", err);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch project",
-    });
-  }
-});
-
-/**
- * Get Projects by Category
- * 
- * Retrieves all approved projects in a specific category.
- * Public route - no authentication required.
+ * Declared before GET /projects/:project_id, which would otherwise take
+ * "search" as a project ID.
  * 
- * @route GET /projects/category/:category
+ * @route GET /projects/search
  * @group Projects - Project browsing and management
- * @param {string} category.path.required - Project category
- * @returns {object} 200 - Success response with filtered projects
- * @returns {object} 400 - Category is required
+ * @param {string} q.query - Keywords (keyword is accepted too)
+ * @param {string} category.query - Category
+ * @param {string} complexity_level.query - Beginner, Intermediate or Advanced
+ * @param {string} industry.query - Industry
+ * @param {string} project_location.query - Remote, On-site or Hybrid
+ * @param {string} team_size.query - Maximum team size range: 1-3, 4-5 or 6+
+ * @param {string} skills.query - Required skill
+ * @param {string} sort.query - relevance (default with keywords), newest (default without) or title
+ * @param {number} page.query - Page, from 1 (default: 1)
+ * @param {number} limit.query - Projects per page (default: 12, max: 50)
+ * @returns {object} 200 - Success response with projects, pagination and facets
+ * @returns {object} 400 - Invalid complexity level, team size or sort
  * @returns {object} 500 - Server error
  * 
  * @example
- * GET /projects/category/Web Development
+ * GET /projects/search?q=machine learning&category=AI&team_size=4-5&page=2
+ * 
+ * // Response
+ * {
+ *   "success": true,
+ *   "data": [{ "id": 42, "title": "Crop Yield Prediction", "relevance": 2.31, ... }],
+ *   "pagination": { "page": 2, "limit": 12, "total": 15, "totalPages": 2 },
+ *   "facets": {
+ *     "category": [{ "value": "AI", "count": 9 }, { "value": "Web Development", "count": 4 }],
+ *     "complexity_level": [...], "industry": [...], "project_location": [...],
+ *     "team_size": [{ "value": "4-5", "count": 11 }],
+ *     "skills": [{ "value": "Python", "count": 8 }]
+ *   }
+ * }
  */
-router.get("/category/:category", async (req, res) => {
+router.get("/search", async (req, res) => {
   try {
-    const { category } = req.params;
-
-    if (!category) {
+    const { search, error } = parseProjectSearch(req.query);
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: "Category is required",
+        error,
       });
     }
 
-    const [projects] = await db.query(
-      `SELECT 
-         id, 
-         owner_id as client_id,
-         title, 
-         description, 
-         required_skills as skills_required, 
-         category, 
-         max_team_size as team_size, 
-         start_date, 
-         end_date, 
-         difficulty_level as complexity_level, 
-         deliverables, 
-         location as project_location, 
-         industry_category as industry, 
-         status, 
-         created_at
-       FROM projects 
-       WHERE category = ? AND approval_status = 'approved'
-       ORDER BY created_at DESC`,
-      [category]
-    );
+    const { projects, pagination, facets } = await searchProjects(search, req.courseId);
 
     res.json({
-      success: true,
-      data: projects,
+      ...formatList(projects, pagination, "Projects fetched successfully"),
+      facets,
     });
   } catch (err) {
-    console.error("Error fetching projects by category:", err);
+    console.error("Error searching projects:", err);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch projects",
+      error: "Failed to search projects",
     });
   }
 });
 
 /**
- * Get Projects by Complexity Level
+ * Get Single Project by ID
  * 
- * Retrieves all approved projects filtered by difficulty level.
+ * Retrieves detailed information for a specific project.
  * Public route - no authentication required.
  * 
- * @route GET /projects/complexity/:complexity
+ * @route GET /projects/:project_id
  * @group Projects - Project browsing and management
- * @param {string} complexity.path.required - Complexity level (Beginner, Intermediate, or Advanced)
- * @returns {object} 200 - Success response with filtered projects
- * @returns {object} 400 - Invalid complexity level
+ * @param {number} project_id.path.required - Project ID
+ * @returns {object} 200 - Success response with project data
+ * @returns {object} 404 - Project not found
  * @returns {object} 500 - Server error
  * 
  * @example
- * GET /projects/complexity/Intermediate
+ * GET /projects/42
  */
-router.get("/complexity/:complexity", async (req, res) => {
+router.get("/:project_id", async (req, res) => {
   try {
-    const { complexity } = req.params;
-
-    const validComplexity = ["Beginner", "Intermediate", "Advanced"];
-    if (!validComplexity.includes(complexity)) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid complexity level. Must be: Beginner, Intermediate, or Advanced",
-      });
-    }
+    const { project_id } = req.params;
 
     const [projects] = await db.query(
       `SELECT 
@@ -390,87 +400,26 @@ router.get("/complexity/:complexity", async (req, res) => {
          status, 
          created_at
        FROM projects 
-       WHERE difficulty_level = ? AND approval_status = 'approved'
-       ORDER BY created_at DESC`,
-      [complexity]
+       WHERE id = ?`,
+      [project_id]
     );
 
-    res.json({
-      success: true,
-      data: projects,
-    });
-  } catch (err) {
-    console.error("Error fetching projects by complexity:", err);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch projects",
-    });
-  }
-});
-
-/**
- * Search Projects by Keyword
- * 
- * Searches projects by keyword in title, description, or required skills.
- * Returns only projects with status 'open'.
- * Public route - no authentication required.
- * 
- * @route GET /projects/search
- * @group Projects - Project browsing and management
- * @param {string} keyword.query.required - Search keyword
- * @returns {object} 200 - Success response with matching projects
- * @returns {object} 400 - Keyword is required
- * @returns {object} 500 - Server error
- * 
- * @example
- * GET /projects/search?keyword=machine learning
- */
-router.get("/search", async (req, res) => {
-  try {
-    const { keyword } = req.query;
-
-    if (!keyword) {
-      return res.status(400).json({
+    if (projects.length === 0) {
+      return res.status(404).json({
         success: false,
-        error: "Search keyword is required",
+        error: "Project not found",
       });
     }
 
-    const searchTerm = `%${keyword}%`;
-
-    const [projects] = await db.query(
-      `SELECT 
-         id, 
-         owner_id as client_id,
-         title, 
-         description, 
-         required_skills as skills_required, 
-         category, 
-         max_team_size as team_size, 
-         start_date, 
-         end_date, 
-         difficulty_level as complexity_level, 
-         deliverables, 
-         location as project_location, 
-         industry_category as industry, 
-         status, 
-         created_at
-       FROM projects 
-       WHERE (title LIKE ? OR description LIKE ? OR required_skills LIKE ?) 
-             AND status = 'open'
-       ORDER BY created_at DESC`,
-      [searchTerm, searchTerm, searchTerm]
-    );
-
     res.json({
       success: true,
-      data: projects,
+      data: projects[0],
     });
   } catch (err) {
-    console.error("Error searching projects:", err);
+    console.error("Error fetching project:", err);
     res.status(500).json({
       success: false,
-      error: "Failed to search projects",
+      error: "Failed to fetch project",
     });
   }
 });
@@ -493,6 +442,7 @@ router.get("/search", async (req, res) => {
  * @param {string|Array} skills_required.body.required - Required skills (comma-separated or array)
  * @param {string} category.body - Project category
  * @param {number} team_size.body - Maximum team size
+ * @param {number} min_team_size.body - Minimum team size for the project to run
  * @param {string} start_date.body - Project start date (ISO format)
  * @param {string} end_date.body - Project end date (ISO format)
  * @param {string} complexity_level.body - Difficulty level (Beginner/Intermediate/Advanced)
@@ -521,7 +471,7 @@ router.get("/search", async (req, res) => {
 router.post("/", verifyToken, async (req, res) => {
   try {
     const { 
-      title, description, skills_required, category, team_size, 
+      title, description, skills_required, category, team_size, min_team_size,
       start_date, end_date, complexity_level, deliverables, 
       project_location, industry, client_id 
     } = req.body;
@@ -542,6 +492,13 @@ router.post("/", verifyToken, async (req, res) => {
       });
     }
 
+    if (min_team_size && team_size && parseInt(min_team_size) > parseInt(team_size)) {
+      return res.status(400).json({
+        success: false,
+        error: "min_team_size cannot be greater than team_size",
+      });
+    }
+
     // Use client_id from request body or from token
     const finalClientId = client_id || req.user.clientId;
 
@@ -595,9 +552,9 @@ router.post("/", verifyToken, async (req, res) => {
     const [result] = await db.query(
       `INSERT INTO projects 
        (owner_id, title, slug, description, required_skills, category, 
-        max_team_size, start_date, end_date, difficulty_level, 
-        deliverables, location, industry_category, status) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open')`,
+        max_team_size, min_team_size, start_date, end_date, difficulty_level, 
+        deliverables, location, industry_category, status, course_id) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?)`,
       [
         finalClientId,
         title,
@@ -606,15 +563,23 @@ router.post("/", verifyToken, async (req, res) => {
         skillsJson,                   // ✅ JSON string
         category || null,
         team_size || null,
+        min_team_size || null,
         start_date || null,
         end_date || null,
         complexity_level || 'intermediate',  // ✅ Default value
         deliverablesJson,             // ✅ JSON string or null
         project_location || null,
         industry || null,
+        req.courseId,
       ]
     );
 
+    await recordProjectRevision(db, {
+      projectId: result.insertId,
+      editedBy: req.user.clientId,
+      editedByRole: req.user.role,
+    });
+
     res.status(201).json({
       success: true,
       message: "Project created successfully",
@@ -635,107 +600,274 @@ router.post("/", verifyToken, async (req, res) => {
   }
 });
 
-// ==================== PROJECT UPDATE (CLIENT ONLY) ====================
-
 /**
- * Update Project
+ * Clone Project into the Active Course
  * 
- * Updates an existing project. Only the project owner (client) can update their project.
- * Dynamically builds UPDATE query based on provided fields.
- * Converts skills_required and deliverables to JSON if provided.
+ * Copies one of the client's projects from an earlier course (usually an
+ * archived term) into the active course as a new proposal awaiting approval.
+ * Dates are cleared since they belonged to the old term; the copy keeps a link
+ * to the original in cloned_from_id. Each project can be copied into a course once.
  * 
- * @route PUT /projects/:project_id
+ * @route POST /projects/:project_id/clone
  * @group Projects - Project CRUD operations
  * @security JWT
- * @param {number} project_id.path.required - Project ID
- * @param {string} title.body - Updated title
- * @param {string} description.body - Updated description
- * @param {string|Array} skills_required.body - Updated required skills
- * @param {string} category.body - Updated category
- * @param {number} team_size.body - Updated maximum team size
- * @param {string} start_date.body - Updated start date
- * @param {string} end_date.body - Updated end date
- * @param {string} complexity_level.body - Updated difficulty level
- * @param {string|Array} deliverables.body - Updated deliverables
- * @param {string} project_location.body - Updated location
- * @param {string} industry.body - Updated industry category
- * @param {string} status.body - Updated status
+ * @param {number} project_id.path.required - Project to copy
+ * @param {string} title.body - Title for the copy (defaults to the original title)
+ * @param {string} X-Course-Id.header.required - Course to copy the project into
  * @param {string} authorization.header.required - Bearer token
- * @returns {object} 200 - Success response
- * @returns {object} 400 - Validation error or no fields to update
- * @returns {object} 403 - Unauthorized (not project owner)
+ * @returns {object} 201 - Success response with the new project
+ * @returns {object} 400 - No active course, or the project is already in it
+ * @returns {object} 403 - Only the project's client can copy it
  * @returns {object} 404 - Project not found
+ * @returns {object} 409 - Project was already copied into this course
  * @returns {object} 500 - Server error
  * 
  * @example
- * PUT /projects/42
- * {
- *   "title": "Updated Project Title",
- *   "team_size": 5,
- *   "status": "closed"
- * }
+ * POST /projects/42/clone
+ * X-Course-Id: 7
+ * { "title": "AI Chatbot (Spring 2026)" }
  */
-router.put("/:project_id", verifyToken, async (req, res) => {
+router.post("/:project_id/clone", verifyToken, async (req, res) => {
   try {
     const { project_id } = req.params;
-    const {
-      title, description, skills_required, category, team_size,
-      start_date, end_date, complexity_level, deliverables,
-      project_location, industry, status, feedback
-    } = req.body;
+    const { title } = req.body;
+
+    if (isNaN(project_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format",
+      });
+    }
 
-    // Check if user is a client
     if (req.user.role !== "client") {
       return res.status(403).json({
         success: false,
-        error: "Only clients can update projects",
+        error: "Only clients can copy projects",
       });
     }
 
-    // Verify project exists and belongs to this client
-    const [projectCheck] = await db.query(
-      "SELECT owner_id FROM projects WHERE id = ?",
-      [project_id]
-    );
+    if (!req.courseId) {
+      return res.status(400).json({
+        success: false,
+        error: "Select the course to copy the project into",
+      });
+    }
 
-    if (projectCheck.length === 0) {
+    const [sources] = await db.query("SELECT * FROM projects WHERE id = ?", [parseInt(project_id)]);
+    if (sources.length === 0) {
       return res.status(404).json({
         success: false,
         error: "Project not found",
       });
     }
 
-    if (projectCheck[0].owner_id !== req.user.clientId) {
+    const source = sources[0];
+    if (source.owner_id !== req.user.clientId) {
       return res.status(403).json({
         success: false,
-        error: "You can only update your own projects",
+        error: "You can only copy your own projects",
       });
     }
 
-    // Build dynamic update query
-    const updates = [];
-    const values = [];
-
-    if (title !== undefined) { updates.push("title = ?"); values.push(title); }
-    if (description !== undefined) { updates.push("description = ?"); values.push(description); }
-    
-    // ✅ Convert skills_required to JSON if provided
-    if (skills_required !== undefined) {
-      let skillsJson;
-      if (typeof skills_required === 'string') {
-        const skillsArray = skills_required.split(',').map(s => s.trim()).filter(s => s);
-        skillsJson = JSON.stringify(skillsArray);
-      } else if (Array.isArray(skills_required)) {
-        skillsJson = JSON.stringify(skills_required);
-      } else {
-        skillsJson = JSON.stringify([skills_required]);
-      }
-      updates.push("required_skills = ?");
-      values.push(skillsJson);
+    if (source.course_id === req.courseId) {
+      return res.status(400).json({
+        success: false,
+        error: "This project is already in the selected course",
+      });
     }
-    
+
+    const [copies] = await db.query(
+      "SELECT id FROM projects WHERE cloned_from_id = ? AND course_id = ?",
+      [source.id, req.courseId]
+    );
+    if (copies.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "This project has already been copied into the selected course",
+      });
+    }
+
+    const newTitle = title?.trim() || source.title;
+    const slug = newTitle
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      + '-' + Date.now();
+
+    const [result] = await db.query(
+      `INSERT INTO projects 
+       (owner_id, title, slug, description, required_skills, category, 
+        max_team_size, min_team_size, difficulty_level, 
+        deliverables, location, industry_category, status, course_id, cloned_from_id) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?)`,
+      [
+        source.owner_id,
+        newTitle,
+        slug,
+        source.description,
+        source.required_skills,
+        source.category,
+        source.max_team_size,
+        source.min_team_size,
+        source.difficulty_level,
+        source.deliverables,
+        source.location,
+        source.industry_category,
+        req.courseId,
+        source.id,
+      ]
+    );
+
+    await recordProjectRevision(db, {
+      projectId: result.insertId,
+      editedBy: req.user.clientId,
+      editedByRole: req.user.role,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Project copied into the course and submitted for approval",
+      data: {
+        id: result.insertId,
+        client_id: source.owner_id,
+        title: newTitle,
+        description: source.description,
+        skills_required: source.required_skills,
+        category: source.category,
+        team_size: source.max_team_size,
+        min_team_size: source.min_team_size,
+        start_date: null,
+        end_date: null,
+        complexity_level: source.difficulty_level,
+        deliverables: source.deliverables,
+        project_location: source.location,
+        industry: source.industry_category,
+        status: "open",
+        approval_status: "pending",
+        cloned_from_id: source.id,
+      },
+    });
+  } catch (err) {
+    console.error("Error copying project:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to copy project",
+    });
+  }
+});
+
+// ==================== PROJECT UPDATE (CLIENT ONLY) ====================
+
+/**
+ * Update Project
+ * 
+ * Updates an existing project. Only the project owner (client) can update their project.
+ * Dynamically builds UPDATE query based on provided fields.
+ * Converts skills_required and deliverables to JSON if provided.
+ * Edits to the proposal's fields are kept as a new revision (see
+ * GET /projects/:project_id/revisions).
+ * 
+ * @route PUT /projects/:project_id
+ * @group Projects - Project CRUD operations
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {string} title.body - Updated title
+ * @param {string} description.body - Updated description
+ * @param {string|Array} skills_required.body - Updated required skills
+ * @param {string} category.body - Updated category
+ * @param {number} team_size.body - Updated maximum team size
+ * @param {number} min_team_size.body - Updated minimum team size
+ * @param {string} start_date.body - Updated start date
+ * @param {string} end_date.body - Updated end date
+ * @param {string} complexity_level.body - Updated difficulty level
+ * @param {string|Array} deliverables.body - Updated deliverables
+ * @param {string} project_location.body - Updated location
+ * @param {string} industry.body - Updated industry category
+ * @param {string} status.body - Updated status
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with the project's current revision number
+ * @returns {object} 400 - Validation error, no fields to update, or the project is archived
+ * @returns {object} 403 - Unauthorized (not project owner)
+ * @returns {object} 404 - Project not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * PUT /projects/42
+ * {
+ *   "title": "Updated Project Title",
+ *   "team_size": 5,
+ *   "status": "closed"
+ * }
+ */
+router.put("/:project_id", verifyToken, async (req, res) => {
+  try {
+    const { project_id } = req.params;
+    const {
+      title, description, skills_required, category, team_size, min_team_size,
+      start_date, end_date, complexity_level, deliverables,
+      project_location, industry, status, feedback
+    } = req.body;
+
+    // Check if user is a client
+    if (req.user.role !== "client") {
+      return res.status(403).json({
+        success: false,
+        error: "Only clients can update projects",
+      });
+    }
+
+    // Verify project exists and belongs to this client
+    const [projectCheck] = await db.query(
+      "SELECT owner_id, status FROM projects WHERE id = ?",
+      [project_id]
+    );
+
+    if (projectCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    if (projectCheck[0].owner_id !== req.user.clientId) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only update your own projects",
+      });
+    }
+
+    if (isArchivedProject(projectCheck[0])) {
+      return res.status(400).json({
+        success: false,
+        error: ARCHIVED_PROJECT_ERROR,
+      });
+    }
+
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+
+    if (title !== undefined) { updates.push("title = ?"); values.push(title); }
+    if (description !== undefined) { updates.push("description = ?"); values.push(description); }
+    
+    // ✅ Convert skills_required to JSON if provided
+    if (skills_required !== undefined) {
+      let skillsJson;
+      if (typeof skills_required === 'string') {
+        const skillsArray = skills_required.split(',').map(s => s.trim()).filter(s => s);
+        skillsJson = JSON.stringify(skillsArray);
+      } else if (Array.isArray(skills_required)) {
+        skillsJson = JSON.stringify(skills_required);
+      } else {
+        skillsJson = JSON.stringify([skills_required]);
+      }
+      updates.push("required_skills = ?");
+      values.push(skillsJson);
+    }
+    
     if (category !== undefined) { updates.push("category = ?"); values.push(category); }
     if (team_size !== undefined) { updates.push("max_team_size = ?"); values.push(team_size); }
+    if (min_team_size !== undefined) { updates.push("min_team_size = ?"); values.push(min_team_size || null); }
     if (start_date !== undefined) { updates.push("start_date = ?"); values.push(start_date); }
     if (end_date !== undefined) { updates.push("end_date = ?"); values.push(end_date); }
     if (complexity_level !== undefined) { updates.push("difficulty_level = ?"); values.push(complexity_level); }
@@ -770,21 +902,44 @@ router.put("/:project_id", verifyToken, async (req, res) => {
 
     values.push(project_id);
 
-    const [result] = await db.query(
-      `UPDATE projects SET ${updates.join(", ")} WHERE id = ?`,
-      values
-    );
+    // Keep the version being replaced (for projects from before revisions were
+    // kept) and then the edited one
+    let revision;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: "Project not found",
+      await recordProjectRevision(connection, {
+        projectId: parseInt(project_id),
+        editedBy: projectCheck[0].owner_id,
+        editedByRole: "client",
+      });
+
+      await connection.query(
+        `UPDATE projects SET ${updates.join(", ")} WHERE id = ?`,
+        values
+      );
+
+      revision = await recordProjectRevision(connection, {
+        projectId: parseInt(project_id),
+        editedBy: req.user.clientId,
+        editedByRole: req.user.role,
       });
+
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
     }
 
     res.json({
       success: true,
       message: "Project updated successfully",
+      data: {
+        revision,
+      },
     });
   } catch (err) {
     console.error("Error updating project:", err);
@@ -805,10 +960,11 @@ router.put("/:project_id", verifyToken, async (req, res) => {
  * Uses database transaction to ensure data integrity with foreign key constraints.
  * 
  * Deletion order (respecting foreign keys):
- * 1. student_preferences
+ * 1. student_preferences, client_student_rankings
  * 2. group_members
  * 3. student_groups
- * 4. projects
+ * 4. projects (its attachment records go with it; the files are then removed
+ *    from attachment storage)
  * 
  * @route DELETE /projects/:project_id
  * @group Projects - Project CRUD operations
@@ -816,6 +972,7 @@ router.put("/:project_id", verifyToken, async (req, res) => {
  * @param {number} project_id.path.required - Project ID
  * @param {string} authorization.header.required - Bearer token
  * @returns {object} 200 - Success response
+ * @returns {object} 400 - Project belongs to an archived term
  * @returns {object} 403 - Unauthorized (not project owner)
  * @returns {object} 404 - Project not found
  * @returns {object} 500 - Server error
@@ -838,7 +995,7 @@ router.delete("/:project_id", verifyToken, async (req, res) => {
 
     // Verify project exists and belongs to this client
     const [projectCheck] = await db.query(
-      "SELECT owner_id FROM projects WHERE id = ?",
+      "SELECT owner_id, status FROM projects WHERE id = ?",
       [project_id]
     );
 
@@ -856,17 +1013,28 @@ router.delete("/:project_id", verifyToken, async (req, res) => {
       });
     }
 
+    if (isArchivedProject(projectCheck[0])) {
+      return res.status(400).json({
+        success: false,
+        error: ARCHIVED_PROJECT_ERROR,
+      });
+    }
+
     // Get database connection for safe deletion
     const connection = await db.getConnection();
 
     try {
       // Delete in correct order (respecting foreign key constraints)
       
-      // 1. Delete student preferences for this project
+      // 1. Delete student preferences and the client's rankings for this project
       await connection.query(
         "DELETE FROM student_preferences WHERE project_id = ?",
         [project_id]
       );
+      await connection.query(
+        "DELETE FROM client_student_rankings WHERE project_id = ?",
+        [project_id]
+      );
 
       // 2. Delete group members for groups of this project
       await connection.query(
@@ -881,7 +1049,11 @@ router.delete("/:project_id", verifyToken, async (req, res) => {
         [project_id]
       );
 
-      // 4. Delete the project
+      // 4. Delete the project, noting its attachment files first
+      const [attachments] = await connection.query(
+        "SELECT storage_key FROM project_attachments WHERE project_id = ?",
+        [project_id]
+      );
       const [result] = await connection.query(
         "DELETE FROM projects WHERE id = ?",
         [project_id]
@@ -896,6 +1068,11 @@ router.delete("/:project_id", verifyToken, async (req, res) => {
         });
       }
 
+      const storage = getAttachmentStorage();
+      await Promise.all(attachments.map(({ storage_key }) =>
+        storage.remove(storage_key).catch((err) => console.error("Error removing attachment file:", err))
+      ));
+
       res.json({
         success: true,
         message: "Project deleted successfully",
@@ -981,20 +1158,7 @@ router.get("/:project_id/details", verifyToken, async (req, res) => {
 
     const project = projects[0];
 
-    const [preferences] = await db.query(
-      `SELECT 
-         sp.student_id, 
-         sp.rank as preference_rank,
-         p.first_name, 
-         p.last_name, 
-         u.email
-       FROM student_preferences sp
-       JOIN users u ON sp.student_id = u.id
-       LEFT JOIN user_profiles p ON u.id = p.user_id
-       WHERE sp.project_id = ?
-       ORDER BY sp.rank ASC`,
-      [project_id]
-    );
+    const preferences = await getProjectPreferences(project_id, true);
 
     // Get assigned groups
     const [groups] = await db.query(
@@ -1030,8 +1194,11 @@ router.get("/:project_id/details", verifyToken, async (req, res) => {
 /**
  * Get Project Preferences
  * 
- * Retrieves all student preferences for a specific project with student information.
- * Protected route - only project owner (client) can view preferences.
+ * Retrieves all student preferences for a specific project with student information
+ * and each student's justification (statement of interest).
+ * Protected route - the project owner (client), instructors and admins can view preferences.
+ * Clients do not see justifications an instructor has hidden; instructors see
+ * every justification with its justification_hidden flag.
  * 
  * @route GET /projects/:project_id/preferences
  * @group Projects - Project details and analytics
@@ -1046,16 +1213,22 @@ router.get("/:project_id/details", verifyToken, async (req, res) => {
  * @example
  * GET /projects/42/preferences
  * Authorization: Bearer <token>
+ * Response: {
+ *   "success": true,
+ *   "data": [
+ *     { "student_id": 7, "preference_rank": 1, "justification": "I built a similar app last summer", "first_name": "Ana", ... }
+ *   ]
+ * }
  */
 router.get("/:project_id/preferences", verifyToken, async (req, res) => {
   try {
     const { project_id } = req.params;
+    const isStaff = req.user.role === "instructor" || req.user.role === "admin";
 
-    // Check if user is a client
-    if (req.user.role !== "client") {
+    if (req.user.role !== "client" && !isStaff) {
       return res.status(403).json({
         success: false,
-        error: "Only clients can view preferences",
+        error: "Only clients and instructors can view preferences",
       });
     }
 
@@ -1072,27 +1245,14 @@ router.get("/:project_id/preferences", verifyToken, async (req, res) => {
       });
     }
 
-    if (projectCheck[0].owner_id !== req.user.clientId) {
+    if (!isStaff && projectCheck[0].owner_id !== req.user.clientId) {
       return res.status(403).json({
         success: false,
         error: "You can only view preferences for your own projects",
       });
     }
 
-    const [preferences] = await db.query(
-      `SELECT 
-         sp.student_id, 
-         sp.rank as preference_rank,
-         p.first_name, 
-         p.last_name, 
-         u.email
-       FROM student_preferences sp
-       JOIN users u ON sp.student_id = u.id
-       LEFT JOIN user_profiles p ON u.id = p.user_id
-       WHERE sp.project_id = ?
-       ORDER BY sp.rank ASC`,
-      [project_id]
-    );
+    const preferences = await getProjectPreferences(project_id, !isStaff);
 
     res.json({
       success: true,
@@ -1107,109 +1267,1049 @@ router.get("/:project_id/preferences", verifyToken, async (req, res) => {
   }
 });
 
-// ==================== INSTRUCTOR APPROVAL ====================
-
 /**
- * Approve or Reject Project
+ * Hide or Show a Preference Justification
  * 
- * Allows instructors to approve or reject client-submitted projects.
- * Updates approval_status, approved_by, approved_at, and optional instructor_feedback.
- * Protected route - only instructors and admins can approve/reject projects.
+ * Controls whether the project's client can see a student's justification.
+ * Instructors and admins always see it.
  * 
- * @route PUT /projects/:project_id/approval
- * @group Projects - Project approval workflow
+ * @route PUT /projects/:project_id/preferences/:student_id/justification-visibility
+ * @group Projects - Project details and analytics
  * @security JWT
  * @param {number} project_id.path.required - Project ID
- * @param {string} approval_status.body.required - Approval status ('approved' or 'rejected')
- * @param {string} feedback.body - Instructor feedback (especially for rejections)
+ * @param {number} student_id.path.required - Student ID
+ * @param {boolean} hidden.body.required - true to hide the justification from the client
  * @param {string} authorization.header.required - Bearer token
- * @returns {object} 200 - Success response with approval details
- * @returns {object} 400 - Invalid approval_status
- * @returns {object} 403 - Only instructors can approve/reject
- * @returns {object} 404 - Project not found
+ * @returns {object} 200 - Success response with the new visibility
+ * @returns {object} 400 - hidden is not a boolean
+ * @returns {object} 403 - Only instructors can change visibility
+ * @returns {object} 404 - Preference not found
  * @returns {object} 500 - Server error
  * 
  * @example
- * PUT /projects/42/approval
- * {
- *   "approval_status": "approved",
- *   "feedback": "Great project proposal!"
- * }
- * 
- * @example
- * PUT /projects/42/approval
- * {
- *   "approval_status": "rejected",
- *   "feedback": "Project scope is too broad. Please narrow the focus."
- * }
+ * PUT /projects/42/preferences/7/justification-visibility
+ * { "hidden": true }
  */
-router.put("/:project_id/approval", verifyToken, async (req, res) => {
+router.put("/:project_id/preferences/:student_id/justification-visibility", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
   try {
-    const { project_id } = req.params;
-    const { approval_status, feedback } = req.body;
+    const { project_id, student_id } = req.params;
+    const { hidden } = req.body;
 
-    // Check if user is an instructor
     if (req.user.role !== "instructor" && req.user.role !== "admin") {
       return res.status(403).json({
         success: false,
-        error: "Only instructors can approve or reject projects",
+        error: "Only instructors can change justification visibility",
       });
     }
 
-    // Validate approval_status
-    if (!approval_status || !["approved", "rejected"].includes(approval_status)) {
+    if (typeof hidden !== "boolean") {
       return res.status(400).json({
         success: false,
-        error: "approval_status must be 'approved' or 'rejected'",
+        error: "hidden must be true or false",
       });
     }
 
-    // Verify project exists
-    const [projectCheck] = await db.query(
-      "SELECT id, title FROM projects WHERE id = ?",
-      [project_id]
+    // Leave updated_at alone: it records when the student last submitted
+    const [result] = await db.query(
+      "UPDATE student_preferences SET justification_hidden = ?, updated_at = updated_at WHERE project_id = ? AND student_id = ? AND course_id <=> ?",
+      [hidden, project_id, student_id, req.courseId]
     );
 
-    if (projectCheck.length === 0) {
+    if (result.affectedRows === 0) {
       return res.status(404).json({
         success: false,
-        error: "Project not found",
+        error: "Preference not found",
       });
     }
 
-    // Update project approval status and feedback
-    const updateFields = ["approval_status = ?", "approved_by = ?", "approved_at = NOW()"];
-    const updateValues = [approval_status, req.user.instructorId];
-
-    // Add feedback if provided (especially for rejections)
-    if (feedback) {
-      updateFields.push("instructor_feedback = ?");
-      updateValues.push(feedback);
-    }
-
-    updateValues.push(project_id);
-
-    await db.query(
-      `UPDATE projects SET ${updateFields.join(", ")} WHERE id = ?`,
-      updateValues
-    );
-
     res.json({
       success: true,
-      message: `Project ${approval_status} successfully`,
+      message: hidden ? "Justification hidden from the client" : "Justification visible to the client",
       data: {
         project_id: parseInt(project_id),
-        approval_status,
-        feedback: feedback || null,
+        student_id: parseInt(student_id),
+        justification_hidden: hidden,
       },
     });
   } catch (err) {
-    console.error("Error updating project approval:", err);
+    console.error("Error updating justification visibility:", err);
     res.status(500).json({
       success: false,
-      error: "Failed to update project approval",
+      error: "Failed to update justification visibility",
+    });
+  }
+});
+
+/**
+ * Rank or Decline Interested Students
+ * 
+ * Lets the project's client rank the students who listed the project and decline
+ * any they do not want. Declined students are never placed on the project by
+ * group formation; the ranking is used by stable matching (matching_mode
+ * "stable"). Students left out of both lists count as accepted but unranked.
+ * Replaces the client's previous rankings for the project.
+ * 
+ * @route PUT /projects/:project_id/student-rankings
+ * @group Projects - Project details and analytics
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {Array<number>} ranked_student_ids.body - Accepted students, most wanted first
+ * @param {Array<number>} declined_student_ids.body - Students the client declines
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with ranked and declined counts
+ * @returns {object} 400 - Invalid lists, a student in both lists, or a student who did not list the project
+ * @returns {object} 403 - Not the project owner
+ * @returns {object} 404 - Project not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * PUT /projects/42/student-rankings
+ * {
+ *   "ranked_student_ids": [7, 3, 12],
+ *   "declined_student_ids": [9]
+ * }
+ */
+router.put("/:project_id/student-rankings", verifyToken, async (req, res) => {
+  try {
+    const { project_id } = req.params;
+    const { ranked_student_ids: ranked = [], declined_student_ids: declined = [] } = req.body;
+
+    if (req.user.role !== "client") {
+      return res.status(403).json({
+        success: false,
+        error: "Only clients can rank students",
+      });
+    }
+
+    const [projectCheck] = await db.query(
+      "SELECT owner_id FROM projects WHERE id = ?",
+      [project_id]
+    );
+
+    if (projectCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    if (projectCheck[0].owner_id !== req.user.clientId) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only rank students for your own projects",
+      });
+    }
+
+    if (!Array.isArray(ranked) || !Array.isArray(declined) || ![...ranked, ...declined].every(Number.isInteger)) {
+      return res.status(400).json({
+        success: false,
+        error: "ranked_student_ids and declined_student_ids must be arrays of student IDs",
+      });
+    }
+
+    const all = [...ranked, ...declined];
+    if (new Set(all).size !== all.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Each student can only appear once across both lists",
+      });
+    }
+
+    const [interested] = await db.query(
+      "SELECT student_id FROM student_preferences WHERE project_id = ?",
+      [project_id]
+    );
+    const interestedIds = new Set(interested.map(row => row.student_id));
+    const unknown = all.filter(id => !interestedIds.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `These students did not list this project: ${unknown.join(", ")}`,
+      });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query(
+        "DELETE FROM client_student_rankings WHERE project_id = ?",
+        [project_id]
+      );
+
+      const rows = [
+        ...ranked.map((studentId, index) => [project_id, studentId, "accepted", index + 1]),
+        ...declined.map(studentId => [project_id, studentId, "declined", null]),
+      ];
+      if (rows.length > 0) {
+        await connection.query(
+          "INSERT INTO client_student_rankings (project_id, student_id, decision, client_rank) VALUES ?",
+          [rows]
+        );
+      }
+
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    res.json({
+      success: true,
+      message: "Student rankings saved",
+      data: {
+        project_id: parseInt(project_id),
+        ranked: ranked.length,
+        declined: declined.length,
+      },
+    });
+  } catch (err) {
+    console.error("Error saving student rankings:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save student rankings",
+    });
+  }
+});
+
+// ==================== INSTRUCTOR APPROVAL ====================
+
+/**
+ * Review Project Proposal
+ * 
+ * Records the reviewing instructor's vote on a client-submitted project:
+ * approve, reject, or ask the client for changes. A reviewer has one vote per
+ * review round and voting again replaces it. The project's approval_status
+ * follows the round's votes and the course's quorum (see utils/reviewQuorum):
+ * rejected once rejection_quorum reviewers reject it, changes_requested as soon
+ * as anyone asks for changes, approved once approval_quorum reviewers approve
+ * the same revision, and pending until then. With the default quorum of 1 the
+ * first vote decides.
+ * 
+ * Requesting changes keeps the proposal open: the client edits it and
+ * resubmits it (POST /projects/:project_id/resubmit), which moves it back to
+ * pending and starts a new round. When a decision is reached, approval_status,
+ * approved_by, approved_at, reviewed_revision and instructor_feedback are
+ * updated, and votes agreeing with the decision are added with their feedback
+ * to the project's review thread.
+ * 
+ * Votes are on the project's current revision. When approving, an earlier
+ * revision can be chosen; if the approvals for it reach the quorum, the
+ * proposal's fields are put back to that revision (kept as a new revision) and
+ * approved as they were then.
+ * Protected route - only instructors, co-instructors, and admins can review projects.
+ * 
+ * @route PUT /projects/:project_id/approval
+ * @group Projects - Project approval workflow
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {string} approval_status.body.required - 'approved', 'rejected', or 'changes_requested'
+ * @param {string} feedback.body - Instructor feedback (required when requesting changes)
+ * @param {number} revision.body - Revision to approve (defaults to the current one; approvals only)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with the vote, the resulting approval_status, the revision, and the quorum count
+ * @returns {object} 400 - Invalid approval_status or revision, or changes requested without feedback
+ * @returns {object} 403 - Only instructors can review projects
+ * @returns {object} 404 - Project or revision not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * PUT /projects/42/approval
+ * {
+ *   "approval_status": "approved",
+ *   "feedback": "Great project proposal!"
+ * }
+ * 
+ * @example
+ * PUT /projects/42/approval
+ * {
+ *   "approval_status": "changes_requested",
+ *   "feedback": "Please list the deliverables for each milestone."
+ * }
+ * 
+ * @example
+ * PUT /projects/42/approval
+ * {
+ *   "approval_status": "approved",
+ *   "revision": 2
+ * }
+ */
+router.put("/:project_id/approval", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { project_id } = req.params;
+    const { approval_status, feedback, revision } = req.body;
+
+    // Check if user is an instructor
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Only instructors can approve or reject projects",
+      });
+    }
+
+    // Validate approval_status
+    if (!approval_status || !REVIEW_DECISIONS.includes(approval_status)) {
+      return res.status(400).json({
+        success: false,
+        error: `approval_status must be one of: ${REVIEW_DECISIONS.join(", ")}`,
+      });
+    }
+
+    if (approval_status === "changes_requested" && !feedback?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Describe the changes you are requesting",
+      });
+    }
+
+    if (feedback && feedback.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Feedback must be at most ${MAX_COMMENT_LENGTH} characters`,
+      });
+    }
+
+    const chosenRevision = revision === undefined || revision === null ? null : Number(revision);
+    if (chosenRevision !== null) {
+      if (approval_status !== "approved") {
+        return res.status(400).json({
+          success: false,
+          error: "A revision can only be chosen when approving",
+        });
+      }
+      if (!Number.isInteger(chosenRevision) || chosenRevision < 1) {
+        return res.status(400).json({
+          success: false,
+          error: "revision must be a positive integer",
+        });
+      }
+    }
+
+    // Verify project exists in the active course
+    const [projectCheck] = await db.query(
+      "SELECT id, title, owner_id, approval_status, review_round FROM projects WHERE id = ? AND course_id <=> ?",
+      [project_id, req.courseId]
+    );
+
+    if (projectCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    if (chosenRevision !== null) {
+      const [revisions] = await db.query(
+        "SELECT id FROM project_revisions WHERE project_id = ? AND revision = ?",
+        [project_id, chosenRevision]
+      );
+      if (revisions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Revision not found",
+        });
+      }
+    }
+
+    const projectId = parseInt(project_id);
+    const project = projectCheck[0];
+    const settings = await getReviewSettings(req.courseId);
+    const reviewFeedback = feedback?.trim() || null;
+
+    let votedRevision;
+    let reviewedRevision = null;
+    let tally;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Projects from before revisions were kept get their first one here
+      const currentRevision = await recordProjectRevision(connection, {
+        projectId,
+        editedBy: project.owner_id,
+        editedByRole: "client",
+      });
+      votedRevision = chosenRevision ?? currentRevision;
+
+      await recordReviewVote(connection, {
+        projectId,
+        reviewerId: req.user.instructorId,
+        round: project.review_round,
+        vote: approval_status,
+        revision: votedRevision,
+        feedback: reviewFeedback,
+      });
+
+      tally = tallyReviewVotes(await getReviewVotes(projectId, project.review_round, connection), settings);
+
+      if (tally.decision) {
+        reviewedRevision = currentRevision;
+
+        // Approve the revision the approvals were for, putting it back if the
+        // proposal has changed since
+        if (tally.decision === "approved" && tally.revision !== currentRevision) {
+          const [revisions] = await connection.query(
+            "SELECT snapshot FROM project_revisions WHERE project_id = ? AND revision = ?",
+            [projectId, tally.revision]
+          );
+          reviewedRevision = await restoreProjectRevision(connection, {
+            projectId,
+            snapshot: typeof revisions[0].snapshot === "string" ? JSON.parse(revisions[0].snapshot) : revisions[0].snapshot,
+            revision: tally.revision,
+            editedBy: req.user.instructorId,
+            editedByRole: req.user.role,
+          });
+        }
+
+        const updateFields = ["approval_status = ?", "approved_by = ?", "approved_at = NOW()", "reviewed_revision = ?"];
+        const updateValues = [tally.decision, req.user.instructorId, reviewedRevision];
+
+        // The latest feedback that agrees with the decision is shown to the client
+        if (reviewFeedback && approval_status === tally.decision) {
+          updateFields.push("instructor_feedback = ?");
+          updateValues.push(reviewFeedback);
+        }
+
+        await connection.query(
+          `UPDATE projects SET ${updateFields.join(", ")} WHERE id = ?`,
+          [...updateValues, projectId]
+        );
+
+        // Votes that make up the decision go to the client's review thread
+        if (approval_status === tally.decision) {
+          await addReviewEntry(connection, {
+            projectId,
+            authorId: req.user.instructorId,
+            authorRole: req.user.role,
+            event: approval_status,
+            body: reviewFeedback,
+          });
+        }
+      } else if (project.approval_status !== "pending") {
+        // A changed vote took the project back below its quorum
+        await connection.query("UPDATE projects SET approval_status = 'pending' WHERE id = ?", [projectId]);
+      }
+
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    const newStatus = tally.decision || "pending";
+    let message = `Vote recorded: ${tally.approvals} of ${settings.approval_quorum} approvals`;
+    if (tally.decision === "changes_requested") message = "Changes requested from the client";
+    else if (tally.decision) message = `Project ${tally.decision} successfully`;
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        project_id: projectId,
+        vote: approval_status,
+        approval_status: newStatus,
+        feedback: reviewFeedback,
+        revision: reviewedRevision ?? votedRevision,
+        quorum: {
+          ...settings,
+          approvals: tally.approvals,
+          rejections: tally.rejections,
+          changes_requested: tally.changes_requested,
+        },
+      },
+    });
+  } catch (err) {
+    console.error("Error updating project approval:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update project approval",
+    });
+  }
+});
+
+// ==================== REVIEWER ASSIGNMENT ====================
+
+/**
+ * Assign Reviewer
+ * 
+ * Assigns an instructor to review a proposal, which puts it at the top of their
+ * review queue (GET /instructors/review-queue). Reviewers must be lead or
+ * co-instructors of the active course; without reviewer_id the signed-in
+ * instructor assigns themselves.
+ * Protected route - only instructors, co-instructors, and admins.
+ * 
+ * @route POST /projects/:project_id/reviewers
+ * @group Projects - Project approval workflow
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {number} reviewer_id.body - Instructor to assign (defaults to the signed-in instructor)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 201 - Reviewer assigned
+ * @returns {object} 400 - Invalid project ID, or the user can't review this course's proposals
+ * @returns {object} 403 - Only instructors can assign reviewers
+ * @returns {object} 404 - Project not found
+ * @returns {object} 409 - Already assigned
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * POST /projects/42/reviewers
+ * { "reviewer_id": 3 }
+ */
+router.post("/:project_id/reviewers", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { project_id } = req.params;
+    const reviewerId = req.body.reviewer_id ? parseInt(req.body.reviewer_id) : req.user.instructorId;
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Only instructors can assign reviewers",
+      });
+    }
+
+    if (isNaN(project_id) || isNaN(reviewerId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project or reviewer ID format",
+      });
+    }
+
+    const [projects] = await db.query(
+      "SELECT id FROM projects WHERE id = ? AND course_id <=> ?",
+      [parseInt(project_id), req.courseId]
+    );
+    if (projects.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    if (reviewerId !== req.user.instructorId) {
+      const reviewers = await getEligibleReviewers(req.courseId);
+      if (!reviewers.some((reviewer) => reviewer.id === reviewerId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Reviewers must be instructors or co-instructors of this course",
+        });
+      }
+    }
+
+    const [existing] = await db.query(
+      "SELECT id FROM project_reviewer_assignments WHERE project_id = ? AND reviewer_id = ?",
+      [parseInt(project_id), reviewerId]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "This instructor is already reviewing this project",
+      });
+    }
+
+    await db.query(
+      "INSERT INTO project_reviewer_assignments (project_id, reviewer_id, assigned_by) VALUES (?, ?, ?)",
+      [parseInt(project_id), reviewerId, req.user.instructorId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Reviewer assigned",
+      data: {
+        project_id: parseInt(project_id),
+        reviewer_id: reviewerId,
+      },
+    });
+  } catch (err) {
+    console.error("Error assigning reviewer:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to assign reviewer",
+    });
+  }
+});
+
+/**
+ * Unassign Reviewer
+ * 
+ * Removes an instructor from a proposal's reviewers. Votes they already cast
+ * still count.
+ * Protected route - only instructors, co-instructors, and admins.
+ * 
+ * @route DELETE /projects/:project_id/reviewers/:reviewer_id
+ * @group Projects - Project approval workflow
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {number} reviewer_id.path.required - Assigned instructor
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Reviewer removed
+ * @returns {object} 400 - Invalid ID format
+ * @returns {object} 403 - Only instructors can unassign reviewers
+ * @returns {object} 404 - Project or assignment not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * DELETE /projects/42/reviewers/3
+ */
+router.delete("/:project_id/reviewers/:reviewer_id", verifyToken, verifyRole(COURSE_MANAGER_ROLES), async (req, res) => {
+  try {
+    const { project_id, reviewer_id } = req.params;
+
+    if (req.user.role !== "instructor" && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Only instructors can unassign reviewers",
+      });
+    }
+
+    if (isNaN(project_id) || isNaN(reviewer_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project or reviewer ID format",
+      });
+    }
+
+    const [result] = await db.query(
+      `DELETE a FROM project_reviewer_assignments a
+       JOIN projects p ON a.project_id = p.id
+       WHERE a.project_id = ? AND a.reviewer_id = ? AND p.course_id <=> ?`,
+      [parseInt(project_id), parseInt(reviewer_id), req.courseId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Reviewer assignment not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Reviewer removed",
+    });
+  } catch (err) {
+    console.error("Error unassigning reviewer:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove reviewer",
+    });
+  }
+});
+
+// ==================== REVIEW THREAD ====================
+
+/**
+ * Load a project for its review thread, checking the user may take part
+ * 
+ * The project's client can always see the thread; instructors and admins can
+ * when the project is in the active course.
+ * 
+ * @private
+ * @async
+ * @function loadReviewProject
+ * @param {string} projectId - Project ID from the route
+ * @param {Object} req - Express request (after verifyToken)
+ * @returns {Promise<Object>} { project } or { status, error }
+ */
+async function loadReviewProject(projectId, req) {
+  if (isNaN(projectId)) {
+    return { status: 400, error: "Invalid project ID format" };
+  }
+
+  const [projects] = await db.query(
+    "SELECT id, owner_id, title, approval_status, status, course_id, reviewed_revision FROM projects WHERE id = ?",
+    [parseInt(projectId)]
+  );
+  if (projects.length === 0) {
+    return { status: 404, error: "Project not found" };
+  }
+
+  const project = projects[0];
+  const isOwner = req.user.role === "client" && project.owner_id === req.user.clientId;
+  const isReviewer = (req.user.role === "instructor" || req.user.role === "admin") &&
+    project.course_id === req.courseId;
+
+  if (!isOwner && !isReviewer) {
+    return { status: 403, error: "Only the project's client and its course's instructors can see this conversation" };
+  }
+
+  return { project };
+}
+
+/**
+ * Get Review Thread
+ * 
+ * Returns the conversation between instructors and the client on a proposal,
+ * oldest first, including each review decision and resubmission.
+ * Protected route - the project's client, or instructors of its course.
+ * 
+ * @route GET /projects/:project_id/review-comments
+ * @group Projects - Project approval workflow
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with { approval_status, comments }
+ * @returns {object} 400 - Invalid project ID format
+ * @returns {object} 403 - Not the project's client or an instructor of its course
+ * @returns {object} 404 - Project not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /projects/42/review-comments
+ * 
+ * // Response data
+ * {
+ *   "approval_status": "changes_requested",
+ *   "comments": [
+ *     { "id": 1, "author_role": "instructor", "author_name": "Dr. Lee", "event": "changes_requested", "body": "Please narrow the scope.", "created_at": "..." },
+ *     { "id": 2, "author_role": "client", "author_name": "Acme Corp", "event": "comment", "body": "Would dropping the mobile app work?", "created_at": "..." }
+ *   ]
+ * }
+ */
+router.get("/:project_id/review-comments", verifyToken, async (req, res) => {
+  try {
+    const { project, status, error } = await loadReviewProject(req.params.project_id, req);
+    if (!project) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const comments = await getReviewThread(project.id);
+
+    res.json({
+      success: true,
+      data: {
+        approval_status: project.approval_status,
+        comments,
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching review thread:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch review conversation",
+    });
+  }
+});
+
+/**
+ * Add Review Comment
+ * 
+ * Adds a reply to a proposal's review thread, from its client or an instructor.
+ * Comments don't change the approval status.
+ * Protected route - the project's client, or instructors of its course.
+ * 
+ * @route POST /projects/:project_id/review-comments
+ * @group Projects - Project approval workflow
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {string} body.body.required - Comment text
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 201 - Comment added
+ * @returns {object} 400 - Invalid project ID, empty or too long comment, or archived project
+ * @returns {object} 403 - Not the project's client or an instructor of its course
+ * @returns {object} 404 - Project not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * POST /projects/42/review-comments
+ * { "body": "Would dropping the mobile app work?" }
+ */
+router.post("/:project_id/review-comments", verifyToken, async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const { project, status, error } = await loadReviewProject(req.params.project_id, req);
+    if (!project) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (isArchivedProject(project)) {
+      return res.status(400).json({
+        success: false,
+        error: ARCHIVED_PROJECT_ERROR,
+      });
+    }
+
+    if (typeof body !== "string" || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Comment cannot be empty",
+      });
+    }
+
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters`,
+      });
+    }
+
+    const authorId = req.user.clientId || req.user.instructorId;
+    const commentId = await addReviewEntry(db, {
+      projectId: project.id,
+      authorId,
+      authorRole: req.user.role,
+      body: body.trim(),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added",
+      data: {
+        id: commentId,
+        project_id: project.id,
+        author_id: authorId,
+        author_role: req.user.role,
+        event: "comment",
+        body: body.trim(),
+      },
+    });
+  } catch (err) {
+    console.error("Error adding review comment:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add comment",
+    });
+  }
+});
+
+/**
+ * Resubmit Project for Review
+ * 
+ * Sends a proposal the instructor asked changes on (or rejected) back to
+ * pending, with an optional note added to the review thread. The client edits
+ * the project first with PUT /projects/:project_id.
+ * Protected route - only the project's client.
+ * 
+ * @route POST /projects/:project_id/resubmit
+ * @group Projects - Project approval workflow
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {string} message.body - Note for the instructor (e.g. what changed)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Project is pending again
+ * @returns {object} 400 - Invalid project ID, message too long, archived project,
+ *   or the project is not awaiting changes
+ * @returns {object} 403 - Not the project's client
+ * @returns {object} 404 - Project not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * POST /projects/42/resubmit
+ * { "message": "Scope narrowed to the web dashboard." }
+ */
+router.post("/:project_id/resubmit", verifyToken, async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (req.user.role !== "client") {
+      return res.status(403).json({
+        success: false,
+        error: "Only clients can resubmit projects",
+      });
+    }
+
+    const { project, status, error } = await loadReviewProject(req.params.project_id, req);
+    if (!project) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (isArchivedProject(project)) {
+      return res.status(400).json({
+        success: false,
+        error: ARCHIVED_PROJECT_ERROR,
+      });
+    }
+
+    if (!RESUBMITTABLE_STATUSES.includes(project.approval_status)) {
+      return res.status(400).json({
+        success: false,
+        error: "Only projects with requested changes or a rejection can be resubmitted",
+      });
+    }
+
+    if (message && message.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Message must be at most ${MAX_COMMENT_LENGTH} characters`,
+      });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // A new review round, so reviewers vote again on the revised proposal
+      await connection.query(
+        "UPDATE projects SET approval_status = 'pending', review_round = review_round + 1 WHERE id = ?",
+        [project.id]
+      );
+
+      await addReviewEntry(connection, {
+        projectId: project.id,
+        authorId: req.user.clientId,
+        authorRole: "client",
+        event: "resubmitted",
+        body: message?.trim() || null,
+      });
+
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    res.json({
+      success: true,
+      message: "Project resubmitted for review",
+      data: {
+        project_id: project.id,
+        approval_status: "pending",
+      },
+    });
+  } catch (err) {
+    console.error("Error resubmitting project:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to resubmit project",
+    });
+  }
+});
+
+// ==================== REVISION HISTORY ====================
+
+/**
+ * Get Project Revisions
+ * 
+ * Lists every version of a proposal, newest first, each with the fields it
+ * changed from the version before. Also compares two revisions: by default the
+ * one the latest review decision was made on (reviewed_revision) against the
+ * current one, so reviewers see what the client changed since they last looked.
+ * approved_revision is the reviewed revision while the project is approved.
+ * Protected route - the project's client, or instructors of its course.
+ * 
+ * @route GET /projects/:project_id/revisions
+ * @group Projects - Project approval workflow
+ * @security JWT
+ * @param {number} project_id.path.required - Project ID
+ * @param {number} from.query - Revision to compare from (defaults to the reviewed revision, or the one before the current)
+ * @param {number} to.query - Revision to compare to (defaults to the current one)
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with { current_revision, reviewed_revision, approved_revision, compare, revisions }
+ * @returns {object} 400 - Invalid project ID format or revision numbers
+ * @returns {object} 403 - Not the project's client or an instructor of its course
+ * @returns {object} 404 - Project or revision not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /projects/42/revisions?from=1&to=3
+ * 
+ * // Response data
+ * {
+ *   "approval_status": "pending",
+ *   "current_revision": 3,
+ *   "reviewed_revision": 1,
+ *   "approved_revision": null,
+ *   "compare": {
+ *     "from": 1,
+ *     "to": 3,
+ *     "changed": true,
+ *     "fields": [{ "field": "deliverables", "label": "Deliverables", "from": ["MVP"], "to": ["MVP", "Test plan"], "added": ["Test plan"], "removed": [] }]
+ *   },
+ *   "revisions": [
+ *     { "revision": 3, "editor_name": "Acme Corp", "edited_by_role": "client", "restored_from": null, "created_at": "...", "snapshot": { ... }, "changes": { ... } },
+ *     ...
+ *   ]
+ * }
+ */
+router.get("/:project_id/revisions", verifyToken, async (req, res) => {
+  try {
+    const { project, status, error } = await loadReviewProject(req.params.project_id, req);
+    if (!project) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const { from, to } = req.query;
+    if ((from !== undefined && isNaN(from)) || (to !== undefined && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be revision numbers",
+      });
+    }
+
+    const revisions = await getProjectRevisions(project.id);
+    const byNumber = new Map(revisions.map((revision) => [revision.revision, revision]));
+    const currentRevision = revisions.length > 0 ? revisions[revisions.length - 1].revision : null;
+
+    let compare = null;
+    if (currentRevision !== null) {
+      const toRevision = to !== undefined ? parseInt(to) : currentRevision;
+      let fromRevision = from !== undefined ? parseInt(from) : null;
+      if (fromRevision === null) {
+        fromRevision = project.reviewed_revision && project.reviewed_revision < toRevision
+          ? project.reviewed_revision
+          : toRevision - 1;
+      }
+
+      if (!byNumber.has(toRevision) || (from !== undefined && !byNumber.has(fromRevision))) {
+        return res.status(404).json({
+          success: false,
+          error: "Revision not found",
+        });
+      }
+
+      compare = {
+        from: byNumber.has(fromRevision) ? fromRevision : null,
+        to: toRevision,
+        ...diffProjectRevisions(byNumber.get(fromRevision)?.snapshot || null, byNumber.get(toRevision).snapshot),
+      };
+    }
+
+    let previous = null;
+    const history = revisions.map((revision) => {
+      const entry = {
+        ...revision,
+        changes: diffProjectRevisions(previous, revision.snapshot),
+      };
+      previous = revision.snapshot;
+      return entry;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        approval_status: project.approval_status,
+        current_revision: currentRevision,
+        reviewed_revision: project.reviewed_revision,
+        approved_revision: project.approval_status === "approved" ? project.reviewed_revision : null,
+        compare,
+        revisions: history.reverse(),
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching project revisions:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch project revisions",
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -10,7 +10,11 @@
  * 3. Parameterized routes (specific student operations)
  * 4. Preferences management
  * 5. Group assignments
- * 6. Evaluations
+ * 6. Pre-teams (student-formed teams placed together by group formation)
+ * 7. Evaluations
+ * 
+ * Preferences, groups and pre-teams belong to the active course (req.courseId,
+ * see middleware/courseScope), so a student ranks projects separately per course.
  * 
  * @module routes/studentRoutes
  * @requires express
@@ -25,11 +29,20 @@ import express from "express";
 import jwt from "jsonwebtoken";
 import db from "../../db.js";
 import { auth } from "../../firebaseAdmin.js";
-import { verifyToken, verifyRole } from "../middleware/authMiddleware.js";
+import { verifyToken, verifyRole, COURSE_STAFF_ROLES } from "../middleware/authMiddleware.js";
 import { validateStudentSignup, validateStudentLogin } from "../middleware/validateRequest.js";
+import { getPreferenceSettings, checkPreferenceCount, checkRankAllProjects, checkBids } from "../utils/preferenceSettings.js";
+import { recordPreferenceSubmission, diffPreferenceSnapshots } from "../utils/preferenceHistory.js";
+import { getPreferenceWindow, checkPreferenceWindow } from "../utils/preferenceWindow.js";
 
 const router = express.Router();
 
+/**
+ * Longest statement of interest a student can attach to one preference
+ * @constant {number}
+ */
+const MAX_JUSTIFICATION_LENGTH = 500;
+
 /**
  * Generate JWT Token for Student
  * 
@@ -54,6 +67,61 @@ const generateJWT = (uid, email, role, studentId) => {
   );
 };
 
+/**
+ * Check Preference Deadline
+ * 
+ * @async
+ * @function isPreferenceDeadlinePassed
+ * @param {number|null} [courseId] - Course whose deadline to check (null for the shared scope)
+ * @returns {Promise<boolean>} True if a preference deadline is set and has passed
+ */
+async function isPreferenceDeadlinePassed(courseId = null) {
+  const { status } = await getPreferenceWindow(null, db, courseId);
+  return status === "closed";
+}
+
+/**
+ * Get Accepted Pre-Team
+ * 
+ * Finds the pre-team a student belongs to (as creator or accepted invitee).
+ * 
+ * @async
+ * @function getAcceptedPreTeam
+ * @param {number} studentId - Student ID
+ * @param {number|null} [courseId] - Course to look in (null for the shared scope)
+ * @returns {Promise<Object|null>} pre_teams row, or null if the student is in no pre-team
+ */
+async function getAcceptedPreTeam(studentId, courseId = null) {
+  const [rows] = await db.query(
+    `SELECT pt.*
+     FROM pre_team_members ptm
+     JOIN pre_teams pt ON ptm.pre_team_id = pt.id
+     WHERE ptm.student_id = ? AND ptm.status = 'accepted' AND pt.course_id <=> ?
+     LIMIT 1`,
+    [studentId, courseId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get Maximum Pre-Team Size
+ * 
+ * A pre-team cannot be larger than the largest approved project, since it has
+ * to fit on one team.
+ * 
+ * @async
+ * @function getMaxPreTeamSize
+ * @param {number|null} [courseId] - Course whose projects to consider (null for the shared scope)
+ * @returns {Promise<number>} Largest max_team_size among approved projects (default 4)
+ */
+async function getMaxPreTeamSize(courseId = null) {
+  const [rows] = await db.query(
+    "SELECT MAX(max_team_size) as max_size FROM projects WHERE approval_status = 'approved' AND course_id <=> ?",
+    [courseId]
+  );
+  return rows[0]?.max_size || 4;
+}
+
 // ==================== AUTHENTICATION ====================
 
 /**
@@ -284,16 +352,20 @@ router.post("/login", validateStudentLogin, async (req, res) => {
  * GET /students
  * Authorization: Bearer <token>
  */
-router.get("/", verifyToken, verifyRole(["instructor", "admin"]), async (req, res) => {
+router.get("/", verifyToken, verifyRole(COURSE_STAFF_ROLES), async (req, res) => {
   try {
     // ✅ NEW SCHEMA: Query users + user_profiles
     const [students] = await db.query(
       `SELECT u.id, u.email, u.created_at,
-              p.first_name, p.last_name, p.full_name
+              p.first_name, p.last_name, p.full_name,
+              de.extended_until, de.reason as extension_reason
        FROM users u
        LEFT JOIN user_profiles p ON u.id = p.user_id
+       LEFT JOIN deadline_extensions de ON u.id = de.student_id AND de.course_id <=> ?
        WHERE u.role = 'student' AND u.deleted_at IS NULL
-       ORDER BY u.created_at DESC`
+         AND (? IS NULL OR u.id IN (SELECT user_id FROM course_enrollments WHERE course_id = ? AND role = 'student'))
+       ORDER BY u.created_at DESC`,
+      [req.courseId, req.courseId, req.courseId]
     );
 
     // Format for backwards compatibility
@@ -303,6 +375,8 @@ router.get("/", verifyToken, verifyRole(["instructor", "admin"]), async (req, re
       last_name: student.last_name,
       email: student.email,
       created_at: student.created_at,
+      extended_until: student.extended_until,
+      extension_reason: student.extension_reason,
     }));
 
     res.json({
@@ -355,8 +429,9 @@ router.get("/projects", async (req, res) => {
        status,
        created_at
       FROM projects 
-      WHERE approval_status = 'approved'
-      ORDER BY created_at DESC`
+      WHERE approval_status = 'approved' AND course_id <=> ?
+      ORDER BY created_at DESC`,
+    [req.courseId]
   );
 
     res.json({
@@ -375,7 +450,8 @@ router.get("/projects", async (req, res) => {
 /**
  * Get Course Settings
  * 
- * Retrieves course settings including preference submission deadline.
+ * Retrieves course settings: the preference window (when submissions open and
+ * the deadline) and the preference model (how many projects students rank).
  * Public route - students need to see deadline before authentication.
  * 
  * @route GET /students/course-settings
@@ -385,37 +461,39 @@ router.get("/projects", async (req, res) => {
  * 
  * @example
  * GET /students/course-settings
- * Response: { "success": true, "data": { "preference_deadline": "2025-01-15T23:59:59Z" } }
+ * Response: {
+ *   "success": true,
+ *   "data": {
+ *     "preference_opens_at": "2025-01-06T09:00:00Z",
+ *     "preference_deadline": "2025-01-15T23:59:59Z",
+ *     "max_preferences": 5,
+ *     "min_preferences": 1,
+ *     "rank_all_projects": false,
+ *     "approved_projects": 12,
+ *     "preference_length": 5
+ *   }
+ * }
  */
 router.get("/course-settings", async (req, res) => {
   try {
-    // Query app_settings table for preference_deadline
-    const [result] = await db.query(
-      `SELECT setting_key, setting_value FROM app_settings WHERE setting_key = 'preference_deadline'`
-    );
+    const preferenceWindow = await getPreferenceWindow(null, db, req.courseId);
+    const preferenceSettings = await getPreferenceSettings(req.courseId);
 
-    if (result.length > 0) {
-      res.json({
-        success: true,
-        data: {
-          preference_deadline: result[0].setting_value,
-        },
-      });
-    } else {
-      // No deadline set
-      res.json({
-        success: true,
-        data: {
-          preference_deadline: null,
-        },
-      });
-    }
+    res.json({
+      success: true,
+      data: {
+        preference_opens_at: preferenceWindow.opens_at,
+        preference_deadline: preferenceWindow.deadline,
+        ...preferenceSettings,
+      },
+    });
   } catch (err) {
     // If table doesn't exist, return null deadline
     if (err.code === 'ER_NO_SUCH_TABLE') {
       return res.json({
         success: true,
         data: {
+          preference_opens_at: null,
           preference_deadline: null,
         },
       });
@@ -696,14 +774,17 @@ router.delete("/:student_id", verifyToken, async (req, res) => {
  * Get Student Preferences
  * 
  * Retrieves student's submitted project preferences with full project details.
- * Returns preferences ordered by rank, along with last updated timestamp and deadline.
+ * Returns preferences ordered by rank (with bid_points when the course uses bidding),
+ * each with the student's justification, along with last updated timestamp and deadline.
+ * deadline is the student's own deadline (their extension, if they have one); window
+ * describes the full preference window for the student.
  * 
  * @route GET /students/:student_id/preferences
  * @group Preferences - Student preference management
  * @security JWT
  * @param {number} student_id.path.required - Student ID
  * @param {string} authorization.header.required - Bearer token
- * @returns {object} 200 - Success response with preferences, lastUpdated, and deadline
+ * @returns {object} 200 - Success response with preferences, lastUpdated, deadline, and window
  * @returns {object} 400 - Invalid student ID format
  * @returns {object} 403 - Unauthorized access
  * @returns {object} 500 - Server error
@@ -711,6 +792,19 @@ router.delete("/:student_id", verifyToken, async (req, res) => {
  * @example
  * GET /students/42/preferences
  * Authorization: Bearer <token>
+ * 
+ * // Response (abridged)
+ * {
+ *   "data": [...],
+ *   "deadline": "2025-01-18T23:59:00.000Z",
+ *   "window": {
+ *     "opens_at": "2025-01-06T09:00:00",
+ *     "deadline": "2025-01-15T23:59:00",
+ *     "extended_until": "2025-01-18T23:59:00.000Z",
+ *     "effective_deadline": "2025-01-18T23:59:00.000Z",
+ *     "status": "open"
+ *   }
+ * }
  */
 router.get("/:student_id/preferences", verifyToken, async (req, res) => {
   try {
@@ -741,6 +835,8 @@ router.get("/:student_id/preferences", verifyToken, async (req, res) => {
          sp.student_id, 
          sp.project_id, 
          sp.preference_rank,
+         sp.bid_points,
+         sp.justification,
          sp.updated_at,
          p.title, 
          p.description, 
@@ -755,9 +851,9 @@ router.get("/:student_id/preferences", verifyToken, async (req, res) => {
          p.industry_category as industry
        FROM student_preferences sp
        JOIN projects p ON sp.project_id = p.id
-       WHERE sp.student_id = ?
+       WHERE sp.student_id = ? AND sp.course_id <=> ?
        ORDER BY sp.preference_rank ASC`,
-      [parseInt(student_id)]
+      [parseInt(student_id), req.courseId]
     );
 
     // Get the most recent updated_at timestamp
@@ -768,17 +864,14 @@ router.get("/:student_id/preferences", verifyToken, async (req, res) => {
         )
       : null;
 
-    // Get deadline from database
-    const [deadlineResult] = await db.query(
-      `SELECT setting_value FROM app_settings WHERE setting_key = 'preference_deadline'`
-    );
-    const deadline = deadlineResult.length > 0 ? deadlineResult[0].setting_value : null;
+    const preferenceWindow = await getPreferenceWindow(parseInt(student_id), db, req.courseId);
 
     res.json({
       success: true,
       data: preferences,
       lastUpdated,
-      deadline,
+      deadline: preferenceWindow.effective_deadline,
+      window: preferenceWindow,
     });
   } catch (err) {
     console.error("Error fetching preferences:", err);
@@ -789,12 +882,116 @@ router.get("/:student_id/preferences", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Get Student Preference History
+ * 
+ * Lists every recorded preference submission for a student, newest first. Each
+ * version carries the full list of choices as submitted, the deadline in effect,
+ * whether it came after that deadline, and what changed from the version before.
+ * 
+ * @route GET /students/:student_id/preferences/history
+ * @group Preferences - Student preference management
+ * @security JWT
+ * @param {number} student_id.path.required - Student ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with submission versions
+ * @returns {object} 400 - Invalid student ID format
+ * @returns {object} 403 - Unauthorized access
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /students/42/preferences/history
+ * Authorization: Bearer <token>
+ * 
+ * // Response data[0]
+ * {
+ *   "version": 2,
+ *   "action": "submitted",
+ *   "submitted_at": "2025-01-14T18:03:00.000Z",
+ *   "late": false,
+ *   "preferences": [{ "project_id": 8, "title": "Campus Map", "preference_rank": 1, ... }],
+ *   "changes": { "changed": true, "added": [8], "removed": [5], "rank_changes": [], ... }
+ * }
+ */
+router.get("/:student_id/preferences/history", verifyToken, async (req, res) => {
+  try {
+    const { student_id } = req.params;
+
+    if (isNaN(student_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid student ID format",
+      });
+    }
+
+    if (
+      parseInt(student_id) !== req.user.studentId && 
+      req.user.role !== "instructor" && 
+      req.user.role !== "admin"
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Unauthorized access",
+      });
+    }
+
+    const [submissions] = await db.query(
+      `SELECT id, version, action, preferences, preference_mode, deadline_at_submission, submitted_by_role, submitted_at
+       FROM preference_submissions
+       WHERE student_id = ? AND course_id <=> ?
+       ORDER BY version ASC`,
+      [parseInt(student_id), req.courseId]
+    );
+
+    let previous = null;
+    const history = submissions.map((submission) => {
+      const preferences = (typeof submission.preferences === "string"
+        ? JSON.parse(submission.preferences)
+        : submission.preferences) || [];
+      const entry = {
+        ...submission,
+        preferences,
+        late: Boolean(submission.deadline_at_submission) &&
+          new Date(submission.submitted_at) > new Date(submission.deadline_at_submission),
+        changes: diffPreferenceSnapshots(previous, preferences),
+      };
+      previous = preferences;
+      return entry;
+    });
+
+    res.json({
+      success: true,
+      data: history.reverse(),
+    });
+  } catch (err) {
+    console.error("Error fetching preference history:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch preference history",
+    });
+  }
+});
+
 /**
  * Submit or Update Student Preferences
  * 
- * Submits or updates student's project preferences (maximum 3).
- * Replaces any existing preferences with the new submission.
- * Checks deadline before allowing submission.
+ * Submits or updates student's project preferences. The number of preferences
+ * must fall within the course's min_preferences and max_preferences settings, or
+ * cover every approved project when rank_all_projects is on.
+ * 
+ * In bidding mode (preference_mode = "bidding"), each preference carries
+ * bid_points instead of a rank. Bids must total no more than bid_budget, count
+ * limits do not apply, and ranks are derived from the bids (highest bid first).
+ * 
+ * Each preference may carry a justification: a short statement of interest
+ * (up to 500 characters) shown to instructors and the project's client. An
+ * instructor's choice to hide a justification from the client is kept when the
+ * student resubmits the same text for the same project.
+ * 
+ * Replaces any existing preferences with the new submission, and records the
+ * submission as a new version in the student's preference history.
+ * Only allowed while the preference window is open: after preference_opens_at
+ * and before the deadline, or the student's extension if they have one.
  * 
  * @route POST /students/:student_id/preferences
  * @group Preferences - Student preference management
@@ -802,10 +999,12 @@ router.get("/:student_id/preferences", verifyToken, async (req, res) => {
  * @param {number} student_id.path.required - Student ID
  * @param {Array<object>} preferences.body.required - Array of preference objects
  * @param {number} preferences.project_id.required - Project ID
- * @param {number} preferences.preference_rank.required - Rank (1-3, where 1 is highest)
+ * @param {number} preferences.preference_rank - Rank (1 is highest); required in ranked mode
+ * @param {number} preferences.bid_points - Points bid on the project; required in bidding mode
+ * @param {string} preferences.justification - Optional statement of interest
  * @param {string} authorization.header.required - Bearer token
  * @returns {object} 200 - Success response
- * @returns {object} 400 - Validation error or deadline passed
+ * @returns {object} 400 - Validation error, preference count outside the course limits, bids over budget, or window not open
  * @returns {object} 403 - Unauthorized access
  * @returns {object} 500 - Server error
  * 
@@ -813,11 +1012,21 @@ router.get("/:student_id/preferences", verifyToken, async (req, res) => {
  * POST /students/42/preferences
  * {
  *   "preferences": [
- *     { "project_id": 5, "preference_rank": 1 },
+ *     { "project_id": 5, "preference_rank": 1, "justification": "I built a similar app for my internship" },
  *     { "project_id": 12, "preference_rank": 2 },
  *     { "project_id": 8, "preference_rank": 3 }
  *   ]
  * }
+ * 
+ * @example
+ * // Bidding mode with a budget of 100
+ * POST /students/42/preferences
+ * {
+ *   "preferences": [
+ *     { "project_id": 5, "bid_points": 80 },
+ *     { "project_id": 12, "bid_points": 20 }
+ *   ]
+ * }
  */
 router.post("/:student_id/preferences", verifyToken, async (req, res) => {
   try {
@@ -839,21 +1048,12 @@ router.post("/:student_id/preferences", verifyToken, async (req, res) => {
       });
     }
 
-    // Check deadline from database
-    const [deadlineResult] = await db.query(
-      `SELECT setting_value FROM app_settings WHERE setting_key = 'preference_deadline'`
-    );
-    const deadline = deadlineResult.length > 0 ? deadlineResult[0].setting_value : null;
-    
-    if (deadline) {
-      const deadlineDate = new Date(deadline);
-      const now = new Date();
-      if (now > deadlineDate) {
-        return res.status(400).json({
-          success: false,
-          error: "The deadline for submitting preferences has passed",
-        });
-      }
+    const windowError = checkPreferenceWindow(await getPreferenceWindow(parseInt(student_id), db, req.courseId));
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: windowError,
+      });
     }
 
     if (!Array.isArray(preferences) || preferences.length === 0) {
@@ -863,27 +1063,55 @@ router.post("/:student_id/preferences", verifyToken, async (req, res) => {
       });
     }
 
-    if (preferences.length > 3) {
+    const settings = await getPreferenceSettings(req.courseId);
+    const bidding = settings.preference_mode === "bidding";
+
+    const countError = bidding ? checkBids(preferences, settings) : checkPreferenceCount(preferences.length, settings);
+    if (countError) {
       return res.status(400).json({
         success: false,
-        error: "Maximum 3 preferences allowed",
+        error: countError,
       });
     }
 
     for (const pref of preferences) {
-      if (!pref.project_id || !pref.preference_rank) {
+      if (!pref.project_id || (!bidding && !pref.preference_rank)) {
         return res.status(400).json({
           success: false,
-          error: "Each preference must have project_id and preference_rank",
+          error: bidding
+            ? "Each bid must have project_id and bid_points"
+            : "Each preference must have project_id and preference_rank",
+        });
+      }
+    }
+
+    if (new Set(preferences.map(pref => pref.project_id)).size !== preferences.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Each project can only appear once",
+      });
+    }
+
+    for (const pref of preferences) {
+      if (pref.justification !== undefined && pref.justification !== null && typeof pref.justification !== "string") {
+        return res.status(400).json({
+          success: false,
+          error: "justification must be text",
+        });
+      }
+      if ((pref.justification || "").trim().length > MAX_JUSTIFICATION_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Justifications can be at most ${MAX_JUSTIFICATION_LENGTH} characters`,
         });
       }
     }
 
-    // Validate all projects exist
+    // Validate all projects exist in the active course
     for (const pref of preferences) {
       const [project] = await db.query(
-        "SELECT id FROM projects WHERE id = ?",
-        [pref.project_id]
+        "SELECT id FROM projects WHERE id = ? AND course_id <=> ?",
+        [pref.project_id, req.courseId]
       );
 
       if (project.length === 0) {
@@ -894,24 +1122,78 @@ router.post("/:student_id/preferences", verifyToken, async (req, res) => {
       }
     }
 
+    if (!bidding) {
+      const rankAllError = await checkRankAllProjects(preferences.map(pref => pref.project_id), settings, req.courseId);
+      if (rankAllError) {
+        return res.status(400).json({
+          success: false,
+          error: rankAllError,
+        });
+      }
+    }
+
     const connection = await db.getConnection();
 
     try {
+      await connection.beginTransaction();
+
+      // Remember which unchanged justifications an instructor hid from clients
+      const [existing] = await connection.query(
+        "SELECT project_id, justification FROM student_preferences WHERE student_id = ? AND course_id <=> ? AND justification_hidden = TRUE",
+        [parseInt(student_id), req.courseId]
+      );
+      const hidden = new Set(existing.map(row => `${row.project_id}:${row.justification}`));
+
       // Delete existing preferences
       await connection.query(
-        "DELETE FROM student_preferences WHERE student_id = ?",
-        [parseInt(student_id)]
+        "DELETE FROM student_preferences WHERE student_id = ? AND course_id <=> ?",
+        [parseInt(student_id), req.courseId]
       );
 
+      // In bidding mode, rank by bid so ranked consumers still see an order
+      const rows = bidding
+        ? [...preferences]
+            .sort((a, b) => b.bid_points - a.bid_points)
+            .map((pref, index) => ({ ...pref, preference_rank: index + 1 }))
+        : preferences;
+
       // ✅ Insert with correct column name: preference_rank
-      for (const pref of preferences) {
+      const saved = [];
+      for (const pref of rows) {
+        const justification = pref.justification?.trim() || null;
+        const row = {
+          project_id: pref.project_id,
+          preference_rank: pref.preference_rank,
+          bid_points: bidding ? pref.bid_points : null,
+          justification,
+        };
         await connection.query(
-          "INSERT INTO student_preferences (student_id, project_id, preference_rank) VALUES (?, ?, ?)",
-          [parseInt(student_id), pref.project_id, pref.preference_rank]
+          `INSERT INTO student_preferences
+             (student_id, project_id, preference_rank, bid_points, justification, justification_hidden, course_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            parseInt(student_id),
+            row.project_id,
+            row.preference_rank,
+            row.bid_points,
+            justification,
+            justification !== null && hidden.has(`${pref.project_id}:${justification}`),
+            req.courseId,
+          ]
         );
+        saved.push(row);
       }
 
-      connection.release();
+      const version = await recordPreferenceSubmission(connection, {
+        studentId: parseInt(student_id),
+        action: "submitted",
+        preferences: saved,
+        preferenceMode: settings.preference_mode,
+        submittedByRole: req.user.role,
+        courseId: req.courseId,
+      });
+
+      await connection.commit();
 
       res.json({
         success: true,
@@ -919,11 +1201,14 @@ router.post("/:student_id/preferences", verifyToken, async (req, res) => {
         data: {
           student_id: parseInt(student_id),
           preferences_count: preferences.length,
+          version,
         },
       });
     } catch (err) {
-      connection.release();
+      await connection.rollback();
       throw err;
+    } finally {
+      connection.release();
     }
   } catch (err) {
     console.error("Error submitting preferences:", err);
@@ -937,7 +1222,9 @@ router.post("/:student_id/preferences", verifyToken, async (req, res) => {
 /**
  * Clear Student Preferences
  * 
- * Deletes all preferences for a student.
+ * Deletes all preferences for a student, recording the clear as a new version
+ * in the student's preference history. Only allowed while the student's
+ * preference window is open.
  * Only students can clear their own preferences (or admins).
  * 
  * @route DELETE /students/:student_id/preferences
@@ -946,7 +1233,7 @@ router.post("/:student_id/preferences", verifyToken, async (req, res) => {
  * @param {number} student_id.path.required - Student ID
  * @param {string} authorization.header.required - Bearer token
  * @returns {object} 200 - Success response with deleted count
- * @returns {object} 400 - Invalid student ID format
+ * @returns {object} 400 - Invalid student ID format, or window not open
  * @returns {object} 403 - Unauthorized access
  * @returns {object} 500 - Server error
  * 
@@ -973,10 +1260,45 @@ router.delete("/:student_id/preferences", verifyToken, async (req, res) => {
       });
     }
 
-    const [result] = await db.query(
-      "DELETE FROM student_preferences WHERE student_id = ?",
-      [parseInt(student_id)]
-    );
+    const windowError = checkPreferenceWindow(await getPreferenceWindow(parseInt(student_id), db, req.courseId));
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: windowError,
+      });
+    }
+
+    const connection = await db.getConnection();
+    let result;
+
+    try {
+      await connection.beginTransaction();
+
+      [result] = await connection.query(
+        "DELETE FROM student_preferences WHERE student_id = ? AND course_id <=> ?",
+        [parseInt(student_id), req.courseId]
+      );
+
+      // Nothing was submitted, so there is nothing to record
+      if (result.affectedRows > 0) {
+        const settings = await getPreferenceSettings(req.courseId);
+        await recordPreferenceSubmission(connection, {
+          studentId: parseInt(student_id),
+          action: "cleared",
+          preferences: [],
+          preferenceMode: settings.preference_mode,
+          submittedByRole: req.user.role,
+          courseId: req.courseId,
+        });
+      }
+
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
 
     res.json({
       success: true,
@@ -1061,8 +1383,8 @@ router.get("/:student_id/group", verifyToken, async (req, res) => {
        FROM group_members gm
        JOIN student_groups sg ON gm.group_id = sg.id
        JOIN projects p ON sg.project_id = p.id
-       WHERE gm.student_id = ?`,
-      [parseInt(student_id)]
+       WHERE gm.student_id = ? AND sg.course_id <=> ?`,
+      [parseInt(student_id), req.courseId]
     );
 
     if (groupData.length === 0) {
@@ -1130,8 +1452,11 @@ router.get("/:student_id/group/members", verifyToken, async (req, res) => {
     }
 
     const [groupData] = await db.query(
-      `SELECT gm.group_id FROM group_members gm WHERE gm.student_id = ?`,
-      [parseInt(student_id)]
+      `SELECT gm.group_id
+       FROM group_members gm
+       JOIN student_groups sg ON gm.group_id = sg.id
+       WHERE gm.student_id = ? AND sg.course_id <=> ?`,
+      [parseInt(student_id), req.courseId]
     );
 
     if (groupData.length === 0) {
@@ -1168,30 +1493,30 @@ router.get("/:student_id/group/members", verifyToken, async (req, res) => {
   }
 });
 
-// ==================== EVALUATIONS ====================
+// ==================== PRE-TEAMS ====================
 
 /**
- * Get Student Evaluations
+ * Get Student's Pre-Team
  * 
- * Retrieves all evaluations scheduled for the student's group or project.
- * Includes group-specific, project-specific, and general evaluations.
- * Returns empty array if student is not in a group or no evaluations exist.
+ * Returns the pre-team the student belongs to, with its members (including
+ * pending and declined invitations) and joint preferences, plus any pending
+ * invitations to other pre-teams.
  * 
- * @route GET /students/:student_id/evaluations
- * @group Evaluations - Student evaluation operations
+ * @route GET /students/:student_id/pre-team
+ * @group Pre-Teams - Student-formed teams
  * @security JWT
  * @param {number} student_id.path.required - Student ID
  * @param {string} authorization.header.required - Bearer token
- * @returns {object} 200 - Success response with evaluations array
+ * @returns {object} 200 - Success response with team (or null) and invitations
  * @returns {object} 400 - Invalid student ID format
  * @returns {object} 403 - Unauthorized access
  * @returns {object} 500 - Server error
  * 
  * @example
- * GET /students/42/evaluations
+ * GET /students/42/pre-team
  * Authorization: Bearer <token>
  */
-router.get("/:student_id/evaluations", verifyToken, async (req, res) => {
+router.get("/:student_id/pre-team", verifyToken, async (req, res) => {
   try {
     const { student_id } = req.params;
 
@@ -1202,7 +1527,7 @@ router.get("/:student_id/evaluations", verifyToken, async (req, res) => {
       });
     }
 
-    // Allow students to view their own evaluations, or instructors/admins
+    // Allow students to view their own pre-team, or instructors/admins
     if (
       parseInt(student_id) !== req.user.studentId && 
       req.user.role !== "instructor" && 
@@ -1214,13 +1539,710 @@ router.get("/:student_id/evaluations", verifyToken, async (req, res) => {
       });
     }
 
-    // First, find the student's group
-    const [groupData] = await db.query(
-      `SELECT gm.group_id, sg.project_id, sg.group_number 
-       FROM group_members gm
-       JOIN student_groups sg ON gm.group_id = sg.id
-       WHERE gm.student_id = ?`,
-      [parseInt(student_id)]
+    const [invitations] = await db.query(
+      `SELECT 
+         pt.id as pre_team_id,
+         pt.name,
+         up.full_name as invited_by,
+         ptm.invited_at,
+         (SELECT COUNT(*) FROM pre_team_members x
+          WHERE x.pre_team_id = pt.id AND x.status = 'accepted') as accepted_count
+       FROM pre_team_members ptm
+       JOIN pre_teams pt ON ptm.pre_team_id = pt.id
+       LEFT JOIN user_profiles up ON pt.created_by = up.user_id
+       WHERE ptm.student_id = ? AND ptm.status = 'invited' AND pt.course_id <=> ?
+       ORDER BY ptm.invited_at DESC`,
+      [parseInt(student_id), req.courseId]
+    );
+
+    const team = await getAcceptedPreTeam(parseInt(student_id), req.courseId);
+    if (!team) {
+      return res.json({
+        success: true,
+        data: { team: null, invitations },
+      });
+    }
+
+    const [members] = await db.query(
+      `SELECT ptm.student_id, ptm.status, ptm.invited_at, ptm.responded_at, up.full_name as name, u.email
+       FROM pre_team_members ptm
+       JOIN users u ON ptm.student_id = u.id
+       LEFT JOIN user_profiles up ON u.id = up.user_id
+       WHERE ptm.pre_team_id = ?
+       ORDER BY ptm.status = 'accepted' DESC, ptm.invited_at ASC`,
+      [team.id]
+    );
+
+    const [preferences] = await db.query(
+      `SELECT ptp.project_id, ptp.preference_rank, ptp.updated_at, p.title
+       FROM pre_team_preferences ptp
+       JOIN projects p ON ptp.project_id = p.id
+       WHERE ptp.pre_team_id = ?
+       ORDER BY ptp.preference_rank ASC`,
+      [team.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        team: {
+          id: team.id,
+          name: team.name,
+          created_by: team.created_by,
+          is_creator: team.created_by === parseInt(student_id),
+          created_at: team.created_at,
+          members,
+          preferences,
+        },
+        invitations,
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching pre-team:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch pre-team",
+    });
+  }
+});
+
+/**
+ * Create Pre-Team
+ * 
+ * Creates a pre-team with the student as its creator and first accepted member,
+ * and invites classmates by email. Invitees must accept before they count as
+ * members. Not allowed after the preference deadline.
+ * 
+ * @route POST /students/:student_id/pre-team
+ * @group Pre-Teams - Student-formed teams
+ * @security JWT
+ * @param {number} student_id.path.required - Student ID
+ * @param {string} name.body - Team name
+ * @param {Array<string>} invite_emails.body - Emails of classmates to invite
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 201 - Pre-team created
+ * @returns {object} 400 - Validation error, unknown email, team too large, or deadline passed
+ * @returns {object} 403 - Unauthorized access
+ * @returns {object} 409 - Student already belongs to a pre-team
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * POST /students/42/pre-team
+ * {
+ *   "name": "Team Rocket",
+ *   "invite_emails": ["jessie@example.edu", "james@example.edu"]
+ * }
+ */
+router.post("/:student_id/pre-team", verifyToken, async (req, res) => {
+  try {
+    const { student_id } = req.params;
+    const { name, invite_emails: inviteEmails = [] } = req.body;
+
+    if (isNaN(student_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid student ID format",
+      });
+    }
+
+    if (parseInt(student_id) !== req.user.studentId && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Unauthorized access",
+      });
+    }
+
+    if (await isPreferenceDeadlinePassed(req.courseId)) {
+      return res.status(400).json({
+        success: false,
+        error: "The deadline for forming pre-teams has passed",
+      });
+    }
+
+    if (!Array.isArray(inviteEmails)) {
+      return res.status(400).json({
+        success: false,
+        error: "invite_emails must be an array",
+      });
+    }
+
+    if (await getAcceptedPreTeam(parseInt(student_id), req.courseId)) {
+      return res.status(409).json({
+        success: false,
+        error: "You already belong to a pre-team. Leave it before creating a new one.",
+      });
+    }
+
+    const emails = [...new Set(inviteEmails.map(e => String(e).trim().toLowerCase()).filter(Boolean))];
+    const maxSize = await getMaxPreTeamSize(req.courseId);
+    if (emails.length + 1 > maxSize) {
+      return res.status(400).json({
+        success: false,
+        error: `A pre-team can have at most ${maxSize} members`,
+      });
+    }
+
+    const invitees = [];
+    for (const email of emails) {
+      const [users] = await db.query(
+        "SELECT id FROM users WHERE LOWER(email) = ? AND role = 'student' AND deleted_at IS NULL",
+        [email]
+      );
+      if (users.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `No student found with email ${email}`,
+        });
+      }
+      if (users[0].id !== parseInt(student_id)) invitees.push(users[0].id);
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.query(
+        "INSERT INTO pre_teams (name, created_by, course_id, created_at) VALUES (?, ?, ?, NOW())",
+        [name?.trim() || null, parseInt(student_id), req.courseId]
+      );
+      const preTeamId = result.insertId;
+
+      await connection.query(
+        `INSERT INTO pre_team_members (pre_team_id, student_id, status, invited_at, responded_at)
+         VALUES (?, ?, 'accepted', NOW(), NOW())`,
+        [preTeamId, parseInt(student_id)]
+      );
+
+      for (const inviteeId of invitees) {
+        await connection.query(
+          `INSERT INTO pre_team_members (pre_team_id, student_id, status, invited_at)
+           VALUES (?, ?, 'invited', NOW())`,
+          [preTeamId, inviteeId]
+        );
+      }
+
+      await connection.commit();
+      connection.release();
+
+      res.status(201).json({
+        success: true,
+        message: "Pre-team created",
+        data: {
+          id: preTeamId,
+          invited_count: invitees.length,
+        },
+      });
+    } catch (err) {
+      await connection.rollback();
+      connection.release();
+      throw err;
+    }
+  } catch (err) {
+    console.error("Error creating pre-team:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create pre-team",
+    });
+  }
+});
+
+/**
+ * Invite to Pre-Team
+ * 
+ * Invites another classmate to the student's pre-team. Only the creator can
+ * invite. Re-inviting someone who declined sends the invitation again.
+ * 
+ * @route POST /students/:student_id/pre-team/invitations
+ * @group Pre-Teams - Student-formed teams
+ * @security JWT
+ * @param {number} student_id.path.required - Student ID (pre-team creator)
+ * @param {string} email.body.required - Email of the classmate to invite
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 201 - Invitation sent
+ * @returns {object} 400 - Unknown email, team full, or deadline passed
+ * @returns {object} 403 - Unauthorized access or not the creator
+ * @returns {object} 404 - Student has no pre-team
+ * @returns {object} 409 - Classmate already invited or already in a pre-team
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * POST /students/42/pre-team/invitations
+ * { "email": "meowth@example.edu" }
+ */
+router.post("/:student_id/pre-team/invitations", verifyToken, async (req, res) => {
+  try {
+    const { student_id } = req.params;
+    const email = String(req.body.email || "").trim().toLowerCase();
+
+    if (isNaN(student_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid student ID format",
+      });
+    }
+
+    if (parseInt(student_id) !== req.user.studentId && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Unauthorized access",
+      });
+    }
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: "email is required",
+      });
+    }
+
+    if (await isPreferenceDeadlinePassed(req.courseId)) {
+      return res.status(400).json({
+        success: false,
+        error: "The deadline for forming pre-teams has passed",
+      });
+    }
+
+    const team = await getAcceptedPreTeam(parseInt(student_id), req.courseId);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: "You do not belong to a pre-team",
+      });
+    }
+
+    if (team.created_by !== parseInt(student_id)) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the pre-team creator can invite classmates",
+      });
+    }
+
+    const [users] = await db.query(
+      "SELECT id FROM users WHERE LOWER(email) = ? AND role = 'student' AND deleted_at IS NULL",
+      [email]
+    );
+    if (users.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `No student found with email ${email}`,
+      });
+    }
+    const inviteeId = users[0].id;
+
+    if (await getAcceptedPreTeam(inviteeId, req.courseId)) {
+      return res.status(409).json({
+        success: false,
+        error: "This classmate already belongs to a pre-team",
+      });
+    }
+
+    const [existing] = await db.query(
+      "SELECT status FROM pre_team_members WHERE pre_team_id = ? AND student_id = ?",
+      [team.id, inviteeId]
+    );
+    if (existing[0]?.status === "invited") {
+      return res.status(409).json({
+        success: false,
+        error: "This classmate has already been invited",
+      });
+    }
+
+    const [countResult] = await db.query(
+      "SELECT COUNT(*) as count FROM pre_team_members WHERE pre_team_id = ? AND status IN ('invited', 'accepted')",
+      [team.id]
+    );
+    const maxSize = await getMaxPreTeamSize(req.courseId);
+    if (countResult[0].count + 1 > maxSize) {
+      return res.status(400).json({
+        success: false,
+        error: `A pre-team can have at most ${maxSize} members, including pending invitations`,
+      });
+    }
+
+    if (existing.length > 0) {
+      await db.query(
+        `UPDATE pre_team_members SET status = 'invited', invited_at = NOW(), responded_at = NULL
+         WHERE pre_team_id = ? AND student_id = ?`,
+        [team.id, inviteeId]
+      );
+    } else {
+      await db.query(
+        `INSERT INTO pre_team_members (pre_team_id, student_id, status, invited_at)
+         VALUES (?, ?, 'invited', NOW())`,
+        [team.id, inviteeId]
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent",
+      data: {
+        pre_team_id: team.id,
+        student_id: inviteeId,
+      },
+    });
+  } catch (err) {
+    console.error("Error inviting to pre-team:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send invitation",
+    });
+  }
+});
+
+/**
+ * Respond to Pre-Team Invitation
+ * 
+ * Accepts or declines an invitation. A student can only be an accepted member
+ * of one pre-team at a time. Accepting is not allowed after the preference
+ * deadline.
+ * 
+ * @route PUT /students/:student_id/pre-team-invitations/:pre_team_id
+ * @group Pre-Teams - Student-formed teams
+ * @security JWT
+ * @param {number} student_id.path.required - Invited student ID
+ * @param {number} pre_team_id.path.required - Pre-team ID
+ * @param {string} status.body.required - accepted or declined
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Invitation updated
+ * @returns {object} 400 - Invalid status, or deadline passed
+ * @returns {object} 403 - Unauthorized access
+ * @returns {object} 404 - No pending invitation
+ * @returns {object} 409 - Student already belongs to a pre-team
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * PUT /students/43/pre-team-invitations/7
+ * { "status": "accepted" }
+ */
+router.put("/:student_id/pre-team-invitations/:pre_team_id", verifyToken, async (req, res) => {
+  try {
+    const { student_id, pre_team_id } = req.params;
+    const { status } = req.body;
+
+    if (isNaN(student_id) || isNaN(pre_team_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid student or pre-team ID format",
+      });
+    }
+
+    if (parseInt(student_id) !== req.user.studentId && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Unauthorized access",
+      });
+    }
+
+    if (!["accepted", "declined"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "status must be accepted or declined",
+      });
+    }
+
+    const [invitation] = await db.query(
+      "SELECT id FROM pre_team_members WHERE pre_team_id = ? AND student_id = ? AND status = 'invited'",
+      [parseInt(pre_team_id), parseInt(student_id)]
+    );
+    if (invitation.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "No pending invitation to this pre-team",
+      });
+    }
+
+    if (status === "accepted") {
+      if (await isPreferenceDeadlinePassed(req.courseId)) {
+        return res.status(400).json({
+          success: false,
+          error: "The deadline for forming pre-teams has passed",
+        });
+      }
+
+      if (await getAcceptedPreTeam(parseInt(student_id), req.courseId)) {
+        return res.status(409).json({
+          success: false,
+          error: "You already belong to a pre-team. Leave it before accepting another invitation.",
+        });
+      }
+    }
+
+    await db.query(
+      "UPDATE pre_team_members SET status = ?, responded_at = NOW() WHERE id = ?",
+      [status, invitation[0].id]
+    );
+
+    res.json({
+      success: true,
+      message: status === "accepted" ? "Invitation accepted" : "Invitation declined",
+    });
+  } catch (err) {
+    console.error("Error responding to pre-team invitation:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to respond to invitation",
+    });
+  }
+});
+
+/**
+ * Submit Pre-Team Preferences
+ * 
+ * Replaces the pre-team's joint project preferences, within the same course
+ * limits as individual preferences. Any accepted member can submit. During
+ * group formation the joint list replaces every member's own preferences.
+ * Not allowed after the preference deadline.
+ * 
+ * @route PUT /students/:student_id/pre-team/preferences
+ * @group Pre-Teams - Student-formed teams
+ * @security JWT
+ * @param {number} student_id.path.required - Student ID (accepted member)
+ * @param {Array<object>} preferences.body.required - Array of { project_id, preference_rank }
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Preferences saved
+ * @returns {object} 400 - Validation error or deadline passed
+ * @returns {object} 403 - Unauthorized access
+ * @returns {object} 404 - Student has no pre-team
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * PUT /students/42/pre-team/preferences
+ * {
+ *   "preferences": [
+ *     { "project_id": 5, "preference_rank": 1 },
+ *     { "project_id": 12, "preference_rank": 2 }
+ *   ]
+ * }
+ */
+router.put("/:student_id/pre-team/preferences", verifyToken, async (req, res) => {
+  try {
+    const { student_id } = req.params;
+    const { preferences } = req.body;
+
+    if (isNaN(student_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid student ID format",
+      });
+    }
+
+    if (parseInt(student_id) !== req.user.studentId && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Unauthorized access",
+      });
+    }
+
+    if (await isPreferenceDeadlinePassed(req.courseId)) {
+      return res.status(400).json({
+        success: false,
+        error: "The deadline for submitting preferences has passed",
+      });
+    }
+
+    const team = await getAcceptedPreTeam(parseInt(student_id), req.courseId);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: "You do not belong to a pre-team",
+      });
+    }
+
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Preferences must be a non-empty array",
+      });
+    }
+
+    const settings = await getPreferenceSettings(req.courseId);
+    const countError = checkPreferenceCount(preferences.length, settings)
+      || await checkRankAllProjects(preferences.map(pref => pref.project_id), settings, req.courseId);
+    if (countError) {
+      return res.status(400).json({
+        success: false,
+        error: countError,
+      });
+    }
+
+    for (const pref of preferences) {
+      if (!pref.project_id || !pref.preference_rank) {
+        return res.status(400).json({
+          success: false,
+          error: "Each preference must have project_id and preference_rank",
+        });
+      }
+
+      const [project] = await db.query(
+        "SELECT id FROM projects WHERE id = ? AND course_id <=> ?",
+        [pref.project_id, req.courseId]
+      );
+      if (project.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Project with ID ${pref.project_id} not found`,
+        });
+      }
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.query("DELETE FROM pre_team_preferences WHERE pre_team_id = ?", [team.id]);
+      for (const pref of preferences) {
+        await connection.query(
+          "INSERT INTO pre_team_preferences (pre_team_id, project_id, preference_rank) VALUES (?, ?, ?)",
+          [team.id, pref.project_id, pref.preference_rank]
+        );
+      }
+      await connection.commit();
+      connection.release();
+
+      res.json({
+        success: true,
+        message: "Pre-team preferences submitted successfully",
+        data: {
+          pre_team_id: team.id,
+          preferences_count: preferences.length,
+        },
+      });
+    } catch (err) {
+      await connection.rollback();
+      connection.release();
+      throw err;
+    }
+  } catch (err) {
+    console.error("Error submitting pre-team preferences:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save pre-team preferences",
+    });
+  }
+});
+
+/**
+ * Leave Pre-Team
+ * 
+ * Removes the student from their pre-team. If the student created it, the whole
+ * pre-team is disbanded, including pending invitations and joint preferences.
+ * 
+ * @route DELETE /students/:student_id/pre-team
+ * @group Pre-Teams - Student-formed teams
+ * @security JWT
+ * @param {number} student_id.path.required - Student ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Left or disbanded
+ * @returns {object} 400 - Invalid student ID format
+ * @returns {object} 403 - Unauthorized access
+ * @returns {object} 404 - Student has no pre-team
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * DELETE /students/42/pre-team
+ * Authorization: Bearer <token>
+ */
+router.delete("/:student_id/pre-team", verifyToken, async (req, res) => {
+  try {
+    const { student_id } = req.params;
+
+    if (isNaN(student_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid student ID format",
+      });
+    }
+
+    if (parseInt(student_id) !== req.user.studentId && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Unauthorized access",
+      });
+    }
+
+    const team = await getAcceptedPreTeam(parseInt(student_id), req.courseId);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: "You do not belong to a pre-team",
+      });
+    }
+
+    if (team.created_by === parseInt(student_id)) {
+      await db.query("DELETE FROM pre_teams WHERE id = ?", [team.id]);
+    } else {
+      await db.query(
+        "DELETE FROM pre_team_members WHERE pre_team_id = ? AND student_id = ?",
+        [team.id, parseInt(student_id)]
+      );
+    }
+
+    res.json({
+      success: true,
+      message: team.created_by === parseInt(student_id) ? "Pre-team disbanded" : "You left the pre-team",
+    });
+  } catch (err) {
+    console.error("Error leaving pre-team:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to leave pre-team",
+    });
+  }
+});
+
+// ==================== EVALUATIONS ====================
+
+/**
+ * Get Student Evaluations
+ * 
+ * Retrieves all evaluations scheduled for the student's group or project.
+ * Includes group-specific, project-specific, and general evaluations.
+ * Returns empty array if student is not in a group or no evaluations exist.
+ * 
+ * @route GET /students/:student_id/evaluations
+ * @group Evaluations - Student evaluation operations
+ * @security JWT
+ * @param {number} student_id.path.required - Student ID
+ * @param {string} authorization.header.required - Bearer token
+ * @returns {object} 200 - Success response with evaluations array
+ * @returns {object} 400 - Invalid student ID format
+ * @returns {object} 403 - Unauthorized access
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * GET /students/42/evaluations
+ * Authorization: Bearer <token>
+ */
+router.get("/:student_id/evaluations", verifyToken, async (req, res) => {
+  try {
+    const { student_id } = req.params;
+
+    if (isNaN(student_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid student ID format",
+      });
+    }
+
+    // Allow students to view their own evaluations, or instructors/admins
+    if (
+      parseInt(student_id) !== req.user.studentId && 
+      req.user.role !== "instructor" && 
+      req.user.role !== "admin"
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Unauthorized access",
+      });
+    }
+
+    // First, find the student's group
+    const [groupData] = await db.query(
+      `SELECT gm.group_id, sg.project_id, sg.group_number 
+       FROM group_members gm
+       JOIN student_groups sg ON gm.group_id = sg.id
+       WHERE gm.student_id = ? AND sg.course_id <=> ?`,
+      [parseInt(student_id), req.courseId]
     );
 
     // If student is not in a group, don't show any evaluations
@@ -1258,11 +2280,12 @@ router.get("/:student_id/evaluations", verifyToken, async (req, res) => {
          FROM evaluations e
          LEFT JOIN student_groups sg ON e.group_id = sg.id
          LEFT JOIN projects p ON e.project_id = p.id OR sg.project_id = p.id
-         WHERE e.group_id = ? 
+         WHERE e.course_id <=> ?
+           AND (e.group_id = ? 
             OR e.project_id = ?
-            OR e.group_id IS NULL
+            OR e.group_id IS NULL)
          ORDER BY e.scheduled_date DESC`,
-        [groupId, projectId]
+        [req.courseId, groupId, projectId]
       );
 
       res.json({
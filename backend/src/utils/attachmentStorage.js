@@ -0,0 +1,111 @@
+/**
+ * Attachment Storage Utility
+ * Where project attachment files are kept
+ *
+ * Routes only see a storage driver with three methods, so the files can move
+ * from local disk to another backend (e.g. an object store) without touching
+ * them:
+ * - save(key, buffer): store a file under a key
+ * - read(key): resolve to the file's contents as a Buffer
+ * - remove(key): delete the file (no error if it's already gone)
+ *
+ * The driver is picked by ATTACHMENT_STORAGE (default "local"). The local
+ * driver writes under ATTACHMENT_DIR (default backend/uploads/attachments).
+ * Other drivers are added with registerStorageDriver before the first upload.
+ *
+ * Usage in routes:
+ * const storage = getAttachmentStorage();
+ * await storage.save(storageKey, req.body);
+ * const file = await storage.read(attachment.storage_key);
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Default folder for the local driver
+ * @constant {string}
+ */
+const DEFAULT_ATTACHMENT_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../uploads/attachments"
+);
+
+/**
+ * Store files on the server's disk, one folder per project
+ * @param {string} [rootDir] - Folder to write to
+ * @returns {Object} Storage driver
+ */
+const createLocalStorage = (rootDir = process.env.ATTACHMENT_DIR || DEFAULT_ATTACHMENT_DIR) => {
+  const root = path.resolve(rootDir);
+
+  // Keys are generated by createStorageKey, but never let one point outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async read(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+/**
+ * Storage drivers by name
+ * @type {Map<string, Function>}
+ */
+const drivers = new Map([["local", createLocalStorage]]);
+
+let activeStorage = null;
+
+/**
+ * Register a storage driver that ATTACHMENT_STORAGE can select
+ * @param {string} name - Value of ATTACHMENT_STORAGE that selects it
+ * @param {Function} factory - Returns an object with save, read and remove
+ */
+export const registerStorageDriver = (name, factory) => {
+  drivers.set(name, factory);
+  activeStorage = null;
+};
+
+/**
+ * Get the configured storage driver (created on first use)
+ * @returns {Object} { save, read, remove }
+ * @throws {Error} If ATTACHMENT_STORAGE names a driver that isn't registered
+ */
+export const getAttachmentStorage = () => {
+  if (!activeStorage) {
+    const name = process.env.ATTACHMENT_STORAGE || "local";
+    const factory = drivers.get(name);
+    if (!factory) {
+      throw new Error(`Unknown attachment storage driver: ${name}`);
+    }
+    activeStorage = factory();
+  }
+  return activeStorage;
+};
+
+/**
+ * Generate the key for a new file. Keys never contain the uploaded filename,
+ * which is kept in project_attachments.original_name instead
+ * @param {number} projectId - Project the file is attached to
+ * @returns {string} e.g. "12/0b6c7a0e-5d2f-4a4e-9f57-2f3c1c6a9a41"
+ */
+export const createStorageKey = (projectId) => `${projectId}/${crypto.randomUUID()}`;
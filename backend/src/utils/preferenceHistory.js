@@ -0,0 +1,129 @@
+/**
+ * Preference History Utility
+ * Records every preference submission as a versioned snapshot
+ *
+ * Submitting preferences replaces a student's student_preferences rows, so each
+ * submission (and each clear) is also written to preference_submissions with the
+ * full list of choices, the time, and the student's deadline in effect (the
+ * course deadline, or their extension). Versions count up from 1 per student
+ * in each course.
+ *
+ * Usage in routes:
+ * await recordPreferenceSubmission(connection, { studentId, action: "submitted", preferences, ... });
+ * const changes = diffPreferenceSnapshots(previous.preferences, current.preferences);
+ */
+
+import { getPreferenceWindow } from "./preferenceWindow.js";
+
+/**
+ * Submission actions
+ * @constant {Array<string>}
+ */
+export const SUBMISSION_ACTIONS = ["submitted", "cleared"];
+
+/**
+ * Record a preference submission snapshot
+ * @param {Object} executor - db pool or a connection inside the caller's transaction
+ * @param {Object} submission
+ * @param {number} submission.studentId - Student whose preferences changed
+ * @param {string} submission.action - "submitted" or "cleared"
+ * @param {Array<Object>} submission.preferences - Saved { project_id, preference_rank, bid_points, justification } rows ([] when cleared)
+ * @param {string} submission.preferenceMode - Course preference mode at the time
+ * @param {string} submission.submittedByRole - Role of the user who made the change
+ * @param {number|null} [submission.courseId] - Course the preferences belong to (null for the shared scope)
+ * @returns {Promise<number>} Version number of the new snapshot
+ *
+ * Project titles are stored with each choice so the history stays readable if a
+ * project is later deleted.
+ */
+export const recordPreferenceSubmission = async (
+  executor,
+  { studentId, action, preferences, preferenceMode, submittedByRole, courseId = null }
+) => {
+  const projectIds = preferences.map((pref) => pref.project_id);
+  const [projects] = projectIds.length > 0
+    ? await executor.query("SELECT id, title FROM projects WHERE id IN (?)", [projectIds])
+    : [[]];
+  const titles = new Map(projects.map((project) => [project.id, project.title]));
+
+  const snapshot = [...preferences]
+    .sort((a, b) => a.preference_rank - b.preference_rank)
+    .map((pref) => ({
+      project_id: pref.project_id,
+      title: titles.get(pref.project_id) || null,
+      preference_rank: pref.preference_rank,
+      bid_points: pref.bid_points ?? null,
+      justification: pref.justification ?? null,
+    }));
+
+  const { effective_deadline: effectiveDeadline } = await getPreferenceWindow(studentId, executor, courseId);
+  const deadline = effectiveDeadline ? new Date(effectiveDeadline) : null;
+
+  const [versionResult] = await executor.query(
+    "SELECT COALESCE(MAX(version), 0) + 1 as version FROM preference_submissions WHERE student_id = ? AND course_id <=> ?",
+    [studentId, courseId]
+  );
+  const version = versionResult[0].version;
+
+  await executor.query(
+    `INSERT INTO preference_submissions
+       (student_id, version, action, preferences, preference_mode, deadline_at_submission, submitted_by_role, course_id, submitted_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [studentId, version, action, JSON.stringify(snapshot), preferenceMode || null, deadline, submittedByRole || null, courseId]
+  );
+
+  return version;
+};
+
+/**
+ * Compare two preference snapshots
+ * @param {Array<Object>|null} previous - Earlier snapshot's preferences (null for a first submission)
+ * @param {Array<Object>} current - Later snapshot's preferences
+ * @returns {Object} { changed, added, removed, rank_changes, bid_changes, justification_changes }
+ *
+ * added and removed list project IDs; rank_changes and bid_changes list
+ * { project_id, from, to }; justification_changes lists project IDs whose
+ * statement of interest was edited. A first submission counts as changed.
+ *
+ * Example:
+ * diffPreferenceSnapshots(
+ *   [{ project_id: 5, preference_rank: 1 }, { project_id: 8, preference_rank: 2 }],
+ *   [{ project_id: 8, preference_rank: 1 }, { project_id: 12, preference_rank: 2 }]
+ * )
+ * // { changed: true, added: [12], removed: [5], rank_changes: [{ project_id: 8, from: 2, to: 1 }], ... }
+ */
+export const diffPreferenceSnapshots = (previous, current) => {
+  const before = new Map((previous || []).map((pref) => [pref.project_id, pref]));
+  const after = new Map((current || []).map((pref) => [pref.project_id, pref]));
+
+  const added = [...after.keys()].filter((projectId) => !before.has(projectId));
+  const removed = [...before.keys()].filter((projectId) => !after.has(projectId));
+  const rankChanges = [];
+  const bidChanges = [];
+  const justificationChanges = [];
+
+  after.forEach((pref, projectId) => {
+    const old = before.get(projectId);
+    if (!old) return;
+    if (old.preference_rank !== pref.preference_rank) {
+      rankChanges.push({ project_id: projectId, from: old.preference_rank, to: pref.preference_rank });
+    }
+    if ((old.bid_points ?? null) !== (pref.bid_points ?? null)) {
+      bidChanges.push({ project_id: projectId, from: old.bid_points ?? null, to: pref.bid_points ?? null });
+    }
+    if ((old.justification ?? null) !== (pref.justification ?? null)) {
+      justificationChanges.push(projectId);
+    }
+  });
+
+  return {
+    changed:
+      previous === null ||
+      added.length + removed.length + rankChanges.length + bidChanges.length + justificationChanges.length > 0,
+    added,
+    removed,
+    rank_changes: rankChanges,
+    bid_changes: bidChanges,
+    justification_changes: justificationChanges,
+  };
+};
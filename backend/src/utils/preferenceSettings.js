@@ -0,0 +1,244 @@
+/**
+ * Preference Settings Utility
+ * Reads the course's preference model from app_settings
+ *
+ * Settings:
+ * - max_preferences: most projects a student may rank
+ * - min_preferences: fewest projects a student must rank
+ * - rank_all_projects: "true" if students must rank every approved project,
+ *   which overrides both limits
+ * - preference_mode: "ranked" (ordered choices) or "bidding" (students spread a
+ *   point budget across projects; count limits do not apply)
+ * - bid_budget: points each student distributes in bidding mode
+ *
+ * The resulting preference_length is the number of ranks the group formation
+ * algorithm spreads its satisfaction weights over.
+ *
+ * Each course can override any setting; keys it has not set fall back to the
+ * shared (NULL course_id) row, then to the defaults below.
+ *
+ * Usage in routes:
+ * const settings = await getPreferenceSettings(req.courseId);
+ * const error = checkPreferenceCount(preferences.length, settings)
+ *   || await checkRankAllProjects(preferences.map((pref) => pref.project_id), settings, req.courseId);
+ */
+
+import db from "../../db.js";
+
+/**
+ * Defaults used when a setting has never been saved
+ * @constant {Object}
+ */
+export const DEFAULT_PREFERENCE_SETTINGS = {
+  max_preferences: 3,
+  min_preferences: 1,
+  rank_all_projects: false,
+  preference_mode: "ranked",
+  bid_budget: 100,
+};
+
+/**
+ * Supported preference modes
+ * @constant {Array<string>}
+ */
+export const PREFERENCE_MODES = ["ranked", "bidding"];
+
+/**
+ * Upper bound for bid_budget
+ * @constant {number}
+ */
+export const MAX_BID_BUDGET = 1000;
+
+/**
+ * Setting keys that make up the preference model
+ * @constant {Array<string>}
+ */
+export const PREFERENCE_SETTING_KEYS = Object.keys(DEFAULT_PREFERENCE_SETTINGS);
+
+/**
+ * Upper bound for max_preferences, to keep ranking forms usable
+ * @constant {number}
+ */
+export const MAX_PREFERENCE_LIMIT = 20;
+
+/**
+ * Parse a stored setting value
+ * @param {string} key - Setting key
+ * @param {string|null} value - Raw setting_value
+ * @returns {number|boolean|string} Parsed value, or the default if the value is missing or invalid
+ */
+const parseSetting = (key, value) => {
+  if (key === "rank_all_projects") {
+    return value === null || value === undefined ? DEFAULT_PREFERENCE_SETTINGS[key] : value === "true";
+  }
+  if (key === "preference_mode") {
+    return PREFERENCE_MODES.includes(value) ? value : DEFAULT_PREFERENCE_SETTINGS[key];
+  }
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed >= 1 ? parsed : DEFAULT_PREFERENCE_SETTINGS[key];
+};
+
+/**
+ * Read stored settings for a course, with shared values for keys it has not set
+ * @param {Array<string>} keys - Setting keys to read
+ * @param {number|null} [courseId=null] - Course to read, or null for the shared scope
+ * @param {Object} [executor=db] - db pool or a connection inside the caller's transaction
+ * @returns {Promise<Object>} Raw setting_value by setting_key (missing keys are absent)
+ *
+ * Example:
+ * await readSettings(["max_preferences", "preference_mode"], 3)
+ * // { max_preferences: "4", preference_mode: "ranked" }
+ */
+export const readSettings = async (keys, courseId = null, executor = db) => {
+  const [rows] = await executor.query(
+    `SELECT setting_key, setting_value FROM app_settings
+     WHERE setting_key IN (?) AND (course_id IS NULL OR course_id = ?)
+     ORDER BY course_id IS NULL DESC`,
+    [keys, courseId]
+  );
+  // Shared rows come first, so the course's own rows overwrite them
+  return Object.fromEntries(rows.map((row) => [row.setting_key, row.setting_value]));
+};
+
+/**
+ * Validate a new value for one preference setting
+ * @param {string} key - Setting key (one of PREFERENCE_SETTING_KEYS)
+ * @param {*} value - Value from the request body
+ * @returns {string|null} Error message, or null if the value is valid
+ *
+ * Example:
+ * validatePreferenceSetting("max_preferences", "0")
+ * // "max_preferences must be a whole number between 1 and 20"
+ */
+export const validatePreferenceSetting = (key, value) => {
+  if (key === "rank_all_projects") {
+    return ["true", "false", true, false].includes(value) ? null : "rank_all_projects must be true or false";
+  }
+  if (key === "preference_mode") {
+    return PREFERENCE_MODES.includes(value) ? null : `preference_mode must be one of: ${PREFERENCE_MODES.join(", ")}`;
+  }
+  const parsed = Number(value);
+  if (key === "bid_budget") {
+    return Number.isInteger(parsed) && parsed >= 1 && parsed <= MAX_BID_BUDGET
+      ? null
+      : `bid_budget must be a whole number between 1 and ${MAX_BID_BUDGET}`;
+  }
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_PREFERENCE_LIMIT) {
+    return `${key} must be a whole number between 1 and ${MAX_PREFERENCE_LIMIT}`;
+  }
+  return null;
+};
+
+/**
+ * Load the course's preference model
+ * @param {number|null} [courseId=null] - Course to load, or null for the shared scope
+ * @returns {Promise<Object>} { max_preferences, min_preferences, rank_all_projects, preference_mode, bid_budget, approved_projects, preference_length }
+ *
+ * In rank-all mode, min_preferences and max_preferences both equal the number of
+ * approved projects.
+ *
+ * Example:
+ * {
+ *   max_preferences: 5,
+ *   min_preferences: 2,
+ *   rank_all_projects: false,
+ *   preference_mode: "ranked",
+ *   bid_budget: 100,
+ *   approved_projects: 12,
+ *   preference_length: 5
+ * }
+ */
+export const getPreferenceSettings = async (courseId = null) => {
+  const stored = await readSettings(PREFERENCE_SETTING_KEYS, courseId);
+
+  const [countResult] = await db.query(
+    "SELECT COUNT(*) as count FROM projects WHERE approval_status = 'approved' AND course_id <=> ?",
+    [courseId]
+  );
+  const approvedProjects = countResult[0].count;
+
+  const rankAll = parseSetting("rank_all_projects", stored.rank_all_projects);
+  let max = parseSetting("max_preferences", stored.max_preferences);
+  let min = Math.min(parseSetting("min_preferences", stored.min_preferences), max);
+  if (rankAll) {
+    max = Math.max(approvedProjects, 1);
+    min = max;
+  }
+
+  return {
+    max_preferences: max,
+    min_preferences: min,
+    rank_all_projects: rankAll,
+    preference_mode: parseSetting("preference_mode", stored.preference_mode),
+    bid_budget: parseSetting("bid_budget", stored.bid_budget),
+    approved_projects: approvedProjects,
+    preference_length: max,
+  };
+};
+
+/**
+ * Check submitted bids against the course's bid budget
+ * @param {Array<Object>} bids - Submitted { project_id, bid_points } entries
+ * @param {Object} settings - Result of getPreferenceSettings
+ * @returns {string|null} Error message, or null if the bids are allowed
+ *
+ * Example:
+ * checkBids([{ project_id: 5, bid_points: 80 }, { project_id: 9, bid_points: 40 }], { bid_budget: 100 })
+ * // "Bids total 120 points but the budget is 100"
+ */
+export const checkBids = (bids, settings) => {
+  for (const bid of bids) {
+    if (!Number.isInteger(bid.bid_points) || bid.bid_points < 1) {
+      return "Each bid must be a whole number of points, at least 1";
+    }
+  }
+  const total = bids.reduce((sum, bid) => sum + bid.bid_points, 0);
+  if (total > settings.bid_budget) {
+    return `Bids total ${total} points but the budget is ${settings.bid_budget}`;
+  }
+  return null;
+};
+
+/**
+ * Check a submitted preference count against the course's preference model
+ * @param {number} count - Number of submitted preferences
+ * @param {Object} settings - Result of getPreferenceSettings
+ * @returns {string|null} Error message, or null if the count is allowed
+ */
+export const checkPreferenceCount = (count, settings) => {
+  if (settings.rank_all_projects && count !== settings.max_preferences) {
+    return `You must rank all ${settings.max_preferences} projects`;
+  }
+  if (count > settings.max_preferences) {
+    return `Maximum ${settings.max_preferences} preferences allowed`;
+  }
+  if (count < settings.min_preferences) {
+    return `At least ${settings.min_preferences} preferences required`;
+  }
+  return null;
+};
+
+/**
+ * In rank-all mode, check that the ranked projects are exactly the course's
+ * approved projects (a matching count alone would let pending or rejected
+ * projects stand in for approved ones)
+ * @param {Array<number|string>} projectIds - Submitted project IDs
+ * @param {Object} settings - Result of getPreferenceSettings
+ * @param {number|null} [courseId=null] - Active course
+ * @returns {Promise<string|null>} Error message, or null if the projects are allowed
+ */
+export const checkRankAllProjects = async (projectIds, settings, courseId = null) => {
+  if (!settings.rank_all_projects) return null;
+
+  const [approved] = await db.query(
+    "SELECT id FROM projects WHERE approval_status = 'approved' AND course_id <=> ?",
+    [courseId]
+  );
+  const approvedIds = new Set(approved.map((project) => project.id));
+  const rankedIds = new Set(projectIds.map((id) => parseInt(id)));
+
+  if (rankedIds.size !== approvedIds.size || [...rankedIds].some((id) => !approvedIds.has(id))) {
+    return `You must rank all ${approvedIds.size} approved projects`;
+  }
+  return null;
+};
@@ -0,0 +1,94 @@
+/**
+ * Preference Window Utility
+ * Works out when a student may submit preferences
+ *
+ * Settings:
+ * - preference_opens_at: when submissions open (none = open from the start)
+ * - preference_deadline: when submissions close (none = never close)
+ *
+ * An instructor can grant a student an extension (deadline_extensions), which
+ * moves that student's closing time to extended_until. Extensions never open the
+ * window early.
+ *
+ * Both settings and extensions are per course.
+ *
+ * Usage in routes:
+ * const preferenceWindow = await getPreferenceWindow(studentId, db, req.courseId);
+ * const error = checkPreferenceWindow(preferenceWindow);
+ */
+
+import db from "../../db.js";
+import { readSettings } from "./preferenceSettings.js";
+
+/**
+ * Setting keys for the preference window
+ * @constant {Array<string>}
+ */
+export const PREFERENCE_WINDOW_KEYS = ["preference_opens_at", "preference_deadline"];
+
+/**
+ * Load the preference window, with a student's extension if they have one
+ * @param {number|null} studentId - Student to apply an extension for, or null for the course-wide window
+ * @param {Object} [executor=db] - db pool or a connection inside the caller's transaction
+ * @param {number|null} [courseId=null] - Course whose window to load, or null for the shared scope
+ * @returns {Promise<Object>} { opens_at, deadline, extended_until, effective_deadline, status }
+ *
+ * status is "not_open" before opens_at, "closed" after the effective deadline,
+ * and "open" otherwise.
+ *
+ * Example:
+ * {
+ *   opens_at: "2025-01-06T09:00:00",
+ *   deadline: "2025-01-15T23:59:00",
+ *   extended_until: "2025-01-18T23:59:00",
+ *   effective_deadline: "2025-01-18T23:59:00",
+ *   status: "open"
+ * }
+ */
+export const getPreferenceWindow = async (studentId = null, executor = db, courseId = null) => {
+  const stored = await readSettings(PREFERENCE_WINDOW_KEYS, courseId, executor);
+  const opensAt = stored.preference_opens_at || null;
+  const deadline = stored.preference_deadline || null;
+
+  let extendedUntil = null;
+  if (studentId) {
+    const [extensions] = await executor.query(
+      "SELECT extended_until FROM deadline_extensions WHERE student_id = ? AND course_id <=> ?",
+      [studentId, courseId]
+    );
+    extendedUntil = extensions.length > 0 ? extensions[0].extended_until : null;
+  }
+
+  // An extension only counts if it is later than the course deadline
+  const effectiveDeadline = extendedUntil && (!deadline || new Date(extendedUntil) > new Date(deadline))
+    ? extendedUntil
+    : deadline;
+
+  const now = new Date();
+  let status = "open";
+  if (opensAt && now < new Date(opensAt)) status = "not_open";
+  else if (effectiveDeadline && now > new Date(effectiveDeadline)) status = "closed";
+
+  return {
+    opens_at: opensAt,
+    deadline,
+    extended_until: extendedUntil,
+    effective_deadline: effectiveDeadline,
+    status,
+  };
+};
+
+/**
+ * Check whether a student may change preferences now
+ * @param {Object} preferenceWindow - Result of getPreferenceWindow
+ * @returns {string|null} Error message, or null if the window is open
+ */
+export const checkPreferenceWindow = (preferenceWindow) => {
+  if (preferenceWindow.status === "not_open") {
+    return `Preference submissions open on ${new Date(preferenceWindow.opens_at).toISOString()}`;
+  }
+  if (preferenceWindow.status === "closed") {
+    return "The deadline for submitting preferences has passed";
+  }
+  return null;
+};
@@ -0,0 +1,105 @@
+/**
+ * Project Attachments Utility
+ * Limits and helpers for files attached to projects
+ *
+ * Attachments are either "proposal" documents the client adds to the project
+ * (specs, NDAs, mockups) or "deliverable" files the assigned team hands in.
+ * Files are sent as the raw request body, so these checks run on the bytes
+ * that arrived plus the filename from the query string. The stored MIME type
+ * comes from the file extension, not from what the browser claims.
+ *
+ * Usage in routes:
+ * const error = checkAttachmentFile({ filename: req.query.filename, size: req.body.length });
+ * if (error) return res.status(400).json({ success: false, error });
+ * const mimeType = getAttachmentMimeType(filename);
+ */
+
+import path from "path";
+
+/**
+ * Attachment categories
+ * @constant {Array<string>}
+ */
+export const ATTACHMENT_CATEGORIES = ["proposal", "deliverable"];
+
+/**
+ * Largest file accepted, in bytes (10 MB)
+ * @constant {number}
+ */
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Most files one project can have
+ * @constant {number}
+ */
+export const MAX_ATTACHMENTS_PER_PROJECT = 25;
+
+/**
+ * Longest filename kept, in characters
+ * @constant {number}
+ */
+const MAX_FILENAME_LENGTH = 255;
+
+/**
+ * Allowed file extensions and the MIME type each is stored and served with
+ * @constant {Object<string, string>}
+ */
+export const ATTACHMENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".csv": "text/csv",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".zip": "application/zip",
+};
+
+/**
+ * MIME type to store for a filename, from its extension
+ * @param {string} filename - Uploaded filename
+ * @returns {string|null} MIME type, or null if the extension isn't allowed
+ */
+export const getAttachmentMimeType = (filename) =>
+  ATTACHMENT_TYPES[path.extname(String(filename || "")).toLowerCase()] || null;
+
+/**
+ * Strip any folder part and control characters from an uploaded filename
+ * @param {string} filename - Filename from the request
+ * @returns {string} Name to store and offer for download
+ */
+export const cleanAttachmentName = (filename) =>
+  path.basename(String(filename || "").replace(/\\/g, "/"))
+    .replace(/[\x00-\x1f\x7f"]/g, "")
+    .trim()
+    .slice(-MAX_FILENAME_LENGTH);
+
+/**
+ * Check an uploaded file against the size and type limits
+ * @param {Object} file
+ * @param {string} file.filename - Cleaned filename
+ * @param {number} file.size - Size in bytes
+ * @returns {string|null} Error message, or null if the file is acceptable
+ */
+export const checkAttachmentFile = ({ filename, size }) => {
+  if (!filename) {
+    return "filename is required";
+  }
+  if (!size) {
+    return "File is empty";
+  }
+  if (size > MAX_ATTACHMENT_BYTES) {
+    return `File is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`;
+  }
+  if (!getAttachmentMimeType(filename)) {
+    return `File type not allowed. Allowed types: ${Object.keys(ATTACHMENT_TYPES).join(", ")}`;
+  }
+  return null;
+};
@@ -0,0 +1,156 @@
+/**
+ * Project Popularity Utility
+ * Aggregates student preferences per approved project, for spotting over- and
+ * under-subscribed projects before groups are formed
+ *
+ * For each project:
+ * - rank_counts: how many students listed it at each rank (index 0 = 1st choice)
+ * - demand_ratio: interested students per seat (max_team_size)
+ * - demand_level: "over" when more students chose it first than it has seats,
+ *   "under" when fewer students listed it at all than its minimum team size,
+ *   "balanced" otherwise
+ * - skill_fit: how well the interested students cover the required skills
+ *
+ * Usage in routes:
+ * const popularity = await getProjectPopularity({ courseId: req.courseId });
+ * const clientView = await getProjectPopularity({ ownerId: clientId, courseId: req.courseId });
+ */
+
+import db from "../../db.js";
+import { getPreferenceSettings } from "./preferenceSettings.js";
+import { parseSkills, getSkillCoverage } from "../routes/groupAlgorithmRoutes.js";
+
+/**
+ * Demand levels, from most to least subscribed
+ * @constant {Array<string>}
+ */
+export const DEMAND_LEVELS = ["over", "balanced", "under"];
+
+/**
+ * Fields a client sees for their own projects
+ * @constant {Array<string>}
+ */
+export const CLIENT_POPULARITY_FIELDS = [
+  "project_id",
+  "title",
+  "capacity",
+  "interested",
+  "rank_counts",
+  "demand_ratio",
+  "demand_level",
+];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Load preference analytics for approved projects
+ * @param {Object} [options]
+ * @param {number} [options.ownerId] - Only include this client's projects
+ * @param {number|null} [options.courseId] - Course to report on (null for the shared scope)
+ * @returns {Promise<Object>} { projects, summary }
+ *
+ * skill_fit is null for projects that list no required skills; otherwise
+ * { required_skills, coverage, average_match, missing_skills }, where coverage is
+ * the fraction of required skills held by at least one interested student and
+ * average_match is the mean fraction each interested student holds.
+ *
+ * Example project:
+ * {
+ *   project_id: 5,
+ *   title: "AI Chatbot",
+ *   capacity: 4,
+ *   min_team_size: 3,
+ *   interested: 11,
+ *   rank_counts: [6, 3, 2],
+ *   demand_ratio: 2.75,
+ *   first_choice_ratio: 1.5,
+ *   demand_level: "over",
+ *   skill_fit: { required_skills: ["python", "nlp"], coverage: 1, average_match: 0.45, missing_skills: [] }
+ * }
+ */
+export const getProjectPopularity = async ({ ownerId, courseId = null } = {}) => {
+  const settings = await getPreferenceSettings(courseId);
+
+  const [projects] = await db.query(
+    `SELECT id, title, max_team_size, min_team_size, required_skills
+     FROM projects
+     WHERE approval_status = 'approved' AND course_id <=> ? ${ownerId ? "AND owner_id = ?" : ""}
+     ORDER BY title`,
+    ownerId ? [courseId, ownerId] : [courseId]
+  );
+
+  const projectIds = projects.map((project) => project.id);
+  const [preferences] = projectIds.length > 0
+    ? await db.query(
+        `SELECT sp.project_id, sp.student_id, sp.preference_rank, up.skills
+         FROM student_preferences sp
+         JOIN users u ON sp.student_id = u.id
+         LEFT JOIN user_profiles up ON u.id = up.user_id
+         WHERE sp.project_id IN (?) AND u.deleted_at IS NULL`,
+        [projectIds]
+      )
+    : [[]];
+
+  const byProject = new Map(projectIds.map((id) => [id, []]));
+  preferences.forEach((pref) => byProject.get(pref.project_id).push(pref));
+
+  // Enough columns for the course limit and any older, longer lists
+  const rankColumns = preferences.reduce(
+    (most, pref) => Math.max(most, pref.preference_rank),
+    settings.max_preferences
+  );
+
+  const rows = projects.map((project) => {
+    const interested = byProject.get(project.id);
+    const capacity = project.max_team_size || 0;
+    const minTeamSize = project.min_team_size || 1;
+
+    const rankCounts = Array(rankColumns).fill(0);
+    interested.forEach((pref) => {
+      if (pref.preference_rank >= 1) rankCounts[pref.preference_rank - 1]++;
+    });
+
+    let demandLevel = "balanced";
+    if (capacity > 0 && rankCounts[0] > capacity) demandLevel = "over";
+    else if (interested.length < minTeamSize) demandLevel = "under";
+
+    const requiredSkills = parseSkills(project.required_skills);
+    let skillFit = null;
+    if (requiredSkills.size > 0) {
+      const skillSets = interested.map((pref) => parseSkills(pref.skills));
+      const matches = skillSets.map(
+        (skills) => [...requiredSkills].filter((skill) => skills.has(skill)).length / requiredSkills.size
+      );
+      skillFit = {
+        required_skills: [...requiredSkills],
+        coverage: round(getSkillCoverage(requiredSkills, skillSets)),
+        average_match: matches.length > 0 ? round(matches.reduce((sum, m) => sum + m, 0) / matches.length) : 0,
+        missing_skills: [...requiredSkills].filter((skill) => !skillSets.some((skills) => skills.has(skill))),
+      };
+    }
+
+    return {
+      project_id: project.id,
+      title: project.title,
+      capacity,
+      min_team_size: project.min_team_size,
+      interested: interested.length,
+      rank_counts: rankCounts,
+      demand_ratio: capacity > 0 ? round(interested.length / capacity) : null,
+      first_choice_ratio: capacity > 0 ? round(rankCounts[0] / capacity) : null,
+      demand_level: demandLevel,
+      skill_fit: skillFit,
+    };
+  });
+
+  return {
+    projects: rows,
+    summary: {
+      projects: rows.length,
+      students_with_preferences: new Set(preferences.map((pref) => pref.student_id)).size,
+      total_capacity: rows.reduce((sum, row) => sum + row.capacity, 0),
+      over_subscribed: rows.filter((row) => row.demand_level === "over").length,
+      under_subscribed: rows.filter((row) => row.demand_level === "under").length,
+    },
+  };
+};
@@ -0,0 +1,85 @@
+/**
+ * Project Review Utility
+ * Threaded review conversation between instructors and the client on a proposal
+ *
+ * Each entry in project_review_comments is either a plain comment or records a
+ * step in the review:
+ * - "changes_requested", "approved", "rejected": an instructor's decision, with
+ *   their feedback as the body
+ * - "resubmitted": the client sent the proposal back for review (pending)
+ *
+ * Usage in routes:
+ * await addReviewEntry(db, { projectId, authorId: req.user.clientId, authorRole: "client", body });
+ * const thread = await getReviewThread(projectId);
+ */
+
+import db from "../../db.js";
+
+/**
+ * Kinds of review thread entries
+ * @constant {Array<string>}
+ */
+export const REVIEW_EVENTS = ["comment", "changes_requested", "approved", "rejected", "resubmitted"];
+
+/**
+ * Decisions an instructor can make on a proposal
+ * @constant {Array<string>}
+ */
+export const REVIEW_DECISIONS = ["approved", "rejected", "changes_requested"];
+
+/**
+ * Approval statuses a client can resubmit from
+ * @constant {Array<string>}
+ */
+export const RESUBMITTABLE_STATUSES = ["changes_requested", "rejected"];
+
+/**
+ * Longest comment accepted, in characters
+ * @constant {number}
+ */
+export const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Add an entry to a project's review thread
+ * @param {Object} executor - db pool or a connection inside the caller's transaction
+ * @param {Object} entry
+ * @param {number} entry.projectId - Project ID
+ * @param {number} entry.authorId - User writing the entry
+ * @param {string} entry.authorRole - Author's role (client, instructor, admin, ...)
+ * @param {string} [entry.event="comment"] - One of REVIEW_EVENTS
+ * @param {string|null} [entry.body=null] - Comment text
+ * @returns {Promise<number>} ID of the new entry
+ */
+export const addReviewEntry = async (executor, { projectId, authorId, authorRole, event = "comment", body = null }) => {
+  const [result] = await executor.query(
+    `INSERT INTO project_review_comments (project_id, author_id, author_role, event, body)
+     VALUES (?, ?, ?, ?, ?)`,
+    [projectId, authorId, authorRole, event, body]
+  );
+  return result.insertId;
+};
+
+/**
+ * Load a project's review thread, oldest first
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Array<Object>>} [{ id, author_id, author_role, author_name, event, body, created_at }]
+ */
+export const getReviewThread = async (projectId) => {
+  const [entries] = await db.query(
+    `SELECT
+       rc.id,
+       rc.author_id,
+       rc.author_role,
+       COALESCE(up.full_name, CONCAT_WS(' ', up.first_name, up.last_name), u.email) as author_name,
+       rc.event,
+       rc.body,
+       rc.created_at
+     FROM project_review_comments rc
+     LEFT JOIN users u ON rc.author_id = u.id
+     LEFT JOIN user_profiles up ON u.id = up.user_id
+     WHERE rc.project_id = ?
+     ORDER BY rc.created_at, rc.id`,
+    [projectId]
+  );
+  return entries;
+};
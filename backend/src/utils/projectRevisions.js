@@ -0,0 +1,239 @@
+/**
+ * Project Revisions Utility
+ * Keeps every version of a project proposal so reviewers can see what changed
+ *
+ * Editing a project overwrites its row, so each version of the client-editable
+ * fields is also written to project_revisions as a snapshot. Revisions count up
+ * from 1 per project; saving without changing any of those fields (e.g. only the
+ * status) doesn't add one. Projects created before revisions were kept get
+ * their first revision the next time they are edited or reviewed.
+ *
+ * Usage in routes:
+ * const revision = await recordProjectRevision(connection, { projectId, editedBy: req.user.clientId, editedByRole: "client" });
+ * const changes = diffProjectRevisions(previous.snapshot, current.snapshot);
+ */
+
+import db from "../../db.js";
+
+/**
+ * Fields kept in each revision, with their labels. Keys are the names the API
+ * uses for them (see POST /projects)
+ * @constant {Object<string, string>}
+ */
+export const REVISION_FIELDS = {
+  title: "Title",
+  description: "Description",
+  skills_required: "Skills Required",
+  deliverables: "Deliverables",
+  category: "Category",
+  team_size: "Team Size",
+  min_team_size: "Minimum Team Size",
+  complexity_level: "Complexity",
+  start_date: "Start Date",
+  end_date: "End Date",
+  project_location: "Location",
+  industry: "Industry",
+};
+
+/**
+ * Revision fields holding lists; their diffs also list added and removed items
+ * @constant {Array<string>}
+ */
+const LIST_FIELDS = ["skills_required", "deliverables"];
+
+const parseList = (value) => {
+  if (value === null || value === undefined || value === "") return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return String(value).split(",").map((item) => item.trim()).filter(Boolean);
+  }
+};
+
+const parseSnapshot = (snapshot) => (typeof snapshot === "string" ? JSON.parse(snapshot) : snapshot);
+
+/**
+ * Read a project's client-editable fields as stored in a revision
+ * @param {Object} executor - db pool or a connection inside the caller's transaction
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object|null>} Snapshot keyed by REVISION_FIELDS, or null if the project doesn't exist
+ */
+export const snapshotProject = async (executor, projectId) => {
+  const [projects] = await executor.query(
+    `SELECT title, description, required_skills, deliverables, category, max_team_size, min_team_size,
+            difficulty_level, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') as end_date, location, industry_category
+     FROM projects WHERE id = ?`,
+    [projectId]
+  );
+  if (projects.length === 0) return null;
+
+  const project = projects[0];
+  return {
+    title: project.title,
+    description: project.description ?? null,
+    skills_required: parseList(project.required_skills),
+    deliverables: parseList(project.deliverables),
+    category: project.category ?? null,
+    team_size: project.max_team_size ?? null,
+    min_team_size: project.min_team_size ?? null,
+    complexity_level: project.difficulty_level ?? null,
+    start_date: project.start_date ?? null,
+    end_date: project.end_date ?? null,
+    project_location: project.location ?? null,
+    industry: project.industry_category ?? null,
+  };
+};
+
+/**
+ * Compare two revision snapshots field by field
+ * @param {Object|null} previous - Earlier snapshot (null for a project's first revision)
+ * @param {Object} current - Later snapshot
+ * @returns {Object} { changed, fields }
+ *
+ * fields lists { field, label, from, to } for each changed field, in
+ * REVISION_FIELDS order; skills_required and deliverables also carry the added
+ * and removed items. A first revision counts as changed with no fields.
+ *
+ * Example:
+ * diffProjectRevisions(
+ *   { title: "Campus Map", skills_required: ["React"], ... },
+ *   { title: "Campus Map", skills_required: ["React", "Leaflet"], ... }
+ * )
+ * // { changed: true, fields: [{ field: "skills_required", label: "Skills Required", from: ["React"], to: ["React", "Leaflet"], added: ["Leaflet"], removed: [] }] }
+ */
+export const diffProjectRevisions = (previous, current) => {
+  if (!previous) return { changed: true, fields: [] };
+
+  const fields = [];
+  Object.entries(REVISION_FIELDS).forEach(([field, label]) => {
+    const from = previous[field] ?? null;
+    const to = current[field] ?? null;
+
+    if (LIST_FIELDS.includes(field)) {
+      const before = from || [];
+      const after = to || [];
+      if (JSON.stringify(before) === JSON.stringify(after)) return;
+      fields.push({
+        field,
+        label,
+        from: before,
+        to: after,
+        added: after.filter((item) => !before.includes(item)),
+        removed: before.filter((item) => !after.includes(item)),
+      });
+      return;
+    }
+
+    if (String(from ?? "") !== String(to ?? "")) {
+      fields.push({ field, label, from, to });
+    }
+  });
+
+  return { changed: fields.length > 0, fields };
+};
+
+/**
+ * Record the project's current fields as a new revision, unless they match the
+ * latest one
+ * @param {Object} executor - db pool or a connection inside the caller's transaction
+ * @param {Object} revision
+ * @param {number} revision.projectId - Project that was created or edited
+ * @param {number} revision.editedBy - User who made the change
+ * @param {string} revision.editedByRole - Their role
+ * @param {number|null} [revision.restoredFrom] - Earlier revision whose fields were put back
+ * @returns {Promise<number|null>} The project's current revision number (null if the project doesn't exist)
+ */
+export const recordProjectRevision = async (
+  executor,
+  { projectId, editedBy, editedByRole, restoredFrom = null }
+) => {
+  const snapshot = await snapshotProject(executor, projectId);
+  if (!snapshot) return null;
+
+  const [latest] = await executor.query(
+    "SELECT revision, snapshot FROM project_revisions WHERE project_id = ? ORDER BY revision DESC LIMIT 1",
+    [projectId]
+  );
+  if (latest.length > 0 && !diffProjectRevisions(parseSnapshot(latest[0].snapshot), snapshot).changed) {
+    return latest[0].revision;
+  }
+
+  const revision = latest.length > 0 ? latest[0].revision + 1 : 1;
+  await executor.query(
+    `INSERT INTO project_revisions (project_id, revision, snapshot, edited_by, edited_by_role, restored_from)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [projectId, revision, JSON.stringify(snapshot), editedBy, editedByRole, restoredFrom]
+  );
+
+  return revision;
+};
+
+/**
+ * Put a project's fields back to an earlier revision, recording the result as
+ * a new revision (unless the current fields already match it)
+ * @param {Object} executor - Connection inside the caller's transaction
+ * @param {Object} restore
+ * @param {number} restore.projectId - Project ID
+ * @param {Object} restore.snapshot - Snapshot of the revision to restore
+ * @param {number} restore.revision - Number of that revision
+ * @param {number} restore.editedBy - User restoring it
+ * @param {string} restore.editedByRole - Their role
+ * @returns {Promise<number>} The project's current revision number
+ */
+export const restoreProjectRevision = async (
+  executor,
+  { projectId, snapshot, revision, editedBy, editedByRole }
+) => {
+  await executor.query(
+    `UPDATE projects SET
+       title = ?, description = ?, required_skills = ?, deliverables = ?, category = ?,
+       max_team_size = ?, min_team_size = ?, difficulty_level = ?, start_date = ?, end_date = ?,
+       location = ?, industry_category = ?
+     WHERE id = ?`,
+    [
+      snapshot.title,
+      snapshot.description,
+      JSON.stringify(snapshot.skills_required || []),
+      snapshot.deliverables?.length ? JSON.stringify(snapshot.deliverables) : null,
+      snapshot.category,
+      snapshot.team_size,
+      snapshot.min_team_size,
+      snapshot.complexity_level,
+      snapshot.start_date,
+      snapshot.end_date,
+      snapshot.project_location,
+      snapshot.industry,
+      projectId,
+    ]
+  );
+
+  return recordProjectRevision(executor, { projectId, editedBy, editedByRole, restoredFrom: revision });
+};
+
+/**
+ * Load a project's revisions, oldest first
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Array<Object>>} [{ revision, snapshot, edited_by, edited_by_role, editor_name, restored_from, created_at }]
+ */
+export const getProjectRevisions = async (projectId) => {
+  const [revisions] = await db.query(
+    `SELECT
+       pr.revision,
+       pr.snapshot,
+       pr.edited_by,
+       pr.edited_by_role,
+       COALESCE(up.full_name, CONCAT_WS(' ', up.first_name, up.last_name), u.email) as editor_name,
+       pr.restored_from,
+       pr.created_at
+     FROM project_revisions pr
+     LEFT JOIN users u ON pr.edited_by = u.id
+     LEFT JOIN user_profiles up ON u.id = up.user_id
+     WHERE pr.project_id = ?
+     ORDER BY pr.revision`,
+    [projectId]
+  );
+  return revisions.map((revision) => ({ ...revision, snapshot: parseSnapshot(revision.snapshot) }));
+};
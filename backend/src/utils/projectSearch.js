@@ -0,0 +1,340 @@
+/**
+ * Project Search Utility
+ * Keyword search over approved projects with filters, facet counts and pages
+ *
+ * Keywords are matched against the FULLTEXT index on projects (title,
+ * description) in boolean mode, each word as a prefix ("mach" finds "machine"),
+ * and ranked by relevance. required_skills is a JSON list rather than prose, so
+ * keywords are also matched against it (and against the title, for words
+ * shorter than the index's minimum token size) with LIKE; a skills match adds
+ * to the relevance.
+ *
+ * Filters combine with AND; several values for one filter combine with OR,
+ * except skills, where a project needs every listed skill:
+ * - category, complexity_level, industry, project_location: exact values
+ * - team_size: ranges of the maximum team size (see TEAM_SIZE_RANGES)
+ * - skills: skill names
+ *
+ * Each facet counts the projects matching the keywords and every filter except
+ * its own, so choosing one category still shows how many projects the other
+ * categories have.
+ *
+ * Usage in routes:
+ * const { search, error } = parseProjectSearch(req.query);
+ * if (error) return res.status(400).json({ success: false, error });
+ * const { projects, pagination, facets } = await searchProjects(search, req.courseId);
+ */
+
+import db from "../../db.js";
+import { calculatePagination } from "./responseFormatter.js";
+
+/**
+ * Filters backed by a single column, by query parameter (the API's names for
+ * the columns, as in GET /projects)
+ * @constant {Object<string, string>}
+ */
+const COLUMN_FILTERS = {
+  category: "p.category",
+  complexity_level: "p.difficulty_level",
+  industry: "p.industry_category",
+  project_location: "p.location",
+};
+
+/**
+ * Accepted complexity levels
+ * @constant {Array<string>}
+ */
+export const COMPLEXITY_LEVELS = ["Beginner", "Intermediate", "Advanced"];
+
+/**
+ * Team size filter values: ranges of a project's maximum team size
+ * @constant {Array<Object>}
+ */
+export const TEAM_SIZE_RANGES = [
+  { value: "1-3", min: 1, max: 3 },
+  { value: "4-5", min: 4, max: 5 },
+  { value: "6+", min: 6, max: null },
+];
+
+/**
+ * Sort orders; relevance needs keywords and falls back to newest without them
+ * @constant {Object<string, string>}
+ */
+const SORT_ORDERS = {
+  relevance: "relevance DESC, p.created_at DESC",
+  newest: "p.created_at DESC",
+  title: "p.title ASC",
+};
+
+/**
+ * Projects per page when the request doesn't say
+ * @constant {number}
+ */
+export const DEFAULT_SEARCH_LIMIT = 12;
+
+/**
+ * Largest page size accepted
+ * @constant {number}
+ */
+export const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * Most skills returned in the skills facet
+ * @constant {number}
+ */
+const MAX_SKILL_FACETS = 20;
+
+// A query parameter given once is a string, given several times an array
+const toList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .map((item) => String(item ?? "").trim())
+    .filter(Boolean);
+
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+
+/**
+ * Turn keywords into a boolean-mode FULLTEXT query: operators are dropped and
+ * each word becomes a prefix search
+ * @param {string} keywords - Text the user typed
+ * @returns {string|null} e.g. "machine* learn*", or null if no word is left
+ */
+const toFulltextQuery = (keywords) => {
+  const words = keywords.replace(/[+\-<>()~*"@]/g, " ").split(/\s+/).filter(Boolean);
+  return words.length > 0 ? words.map((word) => `${word}*`).join(" ") : null;
+};
+
+const parseSkills = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map((skill) => String(skill).trim()).filter(Boolean);
+  } catch {
+    return String(value).split(",").map((skill) => skill.trim()).filter(Boolean);
+  }
+};
+
+/**
+ * Read and validate search parameters from a request's query string
+ * @param {Object} query - req.query
+ * @returns {Object} { search } with { keywords, filters, sort, page, limit }, or { error }
+ *
+ * Without keywords, sort defaults to (and "relevance" falls back to) newest.
+ *
+ * Example:
+ * parseProjectSearch({ q: "machine learning", category: ["AI", "Data"], team_size: "4-5", page: "2" })
+ */
+export const parseProjectSearch = (query) => {
+  // keyword is the parameter's name from before filters existed
+  const keywords = String(query.q ?? query.keyword ?? "").trim();
+
+  const filters = {};
+  Object.keys(COLUMN_FILTERS).forEach((key) => {
+    const values = toList(query[key]);
+    if (values.length > 0) filters[key] = values;
+  });
+
+  const invalidComplexity = (filters.complexity_level || []).find((level) => !COMPLEXITY_LEVELS.includes(level));
+  if (invalidComplexity) {
+    return { error: `Invalid complexity level. Must be: ${COMPLEXITY_LEVELS.join(", ")}` };
+  }
+
+  const teamSizes = toList(query.team_size);
+  const invalidTeamSize = teamSizes.find((size) => !TEAM_SIZE_RANGES.some((range) => range.value === size));
+  if (invalidTeamSize) {
+    return { error: `Invalid team_size. Must be: ${TEAM_SIZE_RANGES.map((range) => range.value).join(", ")}` };
+  }
+  if (teamSizes.length > 0) filters.team_size = teamSizes;
+
+  const skills = toList(query.skills);
+  if (skills.length > 0) filters.skills = skills;
+
+  let sort = query.sort || (keywords ? "relevance" : "newest");
+  if (!SORT_ORDERS[sort]) {
+    return { error: `Invalid sort. Must be: ${Object.keys(SORT_ORDERS).join(", ")}` };
+  }
+  if (sort === "relevance" && !keywords) sort = "newest";
+
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+  const page = parseInt(query.page) || 1;
+
+  return { search: { keywords, filters, sort, page, limit } };
+};
+
+/**
+ * Build the WHERE clause for a search, leaving out one filter (for its facet)
+ * @param {Object} search - Result of parseProjectSearch
+ * @param {number|null} courseId - Active course
+ * @param {string|null} [except=null] - Filter to leave out
+ * @returns {Object} { where, params }
+ */
+const buildSearchWhere = ({ keywords, filters }, courseId, except = null) => {
+  const conditions = ["p.approval_status = 'approved'", "p.course_id <=> ?"];
+  const params = [courseId];
+
+  if (keywords) {
+    const fulltext = toFulltextQuery(keywords);
+    if (fulltext) {
+      conditions.push("(MATCH(p.title, p.description) AGAINST(? IN BOOLEAN MODE) OR p.title LIKE ? OR p.required_skills LIKE ?)");
+      params.push(fulltext, likePattern(keywords), likePattern(keywords));
+    } else {
+      conditions.push("(p.title LIKE ? OR p.required_skills LIKE ?)");
+      params.push(likePattern(keywords), likePattern(keywords));
+    }
+  }
+
+  Object.entries(COLUMN_FILTERS).forEach(([key, column]) => {
+    if (key === except || !filters[key]) return;
+    conditions.push(`${column} IN (?)`);
+    params.push(filters[key]);
+  });
+
+  if (except !== "team_size" && filters.team_size) {
+    const ranges = TEAM_SIZE_RANGES.filter((range) => filters.team_size.includes(range.value));
+    conditions.push(`(${ranges.map((range) => (range.max === null ? "p.max_team_size >= ?" : "p.max_team_size BETWEEN ? AND ?")).join(" OR ")})`);
+    ranges.forEach((range) => params.push(...(range.max === null ? [range.min] : [range.min, range.max])));
+  }
+
+  if (except !== "skills" && filters.skills) {
+    // Skills are stored as a JSON list, so a quoted name is one whole skill ("Java" doesn't match "JavaScript")
+    filters.skills.forEach((skill) => {
+      conditions.push("LOWER(p.required_skills) LIKE ?");
+      params.push(likePattern(JSON.stringify(skill.toLowerCase())));
+    });
+  }
+
+  return { where: conditions.join(" AND "), params };
+};
+
+/**
+ * SQL that puts a project in its TEAM_SIZE_RANGES value
+ * @constant {string}
+ */
+const TEAM_SIZE_CASE = `CASE ${TEAM_SIZE_RANGES.map((range) =>
+  range.max === null
+    ? `WHEN p.max_team_size >= ${range.min} THEN '${range.value}'`
+    : `WHEN p.max_team_size BETWEEN ${range.min} AND ${range.max} THEN '${range.value}'`
+).join(" ")} END`;
+
+/**
+ * Count matching projects by each filter's values
+ * @param {Object} search - Result of parseProjectSearch
+ * @param {number|null} courseId - Active course
+ * @returns {Promise<Object>} { category, complexity_level, industry, project_location, team_size, skills },
+ *   each [{ value, count }]
+ */
+const getSearchFacets = async (search, courseId) => {
+  const columnFacets = Object.entries(COLUMN_FILTERS).map(async ([key, column]) => {
+    const { where, params } = buildSearchWhere(search, courseId, key);
+    const [rows] = await db.query(
+      `SELECT ${column} as value, COUNT(*) as count
+       FROM projects p
+       WHERE ${where} AND ${column} IS NOT NULL AND ${column} <> ''
+       GROUP BY ${column}
+       ORDER BY count DESC, value`,
+      params
+    );
+    return [key, rows];
+  });
+
+  const teamSizeFacet = (async () => {
+    const { where, params } = buildSearchWhere(search, courseId, "team_size");
+    const [rows] = await db.query(
+      `SELECT ${TEAM_SIZE_CASE} as value, COUNT(*) as count
+       FROM projects p
+       WHERE ${where} AND p.max_team_size >= 1
+       GROUP BY value`,
+      params
+    );
+    return [
+      "team_size",
+      TEAM_SIZE_RANGES
+        .map((range) => ({ value: range.value, count: rows.find((row) => row.value === range.value)?.count || 0 }))
+        .filter((facet) => facet.count > 0),
+    ];
+  })();
+
+  const skillsFacet = (async () => {
+    const { where, params } = buildSearchWhere(search, courseId, "skills");
+    const [rows] = await db.query(`SELECT p.required_skills FROM projects p WHERE ${where}`, params);
+
+    // Count each skill once per project, case-insensitively, under the first spelling seen
+    const counts = new Map();
+    rows.forEach((row) => {
+      const seen = new Set();
+      parseSkills(row.required_skills).forEach((skill) => {
+        const key = skill.toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+        const entry = counts.get(key) || { value: skill, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+      });
+    });
+
+    return [
+      "skills",
+      [...counts.values()]
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, MAX_SKILL_FACETS),
+    ];
+  })();
+
+  return Object.fromEntries(await Promise.all([...columnFacets, teamSizeFacet, skillsFacet]));
+};
+
+/**
+ * Run a search: one page of matching approved projects, the total, and facets
+ * @param {Object} search - Result of parseProjectSearch
+ * @param {number|null} courseId - Active course
+ * @returns {Promise<Object>} { projects, pagination, facets }
+ */
+export const searchProjects = async (search, courseId) => {
+  const { where, params } = buildSearchWhere(search, courseId);
+  const fulltext = search.keywords ? toFulltextQuery(search.keywords) : null;
+
+  // Relevance: full-text score, plus 1 when the keywords appear in the required skills
+  const relevance = !search.keywords
+    ? "0"
+    : fulltext
+      ? "MATCH(p.title, p.description) AGAINST(? IN BOOLEAN MODE) + (p.required_skills LIKE ?)"
+      : "(p.required_skills LIKE ?)";
+  const relevanceParams = !search.keywords
+    ? []
+    : fulltext
+      ? [fulltext, likePattern(search.keywords)]
+      : [likePattern(search.keywords)];
+
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) as total FROM projects p WHERE ${where}`, params);
+  const pagination = calculatePagination(search.page, search.limit, total);
+
+  const [projects, facets] = await Promise.all([
+    db.query(
+      `SELECT
+         p.id,
+         p.owner_id as client_id,
+         p.title,
+         p.description,
+         p.required_skills as skills_required,
+         p.category,
+         p.max_team_size as team_size,
+         p.min_team_size,
+         p.start_date,
+         p.end_date,
+         p.difficulty_level as complexity_level,
+         p.deliverables,
+         p.location as project_location,
+         p.industry_category as industry,
+         p.status,
+         p.created_at,
+         ${relevance} as relevance
+       FROM projects p
+       WHERE ${where}
+       ORDER BY ${SORT_ORDERS[search.sort]}
+       LIMIT ? OFFSET ?`,
+      [...relevanceParams, ...params, pagination.limit, pagination.offset]
+    ).then(([rows]) => rows),
+    getSearchFacets(search, courseId),
+  ]);
+
+  return { projects, pagination, facets };
+};
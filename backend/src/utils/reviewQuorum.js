@@ -0,0 +1,204 @@
+/**
+ * Review Quorum Utility
+ * Multi-reviewer sign-off on project proposals
+ *
+ * Each reviewer's decision on a proposal is a vote in project_review_votes; a
+ * reviewer has one vote per review round and can change it. The project's
+ * approval_status follows the votes of its current round:
+ * - "rejected" once rejection_quorum reviewers reject it
+ * - otherwise "changes_requested" as soon as any reviewer asks for changes
+ * - otherwise "approved" once approval_quorum reviewers approve the same revision
+ * - otherwise "pending"
+ *
+ * A round ends when the client resubmits the proposal (review_round counts up),
+ * so earlier votes don't carry over to the revised proposal. With both quorums
+ * at their default of 1 a single reviewer decides, as before quorums existed.
+ *
+ * Settings (per course, falling back to the shared value, see preferenceSettings):
+ * - approval_quorum: approvals needed
+ * - rejection_quorum: rejections needed (1 means any rejection blocks)
+ *
+ * Usage in routes:
+ * const settings = await getReviewSettings(req.courseId);
+ * await recordReviewVote(connection, { projectId, reviewerId, round, vote, revision, feedback });
+ * const tally = tallyReviewVotes(await getReviewVotes(projectId, round, connection), settings);
+ *
+ * Reviewers can also be assigned to a proposal (project_reviewer_assignments),
+ * which puts it in their review queue; any course manager can still vote.
+ */
+
+import db from "../../db.js";
+import { readSettings } from "./preferenceSettings.js";
+
+/**
+ * Defaults used when a setting has never been saved
+ * @constant {Object}
+ */
+export const DEFAULT_REVIEW_SETTINGS = {
+  approval_quorum: 1,
+  rejection_quorum: 1,
+};
+
+/**
+ * Setting keys for the review quorum
+ * @constant {Array<string>}
+ */
+export const REVIEW_SETTING_KEYS = Object.keys(DEFAULT_REVIEW_SETTINGS);
+
+/**
+ * Upper bound for either quorum
+ * @constant {number}
+ */
+export const MAX_REVIEW_QUORUM = 10;
+
+/**
+ * Validate a new value for one review setting
+ * @param {string} key - Setting key (one of REVIEW_SETTING_KEYS)
+ * @param {*} value - Value from the request body
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+export const validateReviewSetting = (key, value) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_REVIEW_QUORUM) {
+    return `${key} must be a whole number between 1 and ${MAX_REVIEW_QUORUM}`;
+  }
+  return null;
+};
+
+/**
+ * Load the course's review quorum
+ * @param {number|null} [courseId=null] - Course to load, or null for the shared scope
+ * @param {Object} [executor=db] - db pool or a connection inside the caller's transaction
+ * @returns {Promise<Object>} { approval_quorum, rejection_quorum }
+ */
+export const getReviewSettings = async (courseId = null, executor = db) => {
+  const stored = await readSettings(REVIEW_SETTING_KEYS, courseId, executor);
+  return Object.fromEntries(
+    REVIEW_SETTING_KEYS.map((key) => {
+      const parsed = parseInt(stored[key]);
+      return [key, Number.isInteger(parsed) && parsed >= 1 ? parsed : DEFAULT_REVIEW_SETTINGS[key]];
+    })
+  );
+};
+
+/**
+ * List the instructors who can review proposals in a course: its lead
+ * instructors and co-instructors, or every instructor and admin in the shared scope
+ * @param {number|null} [courseId=null] - Course, or null for the shared scope
+ * @returns {Promise<Array<Object>>} [{ id, name, email }]
+ */
+export const getEligibleReviewers = async (courseId = null) => {
+  const [reviewers] = courseId
+    ? await db.query(
+      `SELECT u.id, COALESCE(up.full_name, CONCAT_WS(' ', up.first_name, up.last_name), u.email) as name, u.email
+       FROM course_enrollments ce
+       JOIN users u ON ce.user_id = u.id
+       LEFT JOIN user_profiles up ON u.id = up.user_id
+       WHERE ce.course_id = ? AND ce.role IN ('instructor', 'co_instructor') AND u.deleted_at IS NULL
+       ORDER BY name`,
+      [courseId]
+    )
+    : await db.query(
+      `SELECT u.id, COALESCE(up.full_name, CONCAT_WS(' ', up.first_name, up.last_name), u.email) as name, u.email
+       FROM users u
+       LEFT JOIN user_profiles up ON u.id = up.user_id
+       WHERE u.role IN ('instructor', 'admin') AND u.deleted_at IS NULL
+       ORDER BY name`
+    );
+  return reviewers;
+};
+
+/**
+ * Record a reviewer's vote, replacing their earlier vote in the same round
+ * @param {Object} executor - db pool or a connection inside the caller's transaction
+ * @param {Object} vote
+ * @param {number} vote.projectId - Project ID
+ * @param {number} vote.reviewerId - Reviewing instructor
+ * @param {number} vote.round - Project's current review_round
+ * @param {string} vote.vote - "approved", "rejected" or "changes_requested"
+ * @param {number|null} vote.revision - Revision the vote is on
+ * @param {string|null} [vote.feedback=null] - Reviewer's feedback
+ * @returns {Promise<void>}
+ */
+export const recordReviewVote = async (
+  executor,
+  { projectId, reviewerId, round, vote, revision, feedback = null }
+) => {
+  await executor.query(
+    `INSERT INTO project_review_votes (project_id, reviewer_id, review_round, vote, revision, feedback)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE vote = VALUES(vote), revision = VALUES(revision), feedback = VALUES(feedback), updated_at = NOW()`,
+    [projectId, reviewerId, round, vote, revision, feedback]
+  );
+};
+
+/**
+ * Load the votes cast on a project in one review round
+ * @param {number} projectId - Project ID
+ * @param {number} round - Review round
+ * @param {Object} [executor=db] - db pool or a connection inside the caller's transaction
+ * @returns {Promise<Array<Object>>} [{ reviewer_id, reviewer_name, vote, revision, feedback, updated_at }]
+ */
+export const getReviewVotes = async (projectId, round, executor = db) => {
+  const [votes] = await executor.query(
+    `SELECT
+       v.reviewer_id,
+       COALESCE(up.full_name, CONCAT_WS(' ', up.first_name, up.last_name), u.email) as reviewer_name,
+       v.vote,
+       v.revision,
+       v.feedback,
+       v.updated_at
+     FROM project_review_votes v
+     LEFT JOIN users u ON v.reviewer_id = u.id
+     LEFT JOIN user_profiles up ON u.id = up.user_id
+     WHERE v.project_id = ? AND v.review_round = ?
+     ORDER BY v.updated_at, v.id`,
+    [projectId, round]
+  );
+  return votes;
+};
+
+/**
+ * Work out a round's outcome from its votes
+ * @param {Array<Object>} votes - Votes in the round ({ vote, revision })
+ * @param {Object} settings - Result of getReviewSettings
+ * @returns {Object} { decision, approvals, rejections, changes_requested, revision }
+ *
+ * decision is the approval_status the votes call for, or null if the quorum
+ * isn't met yet. approvals counts the approvals of the most-approved revision,
+ * which is the revision to approve.
+ *
+ * Example:
+ * tallyReviewVotes(
+ *   [{ vote: "approved", revision: 3 }, { vote: "approved", revision: 3 }],
+ *   { approval_quorum: 2, rejection_quorum: 1 }
+ * )
+ * // { decision: "approved", approvals: 2, rejections: 0, changes_requested: 0, revision: 3 }
+ */
+export const tallyReviewVotes = (votes, settings) => {
+  const approvalsByRevision = new Map();
+  let rejections = 0;
+  let changesRequested = 0;
+
+  votes.forEach(({ vote, revision }) => {
+    if (vote === "approved") approvalsByRevision.set(revision, (approvalsByRevision.get(revision) || 0) + 1);
+    if (vote === "rejected") rejections += 1;
+    if (vote === "changes_requested") changesRequested += 1;
+  });
+
+  let revision = null;
+  let approvals = 0;
+  approvalsByRevision.forEach((count, rev) => {
+    if (count > approvals || (count === approvals && rev > revision)) {
+      approvals = count;
+      revision = rev;
+    }
+  });
+
+  let decision = null;
+  if (rejections >= settings.rejection_quorum) decision = "rejected";
+  else if (changesRequested > 0) decision = "changes_requested";
+  else if (approvals >= settings.approval_quorum) decision = "approved";
+
+  return { decision, approvals, rejections, changes_requested: changesRequested, revision };
+};
@@ -0,0 +1,149 @@
+/**
+ * Term Archive Utility
+ * Freezes a term's courses at the end of the semester
+ *
+ * Archiving a term, for each of its courses:
+ * - stores a snapshot of the course's projects, groups (with members) and
+ *   evaluations in term_archives
+ * - marks approved projects that have a group "completed" and every other
+ *   project "archived", using the existing projects.status values
+ * - sets the course to "archived", which makes it read-only (see
+ *   middleware/courseScope)
+ *
+ * Clients carry projects into the next term by cloning them (cloned_from_id
+ * links the copy to the original).
+ *
+ * Usage in routes:
+ * const result = await archiveTerm(termId, req.user.instructorId);
+ * if (isArchivedProject(project)) return res.status(400).json({ ... });
+ */
+
+import db from "../../db.js";
+
+/**
+ * Project statuses set by archiving; projects with these are read-only
+ * @constant {Array<string>}
+ */
+export const ARCHIVED_PROJECT_STATUSES = ["completed", "archived"];
+
+/**
+ * Error message for changes to archived projects
+ * @constant {string}
+ */
+export const ARCHIVED_PROJECT_ERROR = "This project belongs to an archived term and is read-only";
+
+/**
+ * Whether a project was frozen by a term archive
+ * @param {Object} project - projects row with status
+ * @returns {boolean}
+ */
+export const isArchivedProject = (project) => ARCHIVED_PROJECT_STATUSES.includes(project.status);
+
+/**
+ * Read a course's projects, groups and evaluations as stored in term_archives
+ * @param {Object} executor - db pool or a connection inside the caller's transaction
+ * @param {number} courseId - Course to snapshot
+ * @returns {Promise<Object>} { projects, groups, evaluations }
+ */
+export const snapshotCourse = async (executor, courseId) => {
+  const [projects] = await executor.query(
+    `SELECT id, owner_id, title, description, category, required_skills, max_team_size, min_team_size,
+            difficulty_level, approval_status, status
+     FROM projects WHERE course_id = ? ORDER BY id`,
+    [courseId]
+  );
+
+  const [memberRows] = await executor.query(
+    `SELECT sg.id, sg.group_name, sg.project_id, gm.student_id, up.full_name as student_name
+     FROM student_groups sg
+     LEFT JOIN group_members gm ON gm.group_id = sg.id
+     LEFT JOIN user_profiles up ON gm.student_id = up.user_id
+     WHERE sg.course_id = ?
+     ORDER BY sg.id, gm.student_id`,
+    [courseId]
+  );
+  const groups = new Map();
+  memberRows.forEach((row) => {
+    if (!groups.has(row.id)) {
+      groups.set(row.id, { id: row.id, group_name: row.group_name, project_id: row.project_id, members: [] });
+    }
+    if (row.student_id) groups.get(row.id).members.push({ student_id: row.student_id, name: row.student_name });
+  });
+
+  const [evaluations] = await executor.query(
+    `SELECT id, title, evaluation_type, group_id, project_id, scheduled_date, status
+     FROM evaluations WHERE course_id = ? ORDER BY scheduled_date, id`,
+    [courseId]
+  );
+
+  return { projects, groups: [...groups.values()], evaluations };
+};
+
+/**
+ * Archive every active course in a term, in one transaction
+ * @param {number} termId - Term to archive
+ * @param {number|null} archivedBy - User archiving the term
+ * @returns {Promise<Object>} { courses: [{ course_id, code, projects_completed, projects_archived, groups, evaluations }] }
+ *
+ * Courses that are already archived are skipped, so archiving again after
+ * reactivating one course only re-archives that course.
+ */
+export const archiveTerm = async (termId, archivedBy = null) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [courses] = await connection.query(
+      "SELECT id, code FROM courses WHERE term_id = ? AND status = 'active' ORDER BY code",
+      [termId]
+    );
+
+    const archived = [];
+    for (const course of courses) {
+      const snapshot = await snapshotCourse(connection, course.id);
+
+      await connection.query(
+        `INSERT INTO term_archives (term_id, course_id, snapshot, archived_by)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE snapshot = VALUES(snapshot), archived_by = VALUES(archived_by), created_at = NOW()`,
+        [termId, course.id, JSON.stringify(snapshot), archivedBy]
+      );
+
+      const [completed] = await connection.query(
+        `UPDATE projects SET status = 'completed'
+         WHERE course_id = ? AND approval_status = 'approved'
+           AND id IN (SELECT project_id FROM student_groups WHERE course_id = ? AND project_id IS NOT NULL)`,
+        [course.id, course.id]
+      );
+      const [rest] = await connection.query(
+        "UPDATE projects SET status = 'archived' WHERE course_id = ? AND status <> 'completed'",
+        [course.id]
+      );
+
+      await connection.query("UPDATE courses SET status = 'archived' WHERE id = ?", [course.id]);
+
+      archived.push({
+        course_id: course.id,
+        code: course.code,
+        projects_completed: completed.affectedRows,
+        projects_archived: rest.affectedRows,
+        groups: snapshot.groups.length,
+        evaluations: snapshot.evaluations.length,
+      });
+    }
+
+    await connection.query(
+      "UPDATE terms SET archived_at = NOW(), archived_by = ? WHERE id = ?",
+      [archivedBy, termId]
+    );
+
+    await connection.commit();
+    return { courses: archived };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
@@ -7,6 +7,7 @@ import ProjectFormModal from "./ProjectFormModal";
 import ClientProfileSettingsView from "./ClientProfileSettingsView";
 import ClientTeamsView from "./ClientTeamsView";
 import ClientEvaluationsView from "./ClientEvaluationsView";
+import RollForwardView from "./RollForwardView";
 import { useClientId } from "../hooks/useClientId";
 import { useProjects } from "../hooks/useProjects";
 
@@ -192,6 +193,7 @@ export default function ClientDashboard() {
    */
   const handleLogout = () => {
     localStorage.removeItem("client");
+    localStorage.removeItem("activeCourseId");
     window.location.href = "/login";
   };
 
@@ -325,6 +327,7 @@ export default function ClientDashboard() {
             <DashboardView
               projects={projects}
               onNavigate={setActive}
+              clientId={clientId}
             />
           )}
 
@@ -340,6 +343,15 @@ export default function ClientDashboard() {
             />
           )}
 
+          {/* Previous Terms View */}
+          {active === "roll-forward" && !showForm && (
+            <RollForwardView
+              clientId={clientId}
+              onEdit={handleEditProject}
+              onCopied={refetchProjects}
+            />
+          )}
+
           {/* Project Form Modal */}
           {showForm && (
             <ProjectFormModal
@@ -114,6 +114,26 @@ export default function ClientSidebar({
               }
             />
 
+            <NavItem
+              id="roll-forward"
+              label="Previous Terms"
+              icon={
+                <svg
+                  viewBox="0 0 24 24"
+                  fill="none"
+                  className="h-5 w-5"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
+                  />
+                </svg>
+              }
+            />
+
             <NavItem
               id="teams"
               label="My Teams"
@@ -1,9 +1,11 @@
 import { useEffect, useState } from "react";
 import { apiCall } from "../utils/apiHelper";
+import StudentRankingPanel from "./StudentRankingPanel";
 
 /**
  * Client → My Teams Page
- * Displays teams assigned to client's projects with members
+ * Displays teams assigned to client's projects with members, and lets the
+ * client rank or decline the students interested in each approved project
  */
 export default function ClientTeamsView({ clientId }) {
   const [teams, setTeams] = useState([]);
@@ -11,6 +13,7 @@ export default function ClientTeamsView({ clientId }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expandedTeam, setExpandedTeam] = useState(null);
+  const [rankingProjectId, setRankingProjectId] = useState(null);
 
   useEffect(() => {
     if (clientId) {
@@ -48,6 +51,12 @@ export default function ClientTeamsView({ clientId }) {
     setExpandedTeam(expandedTeam === teamId ? null : teamId);
   };
 
+  const toggleRanking = (projectId) => {
+    setRankingProjectId(rankingProjectId === projectId ? null : projectId);
+  };
+
+  const approvedProjects = projects.filter(p => p.approval_status === "approved");
+
   // Count projects with teams assigned
   const projectsWithTeams = [...new Set(teams.map(t => t.project_id))].length;
   const totalStudents = teams.reduce((acc, t) => acc + (t.member_count || t.members?.length || 0), 0);
@@ -229,6 +238,46 @@ export default function ClientTeamsView({ clientId }) {
         </div>
       )}
 
+      {/* Interested Students */}
+      {approvedProjects.length > 0 && (
+        <div className="space-y-3">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-800">Interested Students</h3>
+            <p className="text-slate-500 text-sm mt-1">
+              Rank the students who chose your projects, or decline those who aren't a good fit
+            </p>
+          </div>
+          {approvedProjects.map((project) => (
+            <div
+              key={project.id}
+              className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden"
+            >
+              <button
+                onClick={() => toggleRanking(project.id)}
+                className="w-full p-4 flex items-center justify-between hover:bg-slate-50 transition text-left"
+              >
+                <span className="font-medium text-slate-800">{project.title}</span>
+                <svg
+                  className={`h-5 w-5 text-slate-400 transition-transform ${
+                    rankingProjectId === project.id ? "rotate-180" : ""
+                  }`}
+                  fill="none"
+                  viewBox="0 0 24 24"
+                  stroke="currentColor"
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+              {rankingProjectId === project.id && (
+                <div className="border-t border-slate-200 bg-slate-50 p-5">
+                  <StudentRankingPanel projectId={project.id} />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Info Card */}
       <div className="bg-blue-50 rounded-xl border border-blue-200 p-6">
         <div className="flex items-start gap-3">
@@ -1,13 +1,27 @@
+import { useEffect, useState } from "react";
 import QuickStats from "../components/ui/QuickStats";
+import PopularityHeatmap from "../components/ui/PopularityHeatmap";
+import { fetchClientProjectPopularity } from "../utils/apiHelper";
 
 /**
  * DashboardView Component
- * Main dashboard view showing overview, quick stats, and recent projects
+ * Main dashboard view showing overview, quick stats, student demand for
+ * approved projects, and recent projects
  *
  * @param {array} projects - Array of project objects
  * @param {function} onNavigate - Function to navigate to other sections
+ * @param {number} clientId - Client whose project demand to show
  */
-export default function DashboardView({ projects = [], onNavigate }) {
+export default function DashboardView({ projects = [], onNavigate, clientId }) {
+  const [popularity, setPopularity] = useState([]);
+
+  useEffect(() => {
+    if (!clientId) return;
+    fetchClientProjectPopularity(clientId)
+      .then((res) => setPopularity(res.data || []))
+      .catch((err) => console.error("Failed to load project popularity:", err));
+  }, [clientId]);
+
   // Helper function to get status display info
   const getStatusInfo = (project) => {
     const status = project.approval_status || "pending";
@@ -77,6 +91,17 @@ export default function DashboardView({ projects = [], onNavigate }) {
         </button>
       </div>
 
+      {/* Student Demand Section */}
+      {popularity.length > 0 && (
+        <section className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+          <h3 className="text-lg font-semibold text-slate-800">Student Demand</h3>
+          <p className="mb-4 text-sm text-slate-500">
+            How many students ranked each of your approved projects, by choice
+          </p>
+          <PopularityHeatmap projects={popularity} />
+        </section>
+      )}
+
       {/* Recent Projects Section */}
       {projects.length > 0 && (
         <section className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
@@ -1,5 +1,6 @@
 import { useEffect, useState } from "react";
-import { apiCall } from "../utils/apiHelper";
+import { apiCall, uploadProjectAttachment } from "../utils/apiHelper";
+import ProjectAttachments from "../components/ui/ProjectAttachments";
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || "https://a-portal-for-managing-students-capstone-projects-production.up.railway.app";
 
@@ -23,6 +24,12 @@ const PackageIcon = () => (
   </svg>
 );
 
+const PaperclipIcon = () => (
+  <svg className="inline-block w-5 h-5 mr-2 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+  </svg>
+);
+
 const UsersIcon = () => (
   <svg className="inline-block w-5 h-5 mr-2 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
@@ -43,12 +50,14 @@ export default function ProjectFormModal({
   const [skills, setSkills] = useState(String(projectData?.skills_required || ""));
   const [category, setCategory] = useState(projectData?.category || "");
   const [teamSize, setTeamSize] = useState(projectData?.team_size || "");
+  const [minTeamSize, setMinTeamSize] = useState(projectData?.min_team_size || "");
   const [startDate, setStartDate] = useState(toInputDate(projectData?.start_date) || "");
   const [endDate, setEndDate] = useState(toInputDate(projectData?.end_date) || "");
   const [complexityLevel, setComplexityLevel] = useState(projectData?.complexity_level || "");
   const [deliverables, setDeliverables] = useState(projectData?.deliverables || "");
   const [projectLocation, setProjectLocation] = useState(projectData?.project_location || "");
   const [industry, setIndustry] = useState(projectData?.industry || "");
+  const [pendingFiles, setPendingFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
@@ -59,6 +68,7 @@ export default function ProjectFormModal({
     setSkills(String(projectData.skills_required || ""));
     setCategory(projectData.category || "");
     setTeamSize(projectData.team_size || "");
+    setMinTeamSize(projectData.min_team_size || "");
     setStartDate(toInputDate(projectData.start_date) || "");
     setEndDate(toInputDate(projectData.end_date) || "");
     setComplexityLevel(projectData.complexity_level || "");
@@ -97,12 +107,18 @@ export default function ProjectFormModal({
       return;
     }
 
+    if (minTeamSize && teamSize && parseInt(minTeamSize, 10) > parseInt(teamSize, 10)) {
+      setError("Minimum team size cannot be greater than team size.");
+      return;
+    }
+
     const payload = {
       title: title.trim(),
       description: description.trim(),
       skills_required: skillsStr.trim(),
       category: category || null,
       team_size: teamSize ? parseInt(teamSize, 10) : null,
+      min_team_size: minTeamSize ? parseInt(minTeamSize, 10) : null,
       start_date: normalizeDate(startDate),
       end_date: normalizeDate(endDate),
       complexity_level: complexityLevel || null,
@@ -151,6 +167,21 @@ export default function ProjectFormModal({
 
       console.log("✅ Final project object:", updated);
 
+      // Files picked while creating are uploaded now that the project exists
+      if (!isEditing && pendingFiles.length > 0) {
+        const failed = [];
+        for (const file of pendingFiles) {
+          try {
+            await uploadProjectAttachment(updated.id, file, "proposal");
+          } catch (uploadErr) {
+            failed.push(`${file.name}: ${uploadErr.message}`);
+          }
+        }
+        if (failed.length > 0) {
+          alert(`Project created, but some files could not be attached:\n${failed.join("\n")}\n\nYou can attach them by editing the project.`);
+        }
+      }
+
       // Call the appropriate callbacks
       if (!isEditing && onProjectCreated) {
         console.log("🎉 Calling onProjectCreated");
@@ -397,6 +428,23 @@ export default function ProjectFormModal({
           </div>
         </div>
 
+        {/* Attachments */}
+        <div className="space-y-6">
+          <div>
+            <h3 className="text-lg font-bold text-slate-900 flex items-center">
+              <PaperclipIcon />
+              Attachments
+            </h3>
+            <p className="mt-1 text-sm text-slate-500 ml-7">Specifications, NDAs and other documents for the team and instructors</p>
+          </div>
+
+          <ProjectAttachments
+            projectId={isEditing ? projectData.id : null}
+            pendingFiles={pendingFiles}
+            onPendingFilesChange={setPendingFiles}
+          />
+        </div>
+
         {/* Team & Timeline */}
         <div className="space-y-6">
           <div>
@@ -407,7 +455,7 @@ export default function ProjectFormModal({
             <p className="mt-1 text-sm text-slate-500 ml-7">Team requirements and project duration</p>
           </div>
 
-          <div className="grid grid-cols-1 gap-6 md:grid-cols-3">
+          <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
             <div>
               <label htmlFor="pfm-team" className="mb-2 block text-sm font-semibold text-slate-700">
                 Team Size
@@ -425,6 +473,23 @@ export default function ProjectFormModal({
               <p className="mt-1.5 text-xs text-slate-500">Number of students needed</p>
             </div>
 
+            <div>
+              <label htmlFor="pfm-min-team" className="mb-2 block text-sm font-semibold text-slate-700">
+                Minimum Team Size
+              </label>
+              <input
+                id="pfm-min-team"
+                type="number"
+                min="1"
+                max="20"
+                className="w-full rounded-lg border border-slate-300 p-3.5 text-slate-900 outline-none transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+                placeholder="e.g., 2"
+                value={minTeamSize}
+                onChange={(e) => setMinTeamSize(e.target.value)}
+              />
+              <p className="mt-1.5 text-xs text-slate-500">Project is dropped if fewer students are assigned</p>
+            </div>
+
             <div>
               <label htmlFor="pfm-start" className="mb-2 block text-sm font-semibold text-slate-700">
                 Start Date
@@ -1,6 +1,8 @@
 import { useState } from "react";
 import ProjectCard from "../components/ui/ProjectCard";
-import { apiCall } from "../utils/apiHelper";
+import ProjectInterestList from "../components/ui/ProjectInterestList";
+import ReviewThread from "../components/ui/ReviewThread";
+import { apiCall, resubmitProject } from "../utils/apiHelper";
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || "https://a-portal-for-managing-students-capstone-projects-production.up.railway.app";
 
@@ -12,6 +14,9 @@ export default function ProjectListView({
   onRefresh,       // optional: () => Promise<void> | void
 }) {
   const [deletingId, setDeletingId] = useState(null);
+  const [interestProjectId, setInterestProjectId] = useState(null);
+  const [threadProjectId, setThreadProjectId] = useState(null);
+  const [resubmittingId, setResubmittingId] = useState(null);
 
   const handleDeleteProject = async (projectId) => {
     if (!window.confirm("Are you sure you want to delete this project?")) return;
@@ -46,11 +51,59 @@ export default function ProjectListView({
     onShowForm?.(project);
   };
 
+  const handleResubmit = async (project) => {
+    const message = window.prompt(
+      `Resubmit "${project.title}" for review? Optionally tell the instructor what changed:`,
+      ""
+    );
+    if (message === null) return;
+
+    try {
+      setResubmittingId(project.id);
+      await resubmitProject(project.id, message.trim() || undefined);
+      if (typeof onRefresh === "function") {
+        await onRefresh();
+      } else {
+        setProjects((prev) =>
+          prev.map((p) => (p.id === project.id ? { ...p, approval_status: "pending" } : p))
+        );
+      }
+    } catch (err) {
+      console.error("Error resubmitting project:", err);
+      alert(`Error resubmitting project: ${err?.message || "Unknown error"}`);
+    } finally {
+      setResubmittingId(null);
+    }
+  };
+
+  // Conversation toggle and resubmit button for projects sent back by the instructor
+  const renderReviewActions = (project) => (
+    <div className="space-y-2">
+      <div className="flex items-center gap-3">
+        <button
+          onClick={() => setThreadProjectId(threadProjectId === project.id ? null : project.id)}
+          className="text-xs font-medium text-blue-600 hover:text-blue-800"
+        >
+          {threadProjectId === project.id ? "Hide conversation" : "Conversation with instructor"}
+        </button>
+        <button
+          onClick={() => handleResubmit(project)}
+          disabled={resubmittingId === project.id}
+          className="text-xs font-medium text-orange-600 hover:text-orange-800 disabled:opacity-50"
+        >
+          {resubmittingId === project.id ? "Resubmitting..." : "Resubmit for review"}
+        </button>
+      </div>
+      {threadProjectId === project.id && <ReviewThread projectId={project.id} viewerRole="client" />}
+    </div>
+  );
+
   // ✅ Filter by approval_status (not status)
   const approvedProjects = projects.filter(
     (p) => p.approval_status === "approved"
   );
   const rejectedProjects = projects.filter((p) => p.approval_status === "rejected");
+  const changesRequestedProjects = projects.filter((p) => p.approval_status === "changes_requested");
   const pendingProjects = projects.filter(
     (p) => p.approval_status === "pending" || !p.approval_status
   );
@@ -107,118 +160,157 @@ export default function ProjectListView({
           </div>
         </div>
       ) : (
-        <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
-          {/* Approved */}
-          <section className="group rounded-xl border border-slate-200 bg-white p-6 shadow-sm transition hover:border-green-300 hover:shadow-md">
-            <div className="mb-5 flex items-center gap-3">
-              <div className="rounded-lg bg-green-100 p-2.5">
-                <svg
-                  className="h-5 w-5 text-green-600"
-                  viewBox="0 0 24 24"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                >
-                  <path strokeLinecap="round" strokeLinejoin="round" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
+        <>
+          {/* Changes Requested */}
+          {changesRequestedProjects.length > 0 && (
+            <section className="rounded-xl border border-orange-200 bg-orange-50/50 p-6 shadow-sm">
+              <div className="mb-4">
+                <h3 className="text-base font-semibold text-slate-800">Changes Requested</h3>
+                <p className="text-xs text-slate-500">
+                  Edit these projects as the instructor asked, then resubmit them for review
+                </p>
               </div>
-              <div>
-                <h3 className="text-base font-semibold text-slate-800">Approved Projects</h3>
-                <p className="text-xs text-slate-500">Active & completed</p>
+              <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+                {changesRequestedProjects.map((project) => (
+                  <div key={project.id} className="space-y-2">
+                    <ProjectCard
+                      project={project}
+                      onEdit={handleEditProject}
+                      onDelete={handleDeleteProject}
+                      isDeleting={deletingId === project.id}
+                    />
+                    {renderReviewActions(project)}
+                  </div>
+                ))}
               </div>
-            </div>
-
-            <div className="space-y-3 border-t border-slate-100 pt-4">
-              {approvedProjects.length === 0 ? (
-                <p className="text-sm text-slate-500">No approved projects yet</p>
-              ) : (
-                approvedProjects.map((project) => (
-                  <ProjectCard
-                    key={project.id}
-                    project={project}
-                    onEdit={handleEditProject}
-                    onDelete={handleDeleteProject}
-                    isDeleting={deletingId === project.id}
-                  />
-                ))
-              )}
-            </div>
-          </section>
-
-          {/* Rejected */}
-          <section className="group rounded-xl border border-slate-200 bg-white p-6 shadow-sm transition hover:border-red-300 hover:shadow-md">
-            <div className="mb-5 flex items-center gap-3">
-              <div className="rounded-lg bg-red-100 p-2.5">
-                <svg
-                  className="h-5 w-5 text-red-600"
-                  viewBox="0 0 24 24"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                >
-                  <path strokeLinecap="round" strokeLinejoin="round" d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
+            </section>
+          )}
+
+          <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+            {/* Approved */}
+            <section className="group rounded-xl border border-slate-200 bg-white p-6 shadow-sm transition hover:border-green-300 hover:shadow-md">
+              <div className="mb-5 flex items-center gap-3">
+                <div className="rounded-lg bg-green-100 p-2.5">
+                  <svg
+                    className="h-5 w-5 text-green-600"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                  >
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                </div>
+                <div>
+                  <h3 className="text-base font-semibold text-slate-800">Approved Projects</h3>
+                  <p className="text-xs text-slate-500">Active & completed</p>
+                </div>
               </div>
-              <div>
-                <h3 className="text-base font-semibold text-slate-800">Rejected Projects</h3>
-                <p className="text-xs text-slate-500">Needs revision</p>
+
+              <div className="space-y-3 border-t border-slate-100 pt-4">
+                {approvedProjects.length === 0 ? (
+                  <p className="text-sm text-slate-500">No approved projects yet</p>
+                ) : (
+                  approvedProjects.map((project) => (
+                    <div key={project.id} className="space-y-2">
+                      <ProjectCard
+                        project={project}
+                        onEdit={handleEditProject}
+                        onDelete={handleDeleteProject}
+                        isDeleting={deletingId === project.id}
+                      />
+                      <button
+                        onClick={() =>
+                          setInterestProjectId(interestProjectId === project.id ? null : project.id)
+                        }
+                        className="text-xs font-medium text-blue-600 hover:text-blue-800"
+                      >
+                        {interestProjectId === project.id ? "Hide interested students" : "View interested students"}
+                      </button>
+                      {interestProjectId === project.id && <ProjectInterestList projectId={project.id} />}
+                    </div>
+                  ))
+                )}
               </div>
-            </div>
-
-            <div className="space-y-3 border-t border-slate-100 pt-4">
-              {rejectedProjects.length === 0 ? (
-                <p className="text-sm text-slate-500">No rejected projects</p>
-              ) : (
-                rejectedProjects.map((project) => (
-                  <ProjectCard
-                    key={project.id}
-                    project={project}
-                    onEdit={handleEditProject}
-                    onDelete={handleDeleteProject}
-                    isDeleting={deletingId === project.id}
-                  />
-                ))
-              )}
-            </div>
-          </section>
-
-          {/* Pending */}
-          <section className="group rounded-xl border border-slate-200 bg-white p-6 shadow-sm transition hover:border-yellow-300 hover:shadow-md">
-            <div className="mb-5 flex items-center gap-3">
-              <div className="rounded-lg bg-yellow-100 p-2.5">
-                <svg
-                  className="h-5 w-5 text-yellow-600"
-                  viewBox="0 0 24 24"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                >
-                  <path strokeLinecap="round" strokeLinejoin="round" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
+            </section>
+
+            {/* Rejected */}
+            <section className="group rounded-xl border border-slate-200 bg-white p-6 shadow-sm transition hover:border-red-300 hover:shadow-md">
+              <div className="mb-5 flex items-center gap-3">
+                <div className="rounded-lg bg-red-100 p-2.5">
+                  <svg
+                    className="h-5 w-5 text-red-600"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                  >
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                </div>
+                <div>
+                  <h3 className="text-base font-semibold text-slate-800">Rejected Projects</h3>
+                  <p className="text-xs text-slate-500">Needs revision</p>
+                </div>
               </div>
-              <div>
-                <h3 className="text-base font-semibold text-slate-800">Pending Projects</h3>
-                <p className="text-xs text-slate-500">Awaiting proposals</p>
+
+              <div className="space-y-3 border-t border-slate-100 pt-4">
+                {rejectedProjects.length === 0 ? (
+                  <p className="text-sm text-slate-500">No rejected projects</p>
+                ) : (
+                  rejectedProjects.map((project) => (
+                    <div key={project.id} className="space-y-2">
+                      <ProjectCard
+                        project={project}
+                        onEdit={handleEditProject}
+                        onDelete={handleDeleteProject}
+                        isDeleting={deletingId === project.id}
+                      />
+                      {renderReviewActions(project)}
+                    </div>
+                  ))
+                )}
               </div>
-            </div>
-
-            <div className="space-y-3 border-t border-slate-100 pt-4">
-              {pendingProjects.length === 0 ? (
-                <p className="text-sm text-slate-500">No pending projects</p>
-              ) : (
-                pendingProjects.map((project) => (
-                  <ProjectCard
-                    key={project.id}
-                    project={project}
-                    onEdit={handleEditProject}
-                    onDelete={handleDeleteProject}
-                    isDeleting={deletingId === project.id}
-                  />
-                ))
-              )}
-            </div>
-          </section>
-        </div>
+            </section>
+
+            {/* Pending */}
+            <section className="group rounded-xl border border-slate-200 bg-white p-6 shadow-sm transition hover:border-yellow-300 hover:shadow-md">
+              <div className="mb-5 flex items-center gap-3">
+                <div className="rounded-lg bg-yellow-100 p-2.5">
+                  <svg
+                    className="h-5 w-5 text-yellow-600"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                  >
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                </div>
+                <div>
+                  <h3 className="text-base font-semibold text-slate-800">Pending Projects</h3>
+                  <p className="text-xs text-slate-500">Awaiting proposals</p>
+                </div>
+              </div>
+
+              <div className="space-y-3 border-t border-slate-100 pt-4">
+                {pendingProjects.length === 0 ? (
+                  <p className="text-sm text-slate-500">No pending projects</p>
+                ) : (
+                  pendingProjects.map((project) => (
+                    <ProjectCard
+                      key={project.id}
+                      project={project}
+                      onEdit={handleEditProject}
+                      onDelete={handleDeleteProject}
+                      isDeleting={deletingId === project.id}
+                    />
+                  ))
+                )}
+              </div>
+            </section>
+          </div>
+        </>
       )}
     </div>
   );
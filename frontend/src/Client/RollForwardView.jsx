@@ -0,0 +1,145 @@
+import { useCallback, useEffect, useState } from "react";
+import { fetchPreviousProjects, cloneProject, getActiveCourseId } from "../utils/apiHelper";
+
+const statusStyles = {
+  completed: "bg-green-100 text-green-700",
+  archived: "bg-slate-100 text-slate-600",
+};
+
+/**
+ * Client → Previous Terms
+ * Lists the client's projects from archived terms (and the shared scope) and
+ * copies them into the course picked in the navbar, either re-proposing a copy
+ * as-is or opening it in the project form for edits. Copies go to the
+ * instructor for approval like any new project.
+ */
+export default function RollForwardView({ clientId, onEdit, onCopied }) {
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState("");
+  const [copyingId, setCopyingId] = useState(null);
+
+  const activeCourseId = getActiveCourseId();
+
+  const loadProjects = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await fetchPreviousProjects(clientId);
+      setProjects(res.data || []);
+    } catch (err) {
+      console.error("Error fetching previous projects:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]);
+
+  useEffect(() => {
+    if (clientId) loadProjects();
+  }, [clientId, loadProjects]);
+
+  const handleCopy = async (project, edit) => {
+    setMessage("");
+    setError(null);
+    try {
+      setCopyingId(project.id);
+      const res = await cloneProject(project.id);
+      await onCopied?.();
+      if (edit) {
+        onEdit?.(res.data);
+        return;
+      }
+      setMessage(`"${project.title}" was re-proposed and is awaiting instructor approval.`);
+      await loadProjects();
+    } catch (err) {
+      console.error("Error copying project:", err);
+      setError(err.message);
+    } finally {
+      setCopyingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-slate-800">Previous Terms</h2>
+        <p className="text-sm text-slate-500 mt-1">
+          Bring projects from earlier terms into the current course.
+        </p>
+      </div>
+
+      {!activeCourseId && (
+        <div className="rounded-lg bg-amber-50 border border-amber-200 p-4 text-sm text-amber-800">
+          Select the new term's course from the course menu at the top to copy projects into it.
+        </div>
+      )}
+      {error && (
+        <div className="rounded-lg bg-red-50 border border-red-200 p-4 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="rounded-lg bg-green-50 border border-green-200 p-4 text-sm text-green-700">
+          {message}
+        </div>
+      )}
+
+      {projects.length === 0 ? (
+        <div className="bg-white rounded-xl border border-slate-200 p-8 text-center text-slate-500">
+          No projects from previous terms.
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl border border-slate-200 divide-y divide-slate-100">
+          {projects.map((project) => (
+            <div key={project.id} className="p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <h3 className="font-semibold text-slate-800 truncate">{project.title}</h3>
+                  <span className={`text-xs px-2 py-0.5 rounded ${statusStyles[project.status] || "bg-blue-100 text-blue-700"}`}>
+                    {project.status}
+                  </span>
+                </div>
+                <p className="text-xs text-slate-500 mt-1">
+                  {project.course_code ? `${project.course_code} · ${project.term_name}` : "No course"}
+                  {project.category ? ` · ${project.category}` : ""}
+                  {project.team_size ? ` · Team of ${project.team_size}` : ""}
+                </p>
+              </div>
+
+              {project.copied ? (
+                <span className="text-sm text-green-700 font-medium">Copied to this course</span>
+              ) : (
+                <div className="flex gap-2 shrink-0">
+                  <button
+                    onClick={() => handleCopy(project, false)}
+                    disabled={!activeCourseId || copyingId !== null}
+                    className="rounded-lg bg-blue-600 px-3 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {copyingId === project.id ? "Copying..." : "Re-propose"}
+                  </button>
+                  <button
+                    onClick={() => handleCopy(project, true)}
+                    disabled={!activeCourseId || copyingId !== null}
+                    className="rounded-lg border border-slate-300 px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                  >
+                    Copy & Edit
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import { useEffect, useState } from "react";
+import { fetchProjectPreferences, saveStudentRankings } from "../utils/apiHelper";
+
+// Ranked students first in the client's order, then unreviewed students by their own rank
+const sortForRanking = (preferences) =>
+  [...preferences].sort((a, b) => {
+    const rankA = a.client_rank ?? Infinity;
+    const rankB = b.client_rank ?? Infinity;
+    if (rankA !== rankB) return rankA - rankB;
+    return a.preference_rank - b.preference_rank;
+  });
+
+/**
+ * Client → Interested Students
+ * Lets a client rank the students who chose one of their projects and decline any
+ * they do not want. Declined students are never placed on the project; the ranking
+ * is used when the instructor forms groups with stable matching.
+ */
+export default function StudentRankingPanel({ projectId }) {
+  const [students, setStudents] = useState([]);
+  const [declined, setDeclined] = useState(new Set());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    if (!projectId) return;
+    fetchProjectPreferences(projectId)
+      .then((res) => {
+        const preferences = res.data || [];
+        setStudents(sortForRanking(preferences));
+        setDeclined(new Set(preferences.filter((p) => p.client_decision === "declined").map((p) => p.student_id)));
+      })
+      .catch((err) => setError(err.message || "Failed to load interested students"))
+      .finally(() => setLoading(false));
+  }, [projectId]);
+
+  const moveStudent = (index, offset) => {
+    setMessage("");
+    setStudents((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const toggleDeclined = (studentId) => {
+    setMessage("");
+    setDeclined((prev) => {
+      const next = new Set(prev);
+      if (next.has(studentId)) next.delete(studentId);
+      else next.add(studentId);
+      return next;
+    });
+  };
+
+  // Rank among accepted students, as it will be saved
+  const acceptedIds = students.filter((s) => !declined.has(s.student_id)).map((s) => s.student_id);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError("");
+      setMessage("");
+      await saveStudentRankings(projectId, acceptedIds, [...declined]);
+      setMessage("Rankings saved.");
+    } catch (err) {
+      setError(err.message || "Failed to save rankings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-slate-500">Loading interested students...</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {error && (
+        <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">{error}</div>
+      )}
+      {message && (
+        <div className="rounded-lg bg-green-50 border border-green-200 p-3 text-sm text-green-700">{message}</div>
+      )}
+      {students.length === 0 ? (
+        <p className="text-sm text-slate-500">No students have chosen this project yet</p>
+      ) : (
+        <>
+          <p className="text-xs text-slate-500">
+            Order students from most to least preferred. Declined students will not be placed on this project.
+          </p>
+          {students.map((student, index) => {
+            const name = [student.first_name, student.last_name].filter(Boolean).join(" ") || student.email;
+            const isDeclined = declined.has(student.student_id);
+            return (
+              <div
+                key={student.student_id}
+                className={`rounded-lg border p-3 ${isDeclined ? "border-slate-200 bg-slate-50" : "border-slate-200 bg-white"}`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <span
+                      className={`flex-shrink-0 flex h-6 w-6 items-center justify-center rounded-full text-xs font-bold ${
+                        isDeclined ? "bg-slate-200 text-slate-500" : "bg-blue-600 text-white"
+                      }`}
+                    >
+                      {isDeclined ? "–" : acceptedIds.indexOf(student.student_id) + 1}
+                    </span>
+                    <span className={`text-sm font-medium truncate ${isDeclined ? "text-slate-400 line-through" : "text-slate-800"}`}>
+                      {name}
+                    </span>
+                    <span className="flex-shrink-0 text-xs text-slate-400">their choice #{student.preference_rank}</span>
+                  </div>
+                  <div className="flex flex-shrink-0 items-center gap-1">
+                    <button
+                      onClick={() => moveStudent(index, -1)}
+                      disabled={index === 0}
+                      className="rounded px-2 py-1 text-xs text-slate-600 hover:bg-slate-100 disabled:opacity-30"
+                      title="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveStudent(index, 1)}
+                      disabled={index === students.length - 1}
+                      className="rounded px-2 py-1 text-xs text-slate-600 hover:bg-slate-100 disabled:opacity-30"
+                      title="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => toggleDeclined(student.student_id)}
+                      className={`rounded-lg px-2 py-1 text-xs font-medium ${
+                        isDeclined
+                          ? "border border-slate-300 bg-white text-slate-700 hover:bg-slate-50"
+                          : "text-red-600 hover:text-red-800"
+                      }`}
+                    >
+                      {isDeclined ? "Accept" : "Decline"}
+                    </button>
+                  </div>
+                </div>
+                {student.justification && (
+                  <p className="mt-2 text-sm text-slate-600 whitespace-pre-wrap break-words">{student.justification}</p>
+                )}
+              </div>
+            );
+          })}
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save Rankings"}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,53 +1,129 @@
 import React, { useEffect, useState } from "react";
-import { getAutoGroupStats, confirmAutoGroups, rerunAutoGrouping } from "../utils/apiHelper";
+import { previewGroups, autoAssignGroups, simulateGroups } from "../utils/apiHelper";
+
+const SIMULATION_WEIGHTS = [0, 0.5, 1];
 
 /**
  * Instructor → Auto Group Formation Page
- * Shows formation summary, stats, satisfaction chart, and group preview table.
+ * Previews the formation algorithm with a configurable skill-balance weight,
+ * shows summary stats, satisfaction and skill coverage, and lets the
+ * instructor confirm exactly the previewed groups. A seed can be entered to
+ * reproduce an earlier preview. Fairness metrics are shown for the preview, and
+ * a what-if simulation compares skill weights over many seeds. Stable matching
+ * uses the clients' rankings of students, and the preview lists any blocking
+ * pairs left by the chosen matching mode.
  */
 export default function AutoGroupFormationView() {
+  const [skillWeight, setSkillWeight] = useState(0);
+  const [fallbackPolicy, setFallbackPolicy] = useState("none");
+  const [matchingMode, setMatchingMode] = useState("optimal");
+  const [mode, setMode] = useState("incremental");
+  const [confirmationToken, setConfirmationToken] = useState(null);
+  const [seed, setSeed] = useState("");
+  const [previewRunId, setPreviewRunId] = useState(null);
+  const [previewSeed, setPreviewSeed] = useState(null);
   const [stats, setStats] = useState(null);
   const [groups, setGroups] = useState([]);
+  const [violations, setViolations] = useState([]);
+  const [unplacedPreTeams, setUnplacedPreTeams] = useState([]);
+  const [blockingPairs, setBlockingPairs] = useState([]);
+  const [fairness, setFairness] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [simulationRuns, setSimulationRuns] = useState(5);
+  const [simulating, setSimulating] = useState(false);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState("");
 
+  const runPreview = async (weight, policy, formationMode, fixedSeed = "", matching = "optimal") => {
+    setLoading(true);
+    try {
+      const res = await previewGroups({
+        mode: formationMode,
+        skill_weight: weight / 100,
+        fallback_policy: policy,
+        matching_mode: matching,
+        seed: fixedSeed.trim() || undefined,
+      });
+      setConfirmationToken(res.confirmation_token || null);
+      setPreviewRunId(res.run_id || null);
+      setPreviewSeed(res.data?.seed || null);
+      setStats(res.data?.stats || null);
+      setGroups(res.data?.groups || []);
+      setViolations(res.data?.constraint_violations || []);
+      setUnplacedPreTeams(res.data?.unplaced_pre_teams || []);
+      setBlockingPairs(res.data?.blocking_pairs || []);
+      setFairness(res.data?.fairness || null);
+      return true;
+    } catch (err) {
+      console.error("Error previewing auto groups:", err);
+      setMessage("❌ " + (err.message || "Failed to preview groups."));
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
   useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const res = await getAutoGroupStats();
-        setStats(res.stats);
-        setGroups(res.groups);
-      } catch (err) {
-        console.error("Error fetching auto-group stats:", err);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchData();
+    runPreview(0, "none", "incremental");
   }, []);
 
   const handleConfirm = async () => {
+    if (mode === "replace" && !confirmationToken) {
+      setMessage("⚠️ Re-run the algorithm in replace mode before confirming.");
+      return;
+    }
+    const prompt = mode === "replace"
+      ? "This will replace all existing groups. Continue?"
+      : "This will keep existing groups and add unassigned students. Continue?";
+    if (!window.confirm(prompt)) return;
     try {
-      const res = await confirmAutoGroups();
+      // The preview run carries its own options and seed, so the confirmed
+      // groups are exactly the ones shown even if the controls changed since
+      const res = await autoAssignGroups({
+        mode,
+        confirmation_token: confirmationToken,
+        preview_run_id: previewRunId,
+      });
+      setConfirmationToken(null);
+      setPreviewRunId(null);
       setMessage(res.success ? "✅ Groups confirmed successfully!" : "⚠️ Failed to confirm groups.");
-    } catch {
-      setMessage("❌ Something went wrong.");
+    } catch (err) {
+      setMessage("❌ " + (err.message || "Something went wrong."));
     }
   };
 
-  const handleRerun = async () => {
+  const handleSimulate = async () => {
+    setSimulating(true);
+    setMessage("");
     try {
-      const res = await rerunAutoGrouping();
-      setMessage(res.success ? "🔄 Re-ran grouping algorithm successfully!" : "⚠️ Failed to rerun.");
-    } catch {
-      setMessage("❌ Something went wrong.");
+      const res = await simulateGroups({
+        mode,
+        fallback_policy: fallbackPolicy,
+        matching_mode: matchingMode,
+        skill_weights: SIMULATION_WEIGHTS,
+        runs: simulationRuns,
+        seed: seed.trim() || undefined,
+      });
+      setSimulation(res.data);
+    } catch (err) {
+      console.error("Error simulating groups:", err);
+      setMessage("❌ " + (err.message || "Failed to run simulation."));
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const handleRerun = async () => {
+    setMessage("");
+    if (await runPreview(skillWeight, fallbackPolicy, mode, seed, matchingMode)) {
+      setMessage("🔄 Re-ran grouping algorithm successfully!");
     }
   };
 
-  if (loading)
+  if (loading && !stats)
     return (
       <div className="flex justify-center items-center h-64 text-slate-600">
-        Loading auto-group stats...
+        Loading auto-group preview...
       </div>
     );
 
@@ -59,13 +135,15 @@ export default function AutoGroupFormationView() {
         <div className="flex gap-3">
           <button
             onClick={handleRerun}
-            className="rounded-lg border border-blue-600 bg-white px-4 py-2 text-sm font-medium text-blue-700 hover:bg-blue-50 focus:ring-2 focus:ring-blue-200 transition"
+            disabled={loading}
+            className="rounded-lg border border-blue-600 bg-white px-4 py-2 text-sm font-medium text-blue-700 hover:bg-blue-50 focus:ring-2 focus:ring-blue-200 transition disabled:opacity-50"
           >
             Re-run Algorithm
           </button>
           <button
             onClick={handleConfirm}
-            className="rounded-lg bg-blue-700 px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 focus:ring-2 focus:ring-blue-300 transition"
+            disabled={loading || groups.length === 0 || !previewRunId}
+            className="rounded-lg bg-blue-700 px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 focus:ring-2 focus:ring-blue-300 transition disabled:opacity-50"
           >
             Confirm Groups
           </button>
@@ -85,16 +163,120 @@ export default function AutoGroupFormationView() {
         </div>
       )}
 
+      {/* Algorithm Options */}
+      <div className="bg-white border border-slate-200 rounded-xl p-6 shadow-sm">
+        <div className="flex items-center justify-between mb-3">
+          <label htmlFor="agf-skill-weight" className="text-lg font-semibold text-slate-800">
+            Skill Balance Weight
+          </label>
+          <span className="text-sm font-medium text-blue-700">{skillWeight}%</span>
+        </div>
+        <input
+          id="agf-skill-weight"
+          type="range"
+          min="0"
+          max="100"
+          step="5"
+          value={skillWeight}
+          onChange={(e) => setSkillWeight(Number(e.target.value))}
+          className="w-full accent-blue-700"
+        />
+        <p className="text-sm text-slate-600 mt-2">
+          0% assigns purely by student preference. Higher values favour teams whose
+          combined skills cover each project's required skills. Re-run to update the preview.
+        </p>
+
+        <label htmlFor="agf-fallback" className="block text-sm font-medium text-slate-700 mt-5 mb-1">
+          Students without preferences
+        </label>
+        <select
+          id="agf-fallback"
+          value={fallbackPolicy}
+          onChange={(e) => setFallbackPolicy(e.target.value)}
+          className="w-full sm:w-80 rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:ring-2 focus:ring-blue-200"
+        >
+          <option value="none">Leave unassigned</option>
+          <option value="least_full">Fill least-full teams</option>
+          <option value="skills">Match by skills</option>
+        </select>
+
+        <label htmlFor="agf-matching" className="block text-sm font-medium text-slate-700 mt-5 mb-1">
+          Matching
+        </label>
+        <select
+          id="agf-matching"
+          value={matchingMode}
+          onChange={(e) => setMatchingMode(e.target.value)}
+          className="w-full sm:w-80 rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:ring-2 focus:ring-blue-200"
+        >
+          <option value="optimal">Maximize student satisfaction</option>
+          <option value="stable">Stable (uses client rankings)</option>
+        </select>
+        <p className="text-sm text-slate-600 mt-2">
+          Stable matching leaves no student and project that would both rather be matched to each
+          other. Students a client declined are never placed on that project in either mode.
+        </p>
+
+        <label htmlFor="agf-mode" className="block text-sm font-medium text-slate-700 mt-5 mb-1">
+          Existing groups
+        </label>
+        <select
+          id="agf-mode"
+          value={mode}
+          onChange={(e) => {
+            setMode(e.target.value);
+            setConfirmationToken(null);
+            setPreviewRunId(null);
+          }}
+          className="w-full sm:w-80 rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:ring-2 focus:ring-blue-200"
+        >
+          <option value="incremental">Keep and add unassigned students</option>
+          <option value="replace">Replace all groups</option>
+        </select>
+
+        <label htmlFor="agf-seed" className="block text-sm font-medium text-slate-700 mt-5 mb-1">
+          Seed
+        </label>
+        <input
+          id="agf-seed"
+          type="text"
+          value={seed}
+          maxLength={64}
+          onChange={(e) => setSeed(e.target.value)}
+          placeholder="Random"
+          className="w-full sm:w-80 rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:ring-2 focus:ring-blue-200"
+        />
+        <p className="text-sm text-slate-600 mt-2">
+          {previewSeed ? (
+            <>
+              Current preview used seed <span className="font-mono">{previewSeed}</span>. Enter it
+              here and re-run with the same data and settings to reproduce these groups.
+            </>
+          ) : (
+            "Leave empty for a new random seed on each run."
+          )}
+        </p>
+        {stats?.fallback_assigned > 0 && (
+          <p className="text-sm text-slate-600 mt-2">
+            {stats.fallback_assigned} student(s) placed by fallback (excluded from satisfaction).
+          </p>
+        )}
+      </div>
+
       {/* Stats Summary Cards */}
       <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-6">
-        <StatCard label="Total Students" value={stats?.students || 0} />
-        <StatCard label="Groups Formed" value={stats?.groups || 0} />
+        <StatCard label="Total Students" value={stats?.total_students || 0} />
+        <StatCard label="Groups Formed" value={groups.length} />
         <StatCard
           label="Average Satisfaction"
-          value={`${stats?.satisfaction || 0}%`}
-          progress={stats?.satisfaction || 0}
+          value={`${stats?.satisfaction_score || 0}%`}
+          progress={stats?.satisfaction_score || 0}
+        />
+        <StatCard
+          label="Average Skill Coverage"
+          value={stats?.average_skill_coverage != null ? `${stats.average_skill_coverage}%` : "N/A"}
+          progress={stats?.average_skill_coverage ?? undefined}
         />
-        <StatCard label="Projects Assigned" value={stats?.projects || 0} />
       </div>
 
       {/* Satisfaction Bar */}
@@ -105,63 +287,173 @@ export default function AutoGroupFormationView() {
         <div className="w-full bg-slate-100 rounded-full h-4 overflow-hidden">
           <div
             className="h-4 bg-blue-600 transition-all duration-700"
-            style={{ width: `${stats?.satisfaction || 0}%` }}
+            style={{ width: `${stats?.satisfaction_score || 0}%` }}
           ></div>
         </div>
         <p className="text-sm text-slate-600 mt-2">
-          {stats?.satisfaction || 0}% of students are satisfied with group allocation.
+          {stats?.assigned_students || 0} of {stats?.total_students || 0} students assigned,{" "}
+          {stats?.first_choice || 0} to their first choice.
         </p>
       </div>
 
+      {/* Fairness */}
+      {fairness && (
+        <div className="bg-white border border-slate-200 rounded-xl p-6 shadow-sm space-y-5">
+          <h3 className="text-lg font-semibold text-slate-800">Fairness</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <FairnessMetric
+              label="Satisfaction Gini"
+              value={fairness.satisfaction_gini}
+              hint="0 = everyone equally satisfied"
+            />
+            <FairnessMetric
+              label="Worse Off Than Rank-Maximal"
+              value={fairness.worse_than_rank_maximal}
+              hint="Students with a worse rank than in a rank-maximal assignment"
+            />
+            <FairnessMetric
+              label="Envy Pairs"
+              value={fairness.envy_pairs}
+              hint={`${fairness.envious_students} student(s) ranked another team's project higher`}
+            />
+          </div>
+          <RankDistribution
+            distribution={fairness.rank_distribution}
+            reference={fairness.rank_maximal_distribution}
+          />
+        </div>
+      )}
+
+      {/* What-if Simulation */}
+      <div className="bg-white border border-slate-200 rounded-xl p-6 shadow-sm space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-800">What-if Simulation</h3>
+            <p className="text-sm text-slate-600">
+              Runs the algorithm with skill weights {SIMULATION_WEIGHTS.map((w) => `${w * 100}%`).join(", ")} and
+              different seeds, using the options above.
+            </p>
+          </div>
+          <div className="flex items-end gap-3">
+            <div>
+              <label htmlFor="agf-sim-runs" className="block text-xs font-medium text-slate-600 mb-1">
+                Runs per weight
+              </label>
+              <input
+                id="agf-sim-runs"
+                type="number"
+                min="1"
+                max="10"
+                value={simulationRuns}
+                onChange={(e) => setSimulationRuns(Math.min(Math.max(Number(e.target.value) || 1, 1), 10))}
+                className="w-24 rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:ring-2 focus:ring-blue-200"
+              />
+            </div>
+            <button
+              onClick={handleSimulate}
+              disabled={simulating}
+              className="rounded-lg border border-blue-600 bg-white px-4 py-2 text-sm font-medium text-blue-700 hover:bg-blue-50 focus:ring-2 focus:ring-blue-200 transition disabled:opacity-50"
+            >
+              {simulating ? "Simulating..." : "Run Simulation"}
+            </button>
+          </div>
+        </div>
+        {simulation && <SimulationResults simulation={simulation} />}
+      </div>
+
+      {/* Unmet Constraints */}
+      {violations.length > 0 && (
+        <div className="rounded-xl border border-red-200 bg-red-50 p-6">
+          <h3 className="text-lg font-semibold text-red-700 mb-2">
+            Unmet Constraints ({violations.length})
+          </h3>
+          <ul className="space-y-1 text-sm text-red-700">
+            {violations.map((v) => (
+              <li key={v.constraint_id}>{v.reason}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Blocking Pairs */}
+      {blockingPairs.length > 0 && (
+        <div className="rounded-xl border border-amber-200 bg-amber-50 p-6">
+          <h3 className="text-lg font-semibold text-amber-800 mb-2">
+            Blocking Pairs ({blockingPairs.length})
+          </h3>
+          <p className="text-sm text-amber-700 mb-2">
+            Each student below prefers the listed project, and the project would take them.
+          </p>
+          <ul className="space-y-1 text-sm text-amber-800">
+            {blockingPairs.map((b) => (
+              <li key={`${b.student_id}-${b.project_id}`}>
+                {b.student_name} → {b.project_title} (choice #{b.student_rank}) — {b.reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Unplaced Pre-Teams */}
+      {unplacedPreTeams.length > 0 && (
+        <div className="rounded-xl border border-red-200 bg-red-50 p-6">
+          <h3 className="text-lg font-semibold text-red-700 mb-2">
+            Unplaced Pre-Teams ({unplacedPreTeams.length})
+          </h3>
+          <ul className="space-y-1 text-sm text-red-700">
+            {unplacedPreTeams.map((t) => (
+              <li key={t.pre_team_id}>
+                {t.name || `Pre-team #${t.pre_team_id}`} — {t.reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Groups Preview Table */}
       <div className="overflow-x-auto rounded-xl border border-slate-200 bg-white shadow-sm">
         <table className="min-w-full text-sm text-slate-700">
           <thead className="bg-slate-100 text-slate-600 uppercase text-xs font-medium">
             <tr>
-              <th className="px-6 py-3 text-left">Group</th>
-              <th className="px-6 py-3 text-left">Members</th>
               <th className="px-6 py-3 text-left">Project</th>
-              <th className="px-6 py-3 text-left">Satisfaction</th>
-              <th className="px-6 py-3 text-center">Actions</th>
+              <th className="px-6 py-3 text-left">Members</th>
+              <th className="px-6 py-3 text-left">Skill Coverage</th>
             </tr>
           </thead>
           <tbody>
             {groups.length > 0 ? (
               groups.map((g) => (
-                <tr key={g.id} className="border-b border-slate-100 hover:bg-slate-50 transition">
-                  <td className="px-6 py-3 font-medium text-slate-800">{g.name}</td>
-                  <td className="px-6 py-3 text-slate-600">{g.members?.join(", ") || "N/A"}</td>
-                  <td className="px-6 py-3 text-slate-600">{g.project || "Unassigned"}</td>
-                  <td className="px-6 py-3">
-                    <div className="w-24 bg-slate-100 rounded-full h-3 overflow-hidden">
-                      <div
-                        className="h-3 bg-blue-600"
-                        style={{ width: `${g.satisfaction || 0}%` }}
-                      ></div>
-                    </div>
-                    <p className="text-xs text-slate-500 mt-1">
-                      {g.satisfaction || 0}%
-                    </p>
+                <tr key={g.project_id} className="border-b border-slate-100 hover:bg-slate-50 transition">
+                  <td className="px-6 py-3 font-medium text-slate-800">{g.project_title}</td>
+                  <td className="px-6 py-3 text-slate-600">
+                    {g.members
+                      ?.map((m) => (m.fallback ? `${m.name} (fallback)` : m.existing ? `${m.name} (existing)` : m.pre_team_id ? `${m.name} (pre-team)` : m.name))
+                      .join(", ") || "N/A"}
                   </td>
-                  <td className="px-6 py-3 text-center">
-                    <button
-                      className="text-blue-700 hover:text-blue-900 text-sm font-medium"
-                      onClick={() =>
-                        (window.location.href = `/instructor-dashboard/groups/${g.id}`)
-                      }
-                    >
-                      View
-                    </button>
+                  <td className="px-6 py-3">
+                    {g.skill_coverage !== null ? (
+                      <>
+                        <div className="w-24 bg-slate-100 rounded-full h-3 overflow-hidden">
+                          <div
+                            className="h-3 bg-blue-600"
+                            style={{ width: `${g.skill_coverage}%` }}
+                          ></div>
+                        </div>
+                        <p className="text-xs text-slate-500 mt-1">{g.skill_coverage}%</p>
+                      </>
+                    ) : (
+                      <span className="text-xs text-slate-400">N/A</span>
+                    )}
                   </td>
                 </tr>
               ))
             ) : (
               <tr>
                 <td
-                  colSpan="5"
+                  colSpan="3"
                   className="text-center py-6 text-slate-500 text-sm"
                 >
-                  No auto-formed groups available.
+                  No groups in the current preview.
                 </td>
               </tr>
             )}
@@ -172,6 +464,144 @@ export default function AutoGroupFormationView() {
   );
 }
 
+/** Label for a rank_distribution key */
+function rankLabel(key) {
+  if (key === "unranked") return "Unranked";
+  if (key === "unassigned") return "Unassigned";
+  const suffix = { 1: "st", 2: "nd", 3: "rd" }[key] || "th";
+  return `${key}${suffix} choice`;
+}
+
+/** Fairness Metric Component */
+function FairnessMetric({ label, value, hint }) {
+  return (
+    <div className="rounded-lg border border-slate-200 p-4">
+      <p className="text-sm text-slate-500">{label}</p>
+      <p className="text-2xl font-bold text-slate-800">{value}</p>
+      <p className="text-xs text-slate-500 mt-1">{hint}</p>
+    </div>
+  );
+}
+
+/** Rank Distribution Chart: preview vs. rank-maximal reference */
+function RankDistribution({ distribution, reference = {} }) {
+  const keys = [...new Set([...Object.keys(distribution), ...Object.keys(reference)])];
+  const max = Math.max(1, ...keys.map((k) => Math.max(distribution[k] || 0, reference[k] || 0)));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-slate-700">Assigned Rank</h4>
+        <div className="flex gap-4 text-xs text-slate-500">
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-2 w-3 bg-blue-600 rounded"></span> Preview
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-2 w-3 bg-slate-300 rounded"></span> Rank-maximal
+          </span>
+        </div>
+      </div>
+      <div className="space-y-2">
+        {keys.map((key) => (
+          <div key={key} className="flex items-center gap-3 text-sm">
+            <span className="w-24 text-slate-600">{rankLabel(key)}</span>
+            <div className="flex-1 space-y-1">
+              <div className="h-3 bg-blue-600 rounded" style={{ width: `${((distribution[key] || 0) / max) * 100}%` }}></div>
+              <div className="h-1.5 bg-slate-300 rounded" style={{ width: `${((reference[key] || 0) / max) * 100}%` }}></div>
+            </div>
+            <span className="w-10 text-right text-slate-700">{distribution[key] || 0}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** Simulation Results: satisfaction per weight, fairness summaries, and histograms */
+function SimulationResults({ simulation }) {
+  const range = (summary) => (summary ? `${summary.min}–${summary.max}` : "N/A");
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-slate-500">
+        Base seed <span className="font-mono">{simulation.seed}</span>
+      </p>
+
+      {/* Mean satisfaction per weight */}
+      <div className="flex items-end gap-4 h-40 border-b border-slate-200 px-2">
+        {simulation.scenarios.map((s) => (
+          <div key={s.skill_weight} className="flex-1 flex flex-col items-center justify-end h-full">
+            <span className="text-xs text-slate-600 mb-1">{s.satisfaction?.mean ?? 0}%</span>
+            <div
+              className="w-full max-w-12 bg-blue-600 rounded-t"
+              style={{ height: `${s.satisfaction?.mean ?? 0}%` }}
+              title={`Satisfaction ${range(s.satisfaction)}`}
+            ></div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-4 px-2">
+        {simulation.scenarios.map((s) => (
+          <span key={s.skill_weight} className="flex-1 text-center text-xs text-slate-500">
+            {s.skill_weight * 100}% skills
+          </span>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm text-slate-700">
+          <thead className="bg-slate-100 text-slate-600 uppercase text-xs font-medium">
+            <tr>
+              <th className="px-3 py-2 text-left">Skill Weight</th>
+              <th className="px-3 py-2 text-left">Satisfaction</th>
+              <th className="px-3 py-2 text-left">Gini</th>
+              <th className="px-3 py-2 text-left">Worse Off</th>
+              <th className="px-3 py-2 text-left">Envy Pairs</th>
+              <th className="px-3 py-2 text-left">Blocking Pairs</th>
+              <th className="px-3 py-2 text-left">Skill Coverage</th>
+              <th className="px-3 py-2 text-left">Satisfaction Spread</th>
+            </tr>
+          </thead>
+          <tbody>
+            {simulation.scenarios.map((s) => {
+              const peak = Math.max(1, ...s.satisfaction_histogram.map((b) => b.count));
+              return (
+                <tr key={s.skill_weight} className="border-b border-slate-100">
+                  <td className="px-3 py-2 font-medium">{s.skill_weight * 100}%</td>
+                  <td className="px-3 py-2">
+                    {s.satisfaction?.mean}% <span className="text-xs text-slate-400">({range(s.satisfaction)})</span>
+                  </td>
+                  <td className="px-3 py-2">{s.satisfaction_gini?.mean}</td>
+                  <td className="px-3 py-2">
+                    {s.worse_than_rank_maximal?.mean}{" "}
+                    <span className="text-xs text-slate-400">({range(s.worse_than_rank_maximal)})</span>
+                  </td>
+                  <td className="px-3 py-2">{s.envy_pairs?.mean}</td>
+                  <td className="px-3 py-2">{s.blocking_pairs?.mean}</td>
+                  <td className="px-3 py-2">
+                    {s.average_skill_coverage ? `${s.average_skill_coverage.mean}%` : "N/A"}
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-end gap-px h-6" title="Runs per 10-point satisfaction bucket">
+                      {s.satisfaction_histogram.map((b) => (
+                        <div
+                          key={b.from}
+                          className="w-1.5 bg-blue-400"
+                          style={{ height: `${(b.count / peak) * 100}%` }}
+                        ></div>
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 /** Summary Card Component */
 function StatCard({ label, value, progress }) {
   return (
@@ -1,11 +1,16 @@
 import { useState, useEffect } from "react";
 import { apiCall } from "../utils/apiHelper";
+import PreferenceAuditPanel from "./PreferenceAuditPanel";
+import CoursesPanel from "./CoursesPanel";
 
 const API_URL = import.meta.env.VITE_API_URL || "https://a-portal-for-managing-students-capstone-projects-production.up.railway.app";
 
 /**
  * CourseSettingsView Component
- * Allows instructors to manage course settings like preference deadlines
+ * Allows instructors to manage course settings like when preference submissions
+ * open, preference deadlines
+ * and how many projects students rank, how many reviewers must sign off on a
+ * project proposal, and audits submissions around the deadline
  */
 export default function CourseSettingsView() {
   const [settings, setSettings] = useState({
@@ -19,6 +24,15 @@ export default function CourseSettingsView() {
   // Form state
   const [deadlineDate, setDeadlineDate] = useState("");
   const [deadlineTime, setDeadlineTime] = useState("23:59");
+  const [opensDate, setOpensDate] = useState("");
+  const [opensTime, setOpensTime] = useState("09:00");
+  const [maxPreferences, setMaxPreferences] = useState("3");
+  const [minPreferences, setMinPreferences] = useState("1");
+  const [rankAllProjects, setRankAllProjects] = useState(false);
+  const [preferenceMode, setPreferenceMode] = useState("ranked");
+  const [bidBudget, setBidBudget] = useState("100");
+  const [approvalQuorum, setApprovalQuorum] = useState("1");
+  const [rejectionQuorum, setRejectionQuorum] = useState("1");
 
   // Fetch settings on mount
   useEffect(() => {
@@ -41,6 +55,32 @@ export default function CourseSettingsView() {
               deadline.toTimeString().slice(0, 5)
             );
           }
+
+          if (data.data.preference_opens_at?.value) {
+            const opensAt = new Date(data.data.preference_opens_at.value);
+            setOpensDate(opensAt.toISOString().split("T")[0]);
+            setOpensTime(opensAt.toTimeString().slice(0, 5));
+          }
+
+          if (data.data.max_preferences?.value) {
+            setMaxPreferences(data.data.max_preferences.value);
+          }
+          if (data.data.min_preferences?.value) {
+            setMinPreferences(data.data.min_preferences.value);
+          }
+          setRankAllProjects(data.data.rank_all_projects?.value === "true");
+          if (data.data.preference_mode?.value) {
+            setPreferenceMode(data.data.preference_mode.value);
+          }
+          if (data.data.bid_budget?.value) {
+            setBidBudget(data.data.bid_budget.value);
+          }
+          if (data.data.approval_quorum?.value) {
+            setApprovalQuorum(data.data.approval_quorum.value);
+          }
+          if (data.data.rejection_quorum?.value) {
+            setRejectionQuorum(data.data.rejection_quorum.value);
+          }
         }
       } catch (err) {
         console.error("Error fetching settings:", err);
@@ -136,6 +176,138 @@ export default function CourseSettingsView() {
     }
   };
 
+  // Save or clear (null) the time preference submissions open
+  const saveOpensAt = async (opensValue) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+
+      await apiCall(`${API_URL}/instructors/settings/preference_opens_at`, {
+        method: "PUT",
+        body: JSON.stringify({ value: opensValue }),
+      });
+
+      if (!opensValue) {
+        setOpensDate("");
+        setOpensTime("09:00");
+      }
+      setSettings((prev) => ({
+        ...prev,
+        preference_opens_at: {
+          ...prev.preference_opens_at,
+          value: opensValue,
+          updated_at: new Date().toISOString(),
+        },
+      }));
+
+      setSuccess(opensValue ? "Opening time saved successfully!" : "Opening time removed successfully!");
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      console.error("Error saving opening time:", err);
+      setError(err.message || "Failed to save opening time");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Handle preference limits save
+  const handleSavePreferenceModel = async () => {
+    const max = parseInt(maxPreferences);
+    const min = parseInt(minPreferences);
+    if (!rankAllProjects && (!max || !min || min > max)) {
+      setError("Minimum preferences must be between 1 and the maximum");
+      return;
+    }
+    const budget = parseInt(bidBudget);
+    if (preferenceMode === "bidding" && (!budget || budget < 1 || budget > 1000)) {
+      setError("Bid budget must be between 1 and 1000 points");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+
+      // The server rejects a minimum above the saved maximum, so save whichever
+      // limit keeps min <= max at every step
+      const currentMax = parseInt(settings.max_preferences?.value || "3");
+      const limitUpdates = min <= currentMax
+        ? [["min_preferences", min], ["max_preferences", max]]
+        : [["max_preferences", max], ["min_preferences", min]];
+      const updates = rankAllProjects
+        ? [...limitUpdates, ["rank_all_projects", true]]
+        : [["rank_all_projects", false], ...limitUpdates];
+      updates.push(["preference_mode", preferenceMode]);
+      if (preferenceMode === "bidding") updates.push(["bid_budget", budget]);
+      for (const [key, value] of updates) {
+        await apiCall(`${API_URL}/instructors/settings/${key}`, {
+          method: "PUT",
+          body: JSON.stringify({ value }),
+        });
+      }
+
+      const now = new Date().toISOString();
+      setSettings((prev) => ({
+        ...prev,
+        max_preferences: { ...prev.max_preferences, value: String(max), updated_at: now },
+        min_preferences: { ...prev.min_preferences, value: String(min), updated_at: now },
+        rank_all_projects: { ...prev.rank_all_projects, value: String(rankAllProjects), updated_at: now },
+        preference_mode: { ...prev.preference_mode, value: preferenceMode, updated_at: now },
+        ...(preferenceMode === "bidding" && {
+          bid_budget: { ...prev.bid_budget, value: String(budget), updated_at: now },
+        }),
+      }));
+
+      setSuccess("Preference settings saved successfully!");
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      console.error("Error saving preference settings:", err);
+      setError(err.message || "Failed to save preference settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Handle review quorum save
+  const handleSaveReviewQuorum = async () => {
+    const approvals = parseInt(approvalQuorum);
+    const rejections = parseInt(rejectionQuorum);
+    if (!approvals || !rejections || approvals < 1 || rejections < 1 || approvals > 10 || rejections > 10) {
+      setError("Approvals and rejections needed must be between 1 and 10");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+
+      for (const [key, value] of [["approval_quorum", approvals], ["rejection_quorum", rejections]]) {
+        await apiCall(`${API_URL}/instructors/settings/${key}`, {
+          method: "PUT",
+          body: JSON.stringify({ value }),
+        });
+      }
+
+      const now = new Date().toISOString();
+      setSettings((prev) => ({
+        ...prev,
+        approval_quorum: { ...prev.approval_quorum, value: String(approvals), updated_at: now },
+        rejection_quorum: { ...prev.rejection_quorum, value: String(rejections), updated_at: now },
+      }));
+
+      setSuccess("Review settings saved successfully!");
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      console.error("Error saving review settings:", err);
+      setError(err.message || "Failed to save review settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
   // Format date for display
   const formatDateTime = (dateString) => {
     if (!dateString) return "Not set";
@@ -234,6 +406,71 @@ export default function CourseSettingsView() {
         </div>
       )}
 
+      {/* Preference Opening Section */}
+      <section className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold text-slate-800">
+            Preference Submissions Open
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            Students can browse projects before this time but cannot submit preferences
+          </p>
+        </div>
+
+        <div className="mb-6 p-4 rounded-lg bg-slate-50 border border-slate-200">
+          <p className="text-sm text-slate-500 mb-1">Opens</p>
+          <p className="text-lg font-semibold text-slate-800">
+            {settings.preference_opens_at?.value
+              ? formatDateTime(settings.preference_opens_at.value)
+              : "Open now"}
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Date
+            </label>
+            <input
+              type="date"
+              value={opensDate}
+              onChange={(e) => setOpensDate(e.target.value)}
+              className="w-full rounded-lg border border-slate-300 px-4 py-2.5 text-slate-800 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Time
+            </label>
+            <input
+              type="time"
+              value={opensTime}
+              onChange={(e) => setOpensTime(e.target.value)}
+              className="w-full rounded-lg border border-slate-300 px-4 py-2.5 text-slate-800 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 focus:outline-none"
+            />
+          </div>
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            onClick={() => saveOpensAt(`${opensDate}T${opensTime}:00`)}
+            disabled={saving || !opensDate}
+            className="flex-1 rounded-lg bg-blue-600 px-4 py-2.5 font-semibold text-white transition hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? "Saving..." : "Save Opening Time"}
+          </button>
+          {settings.preference_opens_at?.value && (
+            <button
+              onClick={() => saveOpensAt(null)}
+              disabled={saving}
+              className="rounded-lg border-2 border-red-300 px-4 py-2.5 font-semibold text-red-600 transition hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Open Now
+            </button>
+          )}
+        </div>
+      </section>
+
       {/* Preference Deadline Section */}
       <section className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
         <div className="flex items-start justify-between mb-6">
@@ -323,6 +560,165 @@ export default function CourseSettingsView() {
         </div>
       </section>
 
+      {/* Preference Model Section */}
+      <section className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold text-slate-800">
+            Project Preferences
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            Choose how many projects students rank. Group formation spreads its
+            satisfaction weights over this many choices.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Preference mode
+            </label>
+            <select
+              value={preferenceMode}
+              onChange={(e) => setPreferenceMode(e.target.value)}
+              className="w-full rounded-lg border border-slate-300 px-4 py-2.5 text-slate-800 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 focus:outline-none"
+            >
+              <option value="ranked">Ranked choices</option>
+              <option value="bidding">Point-budget bidding</option>
+            </select>
+          </div>
+          {preferenceMode === "bidding" && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-2">
+                Points per student
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="1000"
+                value={bidBudget}
+                onChange={(e) => setBidBudget(e.target.value)}
+                className="w-full rounded-lg border border-slate-300 px-4 py-2.5 text-slate-800 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 focus:outline-none"
+              />
+            </div>
+          )}
+        </div>
+        {preferenceMode === "bidding" && (
+          <p className="text-sm text-slate-500 -mt-3 mb-6">
+            Students spread their points across any number of projects, and group
+            formation maximizes the total points won. The limits below apply to
+            ranked mode only.
+          </p>
+        )}
+
+        <label className="flex items-center gap-3 mb-6 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={rankAllProjects}
+            onChange={(e) => setRankAllProjects(e.target.checked)}
+            className="h-4 w-4 rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span className="text-sm text-slate-700">
+            Students must rank every approved project
+          </span>
+        </label>
+
+        <div className={`grid grid-cols-1 md:grid-cols-2 gap-4 mb-6 ${rankAllProjects ? "opacity-50" : ""}`}>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Minimum preferences
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="20"
+              value={minPreferences}
+              onChange={(e) => setMinPreferences(e.target.value)}
+              disabled={rankAllProjects}
+              className="w-full rounded-lg border border-slate-300 px-4 py-2.5 text-slate-800 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Maximum preferences
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="20"
+              value={maxPreferences}
+              onChange={(e) => setMaxPreferences(e.target.value)}
+              disabled={rankAllProjects}
+              className="w-full rounded-lg border border-slate-300 px-4 py-2.5 text-slate-800 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 focus:outline-none"
+            />
+          </div>
+        </div>
+
+        <button
+          onClick={handleSavePreferenceModel}
+          disabled={saving}
+          className="w-full rounded-lg bg-blue-600 px-4 py-2.5 font-semibold text-white transition hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? "Saving..." : "Save Preference Settings"}
+        </button>
+      </section>
+
+      {/* Project Review Quorum Section */}
+      <section className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold text-slate-800">
+            Project Approval
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            How many reviewers must sign off on a client's project. A request for
+            changes from any reviewer sends the project back to the client.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Approvals needed
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="10"
+              value={approvalQuorum}
+              onChange={(e) => setApprovalQuorum(e.target.value)}
+              className="w-full rounded-lg border border-slate-300 px-4 py-2.5 text-slate-800 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">
+              Rejections to reject
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="10"
+              value={rejectionQuorum}
+              onChange={(e) => setRejectionQuorum(e.target.value)}
+              className="w-full rounded-lg border border-slate-300 px-4 py-2.5 text-slate-800 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 focus:outline-none"
+            />
+            <p className="text-xs text-slate-500 mt-1">1 means any rejection blocks the project</p>
+          </div>
+        </div>
+
+        <button
+          onClick={handleSaveReviewQuorum}
+          disabled={saving}
+          className="w-full rounded-lg bg-blue-600 px-4 py-2.5 font-semibold text-white transition hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? "Saving..." : "Save Review Settings"}
+        </button>
+      </section>
+
+      {/* Submission Audit */}
+      <PreferenceAuditPanel />
+
+      {/* Courses & Terms */}
+      <CoursesPanel />
+
       {/* Info Box */}
       <div className="rounded-lg bg-blue-50 border border-blue-200 p-4">
         <div className="flex gap-3">
@@ -342,9 +738,11 @@ export default function CourseSettingsView() {
           <div>
             <h4 className="font-medium text-blue-800">How it works</h4>
             <ul className="mt-2 text-sm text-blue-700 space-y-1">
+              <li>• Before the opening time, students can browse projects but not submit preferences</li>
               <li>• Students will see a countdown to the deadline on their preferences page</li>
               <li>• After the deadline, students cannot submit or modify preferences</li>
               <li>• Students who already submitted can update until the deadline</li>
+              <li>• Grant a student more time from their details on the Students page</li>
               <li>• Remove the deadline to allow submissions at any time</li>
             </ul>
           </div>
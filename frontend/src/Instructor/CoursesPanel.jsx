@@ -0,0 +1,412 @@
+import React, { useEffect, useState } from "react";
+import {
+  fetchCourses,
+  fetchTerms,
+  createTerm,
+  createCourse,
+  enrollInCourse,
+  fetchCourseEnrollments,
+  updateCourseEnrollment,
+  removeCourseEnrollment,
+  fetchCourseSections,
+  createCourseSection,
+  archiveTerm,
+  getActiveCourseId,
+} from "../utils/apiHelper";
+
+const inputClass = "rounded-lg border border-slate-300 px-3 py-2 text-sm";
+const buttonClass =
+  "rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50";
+
+const ROLE_LABELS = {
+  student: "Student",
+  instructor: "Lead instructor",
+  co_instructor: "Co-instructor",
+  ta: "Teaching assistant",
+};
+
+/**
+ * Instructor → Courses & Terms
+ * Creates terms and courses, manages the active course's sections, enrolls
+ * students and staff (co-instructors and TAs) by email, and archives a term at
+ * its end (its courses become read-only). Only the lead instructor adds staff
+ * or changes their roles.
+ * Settings, projects, preferences and groups elsewhere apply to the course picked
+ * in the navbar.
+ */
+export default function CoursesPanel() {
+  const [open, setOpen] = useState(false);
+  const [courses, setCourses] = useState([]);
+  const [terms, setTerms] = useState([]);
+  const [termForm, setTermForm] = useState({ name: "", starts_on: "", ends_on: "" });
+  const [courseForm, setCourseForm] = useState({ term_id: "", code: "", name: "" });
+  const [emails, setEmails] = useState("");
+  const [enrollRole, setEnrollRole] = useState("student");
+  const [enrollSection, setEnrollSection] = useState("");
+  const [sections, setSections] = useState([]);
+  const [sectionName, setSectionName] = useState("");
+  const [staff, setStaff] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const activeCourseId = getActiveCourseId();
+  const activeCourse = courses.find((c) => String(c.id) === activeCourseId);
+  const isLead = activeCourse?.my_role === "instructor" || (activeCourse && !activeCourse.my_role);
+
+  useEffect(() => {
+    if (!open) return;
+    loadCourses();
+  }, [open]);
+
+  const loadCourses = async () => {
+    try {
+      const [courseRes, termRes] = await Promise.all([fetchCourses(), fetchTerms()]);
+      setCourses(courseRes.data || []);
+      setTerms(termRes.data || []);
+      const courseId = getActiveCourseId();
+      if (courseId) {
+        const [sectionRes, enrollmentRes] = await Promise.all([
+          fetchCourseSections(courseId),
+          fetchCourseEnrollments(courseId),
+        ]);
+        setSections(sectionRes.data || []);
+        setStaff((enrollmentRes.data || []).filter((e) => e.role !== "student"));
+      }
+    } catch (err) {
+      setError(err.message || "Failed to load courses");
+    }
+  };
+
+  const run = async (action, successMessage) => {
+    setError("");
+    setMessage("");
+    try {
+      setSaving(true);
+      const res = await action();
+      setMessage(typeof successMessage === "function" ? successMessage(res) : successMessage);
+      await loadCourses();
+      return true;
+    } catch (err) {
+      setError(err.message || "Request failed");
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateTerm = async (e) => {
+    e.preventDefault();
+    if (!termForm.name.trim()) return setError("Enter a term name.");
+    const ok = await run(
+      () => createTerm({
+        name: termForm.name.trim(),
+        starts_on: termForm.starts_on || null,
+        ends_on: termForm.ends_on || null,
+      }),
+      "Term created."
+    );
+    if (ok) setTermForm({ name: "", starts_on: "", ends_on: "" });
+  };
+
+  const handleCreateCourse = async (e) => {
+    e.preventDefault();
+    if (!courseForm.term_id || !courseForm.code.trim() || !courseForm.name.trim()) {
+      return setError("Select a term and enter a course code and name.");
+    }
+    const ok = await run(
+      () => createCourse({
+        term_id: parseInt(courseForm.term_id),
+        code: courseForm.code.trim(),
+        name: courseForm.name.trim(),
+      }),
+      "Course created. Switch to it from the course menu at the top."
+    );
+    if (ok) setCourseForm({ term_id: "", code: "", name: "" });
+  };
+
+  const handleEnroll = async (e) => {
+    e.preventDefault();
+    const list = emails.split(/[\s,;]+/).filter(Boolean);
+    if (list.length === 0) return setError("Enter at least one email.");
+    const ok = await run(
+      () => enrollInCourse(activeCourseId, list, enrollRole, enrollSection ? parseInt(enrollSection) : null),
+      (res) => {
+        const { enrolled, already_enrolled: already, not_found: notFound } = res.data;
+        return `${enrolled} enrolled, ${already} already enrolled` +
+          (notFound.length > 0 ? `. No student account for: ${notFound.join(", ")}` : ".");
+      }
+    );
+    if (ok) setEmails("");
+  };
+
+  const handleCreateSection = async (e) => {
+    e.preventDefault();
+    if (!sectionName.trim()) return setError("Enter a section name.");
+    const ok = await run(() => createCourseSection(activeCourseId, sectionName.trim()), "Section added.");
+    if (ok) setSectionName("");
+  };
+
+  const handleStaffRole = (member, role) =>
+    run(
+      () => updateCourseEnrollment(activeCourseId, member.user_id, { role }),
+      `${member.email} is now a ${ROLE_LABELS[role].toLowerCase()}.`
+    );
+
+  const handleRemoveStaff = (member) => {
+    if (!window.confirm(`Remove ${member.email} from the course staff?`)) return;
+    run(() => removeCourseEnrollment(activeCourseId, member.user_id), "Staff member removed.");
+  };
+
+  const handleArchiveTerm = async (term) => {
+    if (!window.confirm(
+      `Archive ${term.name}? Its courses, groups, evaluations and projects become read-only.`
+    )) return;
+    await run(
+      () => archiveTerm(term.id),
+      (res) => {
+        const summary = res.data.courses
+          .map((c) => `${c.code}: ${c.projects_completed} completed, ${c.projects_archived} archived`)
+          .join("; ");
+        return `${term.name} archived.` + (summary ? ` ${summary}.` : "");
+      }
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between p-4 text-left"
+      >
+        <div>
+          <h3 className="text-lg font-semibold text-slate-800">Courses & Terms</h3>
+          <p className="text-xs text-slate-500">
+            {activeCourse
+              ? `Settings on this page apply to ${activeCourse.code} (${activeCourse.term_name})`
+              : "Create courses and enroll students; no course is selected"}
+          </p>
+        </div>
+        <svg
+          className={`h-5 w-5 text-slate-400 transition-transform ${open ? "rotate-180" : ""}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+          strokeWidth="2"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="border-t border-slate-200 p-4 space-y-5">
+          {error && (
+            <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+          {message && (
+            <div className="rounded-lg bg-green-50 border border-green-200 p-3 text-sm text-green-700">
+              {message}
+            </div>
+          )}
+
+          {courses.length === 0 ? (
+            <p className="text-sm text-slate-500">You are not enrolled in any course yet.</p>
+          ) : (
+            <ul className="divide-y divide-slate-100">
+              {courses.map((c) => (
+                <li key={c.id} className="flex items-center justify-between py-2 text-sm">
+                  <div>
+                    <span className="font-medium text-slate-800">{c.code}</span>
+                    <span className="text-slate-500"> — {c.name} · {c.term_name}</span>
+                    {c.status === "archived" && (
+                      <span className="ml-2 text-xs px-2 py-0.5 rounded bg-slate-100 text-slate-600">Archived</span>
+                    )}
+                  </div>
+                  <span className="text-xs text-slate-500">{c.student_count} student(s)</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {terms.length > 0 && (
+            <ul className="divide-y divide-slate-100">
+              {terms.map((t) => (
+                <li key={t.id} className="flex items-center justify-between py-2 text-sm">
+                  <span className="font-medium text-slate-800">{t.name}</span>
+                  {t.archived_at ? (
+                    <span className="text-xs text-slate-500">
+                      Archived {new Date(t.archived_at).toLocaleDateString()}
+                    </span>
+                  ) : (
+                    <button
+                      onClick={() => handleArchiveTerm(t)}
+                      disabled={saving}
+                      className="rounded-lg border border-slate-300 px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                    >
+                      Archive Term
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleCreateTerm} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <input
+              value={termForm.name}
+              onChange={(e) => setTermForm((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="Term name (e.g. Fall 2025)"
+              className={inputClass}
+            />
+            <input
+              type="date"
+              value={termForm.starts_on}
+              onChange={(e) => setTermForm((prev) => ({ ...prev, starts_on: e.target.value }))}
+              className={inputClass}
+            />
+            <input
+              type="date"
+              value={termForm.ends_on}
+              onChange={(e) => setTermForm((prev) => ({ ...prev, ends_on: e.target.value }))}
+              className={inputClass}
+            />
+            <button type="submit" disabled={saving} className={buttonClass}>Add Term</button>
+          </form>
+
+          <form onSubmit={handleCreateCourse} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <select
+              value={courseForm.term_id}
+              onChange={(e) => setCourseForm((prev) => ({ ...prev, term_id: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="">Select term</option>
+              {terms.map((t) => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+            <input
+              value={courseForm.code}
+              onChange={(e) => setCourseForm((prev) => ({ ...prev, code: e.target.value }))}
+              placeholder="Code (e.g. CS 490)"
+              className={inputClass}
+            />
+            <input
+              value={courseForm.name}
+              onChange={(e) => setCourseForm((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="Course name"
+              className={inputClass}
+            />
+            <button type="submit" disabled={saving} className={buttonClass}>Add Course</button>
+          </form>
+
+          {activeCourse && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-slate-700">
+                Sections of {activeCourse.code}
+              </label>
+              {sections.length > 0 && (
+                <ul className="flex flex-wrap gap-2">
+                  {sections.map((section) => (
+                    <li key={section.id} className="rounded-lg bg-slate-100 px-3 py-1 text-xs text-slate-700">
+                      {section.name} · {section.student_count} student(s), {section.staff_count} staff
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <form onSubmit={handleCreateSection} className="flex gap-3">
+                <input
+                  value={sectionName}
+                  onChange={(e) => setSectionName(e.target.value)}
+                  placeholder="Section name (e.g. 001)"
+                  className={inputClass}
+                />
+                <button type="submit" disabled={saving} className={buttonClass}>Add Section</button>
+              </form>
+            </div>
+          )}
+
+          {activeCourse && staff.length > 0 && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-slate-700">Staff</label>
+              <ul className="divide-y divide-slate-100">
+                {staff.map((member) => (
+                  <li key={member.user_id} className="flex items-center justify-between gap-3 py-2 text-sm">
+                    <div>
+                      <span className="font-medium text-slate-800">
+                        {[member.first_name, member.last_name].filter(Boolean).join(" ") || member.email}
+                      </span>
+                      <span className="text-slate-500"> — {member.email}</span>
+                      {member.section_name && <span className="text-slate-500"> · Section {member.section_name}</span>}
+                    </div>
+                    {isLead ? (
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={member.role}
+                          onChange={(e) => handleStaffRole(member, e.target.value)}
+                          disabled={saving}
+                          className={inputClass}
+                        >
+                          <option value="instructor">{ROLE_LABELS.instructor}</option>
+                          <option value="co_instructor">{ROLE_LABELS.co_instructor}</option>
+                          <option value="ta">{ROLE_LABELS.ta}</option>
+                        </select>
+                        <button
+                          onClick={() => handleRemoveStaff(member)}
+                          disabled={saving}
+                          className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ) : (
+                      <span className="text-xs text-slate-500">{ROLE_LABELS[member.role]}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {activeCourse && (
+            <form onSubmit={handleEnroll} className="space-y-2">
+              <label className="block text-sm font-medium text-slate-700">
+                Enroll in {activeCourse.code}
+              </label>
+              <textarea
+                value={emails}
+                onChange={(e) => setEmails(e.target.value)}
+                rows={3}
+                placeholder="Emails, separated by commas or new lines"
+                className={`w-full ${inputClass}`}
+              />
+              <div className="flex flex-wrap gap-3">
+                <select
+                  value={enrollRole}
+                  onChange={(e) => setEnrollRole(e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="student">{ROLE_LABELS.student}</option>
+                  {isLead && <option value="co_instructor">{ROLE_LABELS.co_instructor}</option>}
+                  {isLead && <option value="ta">{ROLE_LABELS.ta}</option>}
+                </select>
+                <select
+                  value={enrollSection}
+                  onChange={(e) => setEnrollSection(e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">No section</option>
+                  {sections.map((section) => (
+                    <option key={section.id} value={section.id}>Section {section.name}</option>
+                  ))}
+                </select>
+                <button type="submit" disabled={saving} className={buttonClass}>Enroll</button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
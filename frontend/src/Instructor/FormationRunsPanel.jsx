@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from "react";
+import { getFormationRuns, diffFormationRuns, rollbackFormationRun } from "../utils/apiHelper";
+
+const TYPE_STYLES = {
+  preview: "bg-amber-100 text-amber-700",
+  commit: "bg-green-100 text-green-700",
+  rollback: "bg-purple-100 text-purple-700",
+};
+
+const CHANGE_STYLES = {
+  moved: "text-blue-700",
+  added: "text-green-700",
+  removed: "text-red-700",
+  unchanged: "text-slate-500",
+};
+
+/**
+ * Instructor → Formation Run History
+ * Lists recorded previews and commits, compares two runs, and restores a commit.
+ */
+export default function FormationRunsPanel({ refreshKey = 0, onRestored }) {
+  const [runs, setRuns] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    getFormationRuns({ limit: 50 })
+      .then((res) => setRuns(res.data || []))
+      .catch((err) => console.error("Error fetching formation runs:", err));
+  }, [open, refreshKey]);
+
+  const toggleSelected = (runId) => {
+    setDiff(null);
+    setSelected((prev) => {
+      if (prev.includes(runId)) return prev.filter((id) => id !== runId);
+      return [...prev, runId].slice(-2);
+    });
+  };
+
+  const handleCompare = async () => {
+    // Compare older → newer regardless of click order
+    const [fromId, toId] = [...selected].sort((a, b) => a - b);
+    try {
+      setBusy(true);
+      setError("");
+      const res = await diffFormationRuns(fromId, toId);
+      setDiff(res.data);
+    } catch (err) {
+      setError(err.message || "Failed to compare runs");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async (runId) => {
+    if (!window.confirm(`This will replace all current groups with the groups from run #${runId}. Continue?`)) {
+      return;
+    }
+    try {
+      setBusy(true);
+      setError("");
+      await rollbackFormationRun(runId);
+      const res = await getFormationRuns({ limit: 50 });
+      setRuns(res.data || []);
+      onRestored?.();
+    } catch (err) {
+      setError(err.message || "Failed to restore run");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between p-4 text-left"
+      >
+        <div>
+          <h3 className="text-lg font-semibold text-slate-800">Formation History</h3>
+          <p className="text-xs text-slate-500">Previous previews and commits, with compare and restore</p>
+        </div>
+        <svg
+          className={`h-5 w-5 text-slate-400 transition-transform ${open ? "rotate-180" : ""}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+          strokeWidth="2"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="border-t border-slate-200 p-4 space-y-4">
+          {error && (
+            <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-slate-600">Select two runs to compare.</p>
+            <button
+              onClick={handleCompare}
+              disabled={selected.length !== 2 || busy}
+              className="rounded-lg border border-blue-600 bg-white px-3 py-1.5 text-sm font-medium text-blue-700 hover:bg-blue-50 disabled:opacity-50"
+            >
+              Compare
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm text-slate-700">
+              <thead className="bg-slate-100 text-slate-600 uppercase text-xs font-medium">
+                <tr>
+                  <th className="px-3 py-2"></th>
+                  <th className="px-3 py-2 text-left">Run</th>
+                  <th className="px-3 py-2 text-left">Type</th>
+                  <th className="px-3 py-2 text-left">Mode</th>
+                  <th className="px-3 py-2 text-left">Seed</th>
+                  <th className="px-3 py-2 text-left">Assigned</th>
+                  <th className="px-3 py-2 text-left">Satisfaction</th>
+                  <th className="px-3 py-2 text-left">When</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.length === 0 ? (
+                  <tr>
+                    <td colSpan="9" className="text-center py-4 text-slate-500">No runs recorded yet.</td>
+                  </tr>
+                ) : (
+                  runs.map((run) => (
+                    <tr key={run.id} className="border-b border-slate-100">
+                      <td className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(run.id)}
+                          onChange={() => toggleSelected(run.id)}
+                        />
+                      </td>
+                      <td className="px-3 py-2 font-medium">
+                        #{run.id}
+                        {run.source_run_id && (
+                          <span className="text-xs text-slate-400"> (from #{run.source_run_id})</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`text-xs px-2 py-0.5 rounded ${TYPE_STYLES[run.run_type]}`}>
+                          {run.run_type}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2">{run.mode || "—"}</td>
+                      <td className="px-3 py-2 font-mono text-xs">{run.seed || "—"}</td>
+                      <td className="px-3 py-2">
+                        {run.stats?.assigned_students ?? run.stats?.members_restored ?? "—"}
+                      </td>
+                      <td className="px-3 py-2">
+                        {run.stats?.satisfaction_score !== undefined ? `${run.stats.satisfaction_score}%` : "—"}
+                      </td>
+                      <td className="px-3 py-2 text-slate-500">
+                        {new Date(run.created_at).toLocaleString()}
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        {run.run_type !== "preview" && (
+                          <button
+                            onClick={() => handleRestore(run.id)}
+                            disabled={busy}
+                            className="text-xs font-medium text-purple-700 hover:text-purple-900 disabled:opacity-50"
+                          >
+                            Restore
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {diff && (
+            <div className="rounded-lg border border-slate-200 p-4">
+              <h4 className="font-semibold text-slate-800 mb-2">
+                Run #{diff.from_run_id} → Run #{diff.to_run_id}
+              </h4>
+              <p className="text-sm text-slate-600 mb-3">
+                {diff.summary.moved} moved, {diff.summary.added} added, {diff.summary.removed} removed,{" "}
+                {diff.summary.unchanged} unchanged
+              </p>
+              {diff.changes.length > 0 && (
+                <ul className="space-y-1 text-sm">
+                  {diff.changes.map((c) => (
+                    <li key={c.student_id}>
+                      <span className="font-medium text-slate-800">{c.student_name || `Student ${c.student_id}`}</span>
+                      <span className={`ml-2 ${CHANGE_STYLES[c.change]}`}>
+                        {c.from_project_title || "Unassigned"} → {c.to_project_title || "Unassigned"}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from "react";
+import {
+  apiCall,
+  getGroupConstraints,
+  createGroupConstraint,
+  deleteGroupConstraint,
+} from "../utils/apiHelper";
+
+const TYPE_LABELS = {
+  pin: "Pinned to project",
+  together: "Must be with",
+  apart: "Must not be with",
+};
+
+/**
+ * Instructor → Group Formation Constraints
+ * Lists and edits the pins and together/apart pairs that auto-assignment honors.
+ */
+export default function GroupConstraintsPanel({ projects = [] }) {
+  const [constraints, setConstraints] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [form, setForm] = useState({
+    constraint_type: "pin",
+    student_id: "",
+    other_student_id: "",
+    project_id: "",
+    note: "",
+  });
+
+  useEffect(() => {
+    fetchConstraints();
+  }, []);
+
+  useEffect(() => {
+    if (!open || students.length > 0) return;
+    apiCall("/instructors/all-students", { method: "GET" })
+      .then((res) => setStudents(res.data || []))
+      .catch((err) => console.error("Error fetching students:", err));
+  }, [open, students.length]);
+
+  const fetchConstraints = async () => {
+    try {
+      const res = await getGroupConstraints();
+      setConstraints(res.data || []);
+    } catch (err) {
+      console.error("Error fetching group constraints:", err);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    const isPin = form.constraint_type === "pin";
+    if (!form.student_id || (isPin ? !form.project_id : !form.other_student_id)) {
+      setError(isPin ? "Select a student and a project." : "Select both students.");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await createGroupConstraint({
+        constraint_type: form.constraint_type,
+        student_id: parseInt(form.student_id),
+        other_student_id: isPin ? null : parseInt(form.other_student_id),
+        project_id: isPin ? parseInt(form.project_id) : null,
+        note: form.note.trim() || null,
+      });
+      setForm((prev) => ({ ...prev, student_id: "", other_student_id: "", project_id: "", note: "" }));
+      await fetchConstraints();
+    } catch (err) {
+      setError(err.message || "Failed to add constraint");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (constraintId) => {
+    try {
+      await deleteGroupConstraint(constraintId);
+      setConstraints((prev) => prev.filter((c) => c.id !== constraintId));
+    } catch (err) {
+      setError(err.message || "Failed to delete constraint");
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between p-4 text-left"
+      >
+        <div>
+          <h3 className="text-lg font-semibold text-slate-800">Formation Constraints</h3>
+          <p className="text-xs text-slate-500">
+            {constraints.length} constraint(s) applied to preview and auto-assign
+          </p>
+        </div>
+        <svg
+          className={`h-5 w-5 text-slate-400 transition-transform ${open ? "rotate-180" : ""}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+          strokeWidth="2"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="border-t border-slate-200 p-4 space-y-4">
+          <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-5 gap-3">
+            <select
+              name="constraint_type"
+              value={form.constraint_type}
+              onChange={handleChange}
+              className="rounded-lg border border-slate-300 px-3 py-2 text-sm"
+            >
+              {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+
+            <select
+              name="student_id"
+              value={form.student_id}
+              onChange={handleChange}
+              className="rounded-lg border border-slate-300 px-3 py-2 text-sm"
+            >
+              <option value="">Select student</option>
+              {students.map((s) => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+
+            {form.constraint_type === "pin" ? (
+              <select
+                name="project_id"
+                value={form.project_id}
+                onChange={handleChange}
+                className="rounded-lg border border-slate-300 px-3 py-2 text-sm"
+              >
+                <option value="">Select project</option>
+                {projects.map((p) => (
+                  <option key={p.id} value={p.id}>{p.title}</option>
+                ))}
+              </select>
+            ) : (
+              <select
+                name="other_student_id"
+                value={form.other_student_id}
+                onChange={handleChange}
+                className="rounded-lg border border-slate-300 px-3 py-2 text-sm"
+              >
+                <option value="">Select student</option>
+                {students
+                  .filter((s) => String(s.id) !== String(form.student_id))
+                  .map((s) => (
+                    <option key={s.id} value={s.id}>{s.name}</option>
+                  ))}
+              </select>
+            )}
+
+            <input
+              name="note"
+              value={form.note}
+              onChange={handleChange}
+              placeholder="Note (optional)"
+              className="rounded-lg border border-slate-300 px-3 py-2 text-sm"
+            />
+
+            <button
+              type="submit"
+              disabled={saving}
+              className="rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? "Adding..." : "Add Constraint"}
+            </button>
+          </form>
+
+          {error && (
+            <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          {constraints.length === 0 ? (
+            <p className="text-sm text-slate-500">No constraints yet.</p>
+          ) : (
+            <ul className="divide-y divide-slate-100">
+              {constraints.map((c) => (
+                <li key={c.id} className="flex items-center justify-between py-2 text-sm">
+                  <div>
+                    <span className="font-medium text-slate-800">{c.student_name}</span>
+                    <span className="text-slate-500"> — {TYPE_LABELS[c.constraint_type]} — </span>
+                    <span className="font-medium text-slate-800">
+                      {c.constraint_type === "pin" ? c.project_title : c.other_student_name}
+                    </span>
+                    {c.note && <span className="text-xs text-slate-400 ml-2">({c.note})</span>}
+                  </div>
+                  <button
+                    onClick={() => handleDelete(c.id)}
+                    className="text-xs font-medium text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
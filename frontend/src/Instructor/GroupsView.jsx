@@ -1,5 +1,7 @@
 import React, { useEffect, useState } from "react";
 import { apiCall } from "../utils/apiHelper";
+import GroupConstraintsPanel from "./GroupConstraintsPanel";
+import FormationRunsPanel from "./FormationRunsPanel";
 
 /**
  * Instructor → Groups Page
@@ -13,6 +15,11 @@ export default function GroupsView() {
   const [preview, setPreview] = useState(null);
   const [stats, setStats] = useState(null);
   const [expandedGroups, setExpandedGroups] = useState(new Set());
+  const [fallbackPolicy, setFallbackPolicy] = useState("none");
+  const [mode, setMode] = useState("incremental");
+  const [confirmationToken, setConfirmationToken] = useState(null);
+  const [previewRunId, setPreviewRunId] = useState(null);
+  const [runsVersion, setRunsVersion] = useState(0);
   
   // Manual management state
   const [showCreateModal, setShowCreateModal] = useState(false);
@@ -81,11 +88,17 @@ export default function GroupsView() {
       setRunning(true);
       setMessage({ type: "", text: "" });
       
-      const res = await apiCall("/instructors/preview-groups", { method: "POST" });
+      const res = await apiCall("/instructors/preview-groups", {
+        method: "POST",
+        body: JSON.stringify({ mode, fallback_policy: fallbackPolicy }),
+      });
       
       if (res.success && res.data) {
         setPreview(res.data);
         setStats(res.data.stats);
+        setConfirmationToken(res.confirmation_token || null);
+        setPreviewRunId(res.run_id || null);
+        setRunsVersion((v) => v + 1);
         setMessage({ 
           type: "info", 
           text: "Preview generated! Review the assignments below before confirming." 
@@ -103,8 +116,18 @@ export default function GroupsView() {
 
   // Run algorithm and save groups
   const handleRunAlgorithm = async () => {
+    if (mode === "replace" && !confirmationToken) {
+      setMessage({
+        type: "error",
+        text: "Replacing groups requires a preview first. Click Preview, review the results, then Auto-Assign.",
+      });
+      return;
+    }
+
     if (!window.confirm(
-      "This will replace all existing groups with new assignments based on student preferences. Continue?"
+      mode === "replace"
+        ? "This will replace all existing groups with new assignments based on student preferences. Continue?"
+        : "This will keep existing groups and place unassigned students into the remaining spots. Continue?"
     )) {
       return;
     }
@@ -113,15 +136,29 @@ export default function GroupsView() {
       setRunning(true);
       setMessage({ type: "", text: "" });
       
-      const res = await apiCall("/instructors/auto-assign-groups", { method: "POST" });
+      const res = await apiCall("/instructors/auto-assign-groups", {
+        method: "POST",
+        body: JSON.stringify({
+          mode,
+          fallback_policy: fallbackPolicy,
+          confirmation_token: confirmationToken,
+          // Commit exactly the groups shown in the preview
+          preview_run_id: preview ? previewRunId : null,
+        }),
+      });
       
       if (res.success) {
         setStats(res.data?.stats);
         setPreview(null);
+        setConfirmationToken(null);
+        setPreviewRunId(null);
+        setRunsVersion((v) => v + 1);
         await fetchGroups();
         setMessage({ 
           type: "success", 
-          text: `✅ Groups formed successfully! ${res.data?.stats?.assigned_students || 0} students assigned.` 
+          text: mode === "replace"
+            ? `✅ Groups formed successfully! ${res.data?.stats?.assigned_students || 0} students assigned.`
+            : `✅ ${res.message}` 
         });
       } else {
         setMessage({ type: "error", text: res.error || "Failed to form groups" });
@@ -301,6 +338,36 @@ export default function GroupsView() {
             Create Group
           </button>
 
+          <select
+            value={mode}
+            onChange={(e) => {
+              setMode(e.target.value);
+              setConfirmationToken(null);
+              setPreviewRunId(null);
+            }}
+            disabled={running}
+            title="Whether auto-assign keeps or replaces existing groups"
+            className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:ring-2 focus:ring-blue-200 disabled:opacity-50"
+          >
+            <option value="incremental">Keep existing groups</option>
+            <option value="replace">Replace all groups</option>
+          </select>
+
+          <select
+            value={fallbackPolicy}
+            onChange={(e) => {
+              setFallbackPolicy(e.target.value);
+              setPreviewRunId(null);
+            }}
+            disabled={running}
+            title="How to place students who submitted no preferences"
+            className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:ring-2 focus:ring-blue-200 disabled:opacity-50"
+          >
+            <option value="none">No preferences: leave unassigned</option>
+            <option value="least_full">No preferences: fill least-full teams</option>
+            <option value="skills">No preferences: match by skills</option>
+          </select>
+
           <button
             onClick={handlePreview}
             disabled={running}
@@ -357,6 +424,19 @@ export default function GroupsView() {
         </div>
       )}
 
+      {/* Formation Constraints */}
+      <GroupConstraintsPanel projects={projects} />
+
+      {/* Formation History */}
+      <FormationRunsPanel
+        refreshKey={runsVersion}
+        onRestored={() => {
+          setPreview(null);
+          setConfirmationToken(null);
+          fetchGroups();
+        }}
+      />
+
       {/* Statistics Card */}
       {stats && (
         <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-6">
@@ -391,11 +471,31 @@ export default function GroupsView() {
               <div className="text-xs text-purple-600">Satisfaction</div>
             </div>
           </div>
+          {stats.preference_mode === "bidding" && stats.bid_points_won !== null && (
+            <div className="mt-4 p-3 bg-purple-50 border border-purple-200 rounded-lg text-purple-700 text-sm">
+              🎯 Students won {stats.bid_points_won} bid points in total on the projects they were placed on.
+            </div>
+          )}
           {stats.unassigned_students > 0 && (
             <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-amber-700 text-sm">
               ⚠️ {stats.unassigned_students} student(s) could not be assigned due to capacity constraints or missing preferences.
             </div>
           )}
+          {stats.fallback_assigned > 0 && (
+            <div className="mt-4 p-3 bg-slate-50 border border-slate-200 rounded-lg text-slate-700 text-sm">
+              ℹ️ {stats.fallback_assigned} student(s) without preferences were placed by the fallback policy and are not counted in the satisfaction score.
+            </div>
+          )}
+          {stats.constraint_violations > 0 && (
+            <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+              ⚠️ {stats.constraint_violations} constraint(s) could not be met.
+            </div>
+          )}
+          {stats.dropped_projects > 0 && (
+            <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+              ⚠️ {stats.dropped_projects} project(s) were dropped for not reaching their minimum team size.
+            </div>
+          )}
         </div>
       )}
 
@@ -404,8 +504,62 @@ export default function GroupsView() {
         <div className="bg-amber-50 border border-amber-200 rounded-xl p-6">
           <div className="flex items-center justify-between mb-4">
             <h3 className="text-lg font-semibold text-amber-800">Preview Results</h3>
-            <span className="text-xs bg-amber-200 text-amber-800 px-2 py-1 rounded">Not Saved</span>
+            <div className="flex items-center gap-2">
+              {preview.seed && (
+                <span className="text-xs text-amber-700" title="Reusing this seed reproduces these groups">
+                  Seed: <span className="font-mono">{preview.seed}</span>
+                </span>
+              )}
+              <span className="text-xs bg-amber-200 text-amber-800 px-2 py-1 rounded">Not Saved</span>
+            </div>
           </div>
+          {preview.dropped_projects?.length > 0 && (
+            <div className="mb-4 bg-white rounded-lg border border-red-200 p-4">
+              <h4 className="font-semibold text-red-700 mb-2">
+                Dropped Projects ({preview.dropped_projects.length})
+              </h4>
+              <p className="text-xs text-slate-500 mb-3">
+                These projects could not reach their minimum team size, so their students were reassigned to their next preferences.
+              </p>
+              <ul className="space-y-2">
+                {preview.dropped_projects.map((dropped) => (
+                  <li key={dropped.project_id} className="text-sm">
+                    <span className="font-medium text-slate-800">{dropped.project_title}</span>
+                    <span className="text-slate-500"> — {dropped.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {preview.constraint_violations?.length > 0 && (
+            <div className="mb-4 bg-white rounded-lg border border-red-200 p-4">
+              <h4 className="font-semibold text-red-700 mb-2">
+                Unmet Constraints ({preview.constraint_violations.length})
+              </h4>
+              <ul className="space-y-1">
+                {preview.constraint_violations.map((violation) => (
+                  <li key={violation.constraint_id} className="text-sm text-slate-700">
+                    {violation.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {preview.unplaced_pre_teams?.length > 0 && (
+            <div className="mb-4 bg-white rounded-lg border border-red-200 p-4">
+              <h4 className="font-semibold text-red-700 mb-2">
+                Unplaced Pre-Teams ({preview.unplaced_pre_teams.length})
+              </h4>
+              <ul className="space-y-1">
+                {preview.unplaced_pre_teams.map((team) => (
+                  <li key={team.pre_team_id} className="text-sm text-slate-700">
+                    <span className="font-medium text-slate-800">{team.name || `Pre-team #${team.pre_team_id}`}</span>
+                    <span className="text-slate-500"> — {team.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             {preview.groups.map((group, index) => (
               <div key={index} className="bg-white rounded-lg border border-amber-200 p-4">
@@ -414,14 +568,20 @@ export default function GroupsView() {
                 <ul className="space-y-1">
                   {group.members.map((member, mIndex) => (
                     <li key={mIndex} className="flex items-center justify-between text-sm">
-                      <span className="text-slate-700">{member.name}</span>
+                      <span className="text-slate-700">
+                        {member.name}
+                        {member.pinned && <span className="ml-1 text-xs text-slate-400">(pinned)</span>}
+                        {member.existing && <span className="ml-1 text-xs text-slate-400">(existing)</span>}
+                        {member.pre_team_id && <span className="ml-1 text-xs text-slate-400">(pre-team)</span>}
+                      </span>
                       <span className={`text-xs px-1.5 py-0.5 rounded ${
+                        member.fallback ? "bg-purple-100 text-purple-700" :
                         member.preference_rank === 1 ? "bg-green-100 text-green-700" :
                         member.preference_rank === 2 ? "bg-blue-100 text-blue-700" :
                         member.preference_rank === 3 ? "bg-yellow-100 text-yellow-700" :
                         "bg-slate-100 text-slate-600"
                       }`}>
-                        #{member.preference_rank}
+                        {member.fallback ? "Fallback" : member.preference_rank ? `#${member.preference_rank}` : "Unranked"}
                       </span>
                     </li>
                   ))}
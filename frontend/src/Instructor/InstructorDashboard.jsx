@@ -17,6 +17,7 @@ import EvaluationsView from "./EvaluationsView";
 import ScheduleEvaluationForm from "./ScheduleEvaluationForm";
 import ProfileSettingsView from "./ProfileSettingsView";
 import CourseSettingsView from "./CourseSettingsView";
+import { useCourseRole } from "../hooks/useCourseRole";
 
 /**
  * Layout constant: Height of the top navigation bar in pixels
@@ -32,6 +33,12 @@ const NAVBAR_HEIGHT = 64;
  */
 const DRAWER_WIDTH = 280;
 
+/**
+ * Views that change course data; hidden from TAs, who land on the dashboard instead
+ * @constant {Array<string>}
+ */
+const MANAGER_VIEWS = ["approval", "add-student", "auto-groups", "create-group", "settings"];
+
 /**
  * Instructor Dashboard Component
  * 
@@ -185,7 +192,9 @@ export default function InstructorDashboard() {
    * Automatically updates when URL changes
    * @type {string}
    */
-  const active = getActiveFromPath();
+  const courseRole = useCourseRole();
+  const requestedView = getActiveFromPath();
+  const active = courseRole === "ta" && MANAGER_VIEWS.includes(requestedView) ? "dashboard" : requestedView;
 
   /**
    * Navigate to different views using URL routing
@@ -288,6 +297,7 @@ export default function InstructorDashboard() {
   const handleLogout = () => {
     localStorage.removeItem("instructor");
     localStorage.removeItem("authToken");
+    localStorage.removeItem("activeCourseId");
     navigate("/login", { replace: true });
   };
 
@@ -325,6 +335,7 @@ export default function InstructorDashboard() {
         setActive={setActive}
         sidebarOpen={sidebarOpen}
         setSidebarOpen={setSidebarOpen}
+        courseRole={courseRole}
       />
 
       {/* Main Content Area */}
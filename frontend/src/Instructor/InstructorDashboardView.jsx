@@ -1,9 +1,11 @@
 import React, { useEffect, useState } from "react";
 import { useLocation } from "react-router-dom";
-import { getInstructorStats } from "../utils/apiHelper";
+import { getInstructorStats, getProjectPopularity } from "../utils/apiHelper";
+import PopularityHeatmap from "../components/ui/PopularityHeatmap";
 
 /**
  * InstructorDashboardView Component
+ * Shows course stats and how student preferences are spread across projects
  */
 export default function InstructorDashboardView({ instructorId }) {
   const location = useLocation();
@@ -17,6 +19,7 @@ export default function InstructorDashboardView({ instructorId }) {
   const [upcomingEvaluations, setUpcomingEvaluations] = useState([]);
   const [announcements, setAnnouncements] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [popularity, setPopularity] = useState(null);
 
   // Refresh stats when navigating back to dashboard or when instructorId changes
   useEffect(() => {
@@ -54,6 +57,12 @@ export default function InstructorDashboardView({ instructorId }) {
     fetchStats();
   }, [instructorId, location.pathname]); // Re-fetch when path changes (navigating back)
 
+  useEffect(() => {
+    getProjectPopularity()
+      .then((res) => setPopularity(res.data))
+      .catch((err) => console.error("Failed to load project popularity:", err));
+  }, [location.pathname]);
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -80,6 +89,20 @@ export default function InstructorDashboardView({ instructorId }) {
         <StatCard label="Total Groups" count={stats.totalGroups} color="indigo" />
       </div>
 
+      {/* Project Popularity */}
+      {popularity && (
+        <section className="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">
+          <div className="mb-4 flex flex-wrap items-baseline justify-between gap-2">
+            <h3 className="text-lg font-semibold text-slate-800">Project Popularity</h3>
+            <p className="text-sm text-slate-500">
+              {popularity.summary.students_with_preferences} students, {popularity.summary.total_capacity} seats ·{" "}
+              {popularity.summary.over_subscribed} over-subscribed, {popularity.summary.under_subscribed} under-subscribed
+            </p>
+          </div>
+          <PopularityHeatmap projects={popularity.projects} showSkills />
+        </section>
+      )}
+
       {/* Dashboard Sections */}
       <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
         {/* Recent Students */}
@@ -4,13 +4,18 @@ const DRAWER_WIDTH = 280;
 /**
  * InstructorSidebar Component
  * Extended navigation sidebar (Dashboard, Students, Projects, Groups, Evaluations, Settings, Profile)
+ * TAs (courseRole "ta") don't get Course Settings; they can view course data and
+ * schedule evaluations but not change settings, approve projects, or form groups.
  */
 export default function InstructorSidebar({
   active,
   setActive,
   sidebarOpen,
   setSidebarOpen,
+  courseRole,
 }) {
+  const isTA = courseRole === "ta";
+
   const NavItem = ({ id, icon, label }) => {
     const isActive = active === id;
     return (
@@ -52,7 +57,7 @@ export default function InstructorSidebar({
           {/* Portal Header */}
           <div className="px-1">
             <p className="text-xs uppercase tracking-wide text-blue-200">
-              Instructor Portal
+              {isTA ? "Teaching Assistant Portal" : "Instructor Portal"}
             </p>
           </div>
 
@@ -163,30 +168,32 @@ export default function InstructorSidebar({
               }
             />
 
-            <NavItem
-              id="settings"
-              label="Course Settings"
-              icon={
-                <svg
-                  viewBox="0 0 24 24"
-                  fill="none"
-                  className="h-5 w-5"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"
-                  />
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
-                  />
-                </svg>
-              }
-            />
+            {!isTA && (
+              <NavItem
+                id="settings"
+                label="Course Settings"
+                icon={
+                  <svg
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    className="h-5 w-5"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"
+                    />
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
+                    />
+                  </svg>
+                }
+              />
+            )}
 
             <NavItem
               id="profile"
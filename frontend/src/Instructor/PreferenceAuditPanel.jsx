@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from "react";
+import { getPreferenceAudit } from "../utils/apiHelper";
+
+const WINDOW_OPTIONS = [6, 24, 48, 168];
+
+/** One-line summary of what a submission changed */
+function describeChanges(entry) {
+  if (entry.action === "cleared") return "Cleared all preferences";
+  const { changes } = entry;
+  if (entry.version === 1) return "First submission";
+  const parts = [];
+  if (changes.added.length > 0) parts.push(`${changes.added.length} added`);
+  if (changes.removed.length > 0) parts.push(`${changes.removed.length} removed`);
+  if (changes.rank_changes.length > 0) parts.push(`${changes.rank_changes.length} reordered`);
+  if (changes.bid_changes.length > 0) parts.push(`${changes.bid_changes.length} bid(s) changed`);
+  if (changes.justification_changes.length > 0) parts.push(`${changes.justification_changes.length} statement(s) edited`);
+  return parts.join(", ") || "No changes";
+}
+
+/**
+ * Instructor → Preference Submission Audit
+ * Lists late submissions and submissions that changed a student's preferences
+ * shortly before the preference deadline.
+ */
+export default function PreferenceAuditPanel() {
+  const [open, setOpen] = useState(false);
+  const [windowHours, setWindowHours] = useState(24);
+  const [audit, setAudit] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    getPreferenceAudit(windowHours)
+      .then((res) => {
+        setAudit(res.data);
+        setError("");
+      })
+      .catch((err) => setError(err.message || "Failed to load submission audit"));
+  }, [open, windowHours]);
+
+  return (
+    <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between p-4 text-left"
+      >
+        <div>
+          <h3 className="text-lg font-semibold text-slate-800">Submission Audit</h3>
+          <p className="text-xs text-slate-500">Late submissions and last-minute changes around the deadline</p>
+        </div>
+        <svg
+          className={`h-5 w-5 text-slate-400 transition-transform ${open ? "rotate-180" : ""}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+          strokeWidth="2"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="border-t border-slate-200 p-4 space-y-4">
+          {error && (
+            <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          {audit && !audit.deadline ? (
+            <p className="text-sm text-slate-500">Set a preference deadline to audit submissions around it.</p>
+          ) : audit && (
+            <>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <p className="text-sm text-slate-600">
+                  {audit.summary.late} late, {audit.summary.changed_before_deadline} changed before the
+                  deadline ({audit.summary.students} student{audit.summary.students !== 1 ? "s" : ""})
+                </p>
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  Changes in the last
+                  <select
+                    value={windowHours}
+                    onChange={(e) => setWindowHours(Number(e.target.value))}
+                    className="rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm"
+                  >
+                    {WINDOW_OPTIONS.map((hours) => (
+                      <option key={hours} value={hours}>
+                        {hours < 48 ? `${hours} hours` : `${hours / 24} days`}
+                      </option>
+                    ))}
+                  </select>
+                  before the deadline
+                </label>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm text-slate-700">
+                  <thead className="bg-slate-100 text-slate-600 uppercase text-xs font-medium">
+                    <tr>
+                      <th className="px-3 py-2 text-left">Student</th>
+                      <th className="px-3 py-2 text-left">Version</th>
+                      <th className="px-3 py-2 text-left">When</th>
+                      <th className="px-3 py-2 text-left">Changes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {audit.submissions.length === 0 ? (
+                      <tr>
+                        <td colSpan="4" className="text-center py-4 text-slate-500">
+                          No late or changed submissions.
+                        </td>
+                      </tr>
+                    ) : (
+                      audit.submissions.map((entry) => (
+                        <tr key={entry.id} className="border-b border-slate-100">
+                          <td className="px-3 py-2">
+                            <p className="font-medium text-slate-800">{entry.name}</p>
+                            <p className="text-xs text-slate-500">{entry.email}</p>
+                          </td>
+                          <td className="px-3 py-2">#{entry.version}</td>
+                          <td className="px-3 py-2">
+                            <p className="text-slate-600">{new Date(entry.submitted_at).toLocaleString()}</p>
+                            {entry.late ? (
+                              <span className="text-xs px-2 py-0.5 rounded bg-red-100 text-red-700">
+                                {Math.abs(entry.hours_before_deadline)}h late
+                              </span>
+                            ) : (
+                              <span className="text-xs text-slate-500">{entry.hours_before_deadline}h before</span>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-slate-600">{describeChanges(entry)}</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
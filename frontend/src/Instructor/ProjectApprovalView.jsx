@@ -1,22 +1,75 @@
 import React, { useEffect, useState } from "react";
-import { approveProject, rejectProject, getPendingProjects } from "../utils/apiHelper";
+import {
+  approveProject,
+  rejectProject,
+  requestProjectChanges,
+  getPendingProjects,
+  fetchReviewQueue,
+  assignProjectReviewer,
+  unassignProjectReviewer,
+} from "../utils/apiHelper";
+import ReviewThread from "../components/ui/ReviewThread";
+
+/**
+ * Modal copy per review action
+ * @constant {Object}
+ */
+const ACTIONS = {
+  approve: {
+    title: "Approve Project",
+    submit: "Approve Project",
+    busy: "Approving...",
+    placeholder: "Add any comments or suggestions for the client (optional)...",
+    hint: "Optional feedback that will be visible to the client.",
+  },
+  changes: {
+    title: "Request Changes",
+    submit: "Request Changes",
+    busy: "Sending...",
+    placeholder: "Describe what the client should change before this can be approved...",
+    hint: "The client can reply, edit the project, and resubmit it for review.",
+  },
+  reject: {
+    title: "Reject Project",
+    submit: "Reject Project",
+    busy: "Rejecting...",
+    placeholder: "Explain why this project is being rejected and what changes are needed...",
+    hint: "This feedback will be visible to the client explaining the rejection.",
+  },
+};
+
+/**
+ * Badge copy per reviewer vote
+ * @constant {Object}
+ */
+const VOTES = {
+  approved: { text: "Approved", className: "bg-green-100 text-green-700" },
+  changes_requested: { text: "Changes", className: "bg-orange-100 text-orange-700" },
+  rejected: { text: "Rejected", className: "bg-red-100 text-red-700" },
+};
 
 const ProjectApprovalView = () => {
   const [projects, setProjects] = useState([]);
+  const [awaitingClient, setAwaitingClient] = useState([]);
+  const [threadProjectId, setThreadProjectId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [feedbackModal, setFeedbackModal] = useState({ open: false, projectId: null, action: null, projectTitle: "" });
   const [feedback, setFeedback] = useState("");
   const [processing, setProcessing] = useState(null);
+  const [quorum, setQuorum] = useState({ approval_quorum: 1, rejection_quorum: 1 });
+  const [reviewers, setReviewers] = useState([]);
+  const [queueFilter, setQueueFilter] = useState("all");
+  const [notice, setNotice] = useState("");
 
   const fetchProjects = async () => {
     try {
       setLoading(true);
-      const res = await getPendingProjects();
-      // Filter to only show projects with pending approval_status
-      const pendingProjects = (res.data || []).filter(
-        (p) => p.approval_status === "pending" || !p.approval_status
-      );
-      setProjects(pendingProjects);
+      // The review queue holds pending projects with their reviewers and votes
+      const [queueRes, res] = await Promise.all([fetchReviewQueue(), getPendingProjects()]);
+      setProjects(queueRes.data?.projects || []);
+      setQuorum(queueRes.data?.settings || { approval_quorum: 1, rejection_quorum: 1 });
+      setReviewers(queueRes.data?.reviewers || []);
+      setAwaitingClient((res.data || []).filter((p) => p.approval_status === "changes_requested"));
     } catch (error) {
       console.error("Failed to fetch projects:", error);
     } finally {
@@ -37,7 +90,8 @@ const ProjectApprovalView = () => {
   const handleApprove = async () => {
     try {
       setProcessing(feedbackModal.projectId);
-      await approveProject(feedbackModal.projectId, feedback); // Now includes feedback!
+      const res = await approveProject(feedbackModal.projectId, feedback); // Now includes feedback!
+      setNotice(res.message || "");
       setFeedbackModal({ open: false, projectId: null, action: null, projectTitle: "" });
       setFeedback("");
       fetchProjects(); // Refresh list
@@ -62,7 +116,8 @@ const ProjectApprovalView = () => {
 
     try {
       setProcessing(feedbackModal.projectId);
-      await rejectProject(feedbackModal.projectId, feedback);
+      const res = await rejectProject(feedbackModal.projectId, feedback);
+      setNotice(res.message || "");
       setFeedbackModal({ open: false, projectId: null, action: null, projectTitle: "" });
       setFeedback("");
       fetchProjects();
@@ -74,6 +129,56 @@ const ProjectApprovalView = () => {
     }
   };
 
+  const openChangesModal = (project) => {
+    setFeedbackModal({ open: true, projectId: project.id, action: "changes", projectTitle: project.title });
+    setFeedback("");
+  };
+
+  const handleRequestChanges = async () => {
+    if (!feedback.trim()) {
+      alert("Please describe the changes you need");
+      return;
+    }
+
+    try {
+      setProcessing(feedbackModal.projectId);
+      const res = await requestProjectChanges(feedbackModal.projectId, feedback);
+      setNotice(res.message || "");
+      setFeedbackModal({ open: false, projectId: null, action: null, projectTitle: "" });
+      setFeedback("");
+      fetchProjects();
+    } catch (error) {
+      console.error("Requesting changes failed:", error);
+      alert("Failed to request changes: " + error.message);
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const handleAssign = async (projectId, reviewerId) => {
+    try {
+      await assignProjectReviewer(projectId, reviewerId);
+      fetchProjects();
+    } catch (error) {
+      console.error("Assigning reviewer failed:", error);
+      alert("Failed to assign reviewer: " + error.message);
+    }
+  };
+
+  const handleUnassign = async (projectId, reviewerId) => {
+    try {
+      await unassignProjectReviewer(projectId, reviewerId);
+      fetchProjects();
+    } catch (error) {
+      console.error("Removing reviewer failed:", error);
+      alert("Failed to remove reviewer: " + error.message);
+    }
+  };
+
+  const toggleThread = (projectId) => {
+    setThreadProjectId(threadProjectId === projectId ? null : projectId);
+  };
+
   const closeFeedbackModal = () => {
     setFeedbackModal({ open: false, projectId: null, action: null, projectTitle: "" });
     setFeedback("");
@@ -88,14 +193,46 @@ const ProjectApprovalView = () => {
     );
   }
 
+  const assignedToMe = projects.filter((p) => p.assigned_to_me);
+  const visibleProjects = queueFilter === "mine" ? assignedToMe : projects;
+
   return (
     <div className="space-y-6">
-      <div>
-        <h2 className="text-2xl font-bold text-slate-800">Review Client Projects</h2>
-        <p className="text-slate-600 mt-1">Approve or reject client-submitted projects</p>
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold text-slate-800">Review Client Projects</h2>
+          <p className="text-slate-600 mt-1">
+            Approve, reject, or request changes on client-submitted projects
+            {quorum.approval_quorum > 1 && ` · ${quorum.approval_quorum} approvals needed`}
+            {quorum.rejection_quorum > 1 && ` · ${quorum.rejection_quorum} rejections to reject`}
+          </p>
+        </div>
+        <div className="flex rounded-lg border border-slate-200 bg-white p-1 text-sm">
+          {[["all", `All pending (${projects.length})`], ["mine", `Assigned to me (${assignedToMe.length})`]].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setQueueFilter(key)}
+              className={`rounded-md px-3 py-1.5 font-medium ${
+                queueFilter === key ? "bg-blue-600 text-white" : "text-slate-600 hover:bg-slate-50"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
 
-      {projects.length === 0 ? (
+      {notice && (
+        <div className="rounded-lg bg-blue-50 border border-blue-200 px-4 py-3 text-sm text-blue-800">
+          {notice}
+        </div>
+      )}
+
+      {visibleProjects.length === 0 && queueFilter === "mine" ? (
+        <div className="text-center py-12 bg-slate-50 rounded-xl border border-slate-200 text-slate-600">
+          No pending projects are assigned to you.
+        </div>
+      ) : visibleProjects.length === 0 ? (
         <div className="text-center py-12 bg-green-50 rounded-xl border border-green-200">
           <svg className="mx-auto h-12 w-12 text-green-500 mb-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -105,11 +242,18 @@ const ProjectApprovalView = () => {
         </div>
       ) : (
         <div className="grid gap-4">
-          {projects.map((project) => (
+          {visibleProjects.map((project) => (
             <div key={project.id} className="bg-white rounded-xl border border-slate-200 p-5 shadow-sm">
               <div className="flex items-start justify-between">
                 <div className="flex-1">
-                  <h3 className="font-semibold text-lg text-slate-800">{project.title}</h3>
+                  <div className="flex items-center gap-2">
+                    <h3 className="font-semibold text-lg text-slate-800">{project.title}</h3>
+                    {project.my_vote && (
+                      <span className={`rounded px-2 py-0.5 text-xs font-medium ${VOTES[project.my_vote].className}`}>
+                        Your vote: {VOTES[project.my_vote].text}
+                      </span>
+                    )}
+                  </div>
                   <p className="text-slate-600 mt-1 text-sm line-clamp-2">{project.description}</p>
                   
                   <div className="flex flex-wrap gap-2 mt-3">
@@ -129,6 +273,61 @@ const ProjectApprovalView = () => {
                       </span>
                     )}
                   </div>
+
+                  {/* Votes this round and assigned reviewers */}
+                  <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+                    <span className="font-medium text-slate-600">
+                      Approvals {project.tally.approvals}/{quorum.approval_quorum}
+                    </span>
+                    {project.votes.map((vote) => (
+                      <span key={vote.reviewer_id} className={`rounded px-2 py-0.5 ${VOTES[vote.vote].className}`}>
+                        {vote.reviewer_name}: {VOTES[vote.vote].text}
+                      </span>
+                    ))}
+                  </div>
+                  <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                    <span className="text-slate-500">Reviewers:</span>
+                    {project.reviewers.length === 0 && <span className="text-slate-400">None assigned</span>}
+                    {project.reviewers.map((reviewer) => (
+                      <span key={reviewer.reviewer_id} className="inline-flex items-center gap-1 rounded bg-slate-100 px-2 py-0.5 text-slate-700">
+                        {reviewer.reviewer_name}
+                        <button
+                          onClick={() => handleUnassign(project.id, reviewer.reviewer_id)}
+                          className="text-slate-400 hover:text-red-600"
+                          title="Remove reviewer"
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && handleAssign(project.id, Number(e.target.value))}
+                      className="rounded border border-slate-300 px-2 py-0.5 text-xs text-slate-600"
+                    >
+                      <option value="">Assign reviewer...</option>
+                      {reviewers
+                        .filter((r) => !project.reviewers.some((assigned) => assigned.reviewer_id === r.id))
+                        .map((r) => (
+                          <option key={r.id} value={r.id}>{r.name}</option>
+                        ))}
+                    </select>
+                    {!project.assigned_to_me && (
+                      <button
+                        onClick={() => handleAssign(project.id)}
+                        className="font-medium text-blue-600 hover:text-blue-800"
+                      >
+                        Assign me
+                      </button>
+                    )}
+                  </div>
+
+                  <button
+                    onClick={() => toggleThread(project.id)}
+                    className="mt-3 text-xs font-medium text-blue-600 hover:text-blue-800"
+                  >
+                    {threadProjectId === project.id ? "Hide conversation" : "Conversation with client"}
+                  </button>
                 </div>
 
                 <div className="flex gap-2 ml-4">
@@ -146,6 +345,16 @@ const ProjectApprovalView = () => {
                     )}
                     Approve
                   </button>
+                  <button
+                    onClick={() => openChangesModal(project)}
+                    disabled={processing === project.id}
+                    className="flex items-center gap-1 px-4 py-2 bg-orange-500 text-white rounded-lg font-medium text-sm hover:bg-orange-600 transition disabled:opacity-50"
+                  >
+                    <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                    </svg>
+                    Request Changes
+                  </button>
                   <button
                     onClick={() => openRejectModal(project)}
                     disabled={processing === project.id}
@@ -158,6 +367,41 @@ const ProjectApprovalView = () => {
                   </button>
                 </div>
               </div>
+              {threadProjectId === project.id && (
+                <div className="mt-4">
+                  <ReviewThread projectId={project.id} viewerRole="instructor" />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {awaitingClient.length > 0 && (
+        <div className="space-y-3">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-800">Waiting on Client</h3>
+            <p className="text-sm text-slate-500">Changes requested; these return here when the client resubmits</p>
+          </div>
+          {awaitingClient.map((project) => (
+            <div key={project.id} className="bg-white rounded-xl border border-orange-200 p-4 shadow-sm">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <h4 className="font-semibold text-slate-800">{project.title}</h4>
+                  {project.client_name && <p className="text-xs text-slate-500">Client: {project.client_name}</p>}
+                </div>
+                <button
+                  onClick={() => toggleThread(project.id)}
+                  className="text-xs font-medium text-blue-600 hover:text-blue-800"
+                >
+                  {threadProjectId === project.id ? "Hide conversation" : "Conversation with client"}
+                </button>
+              </div>
+              {threadProjectId === project.id && (
+                <div className="mt-3">
+                  <ReviewThread projectId={project.id} viewerRole="instructor" />
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -168,9 +412,11 @@ const ProjectApprovalView = () => {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
             <div className="flex items-center gap-3 mb-4">
-              <div className={`p-2 rounded-lg ${feedbackModal.action === "reject" ? "bg-red-100" : "bg-green-100"}`}>
-                {feedbackModal.action === "reject" ? (
-                  <svg className="h-6 w-6 text-red-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <div className={`p-2 rounded-lg ${
+                feedbackModal.action === "reject" ? "bg-red-100" : feedbackModal.action === "changes" ? "bg-orange-100" : "bg-green-100"
+              }`}>
+                {feedbackModal.action !== "approve" ? (
+                  <svg className={`h-6 w-6 ${feedbackModal.action === "reject" ? "text-red-600" : "text-orange-600"}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
                   </svg>
                 ) : (
@@ -181,7 +427,7 @@ const ProjectApprovalView = () => {
               </div>
               <div>
                 <h3 className="text-lg font-semibold text-slate-800">
-                  {feedbackModal.action === "reject" ? "Reject Project" : "Approve Project"}
+                  {ACTIONS[feedbackModal.action].title}
                 </h3>
                 <p className="text-sm text-slate-600">
                   {feedbackModal.projectTitle}
@@ -192,25 +438,23 @@ const ProjectApprovalView = () => {
             <div className="mb-4">
               <label className="block text-sm font-medium text-slate-700 mb-1">
                 Feedback for Client
-                {feedbackModal.action === "reject" && <span className="text-red-500 ml-1">*</span>}
+                {feedbackModal.action !== "approve" && <span className="text-red-500 ml-1">*</span>}
               </label>
               <textarea
                 value={feedback}
                 onChange={(e) => setFeedback(e.target.value)}
-                placeholder={feedbackModal.action === "reject" 
-                  ? "Explain why this project is being rejected and what changes are needed..." 
-                  : "Add any comments or suggestions for the client (optional)..."}
+                placeholder={ACTIONS[feedbackModal.action].placeholder}
                 className={`w-full h-32 p-3 border rounded-lg text-sm resize-none focus:ring-2 ${
                   feedbackModal.action === "reject" 
                     ? "border-slate-300 focus:ring-red-500 focus:border-red-500"
+                    : feedbackModal.action === "changes"
+                    ? "border-slate-300 focus:ring-orange-500 focus:border-orange-500"
                     : "border-slate-300 focus:ring-green-500 focus:border-green-500"
                 }`}
                 autoFocus
               />
               <p className="text-xs text-slate-500 mt-1">
-                {feedbackModal.action === "reject" 
-                  ? "This feedback will be visible to the client explaining the rejection."
-                  : "Optional feedback that will be visible to the client."}
+                {ACTIONS[feedbackModal.action].hint}
               </p>
             </div>
 
@@ -227,7 +471,15 @@ const ProjectApprovalView = () => {
                   disabled={!feedback.trim() || processing}
                   className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  {processing ? "Rejecting..." : "Reject Project"}
+                  {processing ? ACTIONS.reject.busy : ACTIONS.reject.submit}
+                </button>
+              ) : feedbackModal.action === "changes" ? (
+                <button
+                  onClick={handleRequestChanges}
+                  disabled={!feedback.trim() || processing}
+                  className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg font-medium hover:bg-orange-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {processing ? ACTIONS.changes.busy : ACTIONS.changes.submit}
                 </button>
               ) : (
                 <button
@@ -235,7 +487,7 @@ const ProjectApprovalView = () => {
                   disabled={processing}
                   className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg font-medium hover:bg-green-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  {processing ? "Approving..." : "Approve Project"}
+                  {processing ? ACTIONS.approve.busy : ACTIONS.approve.submit}
                 </button>
               )}
             </div>
@@ -1,7 +1,10 @@
 // src/pages/InstructorDashboard/ProjectDetailsView.jsx
 import React, { useEffect, useState } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
-import { apiCall } from "../utils/apiHelper";
+import { apiCall, approveProjectRevision } from "../utils/apiHelper";
+import ProjectInterestList from "../components/ui/ProjectInterestList";
+import ProjectRevisionHistory from "../components/ui/ProjectRevisionHistory";
+import ProjectAttachments from "../components/ui/ProjectAttachments";
 
 export default function ProjectDetailsView() {
   const location = useLocation();
@@ -15,6 +18,7 @@ export default function ProjectDetailsView() {
   const [loading, setLoading] = useState(true);
   const [feedback, setFeedback] = useState("");
   const [message, setMessage] = useState("");
+  const [revisionsKey, setRevisionsKey] = useState(0);
 
   useEffect(() => {
     const fetchProject = async () => {
@@ -87,8 +91,9 @@ export default function ProjectDetailsView() {
         }),
       });
       
-      setMessage(`✅ Project ${newStatus} successfully!`);
-      setProject((prev) => ({ ...prev, approval_status: newStatus, instructor_feedback: feedback }));
+      // With a review quorum the project may still be pending after this vote
+      setMessage(`✅ ${res.message || `Project ${newStatus} successfully!`}`);
+      setProject((prev) => ({ ...prev, approval_status: res.data?.approval_status || newStatus, instructor_feedback: feedback }));
       
       // Redirect back to projects list after 2 seconds
       setTimeout(() => {
@@ -100,6 +105,23 @@ export default function ProjectDetailsView() {
     }
   };
 
+  // Approve the proposal as it stood at a given revision
+  const handleApproveRevision = async (revision) => {
+    try {
+      const res = await approveProjectRevision(id, revision, feedback);
+      setMessage(`✅ ${res.data?.approval_status === "approved" ? `Revision ${revision} approved successfully!` : res.message}`);
+      setProject((prev) => ({ ...prev, approval_status: res.data?.approval_status || "approved", instructor_feedback: feedback }));
+      setRevisionsKey((key) => key + 1);
+
+      setTimeout(() => {
+        navigate("/instructor-dashboard/projects");
+      }, 2000);
+    } catch (err) {
+      console.error("Error approving revision:", err);
+      setMessage(`❌ ${err.message || "Failed to approve revision."}`);
+    }
+  };
+
   // Helper to get approval status display
   const getApprovalStatusDisplay = () => {
     const status = project.approval_status || "pending";
@@ -314,6 +336,30 @@ export default function ProjectDetailsView() {
         )}
       </div>
 
+      {/* Interested students, with their statements of interest */}
+      {project.approval_status === "approved" && (
+        <div>
+          <p className="text-xs font-medium text-slate-500 mb-2">Interested Students</p>
+          <ProjectInterestList projectId={project.id} canModerate />
+        </div>
+      )}
+
+      {/* Proposal documents from the client and the team's deliverables */}
+      <div>
+        <p className="text-xs font-medium text-slate-500 mb-2">Attachments</p>
+        <ProjectAttachments projectId={project.id} />
+      </div>
+
+      {/* Every version of the proposal, with what changed since the last review */}
+      <div>
+        <p className="text-xs font-medium text-slate-500 mb-2">Revision History</p>
+        <ProjectRevisionHistory
+          projectId={project.id}
+          onApproveRevision={isPending ? handleApproveRevision : undefined}
+          refreshKey={revisionsKey}
+        />
+      </div>
+
       {/* Actions for pending projects */}
       {isPending && (
         <>
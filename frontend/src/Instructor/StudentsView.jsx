@@ -1,10 +1,25 @@
 import React, { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { getInstructorStudents, apiCall } from "../utils/apiHelper";
+import {
+  getInstructorStudents,
+  apiCall,
+  grantDeadlineExtension,
+  revokeDeadlineExtension,
+} from "../utils/apiHelper";
+
+// Format a stored date for a datetime-local input (local time, no seconds)
+const toDateTimeLocal = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
 
 /**
  * Instructor → Students Page
  * Displays all students with search + add student button.
+ * Instructors can grant a student more time to submit preferences from the
+ * student details modal.
  */
 export default function StudentsView({ instructorId }) {
   const navigate = useNavigate();
@@ -18,6 +33,12 @@ export default function StudentsView({ instructorId }) {
   const [studentDetails, setStudentDetails] = useState(null);
   const [loadingDetails, setLoadingDetails] = useState(false);
 
+  // Deadline extension form
+  const [extensionUntil, setExtensionUntil] = useState("");
+  const [extensionReason, setExtensionReason] = useState("");
+  const [savingExtension, setSavingExtension] = useState(false);
+  const [extensionError, setExtensionError] = useState("");
+
   useEffect(() => {
     const fetchStudents = async () => {
       if (!instructorId) {
@@ -65,6 +86,9 @@ export default function StudentsView({ instructorId }) {
   // Fetch student details when modal opens
   const handleViewStudent = async (student) => {
     setSelectedStudent(student);
+    setExtensionUntil(toDateTimeLocal(student.extended_until));
+    setExtensionReason(student.extension_reason || "");
+    setExtensionError("");
     setLoadingDetails(true);
     
     try {
@@ -91,6 +115,42 @@ export default function StudentsView({ instructorId }) {
     setStudentDetails(null);
   };
 
+  // Apply an extension change to the table and the open modal
+  const updateStudentExtension = (studentId, extendedUntil, reason) => {
+    const update = (s) =>
+      s.id === studentId ? { ...s, extended_until: extendedUntil, extension_reason: reason } : s;
+    setStudents((prev) => prev.map(update));
+    setSelectedStudent((prev) => (prev ? update(prev) : prev));
+  };
+
+  const handleGrantExtension = async () => {
+    setSavingExtension(true);
+    setExtensionError("");
+    try {
+      const res = await grantDeadlineExtension(selectedStudent.id, `${extensionUntil}:00`, extensionReason);
+      updateStudentExtension(selectedStudent.id, res.data.extended_until, res.data.reason);
+    } catch (err) {
+      setExtensionError(err.message || "Failed to grant extension");
+    } finally {
+      setSavingExtension(false);
+    }
+  };
+
+  const handleRevokeExtension = async () => {
+    setSavingExtension(true);
+    setExtensionError("");
+    try {
+      await revokeDeadlineExtension(selectedStudent.id);
+      updateStudentExtension(selectedStudent.id, null, null);
+      setExtensionUntil("");
+      setExtensionReason("");
+    } catch (err) {
+      setExtensionError(err.message || "Failed to revoke extension");
+    } finally {
+      setSavingExtension(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -180,6 +240,11 @@ export default function StudentsView({ instructorId }) {
                     >
                       {student.status}
                     </span>
+                    {student.extended_until && (
+                      <span className="ml-2 px-2 py-1 rounded-full text-xs font-semibold bg-blue-100 text-blue-700">
+                        Extended to {new Date(student.extended_until).toLocaleDateString()}
+                      </span>
+                    )}
                   </td>
                   <td className="px-6 py-3 text-center">
                     <button
@@ -254,6 +319,55 @@ export default function StudentsView({ instructorId }) {
                 </div>
               </div>
 
+              {/* Deadline Extension */}
+              <div className="border-t border-slate-200 pt-4 space-y-3">
+                <div>
+                  <h4 className="font-medium text-slate-700">Preference Deadline Extension</h4>
+                  <p className="text-xs text-slate-500">
+                    {selectedStudent.extended_until
+                      ? `Extended to ${new Date(selectedStudent.extended_until).toLocaleString()}`
+                      : "This student has the course deadline"}
+                  </p>
+                </div>
+                {extensionError && (
+                  <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+                    {extensionError}
+                  </div>
+                )}
+                <input
+                  type="datetime-local"
+                  value={extensionUntil}
+                  onChange={(e) => setExtensionUntil(e.target.value)}
+                  className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-blue-500 focus:outline-none"
+                />
+                <input
+                  type="text"
+                  value={extensionReason}
+                  onChange={(e) => setExtensionReason(e.target.value)}
+                  maxLength={255}
+                  placeholder="Reason (optional)"
+                  className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-blue-500 focus:outline-none"
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleGrantExtension}
+                    disabled={savingExtension || !extensionUntil}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                  >
+                    {selectedStudent.extended_until ? "Update Extension" : "Grant Extension"}
+                  </button>
+                  {selectedStudent.extended_until && (
+                    <button
+                      onClick={handleRevokeExtension}
+                      disabled={savingExtension}
+                      className="px-4 py-2 text-sm font-medium text-red-600 bg-white border border-red-200 rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </div>
+              </div>
+
               {/* Loading State */}
               {loadingDetails && (
                 <div className="text-center py-4">
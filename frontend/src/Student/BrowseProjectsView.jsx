@@ -1,24 +1,118 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import ProjectCard from "../components/ui/ProjectCard";
+import { searchProjects } from "../utils/apiHelper";
+
+// Filters shown in the sidebar, by search parameter, in display order
+const FACETS = [
+  { key: "category", label: "Category" },
+  { key: "complexity_level", label: "Complexity" },
+  { key: "industry", label: "Industry" },
+  { key: "project_location", label: "Location" },
+  { key: "team_size", label: "Team Size", format: (value) => `${value} students` },
+  { key: "skills", label: "Skills" },
+];
+
+const SORTS = [
+  { value: "relevance", label: "Best match" },
+  { value: "newest", label: "Newest" },
+  { value: "title", label: "Title (A-Z)" },
+];
 
 /**
  * BrowseProjectsView Component
- * Displays all available projects with detailed view modal
+ * Searches the available projects by keyword, with filters and facet counts,
+ * a page at a time, and shows each in a detailed view modal.
+ * The keywords, filters, sort and page live in the URL (?q=&category=...), so a
+ * search survives a reload and can be shared.
  * Students can view project details and select preferences
  *
- * @param {array} projects - Array of available project objects
  * @param {array} selectedProjects - Array of selected project IDs
  * @param {function} onSelectProject - Callback when project is selected/deselected
- * @param {boolean} loading - Loading state
+ * @param {number} maxPreferences - Most projects the student may select
  */
 export default function BrowseProjectsView({
-  projects = [],
   selectedProjects = [],
   onSelectProject,
-  loading,
+  maxPreferences = 3,
 }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [keyword, setKeyword] = useState(searchParams.get("q") || "");
+  const [projects, setProjects] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [facets, setFacets] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
   const [viewingProject, setViewingProject] = useState(null);
 
+  const queryString = searchParams.toString();
+
+  useEffect(() => {
+    let ignore = false;
+    setLoading(true);
+    setError("");
+    searchProjects(queryString)
+      .then((res) => {
+        if (ignore) return;
+        setProjects(res.data || []);
+        setPagination(res.pagination || null);
+        setFacets(res.facets || {});
+      })
+      .catch((err) => {
+        if (!ignore) setError(err.message || "Failed to search projects");
+      })
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [queryString]);
+
+  // Search as the student types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearchParams((prev) => {
+        const q = keyword.trim();
+        if ((prev.get("q") || "") === q) return prev;
+        const next = new URLSearchParams(prev);
+        if (q) next.set("q", q);
+        else next.delete("q");
+        next.delete("page");
+        return next;
+      }, { replace: true });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [keyword, setSearchParams]);
+
+  // Any change to the search, other than turning the page, goes back to its first page
+  const updateParams = (change, { keepPage = false } = {}) => {
+    const next = new URLSearchParams(searchParams);
+    change(next);
+    if (!keepPage) next.delete("page");
+    setSearchParams(next);
+  };
+
+  const toggleFilter = (key, value) =>
+    updateParams((next) => {
+      const values = next.getAll(key);
+      next.delete(key);
+      (values.includes(value) ? values.filter((v) => v !== value) : [...values, value])
+        .forEach((v) => next.append(key, v));
+    });
+
+  const clearFilters = () => {
+    setKeyword("");
+    setSearchParams(new URLSearchParams());
+  };
+
+  const goToPage = (page) => updateParams((next) => next.set("page", String(page)), { keepPage: true });
+
+  const activeFilters = FACETS.flatMap(({ key, label, format }) =>
+    searchParams.getAll(key).map((value) => ({ key, value, text: `${label}: ${format ? format(value) : value}` }))
+  );
+  const hasSearch = activeFilters.length > 0 || !!searchParams.get("q");
+
   const handleSelectProject = (projectId) => {
     onSelectProject(projectId);
   };
@@ -46,7 +140,7 @@ export default function BrowseProjectsView({
           </h2>
         </div>
         <p className="mt-1 text-sm text-slate-500">
-          Click on projects to view details and select your top 3 preferences
+          Click on projects to view details and select up to {maxPreferences} preferences
         </p>
       </div>
 
@@ -55,154 +149,230 @@ export default function BrowseProjectsView({
         <div className="rounded-lg bg-blue-50 border border-blue-200 p-4">
           <p className="text-sm text-blue-800">
             <span className="font-semibold">{selectedProjects.length}</span> of{" "}
-            <span className="font-semibold">3</span> preferences selected
+            <span className="font-semibold">{maxPreferences}</span> preferences selected
           </p>
           <div className="mt-2 w-full bg-blue-200 rounded-full h-2">
             <div
               className="bg-blue-600 h-2 rounded-full transition-all duration-300"
               style={{
-                width: `${(selectedProjects.length / 3) * 100}%`,
+                width: `${(selectedProjects.length / maxPreferences) * 100}%`,
               }}
             />
           </div>
         </div>
       )}
 
-      {/* Loading State */}
-      {loading ? (
-        <div className="text-center py-12">
-          <div className="inline-flex items-center gap-2">
-            <div className="h-4 w-4 rounded-full border-2 border-blue-300 border-t-blue-600 animate-spin" />
-            <p className="text-slate-500">Loading projects...</p>
-          </div>
-        </div>
-      ) : projects.length === 0 ? (
-        /* Empty State */
-        <div className="rounded-lg border border-dashed border-slate-300 bg-slate-50 p-12 text-center">
-          <svg
-            className="mx-auto h-12 w-12 text-slate-400 mb-4"
-            viewBox="0 0 24 24"
-            fill="none"
-            stroke="currentColor"
-            strokeWidth="2"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"
-            />
-          </svg>
-          <h4 className="text-lg font-semibold text-slate-700 mb-2">
-            No projects available yet
-          </h4>
-          <p className="text-slate-600">
-            Projects will appear here once they're posted by clients
-          </p>
-        </div>
-      ) : (
-        /* Projects Grid */
-        <div className="grid grid-cols-1 gap-4 md:grid-cols-2 lg:grid-cols-3">
-          {projects.map((project) => (
-            <div key={project.id} className="relative">
-              {/* Selected Rank Badge */}
-              {selectedProjects.includes(project.id) && (
-                <div className="absolute top-2 right-2 z-10 flex h-8 w-8 items-center justify-center rounded-full bg-blue-600 text-white text-sm font-bold shadow-lg">
-                  {selectedProjects.indexOf(project.id) + 1}
-                </div>
-              )}
+      {/* Search */}
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
+        <input
+          type="search"
+          value={keyword}
+          onChange={(e) => setKeyword(e.target.value)}
+          placeholder="Search projects by title, description or skill..."
+          className="flex-1 rounded-lg border border-slate-300 px-4 py-2.5 text-sm outline-none transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+        />
+        <select
+          value={searchParams.get("sort") || (searchParams.get("q") ? "relevance" : "newest")}
+          onChange={(e) => updateParams((next) => next.set("sort", e.target.value))}
+          className="rounded-lg border border-slate-300 px-3 py-2.5 text-sm focus:ring-2 focus:ring-blue-500"
+        >
+          {SORTS.map((sort) => (
+            <option
+              key={sort.value}
+              value={sort.value}
+              disabled={sort.value === "relevance" && !searchParams.get("q")}
+            >
+              {sort.label}
+            </option>
+          ))}
+        </select>
+      </div>
 
-              {/* Project Card with View Details Button */}
-              <div
-                className={`rounded-lg border-2 p-4 transition cursor-pointer ${
-                  selectedProjects.includes(project.id)
-                    ? "border-blue-500 bg-blue-50 shadow-md"
-                    : "border-slate-200 bg-white hover:border-blue-300 hover:shadow-sm"
-                }`}
-              >
-                <div className="mb-2 flex items-start justify-between gap-2">
-                  <h4 className="font-semibold text-slate-800 text-sm line-clamp-2">
-                    {project.title}
-                  </h4>
-                </div>
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-4">
+        {/* Filters, with how many projects each value would show */}
+        <aside className="space-y-5 lg:col-span-1">
+          {FACETS.map(({ key, label, format }) => {
+            const selected = searchParams.getAll(key);
+            const values = [
+              ...(facets[key] || []),
+              ...selected
+                .filter((value) => !(facets[key] || []).some((facet) => facet.value === value))
+                .map((value) => ({ value, count: 0 })),
+            ];
+            if (values.length === 0) return null;
+            return (
+              <div key={key}>
+                <p className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-500">{label}</p>
+                <ul className="space-y-1">
+                  {values.map((facet) => (
+                    <li key={facet.value}>
+                      <label className="flex cursor-pointer items-center gap-2 text-sm text-slate-700">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(facet.value)}
+                          onChange={() => toggleFilter(key, facet.value)}
+                          className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        <span className="flex-1 truncate">{format ? format(facet.value) : facet.value}</span>
+                        <span className="text-xs text-slate-400">{facet.count}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </aside>
 
-                <p className="text-xs text-slate-600 line-clamp-2 mb-2">
-                  {project.description}
-                </p>
+        {/* Results */}
+        <div className="space-y-4 lg:col-span-3">
+          {hasSearch && (
+            <div className="flex flex-wrap items-center gap-2">
+              {activeFilters.map((filter) => (
+                <button
+                  key={`${filter.key}-${filter.value}`}
+                  onClick={() => toggleFilter(filter.key, filter.value)}
+                  className="inline-flex items-center gap-1 rounded-full bg-blue-100 px-3 py-1 text-xs font-medium text-blue-700 hover:bg-blue-200"
+                >
+                  {filter.text}
+                  <span aria-hidden="true">×</span>
+                </button>
+              ))}
+              <button onClick={clearFilters} className="text-xs font-medium text-slate-600 hover:underline">
+                Clear all
+              </button>
+            </div>
+          )}
 
-                {/* Meta Tags */}
-                <div className="flex gap-2 mb-3 flex-wrap">
-                  {project.category && (
-                    <span className="inline-block bg-blue-100 text-blue-700 px-2 py-1 rounded text-xs font-medium">
-                      {project.category}
-                    </span>
-                  )}
-                  {project.complexity_level && (
-                    <span className="inline-block bg-purple-100 text-purple-700 px-2 py-1 rounded text-xs font-medium">
-                      {project.complexity_level}
-                    </span>
-                  )}
-                </div>
+          {pagination && !loading && (
+            <p className="text-sm text-slate-500">
+              {pagination.total} project{pagination.total !== 1 ? "s" : ""}
+              {hasSearch ? " match your search" : " available"}
+            </p>
+          )}
 
-                {/* Skills Preview */}
-                {project.skills_required && (
-                  <p className="text-xs text-slate-500 mb-3 line-clamp-1">
-                    <span className="font-medium">Skills:</span>{" "}
-                    {(() => {
-                      if (Array.isArray(project.skills_required)) {
-                        return project.skills_required.join(', ');
-                      } else if (typeof project.skills_required === 'string') {
-                        try {
-                          const parsed = JSON.parse(project.skills_required);
-                          return Array.isArray(parsed) ? parsed.join(', ') : project.skills_required;
-                        } catch {
-                          return project.skills_required;
-                        }
-                      }
-                      return '';
-                    })()}
+          {error && (
+            <div className="rounded-lg border border-red-200 bg-red-50 p-3">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-center py-12">
+              <div className="inline-flex items-center gap-2">
+                <div className="h-4 w-4 rounded-full border-2 border-blue-300 border-t-blue-600 animate-spin" />
+                <p className="text-slate-500">Loading projects...</p>
+              </div>
+            </div>
+          ) : projects.length === 0 ? (
+            /* Empty State */
+            <div className="rounded-lg border border-dashed border-slate-300 bg-slate-50 p-12 text-center">
+              <svg
+                className="mx-auto h-12 w-12 text-slate-400 mb-4"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"
+                />
+              </svg>
+              {hasSearch ? (
+                <>
+                  <h4 className="text-lg font-semibold text-slate-700 mb-2">
+                    No projects match your search
+                  </h4>
+                  <p className="text-slate-600">
+                    Try other keywords or{" "}
+                    <button onClick={clearFilters} className="font-medium text-blue-600 hover:underline">
+                      clear the filters
+                    </button>
                   </p>
-                )}
+                </>
+              ) : (
+                <>
+                  <h4 className="text-lg font-semibold text-slate-700 mb-2">
+                    No projects available yet
+                  </h4>
+                  <p className="text-slate-600">
+                    Projects will appear here once they're posted by clients
+                  </p>
+                </>
+              )}
+            </div>
+          ) : (
+            /* Projects Grid */
+            <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-3">
+              {projects.map((project) => (
+                <div key={project.id} className="relative">
+                  {/* Selected Rank Badge */}
+                  {selectedProjects.includes(project.id) && (
+                    <div className="absolute top-2 right-2 z-10 flex h-8 w-8 items-center justify-center rounded-full bg-blue-600 text-white text-sm font-bold shadow-lg">
+                      {selectedProjects.indexOf(project.id) + 1}
+                    </div>
+                  )}
 
-                {/* Action Buttons */}
-                <div className="flex gap-2">
-                  <button
-                    onClick={() => setViewingProject(project)}
-                    className="flex-1 flex items-center justify-center gap-1.5 rounded-md border border-blue-300 bg-blue-50 px-3 py-2 text-xs font-medium text-blue-700 transition hover:bg-blue-100"
-                  >
-                    <svg
-                      className="h-4 w-4"
-                      viewBox="0 0 24 24"
-                      fill="none"
-                      stroke="currentColor"
-                      strokeWidth="2"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
-                      />
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"
-                      />
-                    </svg>
-                    View Details
-                  </button>
-                  <button
-                    onClick={() => handleSelectProject(project.id)}
-                    className={`flex-1 flex items-center justify-center gap-1.5 rounded-md px-3 py-2 text-xs font-medium transition ${
+                  {/* Project Card with View Details Button */}
+                  <div
+                    className={`rounded-lg border-2 p-4 transition cursor-pointer ${
                       selectedProjects.includes(project.id)
-                        ? "border border-blue-500 bg-blue-600 text-white hover:bg-blue-700"
-                        : "border border-slate-300 bg-white text-slate-700 hover:bg-slate-50"
+                        ? "border-blue-500 bg-blue-50 shadow-md"
+                        : "border-slate-200 bg-white hover:border-blue-300 hover:shadow-sm"
                     }`}
-                    disabled={
-                      selectedProjects.length >= 3 &&
-                      !selectedProjects.includes(project.id)
-                    }
                   >
-                    {selectedProjects.includes(project.id) ? (
-                      <>
+                    <div className="mb-2 flex items-start justify-between gap-2">
+                      <h4 className="font-semibold text-slate-800 text-sm line-clamp-2">
+                        {project.title}
+                      </h4>
+                    </div>
+
+                    <p className="text-xs text-slate-600 line-clamp-2 mb-2">
+                      {project.description}
+                    </p>
+
+                    {/* Meta Tags */}
+                    <div className="flex gap-2 mb-3 flex-wrap">
+                      {project.category && (
+                        <span className="inline-block bg-blue-100 text-blue-700 px-2 py-1 rounded text-xs font-medium">
+                          {project.category}
+                        </span>
+                      )}
+                      {project.complexity_level && (
+                        <span className="inline-block bg-purple-100 text-purple-700 px-2 py-1 rounded text-xs font-medium">
+                          {project.complexity_level}
+                        </span>
+                      )}
+                    </div>
+
+                    {/* Skills Preview */}
+                    {project.skills_required && (
+                      <p className="text-xs text-slate-500 mb-3 line-clamp-1">
+                        <span className="font-medium">Skills:</span>{" "}
+                        {(() => {
+                          if (Array.isArray(project.skills_required)) {
+                            return project.skills_required.join(', ');
+                          } else if (typeof project.skills_required === 'string') {
+                            try {
+                              const parsed = JSON.parse(project.skills_required);
+                              return Array.isArray(parsed) ? parsed.join(', ') : project.skills_required;
+                            } catch {
+                              return project.skills_required;
+                            }
+                          }
+                          return '';
+                        })()}
+                      </p>
+                    )}
+
+                    {/* Action Buttons */}
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setViewingProject(project)}
+                        className="flex-1 flex items-center justify-center gap-1.5 rounded-md border border-blue-300 bg-blue-50 px-3 py-2 text-xs font-medium text-blue-700 transition hover:bg-blue-100"
+                      >
                         <svg
                           className="h-4 w-4"
                           viewBox="0 0 24 24"
@@ -213,36 +383,95 @@ export default function BrowseProjectsView({
                           <path
                             strokeLinecap="round"
                             strokeLinejoin="round"
-                            d="M5 13l4 4L19 7"
+                            d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
                           />
-                        </svg>
-                        Selected
-                      </>
-                    ) : (
-                      <>
-                        <svg
-                          className="h-4 w-4"
-                          viewBox="0 0 24 24"
-                          fill="none"
-                          stroke="currentColor"
-                          strokeWidth="2"
-                        >
                           <path
                             strokeLinecap="round"
                             strokeLinejoin="round"
-                            d="M12 4v16m8-8H4"
+                            d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"
                           />
                         </svg>
-                        Select
-                      </>
-                    )}
-                  </button>
+                        View Details
+                      </button>
+                      <button
+                        onClick={() => handleSelectProject(project.id)}
+                        className={`flex-1 flex items-center justify-center gap-1.5 rounded-md px-3 py-2 text-xs font-medium transition ${
+                          selectedProjects.includes(project.id)
+                            ? "border border-blue-500 bg-blue-600 text-white hover:bg-blue-700"
+                            : "border border-slate-300 bg-white text-slate-700 hover:bg-slate-50"
+                        }`}
+                        disabled={
+                          selectedProjects.length >= maxPreferences &&
+                          !selectedProjects.includes(project.id)
+                        }
+                      >
+                        {selectedProjects.includes(project.id) ? (
+                          <>
+                            <svg
+                              className="h-4 w-4"
+                              viewBox="0 0 24 24"
+                              fill="none"
+                              stroke="currentColor"
+                              strokeWidth="2"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                d="M5 13l4 4L19 7"
+                              />
+                            </svg>
+                            Selected
+                          </>
+                        ) : (
+                          <>
+                            <svg
+                              className="h-4 w-4"
+                              viewBox="0 0 24 24"
+                              fill="none"
+                              stroke="currentColor"
+                              strokeWidth="2"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                d="M12 4v16m8-8H4"
+                              />
+                            </svg>
+                            Select
+                          </>
+                        )}
+                      </button>
+                    </div>
+                  </div>
                 </div>
-              </div>
+              ))}
             </div>
-          ))}
+          )}
+
+          {/* Pagination */}
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-3 pt-2">
+              <button
+                onClick={() => goToPage(pagination.page - 1)}
+                disabled={loading || pagination.page <= 1}
+                className="rounded-lg border border-slate-300 px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-slate-600">
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => goToPage(pagination.page + 1)}
+                disabled={loading || pagination.page >= pagination.totalPages}
+                className="rounded-lg border border-slate-300 px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
-      )}
+      </div>
 
       {/* Project Details Modal */}
       {viewingProject && (
@@ -526,7 +755,7 @@ export default function BrowseProjectsView({
                 }}
                 disabled={
                   selectedProjects.includes(viewingProject.id) ||
-                  selectedProjects.length >= 3
+                  selectedProjects.length >= maxPreferences
                 }
                 className="px-6 py-2.5 rounded-lg bg-blue-600 font-semibold text-white transition hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
               >
@@ -1,10 +1,13 @@
 import { useEffect } from "react";
+import PreTeamPanel from "./PreTeamPanel";
+import ProjectAttachments from "../components/ui/ProjectAttachments";
 
 /**
  * GroupView Component
- * Displays assigned project group information for the student
+ * Displays assigned project group information for the student.
+ * Before assignment, lets the student form a pre-team with classmates.
  */
-export default function GroupView({ assignedGroup = null, groupMembers = [], loading = false }) {
+export default function GroupView({ assignedGroup = null, groupMembers = [], loading = false, studentId = null, projects = [], maxPreferences = 3 }) {
   // Debug logging
   useEffect(() => {
     console.log("GroupView received:", { assignedGroup, groupMembers, loading });
@@ -51,6 +54,8 @@ export default function GroupView({ assignedGroup = null, groupMembers = [], loa
             Check back soon!
           </div>
         </div>
+
+        {studentId && <PreTeamPanel studentId={studentId} projects={projects} maxPreferences={maxPreferences} />}
       </div>
     );
   }
@@ -253,6 +258,22 @@ export default function GroupView({ assignedGroup = null, groupMembers = [], loa
         </section>
       )}
 
+      {/* Project files: the client's documents and the team's deliverables */}
+      {assignedGroup.project_id && (
+        <section className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+          <div className="flex items-center gap-2 mb-4">
+            <svg className="h-5 w-5 text-blue-600" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+            </svg>
+            <h3 className="text-base font-semibold text-slate-800">Project Files</h3>
+          </div>
+          <p className="text-sm text-slate-500 mb-3">
+            Documents from your client, and your team's deliverables
+          </p>
+          <ProjectAttachments projectId={assignedGroup.project_id} />
+        </section>
+      )}
+
       {/* Next Steps */}
       <section className="rounded-xl border border-blue-200 bg-blue-50 p-6">
         <div className="flex items-start gap-3">
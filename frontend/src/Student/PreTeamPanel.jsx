@@ -0,0 +1,285 @@
+import React, { useEffect, useState } from "react";
+import {
+  getPreTeam,
+  createPreTeam,
+  invitePreTeamMember,
+  respondToPreTeamInvitation,
+  leavePreTeam,
+  submitPreTeamPreferences,
+} from "../utils/apiHelper";
+
+const STATUS_STYLES = {
+  accepted: "bg-green-100 text-green-700",
+  invited: "bg-amber-100 text-amber-700",
+  declined: "bg-slate-100 text-slate-500",
+};
+
+/**
+ * Student → Pre-Team
+ * Lets students form a team with classmates before group formation runs.
+ * Accepted members are placed together, using the team's joint preferences.
+ */
+export default function PreTeamPanel({ studentId, projects = [], maxPreferences = 3 }) {
+  const [team, setTeam] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [teamName, setTeamName] = useState("");
+  const [inviteEmails, setInviteEmails] = useState("");
+  const [newInvite, setNewInvite] = useState("");
+  const [choices, setChoices] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!studentId) return;
+    getPreTeam(studentId)
+      .then((res) => {
+        setTeam(res.data?.team || null);
+        setInvitations(res.data?.invitations || []);
+        setChoices((res.data?.team?.preferences || []).map((p) => String(p.project_id)));
+      })
+      .catch((err) => console.error("Error fetching pre-team:", err))
+      .finally(() => setLoading(false));
+  }, [studentId, reloadKey]);
+
+  // Runs an action, shows its outcome, and reloads the pre-team
+  const runAction = async (action, successMessage) => {
+    try {
+      setBusy(true);
+      setError("");
+      setMessage("");
+      await action();
+      setMessage(successMessage);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const emails = inviteEmails.split(/[\s,;]+/).filter(Boolean);
+    runAction(async () => {
+      await createPreTeam(studentId, { name: teamName.trim() || null, invite_emails: emails });
+      setTeamName("");
+      setInviteEmails("");
+    }, "Pre-team created. Your classmates can accept the invitation from their My Group page.");
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    if (!newInvite.trim()) return;
+    runAction(async () => {
+      await invitePreTeamMember(studentId, newInvite.trim());
+      setNewInvite("");
+    }, "Invitation sent.");
+  };
+
+  const handleLeave = () => {
+    const prompt = team.is_creator
+      ? "This will disband the pre-team for everyone. Continue?"
+      : "Leave this pre-team?";
+    if (!window.confirm(prompt)) return;
+    runAction(() => leavePreTeam(studentId), team.is_creator ? "Pre-team disbanded." : "You left the pre-team.");
+  };
+
+  const handleChoiceChange = (index, value) => {
+    setChoices((prev) => {
+      const next = [...prev];
+      next[index] = value;
+      return next;
+    });
+  };
+
+  const handleSavePreferences = () => {
+    const picked = choices.filter(Boolean);
+    if (new Set(picked).size !== picked.length) {
+      setError("Each project can only be chosen once.");
+      return;
+    }
+    runAction(
+      () =>
+        submitPreTeamPreferences(
+          studentId,
+          picked.map((projectId, index) => ({ project_id: parseInt(projectId), preference_rank: index + 1 }))
+        ),
+      "Team preferences saved."
+    );
+  };
+
+  if (loading) return null;
+
+  const acceptedCount = team ? team.members.filter((m) => m.status === "accepted").length : 0;
+
+  return (
+    <section className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm space-y-4">
+      <div>
+        <h3 className="text-base font-semibold text-slate-800">Form a Team</h3>
+        <p className="text-sm text-slate-500">
+          Already have teammates in mind? Form a pre-team and you'll be placed on the same project, using your team's
+          joint preferences instead of your individual ones.
+        </p>
+      </div>
+
+      {error && (
+        <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">{error}</div>
+      )}
+      {message && (
+        <div className="rounded-lg bg-green-50 border border-green-200 p-3 text-sm text-green-700">{message}</div>
+      )}
+
+      {invitations.length > 0 && (
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold text-slate-700">Invitations</h4>
+          {invitations.map((inv) => (
+            <div
+              key={inv.pre_team_id}
+              className="flex items-center justify-between rounded-lg border border-blue-200 bg-blue-50 p-3 text-sm"
+            >
+              <div>
+                <span className="font-medium text-slate-800">{inv.name || `Pre-team #${inv.pre_team_id}`}</span>
+                <span className="text-slate-500">
+                  {" "}— invited by {inv.invited_by || "a classmate"} ({inv.accepted_count} member
+                  {inv.accepted_count !== 1 ? "s" : ""})
+                </span>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() =>
+                    runAction(
+                      () => respondToPreTeamInvitation(studentId, inv.pre_team_id, "accepted"),
+                      "You joined the pre-team."
+                    )
+                  }
+                  disabled={busy || Boolean(team)}
+                  title={team ? "Leave your current pre-team first" : undefined}
+                  className="rounded-lg bg-blue-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() =>
+                    runAction(
+                      () => respondToPreTeamInvitation(studentId, inv.pre_team_id, "declined"),
+                      "Invitation declined."
+                    )
+                  }
+                  disabled={busy}
+                  className="rounded-lg border border-slate-300 bg-white px-3 py-1.5 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                >
+                  Decline
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!team ? (
+        <form onSubmit={handleCreate} className="space-y-3">
+          <input
+            value={teamName}
+            onChange={(e) => setTeamName(e.target.value)}
+            placeholder="Team name (optional)"
+            className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm"
+          />
+          <textarea
+            value={inviteEmails}
+            onChange={(e) => setInviteEmails(e.target.value)}
+            placeholder="Classmates' emails, separated by commas"
+            rows={2}
+            className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busy ? "Creating..." : "Create Pre-Team"}
+          </button>
+        </form>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="font-semibold text-slate-800">{team.name || `Pre-team #${team.id}`}</p>
+              <p className="text-xs text-slate-500">
+                {acceptedCount} accepted member{acceptedCount !== 1 ? "s" : ""}
+              </p>
+            </div>
+            <button
+              onClick={handleLeave}
+              disabled={busy}
+              className="text-xs font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+            >
+              {team.is_creator ? "Disband" : "Leave"}
+            </button>
+          </div>
+
+          <ul className="divide-y divide-slate-100">
+            {team.members.map((m) => (
+              <li key={m.student_id} className="flex items-center justify-between py-2 text-sm">
+                <div>
+                  <span className="font-medium text-slate-800">{m.name || m.email}</span>
+                  {m.student_id === team.created_by && <span className="text-xs text-slate-400"> (creator)</span>}
+                </div>
+                <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[m.status]}`}>{m.status}</span>
+              </li>
+            ))}
+          </ul>
+
+          {team.is_creator && (
+            <form onSubmit={handleInvite} className="flex gap-2">
+              <input
+                value={newInvite}
+                onChange={(e) => setNewInvite(e.target.value)}
+                placeholder="Invite by email"
+                className="flex-1 rounded-lg border border-slate-300 px-3 py-2 text-sm"
+              />
+              <button
+                type="submit"
+                disabled={busy}
+                className="rounded-lg border border-blue-600 bg-white px-3 py-2 text-sm font-medium text-blue-700 hover:bg-blue-50 disabled:opacity-50"
+              >
+                Invite
+              </button>
+            </form>
+          )}
+
+          <div className="space-y-2">
+            <h4 className="text-sm font-semibold text-slate-700">Team Preferences</h4>
+            <p className="text-xs text-slate-500">
+              Any member can update these. They replace each member's individual preferences.
+            </p>
+            {Array.from({ length: maxPreferences }, (_, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <span className="w-16 text-xs text-slate-500">Choice {index + 1}</span>
+                <select
+                  value={choices[index] || ""}
+                  onChange={(e) => handleChoiceChange(index, e.target.value)}
+                  className="flex-1 rounded-lg border border-slate-300 px-3 py-2 text-sm"
+                >
+                  <option value="">No project</option>
+                  {projects.map((p) => (
+                    <option key={p.id} value={p.id}>{p.title}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <button
+              onClick={handleSavePreferences}
+              disabled={busy || choices.filter(Boolean).length === 0}
+              className="rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save Team Preferences
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
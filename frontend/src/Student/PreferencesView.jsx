@@ -1,19 +1,37 @@
 import { useState, useEffect } from "react";
+import { fetchPreferenceHistory } from "../utils/apiHelper";
 
 /**
  * PreferencesView Component
  * Allows students to select and submit project preferences
  * Shows submitted preferences with ranking
  * Includes deadline display and confirmation dialog for updates
+ * In bidding mode, students spread a point budget across the selected projects
+ * instead of ranking them
+ * Each selection can carry a short statement of interest shown to the project's
+ * client and instructors
+ * A history section lists every earlier submission with what changed
+ * Before the preference window opens the form is locked and the banner counts
+ * down to the opening time; a granted extension is shown as the student's deadline
  *
  * @param {array} projects - Array of available project objects
  * @param {array} preferences - Array of submitted preferences
  * @param {function} onSelectProject - Callback when project is selected/deselected
- * @param {function} onSubmitPreferences - Callback to submit preferences
+ * @param {function} onSubmitPreferences - Callback to submit preferences as (projectIds, justifications by project ID)
  * @param {array} selectedProjects - Array of selected project IDs
  * @param {boolean} loading - Loading state
- * @param {string} deadline - ISO date string for submission deadline
+ * @param {string} deadline - ISO date string for the student's submission deadline (extension included)
+ * @param {string} opensAt - ISO date string for when submissions open
+ * @param {string} extendedUntil - ISO date string of the student's deadline extension, if any
+ * @param {string} windowStatus - "not_open", "open", or "closed"
  * @param {string} lastUpdated - ISO date string for last preference update
+ * @param {number} maxPreferences - Most projects the student may rank
+ * @param {number} minPreferences - Fewest projects the student must rank
+ * @param {boolean} rankAll - Whether every project must be ranked
+ * @param {string} mode - Preference mode: "ranked" or "bidding"
+ * @param {number} bidBudget - Points each student can spread in bidding mode
+ * @param {function} onSubmitBids - Callback to submit bids as [{ project_id, bid_points, justification }]
+ * @param {number} studentId - Student whose submission history to show
  */
 export default function PreferencesView({
   projects = [],
@@ -23,11 +41,27 @@ export default function PreferencesView({
   onSubmitPreferences,
   loading,
   deadline,
+  opensAt,
+  extendedUntil,
+  windowStatus = "open",
   lastUpdated,
+  maxPreferences = 3,
+  minPreferences = 1,
+  rankAll = false,
+  mode = "ranked",
+  bidBudget = 100,
+  onSubmitBids,
+  studentId,
 }) {
+  const bidding = mode === "bidding";
+  const [bids, setBids] = useState({});
+  const [justifications, setJustifications] = useState({});
   const [submitting, setSubmitting] = useState(false);
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
   const [isDeadlinePassed, setIsDeadlinePassed] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [historyError, setHistoryError] = useState("");
 
   // Check if deadline has passed
   useEffect(() => {
@@ -40,17 +74,64 @@ export default function PreferencesView({
     }
   }, [deadline]);
 
+  const isNotOpen = windowStatus === "not_open";
+  const isLocked = isDeadlinePassed || windowStatus !== "open";
+
+  // Reload the history when it is opened and after each new submission
+  useEffect(() => {
+    if (!showHistory || !studentId) return;
+    fetchPreferenceHistory(studentId)
+      .then((res) => {
+        setHistory(res.data || []);
+        setHistoryError("");
+      })
+      .catch((err) => setHistoryError(err.message || "Failed to load submission history"));
+  }, [showHistory, studentId, lastUpdated]);
+
   const handleSelectProject = (projectId) => {
-    if (isDeadlinePassed) return;
+    if (isLocked) return;
     onSelectProject(projectId);
   };
 
+  const handleBidChange = (projectId, value) => {
+    setBids((prev) => ({ ...prev, [projectId]: value }));
+  };
+
+  const handleJustificationChange = (projectId, value) => {
+    setJustifications((prev) => ({ ...prev, [projectId]: value }));
+  };
+
+  // Edited text, or the statement already submitted for this project
+  const getJustification = (projectId) =>
+    justifications[projectId] ??
+    preferences.find((p) => p.project_id === projectId)?.justification ??
+    "";
+
+  const pointsSpent = selectedProjects.reduce((sum, id) => sum + (parseInt(bids[id]) || 0), 0);
+
   // Called when user clicks submit button
   const handleSubmitClick = () => {
     if (selectedProjects.length === 0) {
       alert("Please select at least 1 project");
       return;
     }
+    if (bidding) {
+      if (selectedProjects.some((id) => !(parseInt(bids[id]) >= 1))) {
+        alert("Please bid at least 1 point on each selected project");
+        return;
+      }
+      if (pointsSpent > bidBudget) {
+        alert(`You have bid ${pointsSpent} points but your budget is ${bidBudget}`);
+        return;
+      }
+    } else if (rankAll && selectedProjects.length < maxPreferences) {
+      alert(`Please rank all ${maxPreferences} projects`);
+      return;
+    }
+    if (selectedProjects.length < minPreferences) {
+      alert(`Please select at least ${minPreferences} projects`);
+      return;
+    }
 
     // If user already has preferences, show confirmation dialog
     if (preferences.length > 0) {
@@ -66,7 +147,22 @@ export default function PreferencesView({
     setShowConfirmDialog(false);
     setSubmitting(true);
     try {
-      await onSubmitPreferences(selectedProjects);
+      if (bidding) {
+        await onSubmitBids(
+          selectedProjects.map((id) => ({
+            project_id: id,
+            bid_points: parseInt(bids[id]),
+            justification: getJustification(id),
+          }))
+        );
+        setBids({});
+      } else {
+        await onSubmitPreferences(
+          selectedProjects,
+          Object.fromEntries(selectedProjects.map((id) => [id, getJustification(id)]))
+        );
+      }
+      setJustifications({});
     } finally {
       setSubmitting(false);
     }
@@ -98,6 +194,15 @@ export default function PreferencesView({
 
   // Get deadline status text and styling
   const getDeadlineInfo = () => {
+    if (isNotOpen) {
+      const diffHours = Math.ceil((new Date(opensAt) - new Date()) / (1000 * 60 * 60));
+      return {
+        text: diffHours <= 24 ? `Opens in ${diffHours} hours` : `Opens ${formatDate(opensAt)}`,
+        urgent: false,
+        passed: false,
+        notOpen: true,
+      };
+    }
     if (!deadline) return null;
     
     const deadlineDate = new Date(deadline);
@@ -134,6 +239,8 @@ export default function PreferencesView({
   };
 
   const deadlineInfo = getDeadlineInfo();
+  // The extension is only in effect when it is the deadline the server sent
+  const isExtended = Boolean(extendedUntil && deadline) && new Date(extendedUntil).getTime() === new Date(deadline).getTime();
 
   return (
     <div className="space-y-6">
@@ -202,7 +309,13 @@ export default function PreferencesView({
           <h2 className="text-2xl font-bold text-slate-800">My Preferences</h2>
         </div>
         <p className="mt-1 text-sm text-slate-500">
-          Select and rank your top 3 project preferences
+          {bidding
+            ? `Spread ${bidBudget} points across the projects you want — more points means a stronger claim`
+            : rankAll
+            ? `Rank all ${maxPreferences} projects in order of preference`
+            : minPreferences > 1
+            ? `Select and rank ${minPreferences} to ${maxPreferences} project preferences`
+            : `Select and rank up to ${maxPreferences} project preferences`}
         </p>
       </div>
 
@@ -253,6 +366,16 @@ export default function PreferencesView({
                 You can no longer submit or modify preferences.
               </p>
             )}
+            {deadlineInfo.notOpen && (
+              <p className="text-sm text-blue-600 mt-1">
+                You can browse projects now and submit preferences once the window opens.
+              </p>
+            )}
+            {isExtended && !deadlineInfo.notOpen && (
+              <p className={`text-sm mt-1 ${deadlineInfo.passed ? "text-red-600" : "text-slate-600"}`}>
+                Your instructor extended your deadline to {formatDate(extendedUntil)}.
+              </p>
+            )}
           </div>
         </div>
       )}
@@ -260,23 +383,46 @@ export default function PreferencesView({
       {/* Two Column Layout */}
       <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
         {/* Left: Selection Interface */}
-        <div className={`space-y-4 ${isDeadlinePassed ? "opacity-60" : ""}`}>
+        <div className={`space-y-4 ${isLocked ? "opacity-60" : ""}`}>
           <h3 className="text-lg font-semibold text-slate-800">
             Select Projects
           </h3>
 
           {/* Selection Counter */}
-          {selectedProjects.length > 0 && !isDeadlinePassed && (
+          {selectedProjects.length > 0 && !isLocked && bidding && (
+            <div
+              className={`rounded-lg border p-4 ${
+                pointsSpent > bidBudget ? "bg-red-50 border-red-200" : "bg-blue-50 border-blue-200"
+              }`}
+            >
+              <p className={`text-sm mb-2 ${pointsSpent > bidBudget ? "text-red-800" : "text-blue-800"}`}>
+                <span className="font-semibold">{pointsSpent}</span> of{" "}
+                <span className="font-semibold">{bidBudget}</span> points bid
+                {pointsSpent <= bidBudget && ` (${bidBudget - pointsSpent} remaining)`}
+              </p>
+              <div className="w-full bg-blue-200 rounded-full h-2">
+                <div
+                  className={`h-2 rounded-full transition-all duration-300 ${
+                    pointsSpent > bidBudget ? "bg-red-600" : "bg-blue-600"
+                  }`}
+                  style={{
+                    width: `${Math.min((pointsSpent / bidBudget) * 100, 100)}%`,
+                  }}
+                />
+              </div>
+            </div>
+          )}
+          {selectedProjects.length > 0 && !isLocked && !bidding && (
             <div className="rounded-lg bg-blue-50 border border-blue-200 p-4">
               <p className="text-sm text-blue-800 mb-2">
                 <span className="font-semibold">{selectedProjects.length}</span>{" "}
-                of <span className="font-semibold">3</span> preferences selected
+                of <span className="font-semibold">{maxPreferences}</span> preferences selected
               </p>
               <div className="w-full bg-blue-200 rounded-full h-2">
                 <div
                   className="bg-blue-600 h-2 rounded-full transition-all duration-300"
                   style={{
-                    width: `${(selectedProjects.length / 3) * 100}%`,
+                    width: `${(selectedProjects.length / maxPreferences) * 100}%`,
                   }}
                 />
               </div>
@@ -297,7 +443,7 @@ export default function PreferencesView({
                   <div
                     key={project.id}
                     className={`flex items-start gap-3 rounded-lg border p-3 transition ${
-                      isDeadlinePassed
+                      isLocked
                         ? "cursor-not-allowed"
                         : "cursor-pointer"
                     } ${
@@ -310,8 +456,9 @@ export default function PreferencesView({
                     <button
                       onClick={() => handleSelectProject(project.id)}
                       disabled={
-                        isDeadlinePassed ||
-                        (selectedProjects.length >= 3 &&
+                        isLocked ||
+                        (!bidding &&
+                          selectedProjects.length >= maxPreferences &&
                           !selectedProjects.includes(project.id))
                       }
                       className={`flex-shrink-0 mt-0.5 h-5 w-5 rounded border-2 flex items-center justify-center transition ${
@@ -348,7 +495,7 @@ export default function PreferencesView({
                     </div>
 
                     {/* Rank Badge */}
-                    {selectedProjects.includes(project.id) && (
+                    {selectedProjects.includes(project.id) && !bidding && (
                       <div className="flex-shrink-0 flex h-6 w-6 items-center justify-center rounded-full bg-blue-600 text-white text-xs font-bold">
                         {selectedProjects.indexOf(project.id) + 1}
                       </div>
@@ -366,7 +513,7 @@ export default function PreferencesView({
             Your Selection
           </h3>
 
-          {selectedProjects.length === 0 || isDeadlinePassed ? (
+          {selectedProjects.length === 0 || isLocked ? (
             <div className="rounded-xl border border-dashed border-slate-300 bg-slate-50 p-8 text-center">
               <svg
                 className="mx-auto h-12 w-12 text-slate-400 mb-3"
@@ -382,14 +529,20 @@ export default function PreferencesView({
                 />
               </svg>
               <p className="text-sm text-slate-600">
-                {isDeadlinePassed
+                {isNotOpen
+                  ? "Preferences are not open yet"
+                  : isLocked
                   ? "Deadline has passed"
                   : "No projects selected yet"}
               </p>
               <p className="text-xs text-slate-500 mt-1">
-                {isDeadlinePassed
+                {isNotOpen
+                  ? `You can select projects from ${formatDate(opensAt)}`
+                  : isLocked
                   ? "You can no longer modify preferences"
-                  : "Select up to 3 projects from the list on the left"}
+                  : bidding
+                  ? "Select the projects you want to bid on from the list on the left"
+                  : `Select up to ${maxPreferences} projects from the list on the left`}
               </p>
             </div>
           ) : (
@@ -400,16 +553,37 @@ export default function PreferencesView({
                     key={projectId}
                     className="flex items-start gap-3 rounded-lg bg-white border border-blue-100 p-4"
                   >
-                    <div className="flex-shrink-0 flex h-8 w-8 items-center justify-center rounded-full bg-blue-600 text-white font-bold text-sm">
-                      {index + 1}
-                    </div>
+                    {bidding ? (
+                      <input
+                        type="number"
+                        min="1"
+                        max={bidBudget}
+                        value={bids[projectId] ?? ""}
+                        onChange={(e) => handleBidChange(projectId, e.target.value)}
+                        placeholder="0"
+                        aria-label={`Points for ${getProjectTitle(projectId)}`}
+                        className="flex-shrink-0 w-20 rounded-lg border border-blue-300 px-2 py-1.5 text-sm font-semibold text-slate-800"
+                      />
+                    ) : (
+                      <div className="flex-shrink-0 flex h-8 w-8 items-center justify-center rounded-full bg-blue-600 text-white font-bold text-sm">
+                        {index + 1}
+                      </div>
+                    )}
                     <div className="flex-1 min-w-0">
                       <p className="font-medium text-slate-800">
                         {getProjectTitle(projectId)}
                       </p>
                       <p className="text-xs text-slate-500 mt-1">
-                        Preference #{index + 1}
+                        {bidding ? "Points bid" : `Preference #${index + 1}`}
                       </p>
+                      <textarea
+                        rows={2}
+                        maxLength={500}
+                        value={getJustification(projectId)}
+                        onChange={(e) => handleJustificationChange(projectId, e.target.value)}
+                        placeholder="Why are you interested? (optional, shared with the client)"
+                        className="mt-2 w-full rounded-lg border border-slate-300 px-3 py-2 text-sm text-slate-800"
+                      />
                     </div>
                     <button
                       onClick={() => handleSelectProject(projectId)}
@@ -450,7 +624,7 @@ export default function PreferencesView({
           )}
 
           {/* Clear Selection Button */}
-          {selectedProjects.length > 0 && !isDeadlinePassed && (
+          {selectedProjects.length > 0 && !isLocked && (
             <button
               onClick={handleClearSelection}
               className="w-full rounded-lg border-2 border-slate-300 px-4 py-2.5 font-semibold text-slate-700 transition hover:bg-slate-50"
@@ -505,7 +679,15 @@ export default function PreferencesView({
                     {pref.category || "Uncategorized"} •{" "}
                     {pref.complexity_level || "Not specified"}
                   </p>
+                  {pref.justification && (
+                    <p className="text-sm text-slate-600 mt-2 italic whitespace-pre-wrap break-words">
+                      “{pref.justification}”
+                    </p>
+                  )}
                 </div>
+                {pref.bid_points != null && (
+                  <span className="text-sm font-semibold text-green-800">{pref.bid_points} pts</span>
+                )}
                 <span className="inline-block bg-green-100 text-green-700 px-3 py-1 rounded-full text-xs font-medium">
                   ✓ Submitted
                 </span>
@@ -516,10 +698,83 @@ export default function PreferencesView({
           <p className="mt-4 text-sm text-green-700 bg-white rounded-lg p-3">
             Your preferences have been submitted successfully. Your instructor
             will use these to assign you to a project group.
-            {!isDeadlinePassed && " You can update your preferences until the deadline."}
+            {!isLocked && " You can update your preferences until the deadline."}
           </p>
         </section>
       )}
+
+      {/* Submission History */}
+      {studentId && (
+        <section className="rounded-xl border border-slate-200 bg-white p-6">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-slate-800">Submission History</h3>
+            <button
+              onClick={() => setShowHistory((prev) => !prev)}
+              className="text-sm font-medium text-blue-600 hover:text-blue-800"
+            >
+              {showHistory ? "Hide" : "Show"}
+            </button>
+          </div>
+
+          {showHistory && (
+            <div className="mt-4 space-y-3">
+              {historyError && (
+                <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+                  {historyError}
+                </div>
+              )}
+              {!historyError && history.length === 0 && (
+                <p className="text-sm text-slate-500">No submissions yet</p>
+              )}
+              {history.map((version) => (
+                <div key={version.id} className="rounded-lg border border-slate-200 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-semibold text-slate-800">Version {version.version}</span>
+                      {version.action === "cleared" && (
+                        <span className="rounded bg-slate-100 px-2 py-0.5 text-xs text-slate-600">Cleared</span>
+                      )}
+                      {version.late && (
+                        <span className="rounded bg-red-100 px-2 py-0.5 text-xs text-red-700">After deadline</span>
+                      )}
+                    </div>
+                    <span className="text-xs text-slate-500">{formatDate(version.submitted_at)}</span>
+                  </div>
+                  {version.preferences.length > 0 && (
+                    <ol className="mt-2 space-y-1 text-sm text-slate-700">
+                      {version.preferences.map((pref) => (
+                        <li key={pref.project_id}>
+                          {pref.preference_rank}. {pref.title || `Project #${pref.project_id}`}
+                          {pref.bid_points != null && <span className="text-slate-500"> — {pref.bid_points} pts</span>}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                  {version.version > 1 && <HistoryChanges changes={version.changes} preferences={version.preferences} />}
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
+
+/** Summary of what a submission changed from the version before it */
+function HistoryChanges({ changes, preferences }) {
+  if (!changes?.changed) {
+    return <p className="mt-2 text-xs text-slate-500">No changes from the previous version</p>;
+  }
+  const title = (projectId) =>
+    preferences.find((p) => p.project_id === projectId)?.title || `Project #${projectId}`;
+  const parts = [];
+  if (changes.added.length > 0) parts.push(`Added ${changes.added.map(title).join(", ")}`);
+  if (changes.removed.length > 0) parts.push(`Removed ${changes.removed.length} project(s)`);
+  if (changes.rank_changes.length > 0) parts.push(`Reordered ${changes.rank_changes.length} project(s)`);
+  if (changes.bid_changes.length > 0) parts.push(`Changed ${changes.bid_changes.length} bid(s)`);
+  if (changes.justification_changes.length > 0) {
+    parts.push(`Edited ${changes.justification_changes.length} statement(s) of interest`);
+  }
+  return <p className="mt-2 text-xs text-slate-500">{parts.join(" · ")}</p>;
+}
@@ -35,10 +35,10 @@ const DRAWER_WIDTH = 280;
  * 
  * Features:
  * - Multi-view navigation (dashboard, browse projects, preferences, group, evaluations, profile)
- * - Project browsing with up to 3 preference selections
+ * - Project browsing with preference selections up to the course's limit
  * - Preference submission with ranking (1st, 2nd, 3rd choice)
  * - Assigned group and team member display
- * - Preference deadline tracking
+ * - Preference window tracking (opening time, deadline, and the student's extension)
  * - Responsive sidebar with toggle
  * - Authentication guard with redirect
  * - Automatic data loading on mount
@@ -46,7 +46,7 @@ const DRAWER_WIDTH = 280;
  * Data Management:
  * - Uses custom hooks for projects, preferences, and student ID
  * - Fetches group assignment and members via API
- * - Loads preference deadline from instructor settings
+ * - Takes the student's preference window from the preferences hook
  * - Handles preference submission with optimistic updates
  * 
  * Available Views:
@@ -105,10 +105,9 @@ export default function StudentDashboard() {
    * 
    * @type {Object}
    * @property {Array<Object>} projects - Array of approved project objects
-   * @property {boolean} loading - Loading indicator (aliased as projectsLoading)
    * @property {string|null} error - Error message if fetch failed (aliased as projectsError)
    */
-  const { projects, loading: projectsLoading, error: projectsError } =
+  const { projects, error: projectsError } =
     useStudentProjects();
 
   /**
@@ -121,6 +120,11 @@ export default function StudentDashboard() {
    * @property {string|null} error - Error message (aliased as preferencesError)
    * @property {Function} submitPreferences - Function to submit new preferences
    * @property {string|null} lastUpdated - ISO timestamp of last preference update (aliased as preferencesLastUpdated)
+   * @property {string|null} deadline - Student's own preference deadline, extension included (aliased as preferenceDeadline)
+   * @property {string|null} opensAt - When preference submissions open (aliased as preferencesOpenAt)
+   * @property {string|null} extendedUntil - Student's deadline extension, if any
+   * @property {string} windowStatus - "not_open", "open", or "closed" (aliased as preferenceWindowStatus)
+   * @property {Object} preferenceSettings - Course limits: max_preferences, min_preferences, rank_all_projects, preference_mode, bid_budget
    */
   const {
     preferences,
@@ -128,6 +132,11 @@ export default function StudentDashboard() {
     error: preferencesError,
     submitPreferences,
     lastUpdated: preferencesLastUpdated,
+    deadline: preferenceDeadline,
+    opensAt: preferencesOpenAt,
+    extendedUntil,
+    windowStatus: preferenceWindowStatus,
+    preferenceSettings,
   } = useStudentPreferences(studentId);
 
   /**
@@ -171,7 +180,7 @@ export default function StudentDashboard() {
   
   /**
    * State: Array of selected project IDs for preference submission
-   * Maximum of 3 projects can be selected
+   * At most preferenceSettings.max_preferences projects can be selected
    * @type {Array<number>}
    */
   const [selectedProjects, setSelectedProjects] = useState([]);
@@ -182,13 +191,6 @@ export default function StudentDashboard() {
    */
   const [submittingPreferences, setSubmittingPreferences] = useState(false);
   
-  /**
-   * State: Preference submission deadline (ISO datetime string)
-   * Loaded from instructor settings
-   * @type {string|null}
-   */
-  const [preferenceDeadline, setPreferenceDeadline] = useState(null);
-
   /**
    * Effect: Load assigned group and group members on mount
    * 
@@ -237,35 +239,6 @@ export default function StudentDashboard() {
     loadGroupData();
   }, [studentId]);
 
-  /**
-   * Effect: Fetch preference submission deadline from instructor settings
-   * 
-   * Loads the deadline for when students must submit their project preferences.
-   * This deadline is set by instructors in course settings.
-   * 
-   * Dependencies: [] (runs once on mount)
-   */
-  useEffect(() => {
-    /**
-     * Internal async function to load preference deadline
-     * 
-     * @async
-     * @function loadDeadline
-     * @returns {Promise<void>}
-     */
-    const loadDeadline = async () => {
-      try {
-        const response = await apiCall("/instructors/settings/preference-deadline", { method: "GET" });
-        if (response.success && response.data?.deadline) {
-          setPreferenceDeadline(response.data.deadline);
-        }
-      } catch (err) {
-        console.error("Error loading preference deadline:", err);
-      }
-    };
-    loadDeadline();
-  }, []);
-
   /**
    * Authentication Guard: Redirect if not logged in
    * 
@@ -300,6 +273,7 @@ export default function StudentDashboard() {
   const handleLogout = () => {
     localStorage.removeItem("student");
     localStorage.removeItem("authToken");
+    localStorage.removeItem("activeCourseId");
     window.location.href = "/login";
   };
 
@@ -307,7 +281,8 @@ export default function StudentDashboard() {
    * Handle project selection toggle
    * 
    * Adds or removes a project from the selected preferences list.
-   * Enforces maximum of 3 project selections.
+   * Enforces the course's maximum number of preferences (except in bidding
+   * mode, where the point budget is the only limit).
    * 
    * @function handleSelectProject
    * @param {number} projectId - Project ID to toggle selection
@@ -318,10 +293,12 @@ export default function StudentDashboard() {
    *   isSelected={selectedProjects.includes(project.id)}
    * />
    */
+  const biddingMode = preferenceSettings.preference_mode === "bidding";
+
   const handleSelectProject = (projectId) => {
     setSelectedProjects((prev) => {
       if (prev.includes(projectId)) return prev.filter((id) => id !== projectId);
-      if (prev.length < 3) return [...prev, projectId];
+      if (biddingMode || prev.length < preferenceSettings.max_preferences) return [...prev, projectId];
       return prev;
     });
   };
@@ -330,24 +307,26 @@ export default function StudentDashboard() {
    * Handle preference submission
    * 
    * Submits ranked project preferences to the API.
-   * Project order determines ranking (1st, 2nd, 3rd choice).
+   * Project order determines ranking (1st, 2nd, 3rd choice, ...).
    * Clears selected projects and shows success/error feedback.
    * 
    * @async
    * @function handleSubmitPreferences
    * @param {Array<number>} projectIds - Array of project IDs in preference order
+   * @param {Object} [justifications={}] - Statement of interest by project ID
    * 
    * @example
    * // Submit preferences in ranked order
    * handleSubmitPreferences([5, 12, 8]) 
    * // Submits: 1st choice = 5, 2nd choice = 12, 3rd choice = 8
    */
-  const handleSubmitPreferences = async (projectIds) => {
+  const handleSubmitPreferences = async (projectIds, justifications = {}) => {
     try {
       setSubmittingPreferences(true);
       const preferencesData = projectIds.map((id, idx) => ({
         project_id: id,
         preference_rank: idx + 1,
+        justification: justifications[id] || null,
       }));
       await submitPreferences(preferencesData);
       setSelectedProjects([]);
@@ -359,6 +338,32 @@ export default function StudentDashboard() {
     }
   };
 
+  /**
+   * Handle bid submission (bidding mode)
+   * 
+   * Submits the student's point allocation. The backend derives each bid's rank
+   * from its size.
+   * 
+   * @async
+   * @function handleSubmitBids
+   * @param {Array<Object>} bids - Array of { project_id, bid_points, justification }
+   * 
+   * @example
+   * handleSubmitBids([{ project_id: 5, bid_points: 70 }, { project_id: 12, bid_points: 30 }])
+   */
+  const handleSubmitBids = async (bids) => {
+    try {
+      setSubmittingPreferences(true);
+      await submitPreferences(bids);
+      setSelectedProjects([]);
+      alert("Bids submitted successfully!");
+    } catch (err) {
+      alert("Error: " + err.message);
+    } finally {
+      setSubmittingPreferences(false);
+    }
+  };
+
   return (
     <div className="flex min-h-screen flex-col bg-slate-50">
       <DashboardNavbar
@@ -394,10 +399,9 @@ export default function StudentDashboard() {
           )}
           {active === "browse" && (
             <BrowseProjectsView
-              projects={projects}
               selectedProjects={selectedProjects}
               onSelectProject={handleSelectProject}
-              loading={projectsLoading}
+              maxPreferences={biddingMode ? projects.length : preferenceSettings.max_preferences}
             />
           )}
           {active === "preferences" && (
@@ -409,7 +413,17 @@ export default function StudentDashboard() {
               onSubmitPreferences={handleSubmitPreferences}
               loading={submittingPreferences}
               deadline={preferenceDeadline}
+              opensAt={preferencesOpenAt}
+              extendedUntil={extendedUntil}
+              windowStatus={preferenceWindowStatus}
               lastUpdated={preferencesLastUpdated}
+              maxPreferences={preferenceSettings.max_preferences}
+              minPreferences={preferenceSettings.min_preferences}
+              rankAll={preferenceSettings.rank_all_projects}
+              mode={preferenceSettings.preference_mode}
+              bidBudget={preferenceSettings.bid_budget}
+              onSubmitBids={handleSubmitBids}
+              studentId={studentId}
             />
           )}
           {active === "group" && (
@@ -417,6 +431,9 @@ export default function StudentDashboard() {
               assignedGroup={assignedGroup} 
               groupMembers={groupMembers}
               loading={groupLoading} 
+              studentId={studentId}
+              projects={projects}
+              maxPreferences={preferenceSettings.max_preferences}
             />
           )}
           {active === "evaluations" && (
@@ -138,7 +138,7 @@ export default function StudentDashboardView({
               <div>
                 <p className="font-medium text-slate-800">Select Preferences</p>
                 <p className="text-sm text-slate-600">
-                  Choose your top 3 project preferences in ranked order
+                  Rank the projects you'd most like to work on
                 </p>
               </div>
             </div>
@@ -1,4 +1,5 @@
 import React from "react";
+import CourseSwitcher from "./ui/CourseSwitcher";
 
 /**
  * DashboardNavbar - unified for all portals.
@@ -66,8 +67,9 @@ export default function DashboardNavbar({
           </div>
         </div>
 
-        {/* Right: Logout Button */}
+        {/* Right: Course + Logout Button */}
         <div className="flex items-center gap-3">
+          <CourseSwitcher />
           <button
             onClick={onLogout}
             aria-label="Logout"
@@ -0,0 +1,50 @@
+import { useEffect, useState } from "react";
+import { fetchCourses, getActiveCourseId, setActiveCourseId } from "../../utils/apiHelper";
+
+/**
+ * CourseSwitcher Component
+ * Dropdown of the courses the signed-in user can work in. Choosing one stores it
+ * as the active course (sent with every API call) and reloads the dashboard.
+ * Renders nothing until the user has at least one course.
+ */
+export default function CourseSwitcher() {
+  const [courses, setCourses] = useState([]);
+  const activeCourseId = getActiveCourseId() || "";
+
+  useEffect(() => {
+    fetchCourses()
+      .then((res) => {
+        const list = res.data || [];
+        setCourses(list);
+        // Drop a stored course the user can no longer use (e.g. after switching accounts)
+        if (activeCourseId && !list.some((c) => String(c.id) === activeCourseId)) {
+          setActiveCourseId(null);
+          window.location.reload();
+        }
+      })
+      .catch((err) => console.error("Error fetching courses:", err));
+  }, [activeCourseId]);
+
+  const handleChange = (e) => {
+    setActiveCourseId(e.target.value || null);
+    window.location.reload();
+  };
+
+  if (courses.length === 0) return null;
+
+  return (
+    <select
+      value={activeCourseId}
+      onChange={handleChange}
+      aria-label="Active course"
+      className="max-w-[14rem] rounded-lg border border-white/20 bg-white/10 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-300"
+    >
+      <option value="" className="text-slate-800">All courses (shared)</option>
+      {courses.map((c) => (
+        <option key={c.id} value={c.id} className="text-slate-800">
+          {c.code} · {c.term_name}{c.status === "archived" ? " (archived)" : ""}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,100 @@
+const HEAT_CLASSES = [
+  "bg-slate-50 text-slate-400",
+  "bg-blue-50 text-blue-700",
+  "bg-blue-100 text-blue-800",
+  "bg-blue-200 text-blue-900",
+  "bg-blue-400 text-white",
+  "bg-blue-600 text-white",
+];
+
+const DEMAND_BADGES = {
+  over: { label: "Over-subscribed", className: "bg-red-100 text-red-700" },
+  balanced: { label: "Balanced", className: "bg-green-100 text-green-700" },
+  under: { label: "Under-subscribed", className: "bg-yellow-100 text-yellow-700" },
+};
+
+const ordinal = (n) => {
+  const suffix = n % 10 === 1 && n !== 11 ? "st" : n % 10 === 2 && n !== 12 ? "nd" : n % 10 === 3 && n !== 13 ? "rd" : "th";
+  return `${n}${suffix}`;
+};
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * PopularityHeatmap Component
+ * Table of how many students listed each project at each rank, shaded by count,
+ * with interested students per seat and a demand badge
+ *
+ * @param {array} projects - Project popularity rows from the popularity endpoints
+ * @param {boolean} showSkills - Whether to show the skill fit column (instructors only)
+ */
+export default function PopularityHeatmap({ projects = [], showSkills = false }) {
+  if (projects.length === 0) {
+    return <p className="text-sm text-slate-500">No approved projects yet.</p>;
+  }
+
+  const rankColumns = projects[0].rank_counts.length;
+  const maxCount = Math.max(1, ...projects.flatMap((p) => p.rank_counts));
+  const heatClass = (count) =>
+    count === 0 ? HEAT_CLASSES[0] : HEAT_CLASSES[Math.ceil((count / maxCount) * (HEAT_CLASSES.length - 1))];
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm text-slate-700">
+        <thead className="bg-slate-100 text-slate-600 uppercase text-xs font-medium">
+          <tr>
+            <th className="px-3 py-2 text-left">Project</th>
+            {Array.from({ length: rankColumns }, (_, i) => (
+              <th key={i} className="px-2 py-2 text-center">{ordinal(i + 1)}</th>
+            ))}
+            <th className="px-3 py-2 text-center">Per Seat</th>
+            <th className="px-3 py-2 text-left">Demand</th>
+            {showSkills && <th className="px-3 py-2 text-left">Skill Fit</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {projects.map((project) => {
+            const badge = DEMAND_BADGES[project.demand_level] || DEMAND_BADGES.balanced;
+            return (
+              <tr key={project.project_id} className="border-b border-slate-100">
+                <td className="px-3 py-2">
+                  <p className="font-medium text-slate-800">{project.title}</p>
+                  <p className="text-xs text-slate-500">
+                    {project.interested} interested · {project.capacity} seats
+                  </p>
+                </td>
+                {project.rank_counts.map((count, i) => (
+                  <td key={i} className="px-1 py-1 text-center">
+                    <span className={`block rounded px-2 py-1 font-medium ${heatClass(count)}`}>{count}</span>
+                  </td>
+                ))}
+                <td className="px-3 py-2 text-center font-medium">
+                  {project.demand_ratio ?? "—"}
+                </td>
+                <td className="px-3 py-2">
+                  <span className={`whitespace-nowrap text-xs px-2 py-1 rounded font-medium ${badge.className}`}>
+                    {badge.label}
+                  </span>
+                </td>
+                {showSkills && (
+                  <td className="px-3 py-2 text-xs text-slate-600">
+                    {project.skill_fit ? (
+                      <>
+                        <p>{percent(project.skill_fit.coverage)} covered · {percent(project.skill_fit.average_match)} avg match</p>
+                        {project.skill_fit.missing_skills.length > 0 && (
+                          <p className="text-red-600">Missing: {project.skill_fit.missing_skills.join(", ")}</p>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-slate-400">No skills listed</span>
+                    )}
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
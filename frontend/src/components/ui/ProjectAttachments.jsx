@@ -0,0 +1,226 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  fetchProjectAttachments,
+  uploadProjectAttachment,
+  downloadProjectAttachment,
+  deleteProjectAttachment,
+} from "../../utils/apiHelper";
+
+// Same list as ATTACHMENT_TYPES in the backend's utils/projectAttachments.js;
+// the server's own list replaces it once the attachments have loaded
+const DEFAULT_TYPES = [".pdf", ".doc", ".docx", ".ppt", ".pptx", ".xls", ".xlsx", ".txt", ".md", ".csv", ".png", ".jpg", ".jpeg", ".gif", ".zip"];
+
+const CATEGORY_LABELS = {
+  proposal: { text: "Proposal", className: "bg-blue-100 text-blue-700" },
+  deliverable: { text: "Deliverable", className: "bg-purple-100 text-purple-700" },
+};
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * ProjectAttachments Component
+ * Files attached to a project: the client's proposal documents and the team's
+ * deliverables. Lists them with download links, and lets the user upload and
+ * delete the files the server says they may (can_upload / can_delete).
+ *
+ * Without a projectId (a project that hasn't been created yet) it only collects
+ * files in pendingFiles, for the caller to upload once the project exists.
+ *
+ * @param {number} [projectId] - Project whose files to show
+ * @param {Array<File>} [pendingFiles] - Files picked before the project exists
+ * @param {Function} [onPendingFilesChange] - Called with the new pendingFiles list
+ */
+export default function ProjectAttachments({ projectId, pendingFiles = [], onPendingFilesChange }) {
+  const [attachments, setAttachments] = useState([]);
+  const [canUpload, setCanUpload] = useState([]);
+  const [types, setTypes] = useState(DEFAULT_TYPES);
+  const [category, setCategory] = useState("");
+  const [loading, setLoading] = useState(!!projectId);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState("");
+  const fileInput = useRef(null);
+
+  const loadAttachments = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      setLoading(true);
+      const res = await fetchProjectAttachments(projectId);
+      setAttachments(res.data?.attachments || []);
+      setCanUpload(res.data?.can_upload || []);
+      if (res.data?.limits?.types) setTypes(res.data.limits.types);
+      setCategory((current) => current || res.data?.can_upload?.[0] || "");
+    } catch (err) {
+      setError(err.message || "Failed to load files");
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    loadAttachments();
+  }, [loadAttachments]);
+
+  const handleFilesPicked = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    if (!projectId) {
+      onPendingFilesChange?.([...pendingFiles, ...files]);
+      return;
+    }
+
+    setUploading(true);
+    setError("");
+    const failed = [];
+    for (const file of files) {
+      try {
+        const res = await uploadProjectAttachment(projectId, file, category);
+        setAttachments((prev) => [{ ...res.data, uploader_name: "You" }, ...prev]);
+      } catch (err) {
+        failed.push(`${file.name}: ${err.message}`);
+      }
+    }
+    if (failed.length > 0) setError(failed.join("\n"));
+    setUploading(false);
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      setError("");
+      const blob = await downloadProjectAttachment(projectId, attachment.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.original_name;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || "Failed to download file");
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.original_name}?`)) return;
+    try {
+      setError("");
+      await deleteProjectAttachment(projectId, attachment.id);
+      setAttachments((prev) => prev.filter((item) => item.id !== attachment.id));
+    } catch (err) {
+      setError(err.message || "Failed to delete file");
+    }
+  };
+
+  const uploadAllowed = !projectId || canUpload.length > 0;
+
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white p-4 space-y-3">
+      {uploadAllowed && (
+        <div className="flex flex-wrap items-center gap-2">
+          {canUpload.length > 1 && (
+            <select
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="rounded border border-slate-300 px-2 py-1 text-xs focus:ring-2 focus:ring-blue-500"
+            >
+              {canUpload.map((option) => (
+                <option key={option} value={option}>{CATEGORY_LABELS[option]?.text || option}</option>
+              ))}
+            </select>
+          )}
+          <button
+            type="button"
+            onClick={() => fileInput.current?.click()}
+            disabled={uploading}
+            className="rounded-lg border border-blue-600 px-3 py-1.5 text-xs font-medium text-blue-700 hover:bg-blue-50 disabled:opacity-50"
+          >
+            {uploading ? "Uploading..." : "Attach files"}
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            multiple
+            accept={types.join(",")}
+            onChange={handleFilesPicked}
+            className="hidden"
+          />
+          <span className="text-xs text-slate-500">PDF, Office, images, text or ZIP · up to 10 MB each</span>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600 whitespace-pre-line">{error}</p>}
+
+      {!projectId ? (
+        pendingFiles.length === 0 ? (
+          <p className="text-xs text-slate-500">No files attached. Files are uploaded when the project is created.</p>
+        ) : (
+          <ul className="divide-y divide-slate-100">
+            {pendingFiles.map((file, index) => (
+              <li key={`${file.name}-${index}`} className="flex items-center justify-between gap-2 py-2 text-xs">
+                <span className="truncate text-slate-700">{file.name}</span>
+                <span className="flex items-center gap-3 text-slate-500">
+                  {formatSize(file.size)}
+                  <button
+                    type="button"
+                    onClick={() => onPendingFilesChange?.(pendingFiles.filter((_, i) => i !== index))}
+                    className="text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )
+      ) : loading ? (
+        <p className="text-xs text-slate-500">Loading files...</p>
+      ) : attachments.length === 0 ? (
+        <p className="text-xs text-slate-500">No files attached yet.</p>
+      ) : (
+        <ul className="divide-y divide-slate-100">
+          {attachments.map((attachment) => {
+            const label = CATEGORY_LABELS[attachment.category];
+            return (
+              <li key={attachment.id} className="flex flex-wrap items-center justify-between gap-2 py-2 text-xs">
+                <div className="min-w-0">
+                  <button
+                    type="button"
+                    onClick={() => handleDownload(attachment)}
+                    className="font-medium text-blue-700 hover:underline truncate"
+                  >
+                    {attachment.original_name}
+                  </button>
+                  {label && (
+                    <span className={`ml-2 rounded px-1.5 py-0.5 text-[10px] font-medium ${label.className}`}>
+                      {label.text}
+                    </span>
+                  )}
+                  <p className="text-slate-500">
+                    {formatSize(attachment.size_bytes)}
+                    {" · "}
+                    {attachment.uploader_name || "Unknown"}
+                    {" · "}
+                    {new Date(attachment.created_at).toLocaleDateString()}
+                  </p>
+                </div>
+                {attachment.can_delete && (
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(attachment)}
+                    className="text-red-600 hover:underline"
+                  >
+                    Delete
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
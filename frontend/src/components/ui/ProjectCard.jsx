@@ -18,6 +18,8 @@ export default function ProjectCard({ project, onEdit, onDelete, isDeleting }) {
         return "bg-green-100 text-green-700";
       case "rejected":
         return "bg-red-100 text-red-700";
+      case "changes_requested":
+        return "bg-orange-100 text-orange-700";
       case "pending":
       default:
         return "bg-yellow-100 text-yellow-700";
@@ -28,6 +30,7 @@ export default function ProjectCard({ project, onEdit, onDelete, isDeleting }) {
   const getStatusText = () => {
     if (project.approval_status === "approved") return "Approved";
     if (project.approval_status === "rejected") return "Rejected";
+    if (project.approval_status === "changes_requested") return "Changes Requested";
     return "Pending";
   };
 
@@ -58,6 +61,8 @@ export default function ProjectCard({ project, onEdit, onDelete, isDeleting }) {
         <div className={`mb-3 p-2.5 rounded-lg border text-xs ${
           project.approval_status === "rejected" 
             ? "bg-red-50 border-red-200 text-red-700"
+            : project.approval_status === "changes_requested"
+            ? "bg-orange-50 border-orange-200 text-orange-700"
             : "bg-blue-50 border-blue-200 text-blue-700"
         }`}>
           <div className="flex items-start gap-2">
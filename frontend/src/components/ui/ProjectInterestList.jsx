@@ -0,0 +1,94 @@
+import { useEffect, useState } from "react";
+import { fetchProjectPreferences, setJustificationVisibility } from "../../utils/apiHelper";
+
+/**
+ * ProjectInterestList Component
+ * Lists the students who chose a project, with their rank and statement of interest
+ * Instructors can hide a statement from the project's client
+ *
+ * @param {number} projectId - Project whose preferences to show
+ * @param {boolean} canModerate - Show hide/show controls (instructors)
+ */
+export default function ProjectInterestList({ projectId, canModerate = false }) {
+  const [preferences, setPreferences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [updatingId, setUpdatingId] = useState(null);
+
+  useEffect(() => {
+    if (!projectId) return;
+    fetchProjectPreferences(projectId)
+      .then((res) => setPreferences(res.data || []))
+      .catch((err) => setError(err.message || "Failed to load interested students"))
+      .finally(() => setLoading(false));
+  }, [projectId]);
+
+  const handleToggleHidden = async (pref) => {
+    try {
+      setUpdatingId(pref.student_id);
+      setError("");
+      await setJustificationVisibility(projectId, pref.student_id, !pref.justification_hidden);
+      setPreferences((prev) =>
+        prev.map((p) =>
+          p.student_id === pref.student_id ? { ...p, justification_hidden: !pref.justification_hidden } : p
+        )
+      );
+    } catch (err) {
+      setError(err.message || "Failed to update visibility");
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-slate-500">Loading interested students...</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {error && (
+        <div className="rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">{error}</div>
+      )}
+      {preferences.length === 0 ? (
+        <p className="text-sm text-slate-500">No students have chosen this project yet</p>
+      ) : (
+        preferences.map((pref) => {
+          const name = [pref.first_name, pref.last_name].filter(Boolean).join(" ") || pref.email;
+          return (
+            <div key={pref.student_id} className="rounded-lg border border-slate-200 bg-white p-3">
+              <div className="flex items-center justify-between gap-2">
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className="flex-shrink-0 flex h-6 w-6 items-center justify-center rounded-full bg-blue-600 text-white text-xs font-bold">
+                    {pref.preference_rank}
+                  </span>
+                  <span className="text-sm font-medium text-slate-800 truncate">{name}</span>
+                </div>
+                {canModerate && pref.justification && (
+                  <button
+                    onClick={() => handleToggleHidden(pref)}
+                    disabled={updatingId === pref.student_id}
+                    className="flex-shrink-0 text-xs font-medium text-slate-600 hover:text-slate-900 disabled:opacity-50"
+                  >
+                    {pref.justification_hidden ? "Show to client" : "Hide from client"}
+                  </button>
+                )}
+              </div>
+              {pref.justification && (
+                <p
+                  className={`mt-2 text-sm whitespace-pre-wrap break-words ${
+                    pref.justification_hidden ? "text-slate-400 italic" : "text-slate-600"
+                  }`}
+                >
+                  {pref.justification}
+                </p>
+              )}
+              {canModerate && pref.justification_hidden && (
+                <p className="mt-1 text-xs text-slate-400">Hidden from the client</p>
+              )}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
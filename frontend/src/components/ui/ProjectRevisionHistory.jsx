@@ -0,0 +1,187 @@
+import { useEffect, useState } from "react";
+import { fetchProjectRevisions } from "../../utils/apiHelper";
+
+const formatValue = (value) => (value === null || value === undefined || value === "" ? "—" : String(value));
+
+/**
+ * One changed field: list fields show each item as added, removed or kept;
+ * other fields show the old value above the new one.
+ */
+function FieldChange({ change }) {
+  if (change.added || change.removed) {
+    const kept = change.to.filter((item) => !change.added.includes(item));
+    return (
+      <div className="flex flex-wrap gap-1.5">
+        {kept.map((item) => (
+          <span key={`kept-${item}`} className="rounded bg-slate-100 px-2 py-0.5 text-xs text-slate-600">
+            {item}
+          </span>
+        ))}
+        {change.added.map((item) => (
+          <span key={`added-${item}`} className="rounded bg-green-100 px-2 py-0.5 text-xs font-medium text-green-700">
+            + {item}
+          </span>
+        ))}
+        {change.removed.map((item) => (
+          <span key={`removed-${item}`} className="rounded bg-red-100 px-2 py-0.5 text-xs text-red-700 line-through">
+            {item}
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-1 text-xs">
+      <p className="rounded bg-red-50 px-2 py-1 text-red-700 whitespace-pre-wrap break-words">
+        <span className="font-semibold mr-1">−</span>
+        {formatValue(change.from)}
+      </p>
+      <p className="rounded bg-green-50 px-2 py-1 text-green-700 whitespace-pre-wrap break-words">
+        <span className="font-semibold mr-1">+</span>
+        {formatValue(change.to)}
+      </p>
+    </div>
+  );
+}
+
+/**
+ * ProjectRevisionHistory Component
+ * Every saved version of a project proposal with field-level diffs. By default
+ * it compares the revision last reviewed by an instructor with the current one,
+ * so reviewers see what the client changed since; any two revisions can be
+ * compared instead. Reviewers can approve a specific revision.
+ *
+ * @param {number} projectId - Project whose revisions to show
+ * @param {Function} [onApproveRevision] - Called with a revision number; shows "Approve this revision" buttons when set
+ * @param {number} refreshKey - Change to reload the history (e.g. after an approval)
+ */
+export default function ProjectRevisionHistory({ projectId, onApproveRevision, refreshKey = 0 }) {
+  const [history, setHistory] = useState(null);
+  const [compare, setCompare] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!projectId) return;
+    setLoading(true);
+    setError("");
+    fetchProjectRevisions(projectId, compare)
+      .then((res) => setHistory(res.data || null))
+      .catch((err) => setError(err.message || "Failed to load revisions"))
+      .finally(() => setLoading(false));
+  }, [projectId, compare, refreshKey]);
+
+  if (loading && !history) {
+    return <p className="text-xs text-slate-500">Loading revisions...</p>;
+  }
+
+  if (error && !history) {
+    return <p className="text-xs text-red-600">{error}</p>;
+  }
+
+  const revisions = history?.revisions || [];
+  if (revisions.length === 0) {
+    return <p className="text-xs text-slate-500">No revisions recorded yet.</p>;
+  }
+
+  const diff = history.compare;
+  const selectClass = "rounded border border-slate-300 px-2 py-1 text-xs focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-xs text-slate-500">
+          Current revision {history.current_revision}
+          {history.reviewed_revision
+            ? ` · last reviewed at revision ${history.reviewed_revision}`
+            : " · not reviewed yet"}
+          {history.approved_revision ? ` · approved revision ${history.approved_revision}` : ""}
+        </p>
+        <div className="flex items-center gap-2 text-xs text-slate-600">
+          <span>Compare</span>
+          <select
+            value={diff?.from ?? ""}
+            onChange={(e) => setCompare({ from: Number(e.target.value), to: diff?.to })}
+            className={selectClass}
+          >
+            {diff?.from === null && <option value="">—</option>}
+            {revisions.map((rev) => (
+              <option key={rev.revision} value={rev.revision}>Revision {rev.revision}</option>
+            ))}
+          </select>
+          <span>to</span>
+          <select
+            value={diff?.to ?? ""}
+            onChange={(e) => setCompare({ from: diff?.from ?? undefined, to: Number(e.target.value) })}
+            className={selectClass}
+          >
+            {revisions.map((rev) => (
+              <option key={rev.revision} value={rev.revision}>Revision {rev.revision}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      {diff && (
+        <div className="space-y-3">
+          {diff.from === null ? (
+            <p className="text-xs text-slate-500">Revision {diff.to} is the original proposal.</p>
+          ) : diff.fields.length === 0 ? (
+            <p className="text-xs text-slate-500">
+              No differences between revision {diff.from} and revision {diff.to}.
+            </p>
+          ) : (
+            diff.fields.map((change) => (
+              <div key={change.field}>
+                <p className="text-xs font-medium text-slate-500 mb-1">{change.label}</p>
+                <FieldChange change={change} />
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      <ul className="divide-y divide-slate-100 border-t border-slate-100">
+        {revisions.map((rev) => (
+          <li key={rev.revision} className="flex flex-wrap items-center justify-between gap-2 py-2 text-xs">
+            <div className="min-w-0">
+              <span className="font-semibold text-slate-700">Revision {rev.revision}</span>
+              <span className="text-slate-500">
+                {" · "}
+                {rev.editor_name || (rev.edited_by_role === "client" ? "Client" : "Instructor")}
+                {" · "}
+                {new Date(rev.created_at).toLocaleString()}
+              </span>
+              {rev.restored_from && (
+                <span className="ml-2 rounded bg-slate-100 px-1.5 py-0.5 text-[10px] text-slate-600">
+                  Restored revision {rev.restored_from}
+                </span>
+              )}
+              {rev.revision === history.reviewed_revision && (
+                <span className="ml-2 rounded bg-blue-100 px-1.5 py-0.5 text-[10px] font-medium text-blue-700">
+                  Last reviewed
+                </span>
+              )}
+              <p className="text-slate-500 truncate">
+                {rev.changes.fields.length > 0
+                  ? `Changed ${rev.changes.fields.map((change) => change.label.toLowerCase()).join(", ")}`
+                  : rev.revision === 1 ? "Original proposal" : "No field changes"}
+              </p>
+            </div>
+            {onApproveRevision && (
+              <button
+                onClick={() => onApproveRevision(rev.revision)}
+                className="rounded-lg border border-green-600 px-2 py-1 text-xs font-medium text-green-700 hover:bg-green-50"
+              >
+                Approve this revision
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
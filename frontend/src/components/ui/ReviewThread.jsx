@@ -0,0 +1,114 @@
+import { useEffect, useState } from "react";
+import { fetchReviewComments, addReviewComment } from "../../utils/apiHelper";
+
+const EVENT_LABELS = {
+  changes_requested: { text: "Requested changes", className: "bg-orange-100 text-orange-700" },
+  approved: { text: "Approved", className: "bg-green-100 text-green-700" },
+  rejected: { text: "Rejected", className: "bg-red-100 text-red-700" },
+  resubmitted: { text: "Resubmitted", className: "bg-yellow-100 text-yellow-700" },
+};
+
+/**
+ * ReviewThread Component
+ * Conversation between instructors and the client on a project proposal: each
+ * review decision, resubmission, and reply, oldest first, with a reply box.
+ * Messages from the viewer's side are aligned right.
+ *
+ * @param {number} projectId - Project whose conversation to show
+ * @param {string} viewerRole - "client" or "instructor"
+ * @param {number} refreshKey - Change to reload the thread (e.g. after a decision)
+ */
+export default function ReviewThread({ projectId, viewerRole, refreshKey = 0 }) {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [reply, setReply] = useState("");
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (!projectId) return;
+    setLoading(true);
+    fetchReviewComments(projectId)
+      .then((res) => setComments(res.data?.comments || []))
+      .catch((err) => setError(err.message || "Failed to load conversation"))
+      .finally(() => setLoading(false));
+  }, [projectId, refreshKey]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+    try {
+      setSending(true);
+      setError("");
+      const res = await addReviewComment(projectId, reply.trim());
+      setComments((prev) => [
+        ...prev,
+        { ...res.data, author_name: "You", created_at: new Date().toISOString() },
+      ]);
+      setReply("");
+    } catch (err) {
+      setError(err.message || "Failed to send reply");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const isOwnSide = (comment) =>
+    viewerRole === "client" ? comment.author_role === "client" : comment.author_role !== "client";
+
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white p-3 space-y-3">
+      {loading ? (
+        <p className="text-xs text-slate-500">Loading conversation...</p>
+      ) : comments.length === 0 ? (
+        <p className="text-xs text-slate-500">No messages yet.</p>
+      ) : (
+        <ul className="space-y-2 max-h-72 overflow-y-auto">
+          {comments.map((comment) => {
+            const label = EVENT_LABELS[comment.event];
+            const own = isOwnSide(comment);
+            return (
+              <li key={comment.id} className={`flex ${own ? "justify-end" : "justify-start"}`}>
+                <div className={`max-w-[85%] rounded-lg px-3 py-2 text-xs ${own ? "bg-blue-50" : "bg-slate-100"}`}>
+                  <div className="flex items-center gap-2 mb-0.5">
+                    <span className="font-semibold text-slate-700">
+                      {comment.author_name || (comment.author_role === "client" ? "Client" : "Instructor")}
+                    </span>
+                    {label && (
+                      <span className={`rounded px-1.5 py-0.5 text-[10px] font-medium ${label.className}`}>
+                        {label.text}
+                      </span>
+                    )}
+                    <span className="text-slate-400">
+                      {new Date(comment.created_at).toLocaleString()}
+                    </span>
+                  </div>
+                  {comment.body && <p className="whitespace-pre-wrap text-slate-700">{comment.body}</p>}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <form onSubmit={handleSend} className="flex gap-2">
+        <textarea
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          rows={2}
+          placeholder={viewerRole === "client" ? "Reply to the instructor..." : "Reply to the client..."}
+          className="flex-1 rounded-lg border border-slate-300 p-2 text-xs resize-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={sending || !reply.trim()}
+          className="self-end rounded-lg bg-blue-600 px-3 py-2 text-xs font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {sending ? "Sending..." : "Send"}
+        </button>
+      </form>
+    </div>
+  );
+}
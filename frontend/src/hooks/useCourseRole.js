@@ -0,0 +1,47 @@
+import { useEffect, useState } from "react";
+import { fetchCourses, getActiveCourseId } from "../utils/apiHelper";
+
+/**
+ * Custom React hook to get the signed-in instructor's staff role in the active course
+ *
+ * Staff roles are "instructor" (lead), "co_instructor" and "ta". Mirrors the
+ * backend's course scope: in a course the role is the user's enrollment role;
+ * with no course selected, a user who is only ever a TA acts as a TA and
+ * everyone else as an instructor. Admins and instructors with no enrollments
+ * get "instructor".
+ *
+ * @hook
+ * @returns {string|null} Staff role, or null while courses are loading
+ *
+ * @example
+ * function InstructorDashboard() {
+ *   const courseRole = useCourseRole();
+ *   const canManage = courseRole !== "ta";
+ * }
+ */
+export const useCourseRole = () => {
+  const [courseRole, setCourseRole] = useState(null);
+
+  useEffect(() => {
+    fetchCourses()
+      .then((res) => {
+        const courses = res.data || [];
+        const activeCourseId = getActiveCourseId();
+
+        if (activeCourseId) {
+          const course = courses.find((c) => String(c.id) === activeCourseId);
+          setCourseRole(course?.my_role || "instructor");
+          return;
+        }
+
+        const staffRoles = courses.map((c) => c.my_role).filter((role) => role && role !== "student");
+        setCourseRole(staffRoles.length > 0 && staffRoles.every((role) => role === "ta") ? "ta" : "instructor");
+      })
+      .catch((err) => {
+        console.error("Error fetching course role:", err);
+        setCourseRole("instructor");
+      });
+  }, []);
+
+  return courseRole;
+};
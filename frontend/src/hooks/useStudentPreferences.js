@@ -3,6 +3,18 @@ import { apiCall } from "../utils/apiHelper";
 
 const API_URL = import.meta.env.VITE_API_URL || "https://a-portal-for-managing-students-capstone-projects-production.up.railway.app";
 
+/**
+ * Preference limits assumed until the course settings load
+ * @constant {Object}
+ */
+const DEFAULT_PREFERENCE_SETTINGS = {
+  max_preferences: 3,
+  min_preferences: 1,
+  rank_all_projects: false,
+  preference_mode: "ranked",
+  bid_budget: 100,
+};
+
 /**
  * Custom React hook to fetch and manage student project preferences
  * 
@@ -14,7 +26,11 @@ const API_URL = import.meta.env.VITE_API_URL || "https://a-portal-for-managing-s
  * - Automatic data fetching on mount and studentId change
  * - Loading and error state management
  * - Multiple response format support (array, { data: [] }, { preferences: [] })
- * - Deadline and last updated tracking
+ * - Deadline and last updated tracking, using the student's own deadline
+ *   (their extension, if an instructor granted one) and the window's opening time
+ * - Window status that updates every minute, for countdowns
+ * - Course preference limits (min/max, rank-all mode), enforced before submission
+ * - Bidding mode: bids are checked against the course's point budget instead
  * - Preference submission with automatic refresh
  * 
  * @hook
@@ -26,7 +42,11 @@ const API_URL = import.meta.env.VITE_API_URL || "https://a-portal-for-managing-s
  * @returns {string|null} returns.error - Error message if fetch/submit fails
  * @returns {Function} returns.submitPreferences - Function to submit preferences to API
  * @returns {string|null} returns.lastUpdated - ISO timestamp of last preference update
- * @returns {string|null} returns.deadline - ISO timestamp of preference submission deadline
+ * @returns {string|null} returns.deadline - ISO timestamp of the student's preference deadline (extension included)
+ * @returns {string|null} returns.opensAt - ISO timestamp of when preference submissions open
+ * @returns {string|null} returns.extendedUntil - ISO timestamp of the student's extension, if any
+ * @returns {string} returns.windowStatus - "not_open", "open", or "closed", kept current as time passes
+ * @returns {Object} returns.preferenceSettings - Course limits: { max_preferences, min_preferences, rank_all_projects, preference_mode, bid_budget }
  * 
  * @example
  * // Basic usage in a component
@@ -106,6 +126,62 @@ export const useStudentPreferences = (studentId) => {
    */
   const [deadline, setDeadline] = useState(null);
 
+  /**
+   * State: ISO timestamp of when preference submissions open
+   * @type {string|null}
+   */
+  const [opensAt, setOpensAt] = useState(null);
+
+  /**
+   * State: ISO timestamp of the student's deadline extension
+   * @type {string|null}
+   */
+  const [extendedUntil, setExtendedUntil] = useState(null);
+
+  /**
+   * State: Current time, refreshed every minute so countdowns stay accurate
+   * @type {number}
+   */
+  const [now, setNow] = useState(() => Date.now());
+
+  /**
+   * State: Course preference limits from app settings
+   * @type {Object}
+   */
+  const [preferenceSettings, setPreferenceSettings] = useState(DEFAULT_PREFERENCE_SETTINGS);
+
+  /**
+   * Effect: Tick the clock every minute while mounted
+   * 
+   * Dependencies: [] (runs once on mount)
+   */
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  /**
+   * Effect: Fetch the course's preference limits once on mount
+   * 
+   * Dependencies: [] (runs once on mount)
+   */
+  useEffect(() => {
+    apiCall(`${API_URL}/students/course-settings`, { method: "GET" })
+      .then((data) => {
+        setOpensAt((current) => current ?? data?.data?.preference_opens_at ?? null);
+        if (data?.data?.max_preferences) {
+          setPreferenceSettings({
+            max_preferences: data.data.max_preferences,
+            min_preferences: data.data.min_preferences,
+            rank_all_projects: data.data.rank_all_projects,
+            preference_mode: data.data.preference_mode || "ranked",
+            bid_budget: data.data.bid_budget || DEFAULT_PREFERENCE_SETTINGS.bid_budget,
+          });
+        }
+      })
+      .catch((err) => console.error("useStudentPreferences: Error fetching preference settings:", err));
+  }, []);
+
   /**
    * Effect: Fetch preferences on mount or when studentId changes
    * 
@@ -158,6 +234,10 @@ export const useStudentPreferences = (studentId) => {
           if (data.deadline) {
             setDeadline(data.deadline);
           }
+          if (data.window) {
+            setOpensAt(data.window.opens_at);
+            setExtendedUntil(data.window.extended_until);
+          }
         } else if (data && Array.isArray(data.preferences)) {
           // { preferences: [...] } format
           setPreferences(data.preferences);
@@ -181,17 +261,21 @@ export const useStudentPreferences = (studentId) => {
   /**
    * Submit student project preferences to the API
    * 
-   * Sends preference data to the backend and automatically refreshes
-   * the preferences list after successful submission.
+   * Checks the count against the course's preference limits (or, in bidding
+   * mode, the bids against the point budget), sends preference
+   * data to the backend, and automatically refreshes the preferences list after
+   * successful submission.
    * Updates lastUpdated and deadline from the response.
    * 
    * @async
    * @function submitPreferences
    * @param {Array<Object>} preferencesData - Array of preference objects
    * @param {number} preferencesData[].project_id - Project ID being preferred
-   * @param {number} preferencesData[].preference_rank - Rank (1-3, where 1 is highest)
+   * @param {number} [preferencesData[].preference_rank] - Rank (1 is highest), in ranked mode
+   * @param {number} [preferencesData[].bid_points] - Points bid on the project, in bidding mode
+   * @param {string} [preferencesData[].justification] - Optional statement of interest (up to 500 characters)
    * @returns {Promise<Object>} API response object
-   * @throws {Error} If submission fails or API returns error
+   * @throws {Error} If the count or bids are outside the course limits, submission fails, or API returns error
    * 
    * @example
    * await submitPreferences([
@@ -201,6 +285,25 @@ export const useStudentPreferences = (studentId) => {
    * ]);
    */
   const submitPreferences = async (preferencesData) => {
+    const { max_preferences: max, min_preferences: min, rank_all_projects: rankAll } = preferenceSettings;
+    if (preferenceSettings.preference_mode === "bidding") {
+      if (preferencesData.some((p) => !Number.isInteger(p.bid_points) || p.bid_points < 1)) {
+        throw new Error("Each bid must be a whole number of points, at least 1");
+      }
+      const total = preferencesData.reduce((sum, p) => sum + p.bid_points, 0);
+      if (total > preferenceSettings.bid_budget) {
+        throw new Error(`Bids total ${total} points but the budget is ${preferenceSettings.bid_budget}`);
+      }
+    } else if (rankAll && preferencesData.length !== max) {
+      throw new Error(`You must rank all ${max} projects`);
+    }
+    if (preferencesData.length > max) {
+      throw new Error(`Maximum ${max} preferences allowed`);
+    }
+    if (preferencesData.length < min) {
+      throw new Error(`At least ${min} preferences required`);
+    }
+
     try {
       console.log(
         "useStudentPreferences: Submitting preferences for studentId:",
@@ -237,6 +340,10 @@ export const useStudentPreferences = (studentId) => {
         if (updatedData.deadline) {
           setDeadline(updatedData.deadline);
         }
+        if (updatedData.window) {
+          setOpensAt(updatedData.window.opens_at);
+          setExtendedUntil(updatedData.window.extended_until);
+        }
       } else if (updatedData && Array.isArray(updatedData.preferences)) {
         // { preferences: [...] } format
         setPreferences(updatedData.preferences);
@@ -253,6 +360,10 @@ export const useStudentPreferences = (studentId) => {
     }
   };
 
+  let windowStatus = "open";
+  if (opensAt && now < new Date(opensAt).getTime()) windowStatus = "not_open";
+  else if (deadline && now > new Date(deadline).getTime()) windowStatus = "closed";
+
   return {
     preferences,
     setPreferences,
@@ -261,5 +372,9 @@ export const useStudentPreferences = (studentId) => {
     submitPreferences,
     lastUpdated,
     deadline,
+    opensAt,
+    extendedUntil,
+    windowStatus,
+    preferenceSettings,
   };
 };
\ No newline at end of file
@@ -28,11 +28,51 @@ function buildUrl(url) {
   return `${API_BASE_URL}${url.startsWith("/") ? url : `/${url}`}`;
 }
 
+/**
+ * Get the course the user is working in
+ * 
+ * @function getActiveCourseId
+ * @returns {string|null} Active course ID, or null for the shared scope
+ */
+export const getActiveCourseId = () => localStorage.getItem("activeCourseId");
+
+/**
+ * Set the course every following API call acts on
+ * 
+ * @function setActiveCourseId
+ * @param {number|string|null} courseId - Course ID, or null for the shared scope
+ * 
+ * @example
+ * setActiveCourseId(3);
+ * window.location.reload(); // reload views for the new course
+ */
+export const setActiveCourseId = (courseId) => {
+  if (courseId) localStorage.setItem("activeCourseId", String(courseId));
+  else localStorage.removeItem("activeCourseId");
+};
+
+/**
+ * Auth token and active course headers sent with every request
+ * 
+ * @private
+ * @function authHeaders
+ * @returns {Object} Authorization and X-Course-Id headers (when set)
+ */
+function authHeaders() {
+  const headers = {};
+  const token = localStorage.getItem("authToken");
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const courseId = getActiveCourseId();
+  if (courseId) headers["X-Course-Id"] = courseId;
+  return headers;
+}
+
 /**
  * Generic API call helper with token injection
  * 
  * Makes authenticated HTTP requests to the backend API.
- * Automatically includes Firebase auth token from localStorage.
+ * Automatically includes Firebase auth token from localStorage, and the active
+ * course (see setActiveCourseId) in the X-Course-Id header.
  * Handles JSON parsing and error responses.
  * 
  * @async
@@ -57,12 +97,11 @@ function buildUrl(url) {
  * });
  */
 export const apiCall = async (url, options = {}) => {
-  const token = localStorage.getItem("authToken");
   const headers = {
     "Content-Type": "application/json",
     ...options.headers,
+    ...authHeaders(),
   };
-  if (token) headers.Authorization = `Bearer ${token}`;
 
   const response = await fetch(buildUrl(url), {
     ...options,
@@ -96,6 +135,22 @@ export const apiCall = async (url, options = {}) => {
 export const fetchClientProjects = async (clientId) =>
   apiCall(`/clients/${clientId}/projects`, { method: "GET" });
 
+/**
+ * Get student demand for a client's approved projects
+ * 
+ * @async
+ * @function fetchClientProjectPopularity
+ * @param {number} clientId - Client's numeric ID
+ * @returns {Promise<Object>} Response with projects (counts by rank, demand ratio and level) in data
+ * @throws {Error} If fetch fails
+ * 
+ * @example
+ * const res = await fetchClientProjectPopularity(42);
+ * console.log(res.data[0].demand_level); // "over"
+ */
+export const fetchClientProjectPopularity = async (clientId) =>
+  apiCall(`/clients/${clientId}/project-popularity`, { method: "GET" });
+
 /**
  * Create a new project proposal (client submission)
  * 
@@ -162,6 +217,106 @@ export const updateClientProject = async (projectId, projectData) =>
 export const deleteClientProject = async (projectId) =>
   apiCall(`/projects/${projectId}`, { method: "DELETE" });
 
+/**
+ * Fetch the students who listed a project, with their statements of interest
+ * 
+ * Clients only receive justifications the instructor has not hidden;
+ * instructors also get each justification's justification_hidden flag.
+ * 
+ * @async
+ * @function fetchProjectPreferences
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object>} Response with preferences (rank, student name, justification) in data
+ * @throws {Error} If the user cannot view the project's preferences
+ * 
+ * @example
+ * const res = await fetchProjectPreferences(7);
+ * res.data.forEach(p => console.log(p.preference_rank, p.justification));
+ */
+export const fetchProjectPreferences = async (projectId) =>
+  apiCall(`/projects/${projectId}/preferences`, { method: "GET" });
+
+/**
+ * Save the client's ranking of students who listed a project
+ *
+ * Replaces the previous ranking. Declined students are never placed on the
+ * project; the ranking is used when groups are formed by stable matching.
+ *
+ * @async
+ * @function saveStudentRankings
+ * @param {number} projectId - Project ID
+ * @param {Array<number>} rankedStudentIds - Accepted students, most wanted first
+ * @param {Array<number>} declinedStudentIds - Students the client declines
+ * @returns {Promise<Object>} Response with ranked and declined counts
+ * @throws {Error} If a student did not list the project or appears twice
+ *
+ * @example
+ * await saveStudentRankings(7, [12, 3], [9]);
+ */
+export const saveStudentRankings = async (projectId, rankedStudentIds, declinedStudentIds) =>
+  apiCall(`/projects/${projectId}/student-rankings`, {
+    method: "PUT",
+    body: JSON.stringify({
+      ranked_student_ids: rankedStudentIds,
+      declined_student_ids: declinedStudentIds,
+    }),
+  });
+
+/**
+ * List a client's projects from earlier terms, to roll forward
+ *
+ * @async
+ * @function fetchPreviousProjects
+ * @param {number} clientId - Client's numeric ID
+ * @returns {Promise<Object>} Response with projects array in data (each with course_code, term_name, copied)
+ * @throws {Error} If fetch fails
+ *
+ * @example
+ * const res = await fetchPreviousProjects(42);
+ */
+export const fetchPreviousProjects = async (clientId) =>
+  apiCall(`/clients/${clientId}/previous-projects`, { method: "GET" });
+
+/**
+ * Copy a project from an earlier term into the active course
+ *
+ * The copy is a new proposal awaiting instructor approval.
+ *
+ * @async
+ * @function cloneProject
+ * @param {number} projectId - Project to copy
+ * @param {string} [title] - Title for the copy (defaults to the original)
+ * @returns {Promise<Object>} Response with the new project in data
+ * @throws {Error} If no course is selected or the project was already copied
+ *
+ * @example
+ * const res = await cloneProject(12);
+ */
+export const cloneProject = async (projectId, title) =>
+  apiCall(`/projects/${projectId}/clone`, {
+    method: "POST",
+    body: JSON.stringify({ title }),
+  });
+
+/**
+ * Send a proposal back for review after making the requested changes
+ *
+ * @async
+ * @function resubmitProject
+ * @param {number} projectId - Project ID
+ * @param {string} [message] - Note for the instructor about what changed
+ * @returns {Promise<Object>} Response with { project_id, approval_status: "pending" } in data
+ * @throws {Error} If the project is not awaiting changes
+ *
+ * @example
+ * await resubmitProject(42, "Scope narrowed to the web dashboard.");
+ */
+export const resubmitProject = async (projectId, message) =>
+  apiCall(`/projects/${projectId}/resubmit`, {
+    method: "POST",
+    body: JSON.stringify({ message }),
+  });
+
 /* ===================== STUDENT ===================== */
 
 /**
@@ -179,6 +334,23 @@ export const deleteClientProject = async (projectId) =>
 export const fetchAvailableProjects = async () =>
   apiCall("/students/projects", { method: "GET" });
 
+/**
+ * Search approved projects by keyword, with filters, facet counts and pages
+ *
+ * @async
+ * @function searchProjects
+ * @param {URLSearchParams|string} params - q, category, complexity_level, industry,
+ *   project_location, team_size, skills (filters may repeat), sort, page, limit
+ * @returns {Promise<Object>} Response with projects in data, plus pagination and facets
+ * @throws {Error} If a filter value is invalid
+ *
+ * @example
+ * const res = await searchProjects(new URLSearchParams("q=robotics&category=AI&page=2"));
+ * console.log(res.pagination.total, res.facets.category);
+ */
+export const searchProjects = async (params) =>
+  apiCall(`/projects/search?${params}`, { method: "GET" });
+
 /**
  * Fetch student's submitted project preferences
  * 
@@ -215,6 +387,22 @@ export const submitStudentPreferences = async (studentId, preferences) =>
     body: JSON.stringify({ preferences }),
   });
 
+/**
+ * Fetch every recorded version of a student's preference submissions
+ * 
+ * @async
+ * @function fetchPreferenceHistory
+ * @param {number} studentId - Student's numeric ID
+ * @returns {Promise<Object>} Response with versions (newest first) in data, each with its choices, late flag, and changes from the previous version
+ * @throws {Error} If fetch fails
+ * 
+ * @example
+ * const res = await fetchPreferenceHistory(123);
+ * res.data.forEach(v => console.log(v.version, v.submitted_at, v.changes.added));
+ */
+export const fetchPreferenceHistory = async (studentId) =>
+  apiCall(`/students/${studentId}/preferences/history`, { method: "GET" });
+
 /**
  * Fetch student's assigned group and project details
  * 
@@ -232,6 +420,104 @@ export const submitStudentPreferences = async (studentId, preferences) =>
 export const fetchStudentGroup = async (studentId) =>
   apiCall(`/students/${studentId}/group`, { method: "GET" });
 
+/**
+ * Fetch the student's pre-team and pending pre-team invitations
+ * 
+ * @async
+ * @function getPreTeam
+ * @param {number} studentId - Student's numeric ID
+ * @returns {Promise<Object>} { team, invitations } - team is null if the student is in no pre-team
+ * @throws {Error} If fetch fails
+ */
+export const getPreTeam = async (studentId) =>
+  apiCall(`/students/${studentId}/pre-team`, { method: "GET" });
+
+/**
+ * Create a pre-team and invite classmates by email
+ * 
+ * @async
+ * @function createPreTeam
+ * @param {number} studentId - Student's numeric ID
+ * @param {Object} data - { name, invite_emails }
+ * @returns {Promise<Object>} Created pre-team ID and invitation count
+ * @throws {Error} If the student already has a pre-team or an email is unknown
+ * 
+ * @example
+ * await createPreTeam(123, { name: "Team Rocket", invite_emails: ["jessie@example.edu"] });
+ */
+export const createPreTeam = async (studentId, data) =>
+  apiCall(`/students/${studentId}/pre-team`, {
+    method: "POST",
+    body: JSON.stringify(data),
+  });
+
+/**
+ * Invite another classmate to the student's pre-team (creator only)
+ * 
+ * @async
+ * @function invitePreTeamMember
+ * @param {number} studentId - Student's numeric ID
+ * @param {string} email - Classmate's email
+ * @returns {Promise<Object>} Invitation confirmation
+ * @throws {Error} If the team is full or the classmate is unavailable
+ */
+export const invitePreTeamMember = async (studentId, email) =>
+  apiCall(`/students/${studentId}/pre-team/invitations`, {
+    method: "POST",
+    body: JSON.stringify({ email }),
+  });
+
+/**
+ * Accept or decline a pre-team invitation
+ * 
+ * @async
+ * @function respondToPreTeamInvitation
+ * @param {number} studentId - Student's numeric ID
+ * @param {number} preTeamId - Pre-team ID
+ * @param {string} status - "accepted" or "declined"
+ * @returns {Promise<Object>} Update confirmation
+ * @throws {Error} If there is no pending invitation
+ */
+export const respondToPreTeamInvitation = async (studentId, preTeamId, status) =>
+  apiCall(`/students/${studentId}/pre-team-invitations/${preTeamId}`, {
+    method: "PUT",
+    body: JSON.stringify({ status }),
+  });
+
+/**
+ * Leave the pre-team (disbands it if the student created it)
+ * 
+ * @async
+ * @function leavePreTeam
+ * @param {number} studentId - Student's numeric ID
+ * @returns {Promise<Object>} Confirmation
+ * @throws {Error} If the student is in no pre-team
+ */
+export const leavePreTeam = async (studentId) =>
+  apiCall(`/students/${studentId}/pre-team`, { method: "DELETE" });
+
+/**
+ * Replace the pre-team's joint project preferences
+ * 
+ * @async
+ * @function submitPreTeamPreferences
+ * @param {number} studentId - Student's numeric ID (any accepted member)
+ * @param {Array<Object>} preferences - [{ project_id, preference_rank }] (max 3)
+ * @returns {Promise<Object>} Submission confirmation
+ * @throws {Error} If the deadline has passed or validation fails
+ * 
+ * @example
+ * await submitPreTeamPreferences(123, [
+ *   { project_id: 5, preference_rank: 1 },
+ *   { project_id: 12, preference_rank: 2 },
+ * ]);
+ */
+export const submitPreTeamPreferences = async (studentId, preferences) =>
+  apiCall(`/students/${studentId}/pre-team/preferences`, {
+    method: "PUT",
+    body: JSON.stringify({ preferences }),
+  });
+
 /* ===================== INSTRUCTOR ===================== */
 
 /**
@@ -251,6 +537,22 @@ export const fetchStudentGroup = async (studentId) =>
 export const getInstructorStats = async (instructorId) =>
   apiCall(`/instructors/${instructorId}/stats`, { method: "GET" });
 
+/**
+ * Get preference demand for every approved project: counts by rank, interested
+ * students per seat, demand level, and skill fit of interested students
+ * 
+ * @async
+ * @function getProjectPopularity
+ * @returns {Promise<Object>} Response with projects and summary in data
+ * @throws {Error} If fetch fails
+ * 
+ * @example
+ * const res = await getProjectPopularity();
+ * console.log(`${res.data.summary.over_subscribed} over-subscribed projects`);
+ */
+export const getProjectPopularity = async () =>
+  apiCall("/instructors/project-popularity", { method: "GET" });
+
 /**
  * Get all projects with 'open' status (pending approval)
  * 
@@ -267,13 +569,14 @@ export const getPendingProjects = async () =>
   apiCall("/projects?status=open", { method: "GET" });
 
 /**
- * Approve a project proposal
+ * Approve a project proposal. With an approval quorum above 1 this is your
+ * vote; the project is approved once enough reviewers approve
  * 
  * @async
  * @function approveProject
  * @param {number} projectId - Project ID to approve
  * @param {string} [feedback=''] - Optional feedback message for client
- * @returns {Promise<Object>} Approval confirmation
+ * @returns {Promise<Object>} Response with the resulting approval_status and quorum count in data
  * @throws {Error} If approval fails
  * 
  * @example
@@ -304,6 +607,143 @@ export const rejectProject = async (projectId, feedback = "") =>
     body: JSON.stringify({ approval_status: "rejected", feedback }),
   });
 
+/**
+ * Ask the client to change a proposal before it can be approved
+ * 
+ * @async
+ * @function requestProjectChanges
+ * @param {number} projectId - Project ID
+ * @param {string} feedback - The changes needed
+ * @returns {Promise<Object>} Confirmation
+ * @throws {Error} If feedback is missing
+ * 
+ * @example
+ * await requestProjectChanges(7, 'Please list the deliverables for each milestone.');
+ */
+export const requestProjectChanges = async (projectId, feedback) =>
+  apiCall(`/projects/${projectId}/approval`, {
+    method: "PUT",
+    body: JSON.stringify({ approval_status: "changes_requested", feedback }),
+  });
+
+/**
+ * Get the review conversation on a proposal (client or instructors)
+ * 
+ * @async
+ * @function fetchReviewComments
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object>} Response with { approval_status, comments } in data
+ * @throws {Error} If fetch fails
+ */
+export const fetchReviewComments = async (projectId) =>
+  apiCall(`/projects/${projectId}/review-comments`, { method: "GET" });
+
+/**
+ * Reply in the review conversation on a proposal (client or instructors)
+ * 
+ * @async
+ * @function addReviewComment
+ * @param {number} projectId - Project ID
+ * @param {string} body - Comment text
+ * @returns {Promise<Object>} Response with the new comment in data
+ * @throws {Error} If the comment is empty
+ */
+export const addReviewComment = async (projectId, body) =>
+  apiCall(`/projects/${projectId}/review-comments`, {
+    method: "POST",
+    body: JSON.stringify({ body }),
+  });
+
+/**
+ * Get the active course's proposals awaiting review, with their assigned
+ * reviewers, this round's votes, and the course's quorum
+ * 
+ * @async
+ * @function fetchReviewQueue
+ * @returns {Promise<Object>} Response with { settings, reviewers, projects } in data
+ * @throws {Error} If fetch fails
+ * 
+ * @example
+ * const { data } = await fetchReviewQueue();
+ * const mine = data.projects.filter((p) => p.assigned_to_me && !p.my_vote);
+ */
+export const fetchReviewQueue = async () =>
+  apiCall("/instructors/review-queue", { method: "GET" });
+
+/**
+ * Assign an instructor to review a proposal
+ * 
+ * @async
+ * @function assignProjectReviewer
+ * @param {number} projectId - Project ID
+ * @param {number} [reviewerId] - Instructor to assign (defaults to yourself)
+ * @returns {Promise<Object>} Confirmation
+ * @throws {Error} If the instructor can't review this course or is already assigned
+ */
+export const assignProjectReviewer = async (projectId, reviewerId) =>
+  apiCall(`/projects/${projectId}/reviewers`, {
+    method: "POST",
+    body: JSON.stringify(reviewerId ? { reviewer_id: reviewerId } : {}),
+  });
+
+/**
+ * Remove an instructor from a proposal's reviewers
+ * 
+ * @async
+ * @function unassignProjectReviewer
+ * @param {number} projectId - Project ID
+ * @param {number} reviewerId - Assigned instructor
+ * @returns {Promise<Object>} Confirmation
+ * @throws {Error} If the assignment doesn't exist
+ */
+export const unassignProjectReviewer = async (projectId, reviewerId) =>
+  apiCall(`/projects/${projectId}/reviewers/${reviewerId}`, { method: "DELETE" });
+
+/**
+ * Get every revision of a proposal with field-level diffs (client or instructors)
+ * 
+ * @async
+ * @function fetchProjectRevisions
+ * @param {number} projectId - Project ID
+ * @param {Object} [compare={}] - Revisions to compare
+ * @param {number} [compare.from] - Defaults to the last reviewed revision
+ * @param {number} [compare.to] - Defaults to the current revision
+ * @returns {Promise<Object>} Response with { current_revision, reviewed_revision, approved_revision, compare, revisions } in data
+ * @throws {Error} If fetch fails
+ * 
+ * @example
+ * const { data } = await fetchProjectRevisions(7, { from: 1, to: 3 });
+ * data.compare.fields.forEach((change) => console.log(change.label, change.from, '→', change.to));
+ */
+export const fetchProjectRevisions = async (projectId, compare = {}) => {
+  const params = new URLSearchParams();
+  if (compare.from) params.set("from", compare.from);
+  if (compare.to) params.set("to", compare.to);
+  const query = params.toString();
+  return apiCall(`/projects/${projectId}/revisions${query ? `?${query}` : ""}`, { method: "GET" });
+};
+
+/**
+ * Approve a specific revision of a proposal. If it isn't the current one, the
+ * proposal is put back to that revision first
+ * 
+ * @async
+ * @function approveProjectRevision
+ * @param {number} projectId - Project ID
+ * @param {number} revision - Revision number to approve
+ * @param {string} [feedback=''] - Optional feedback message for client
+ * @returns {Promise<Object>} Approval confirmation with the approved revision
+ * @throws {Error} If the revision doesn't exist
+ * 
+ * @example
+ * await approveProjectRevision(7, 2, 'Approving the scope from your second draft.');
+ */
+export const approveProjectRevision = async (projectId, revision, feedback = "") =>
+  apiCall(`/projects/${projectId}/approval`, {
+    method: "PUT",
+    body: JSON.stringify({ approval_status: "approved", feedback, revision }),
+  });
+
 /**
  * Run automated group formation algorithm
  * 
@@ -393,6 +833,26 @@ export const getProjectById = async (projectId) =>
 
 // REMOVED getInstructorProjectById - use getProjectById instead
 
+/**
+ * Hide or show a student's preference justification to the project's client
+ * 
+ * @async
+ * @function setJustificationVisibility
+ * @param {number} projectId - Project ID
+ * @param {number} studentId - Student who wrote the justification
+ * @param {boolean} hidden - true to hide it from the client
+ * @returns {Promise<Object>} Response with the new visibility
+ * @throws {Error} If the preference does not exist
+ * 
+ * @example
+ * await setJustificationVisibility(7, 42, true);
+ */
+export const setJustificationVisibility = async (projectId, studentId, hidden) =>
+  apiCall(`/projects/${projectId}/preferences/${studentId}/justification-visibility`, {
+    method: "PUT",
+    body: JSON.stringify({ hidden }),
+  });
+
 /**
  * Update project status (approve, reject, or other status changes)
  * 
@@ -455,30 +915,77 @@ export const getInstructorGroups = async () =>
  * 
  * @async
  * @function autoAssignGroups
+ * @param {Object} [options={}] - Algorithm options
+ * @param {string} [options.mode] - "incremental" (default) keeps existing groups; "replace" rebuilds them
+ * @param {string} [options.confirmation_token] - Token from a replace-mode preview (required for "replace")
+ * @param {number} [options.skill_weight] - Weight (0-1) of team skill coverage relative to preferences
+ * @param {string} [options.fallback_policy] - Placement of students without preferences: "none", "least_full", or "skills"
+ * @param {string} [options.seed] - Seed for tie-breaking, e.g. data.seed from a preview
+ * @param {number} [options.preview_run_id] - Preview run to commit exactly (uses its options and seed)
  * @returns {Promise<Object>} Assignment results with created groups
- * @throws {Error} If assignment fails
+ * @throws {Error} If assignment fails, or 409 if the data changed since the preview run
  * 
  * @example
- * const result = await autoAssignGroups();
+ * const preview = await previewGroups({ mode: 'replace' });
+ * const result = await autoAssignGroups({
+ *   mode: 'replace',
+ *   confirmation_token: preview.confirmation_token,
+ *   preview_run_id: preview.run_id,
+ * });
  * console.log(`Created ${result.groups_count} groups`);
  */
-export const autoAssignGroups = async () =>
-  apiCall("/instructors/auto-assign-groups", { method: "POST" });
+export const autoAssignGroups = async (options = {}) =>
+  apiCall("/instructors/auto-assign-groups", {
+    method: "POST",
+    body: JSON.stringify(options),
+  });
 
 /**
  * Preview group formation without saving (dry run of algorithm)
  * 
  * @async
  * @function previewGroups
+ * @param {Object} [options={}] - Algorithm options
+ * @param {string} [options.mode] - "incremental" (default) or "replace"; replace previews return a confirmation_token
+ * @param {number} [options.skill_weight] - Weight (0-1) of team skill coverage relative to preferences
+ * @param {string} [options.fallback_policy] - Placement of students without preferences: "none", "least_full", or "skills"
+ * @param {string} [options.seed] - Seed for tie-breaking; the seed used is returned as data.seed
  * @returns {Promise<Object>} Preview of groups that would be formed
  * @throws {Error} If preview generation fails
  * 
  * @example
- * const preview = await previewGroups();
+ * const preview = await previewGroups({ skill_weight: 0.3 });
  * console.log('Preview groups:', preview.groups);
  */
-export const previewGroups = async () =>
-  apiCall("/instructors/preview-groups", { method: "POST" });
+export const previewGroups = async (options = {}) =>
+  apiCall("/instructors/preview-groups", {
+    method: "POST",
+    body: JSON.stringify(options),
+  });
+
+/**
+ * Run the group formation algorithm many times for what-if comparisons (nothing is saved)
+ * 
+ * @async
+ * @function simulateGroups
+ * @param {Object} [options={}] - Simulation options
+ * @param {Array<number>} [options.skill_weights] - Skill weights (0-1) to compare
+ * @param {number} [options.runs] - Runs per skill weight
+ * @param {string} [options.mode] - "incremental" (default) or "replace"
+ * @param {string} [options.fallback_policy] - Placement of students without preferences
+ * @param {string} [options.seed] - Base seed, to repeat a simulation
+ * @returns {Promise<Object>} Per-weight summaries of satisfaction and fairness metrics
+ * @throws {Error} If the simulation fails
+ * 
+ * @example
+ * const sim = await simulateGroups({ skill_weights: [0, 0.5, 1], runs: 20 });
+ * sim.data.scenarios.forEach(s => console.log(s.skill_weight, s.satisfaction.mean));
+ */
+export const simulateGroups = async (options = {}) =>
+  apiCall("/instructors/simulate-groups", {
+    method: "POST",
+    body: JSON.stringify(options),
+  });
 
 /**
  * Clear all existing groups (resets group assignments)
@@ -612,6 +1119,198 @@ export const addStudentToGroup = async (groupId, studentId) =>
 export const fetchUnassignedStudents = async () =>
   apiCall("/instructors/unassigned-students", { method: "GET" });
 
+/**
+ * Get group formation constraints (pins and together/apart pairs)
+ * 
+ * @async
+ * @function getGroupConstraints
+ * @returns {Promise<Object>} Response with constraint objects in data
+ * @throws {Error} If fetch fails
+ * 
+ * @example
+ * const res = await getGroupConstraints();
+ * res.data.forEach(c => console.log(c.constraint_type, c.student_name));
+ */
+export const getGroupConstraints = async () =>
+  apiCall("/instructors/group-constraints", { method: "GET" });
+
+/**
+ * Create a group formation constraint
+ * 
+ * @async
+ * @function createGroupConstraint
+ * @param {Object} constraint - Constraint details
+ * @param {string} constraint.constraint_type - "pin", "together", or "apart"
+ * @param {number} constraint.student_id - Constrained student ID
+ * @param {number} [constraint.other_student_id] - Partner student ID (together/apart)
+ * @param {number} [constraint.project_id] - Project ID (pin)
+ * @param {string} [constraint.note] - Reason for the constraint
+ * @returns {Promise<Object>} Created constraint
+ * @throws {Error} If the constraint is invalid or conflicts with an existing one
+ * 
+ * @example
+ * await createGroupConstraint({ constraint_type: 'pin', student_id: 42, project_id: 5 });
+ */
+export const createGroupConstraint = async (constraint) =>
+  apiCall("/instructors/group-constraints", {
+    method: "POST",
+    body: JSON.stringify(constraint),
+  });
+
+/**
+ * Update a group formation constraint
+ * 
+ * @async
+ * @function updateGroupConstraint
+ * @param {number} constraintId - Constraint ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} Updated constraint
+ * @throws {Error} If the update is invalid
+ * 
+ * @example
+ * await updateGroupConstraint(7, { project_id: 9 });
+ */
+export const updateGroupConstraint = async (constraintId, updates) =>
+  apiCall(`/instructors/group-constraints/${constraintId}`, {
+    method: "PUT",
+    body: JSON.stringify(updates),
+  });
+
+/**
+ * Delete a group formation constraint
+ * 
+ * @async
+ * @function deleteGroupConstraint
+ * @param {number} constraintId - Constraint ID
+ * @returns {Promise<Object>} Deletion confirmation
+ * @throws {Error} If deletion fails
+ * 
+ * @example
+ * await deleteGroupConstraint(7);
+ */
+export const deleteGroupConstraint = async (constraintId) =>
+  apiCall(`/instructors/group-constraints/${constraintId}`, { method: "DELETE" });
+
+/**
+ * Get recorded group formation runs (previews, commits, and rollbacks)
+ * 
+ * @async
+ * @function getFormationRuns
+ * @param {Object} [filters={}] - Optional filters
+ * @param {string} [filters.type] - "preview", "commit", or "rollback"
+ * @param {number} [filters.limit] - Maximum runs to return
+ * @returns {Promise<Object>} Response with run summaries in data
+ * @throws {Error} If fetch fails
+ * 
+ * @example
+ * const res = await getFormationRuns({ type: 'commit' });
+ */
+export const getFormationRuns = async (filters = {}) => {
+  const params = new URLSearchParams();
+  if (filters.type) params.set("type", filters.type);
+  if (filters.limit) params.set("limit", filters.limit);
+  const query = params.toString();
+  return apiCall(`/instructors/formation-runs${query ? `?${query}` : ""}`, { method: "GET" });
+};
+
+/**
+ * Compare two formation runs student by student
+ * 
+ * @async
+ * @function diffFormationRuns
+ * @param {number} fromRunId - Earlier run ID
+ * @param {number} toRunId - Later run ID
+ * @returns {Promise<Object>} Response with summary counts and per-student changes in data
+ * @throws {Error} If either run is missing
+ * 
+ * @example
+ * const res = await diffFormationRuns(12, 15);
+ * console.log(`${res.data.summary.moved} students moved`);
+ */
+export const diffFormationRuns = async (fromRunId, toRunId) =>
+  apiCall(`/instructors/formation-runs/${fromRunId}/diff/${toRunId}`, { method: "GET" });
+
+/**
+ * Restore the groups saved by an earlier committed run
+ * 
+ * @async
+ * @function rollbackFormationRun
+ * @param {number} runId - Commit or rollback run to restore
+ * @returns {Promise<Object>} Response with the new run ID and restore counts
+ * @throws {Error} If the run has no saved groups
+ * 
+ * @example
+ * await rollbackFormationRun(12);
+ */
+export const rollbackFormationRun = async (runId) =>
+  apiCall(`/instructors/formation-runs/${runId}/rollback`, { method: "POST" });
+
+/**
+ * List late preference submissions, and submissions that changed a student's
+ * preferences shortly before the deadline
+ * 
+ * @async
+ * @function getPreferenceAudit
+ * @param {number} [windowHours] - Hours before the deadline to include changes from (default 24)
+ * @returns {Promise<Object>} Response with deadline, summary counts and submissions in data
+ * @throws {Error} If fetch fails
+ * 
+ * @example
+ * const res = await getPreferenceAudit(48);
+ * console.log(`${res.data.summary.late} late submissions`);
+ */
+export const getPreferenceAudit = async (windowHours) =>
+  apiCall(`/instructors/preference-audit${windowHours ? `?window_hours=${windowHours}` : ""}`, { method: "GET" });
+
+/**
+ * List students with a preference deadline extension
+ *
+ * @async
+ * @function getDeadlineExtensions
+ * @returns {Promise<Object>} Response with extensions array in data
+ * @throws {Error} If fetch fails
+ *
+ * @example
+ * const res = await getDeadlineExtensions();
+ */
+export const getDeadlineExtensions = async () =>
+  apiCall("/instructors/deadline-extensions", { method: "GET" });
+
+/**
+ * Grant or update a student's preference deadline extension
+ *
+ * @async
+ * @function grantDeadlineExtension
+ * @param {number} studentId - Student ID
+ * @param {string} extendedUntil - New deadline for this student (ISO date)
+ * @param {string} [reason] - Why the extension was granted
+ * @returns {Promise<Object>} Response with the extension in data
+ * @throws {Error} If the date is not after the course deadline
+ *
+ * @example
+ * await grantDeadlineExtension(12, "2025-01-18T23:59:00", "Medical leave");
+ */
+export const grantDeadlineExtension = async (studentId, extendedUntil, reason) =>
+  apiCall(`/instructors/deadline-extensions/${studentId}`, {
+    method: "PUT",
+    body: JSON.stringify({ extended_until: extendedUntil, reason }),
+  });
+
+/**
+ * Revoke a student's preference deadline extension
+ *
+ * @async
+ * @function revokeDeadlineExtension
+ * @param {number} studentId - Student ID
+ * @returns {Promise<Object>} Response object
+ * @throws {Error} If the student has no extension
+ *
+ * @example
+ * await revokeDeadlineExtension(12);
+ */
+export const revokeDeadlineExtension = async (studentId) =>
+  apiCall(`/instructors/deadline-extensions/${studentId}`, { method: "DELETE" });
+
 /**
  * Get all scheduled evaluations
  * 
@@ -694,6 +1393,285 @@ export const updateInstructorProfile = async (instructorId, profileData) =>
     body: JSON.stringify(profileData),
   });
 
+/* ===================== COURSES ===================== */
+
+/**
+ * List the courses the user can switch to
+ *
+ * @async
+ * @function fetchCourses
+ * @returns {Promise<Object>} Response with courses array in data (with term_name and my_role)
+ * @throws {Error} If fetch fails
+ *
+ * @example
+ * const res = await fetchCourses();
+ */
+export const fetchCourses = async () =>
+  apiCall("/courses", { method: "GET" });
+
+/**
+ * List academic terms
+ *
+ * @async
+ * @function fetchTerms
+ * @returns {Promise<Object>} Response with terms array in data
+ * @throws {Error} If fetch fails
+ */
+export const fetchTerms = async () =>
+  apiCall("/courses/terms", { method: "GET" });
+
+/**
+ * Create an academic term
+ *
+ * @async
+ * @function createTerm
+ * @param {Object} term - { name, starts_on, ends_on }
+ * @returns {Promise<Object>} Response with the new term in data
+ * @throws {Error} If the name is taken or dates are invalid
+ *
+ * @example
+ * await createTerm({ name: "Fall 2025", starts_on: "2025-09-01", ends_on: "2025-12-19" });
+ */
+export const createTerm = async (term) =>
+  apiCall("/courses/terms", {
+    method: "POST",
+    body: JSON.stringify(term),
+  });
+
+/**
+ * Create a course in a term; the instructor creating it is enrolled as its instructor
+ *
+ * @async
+ * @function createCourse
+ * @param {Object} course - { term_id, code, name }
+ * @returns {Promise<Object>} Response with the new course in data
+ * @throws {Error} If the code is taken in that term
+ *
+ * @example
+ * await createCourse({ term_id: 2, code: "CS 490", name: "Capstone" });
+ */
+export const createCourse = async (course) =>
+  apiCall("/courses", {
+    method: "POST",
+    body: JSON.stringify(course),
+  });
+
+/**
+ * List a course's enrolled students and instructors
+ *
+ * @async
+ * @function fetchCourseEnrollments
+ * @param {number} courseId - Course ID
+ * @returns {Promise<Object>} Response with enrollments array in data
+ * @throws {Error} If fetch fails
+ */
+export const fetchCourseEnrollments = async (courseId) =>
+  apiCall(`/courses/${courseId}/enrollments`, { method: "GET" });
+
+/**
+ * Enroll existing users in a course by email
+ *
+ * Staff roles ("instructor", "co_instructor", "ta") take instructor accounts and
+ * can only be added by the course's lead instructor.
+ *
+ * @async
+ * @function enrollInCourse
+ * @param {number} courseId - Course ID
+ * @param {Array<string>} emails - Emails of the users to enroll
+ * @param {string} [role="student"] - "student", "instructor", "co_instructor", or "ta"
+ * @param {number|null} [sectionId=null] - Section to put the users in
+ * @returns {Promise<Object>} Response with { enrolled, already_enrolled, not_found } in data
+ * @throws {Error} If the request is invalid
+ *
+ * @example
+ * const res = await enrollInCourse(3, ["a@uni.edu", "b@uni.edu"]);
+ * const staff = await enrollInCourse(3, ["ta@uni.edu"], "ta", 1);
+ */
+export const enrollInCourse = async (courseId, emails, role = "student", sectionId = null) =>
+  apiCall(`/courses/${courseId}/enrollments`, {
+    method: "POST",
+    body: JSON.stringify({ emails, role, section_id: sectionId }),
+  });
+
+/**
+ * Change a user's section or staff role in a course
+ *
+ * @async
+ * @function updateCourseEnrollment
+ * @param {number} courseId - Course ID
+ * @param {number} userId - User ID
+ * @param {Object} changes - { role?, section_id? }
+ * @returns {Promise<Object>} Response
+ * @throws {Error} If the change is not allowed
+ *
+ * @example
+ * await updateCourseEnrollment(3, 57, { role: "co_instructor" });
+ */
+export const updateCourseEnrollment = async (courseId, userId, changes) =>
+  apiCall(`/courses/${courseId}/enrollments/${userId}`, {
+    method: "PUT",
+    body: JSON.stringify(changes),
+  });
+
+/**
+ * List a course's sections
+ *
+ * @async
+ * @function fetchCourseSections
+ * @param {number} courseId - Course ID
+ * @returns {Promise<Object>} Response with sections array ({ id, name, student_count, staff_count }) in data
+ * @throws {Error} If fetch fails
+ */
+export const fetchCourseSections = async (courseId) =>
+  apiCall(`/courses/${courseId}/sections`, { method: "GET" });
+
+/**
+ * Add a section to a course
+ *
+ * @async
+ * @function createCourseSection
+ * @param {number} courseId - Course ID
+ * @param {string} name - Section name (e.g. "001")
+ * @returns {Promise<Object>} Response with the new section in data
+ * @throws {Error} If the name is taken
+ */
+export const createCourseSection = async (courseId, name) =>
+  apiCall(`/courses/${courseId}/sections`, {
+    method: "POST",
+    body: JSON.stringify({ name }),
+  });
+
+/**
+ * Delete a course section; its users stay enrolled without a section
+ *
+ * @async
+ * @function deleteCourseSection
+ * @param {number} courseId - Course ID
+ * @param {number} sectionId - Section ID
+ * @returns {Promise<Object>} Response
+ * @throws {Error} If the section is not found
+ */
+export const deleteCourseSection = async (courseId, sectionId) =>
+  apiCall(`/courses/${courseId}/sections/${sectionId}`, { method: "DELETE" });
+
+/**
+ * Remove a user from a course
+ *
+ * @async
+ * @function removeCourseEnrollment
+ * @param {number} courseId - Course ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Response object
+ * @throws {Error} If the user is the course's last instructor
+ */
+export const removeCourseEnrollment = async (courseId, userId) =>
+  apiCall(`/courses/${courseId}/enrollments/${userId}`, { method: "DELETE" });
+
+/**
+ * Archive a term at its end: snapshot its courses and make them read-only
+ *
+ * @async
+ * @function archiveTerm
+ * @param {number} termId - Term ID
+ * @returns {Promise<Object>} Response with a summary per course in data.courses
+ * @throws {Error} If the user does not teach every course in the term
+ *
+ * @example
+ * const res = await archiveTerm(2);
+ */
+export const archiveTerm = async (termId) =>
+  apiCall(`/courses/terms/${termId}/archive`, { method: "POST" });
+
+/**
+ * Get the snapshots taken when a term was archived
+ *
+ * @async
+ * @function fetchTermArchive
+ * @param {number} termId - Term ID
+ * @returns {Promise<Object>} Response with archives array in data
+ * @throws {Error} If fetch fails
+ */
+export const fetchTermArchive = async (termId) =>
+  apiCall(`/courses/terms/${termId}/archive`, { method: "GET" });
+
+/* ===================== ATTACHMENTS ===================== */
+
+/**
+ * List a project's files (proposal documents and deliverables)
+ *
+ * @async
+ * @function fetchProjectAttachments
+ * @param {number} projectId - Project ID
+ * @param {string} [category] - Only "proposal" or "deliverable" files
+ * @returns {Promise<Object>} Response with { attachments, can_upload, limits } in data
+ * @throws {Error} If the user can't see the project's files
+ */
+export const fetchProjectAttachments = async (projectId, category) =>
+  apiCall(`/projects/${projectId}/attachments${category ? `?category=${category}` : ""}`, { method: "GET" });
+
+/**
+ * Upload a file to a project
+ *
+ * @async
+ * @function uploadProjectAttachment
+ * @param {number} projectId - Project ID
+ * @param {File} file - File from a file input
+ * @param {string} [category="proposal"] - "proposal" or "deliverable"
+ * @returns {Promise<Object>} Response with the new attachment in data
+ * @throws {Error} If the file is too large, of a type not allowed, or the user can't upload
+ *
+ * @example
+ * await uploadProjectAttachment(42, event.target.files[0], "proposal");
+ */
+export const uploadProjectAttachment = async (projectId, file, category = "proposal") => {
+  const query = new URLSearchParams({ filename: file.name, category });
+  return apiCall(`/projects/${projectId}/attachments?${query}`, {
+    method: "POST",
+    headers: { "Content-Type": file.type || "application/octet-stream" },
+    body: file,
+  });
+};
+
+/**
+ * Download a project file
+ *
+ * @async
+ * @function downloadProjectAttachment
+ * @param {number} projectId - Project ID
+ * @param {number} attachmentId - Attachment ID
+ * @returns {Promise<Blob>} The file's contents
+ * @throws {Error} If the file can't be downloaded
+ *
+ * @example
+ * const blob = await downloadProjectAttachment(42, 7);
+ * const url = URL.createObjectURL(blob);
+ */
+export const downloadProjectAttachment = async (projectId, attachmentId) => {
+  const response = await fetch(buildUrl(`/projects/${projectId}/attachments/${attachmentId}/download`), {
+    headers: authHeaders(),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || "Download failed");
+  }
+
+  return response.blob();
+};
+
+/**
+ * Delete a project file
+ *
+ * @async
+ * @function deleteProjectAttachment
+ * @param {number} projectId - Project ID
+ * @param {number} attachmentId - Attachment ID
+ * @returns {Promise<Object>} Response object
+ * @throws {Error} If the user can't delete the file
+ */
+export const deleteProjectAttachment = async (projectId, attachmentId) =>
+  apiCall(`/projects/${projectId}/attachments/${attachmentId}`, { method: "DELETE" });
+
 /* ===================== FALLBACK FETCH ===================== */
 
 /**